@@ -3,54 +3,65 @@
 const axios = require('axios');
 const FormData = require('form-data');
 const { HfInference } = require('@huggingface/inference');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { validarArgumentos, describirCampos } = require('./tools');
+const { IDIOMAS, t } = require('./i18n');
+const { getClinica } = require('./clinica');
+const { describirHorarioSemanal } = require('./calendar');
+const { consultarProveedores } = require('./aiProviders');
+const { transcribirLocal } = require('./whisperLocal');
 require('dotenv').config();
 
+// Veces que se le pide a la IA corregir una llamada con argumentos inválidos antes de rendirse
+const MAX_CORRECCIONES = parseInt(process.env.AI_MAX_CORRECCIONES || '2', 10);
+
+// Proveedores de transcripción en el orden en que se prueban: huggingface, openai y local (Whisper en el servidor)
+const TRANSCRIPCION_PROVEEDORES = (process.env.TRANSCRIPCION_PROVEEDORES || 'huggingface,openai,local')
+    .split(',').map(p => p.trim().toLowerCase()).filter(Boolean);
+
 /**
- * Transcribe un buffer de audio a texto usando la API oficial de OpenAI (Whisper).
- * @param {Buffer} audioBuffer - El buffer de audio (en formato ogg).
- * @returns {Promise<string|null>} El texto transcrito o null si hay un error.
+ * Transcribe con Hugging Face (Whisper Large v3-turbo).
  */
-async function transcribeAudio(audioBuffer) {
-    // Intentar primero con Hugging Face (Whisper Large v3-turbo)
+async function transcribirHuggingFace(audioBuffer) {
     const hfApiKey = process.env.HUGGINGFACE_API_KEY;
-    if (hfApiKey) {
-        console.log('Intentando transcribir con Hugging Face (Whisper Large v3-turbo)...');
-        try {
-            // Usar el cliente oficial de Hugging Face Inference
-            const hf = new HfInference(hfApiKey);
-
-            // Convertir el buffer a Blob para la API
-            const audioBlob = new Blob([audioBuffer], { type: 'audio/ogg' });
-
-            const response = await hf.automaticSpeechRecognition({
-                model: 'openai/whisper-large-v3-turbo',
-                data: audioBlob
-            });
-
-            if (response && response.text) {
-                console.log(`Transcripción completa (Hugging Face): "${response.text}"`);
-                return response.text;
-            } else {
-                console.warn("Respuesta de Hugging Face inesperada:", JSON.stringify(response));
-                // No retornamos aquí, dejamos que caiga al fallback
-            }
-        } catch (error) {
-            console.error("Error con Hugging Face:", error.message);
-            if (error.response) {
-                console.error("Detalles del error HF:", JSON.stringify(error.response.data));
-                console.error("Status Code HF:", error.response.status);
-            }
-            console.log("Procediendo con el proveedor de respaldo (OpenAI)...");
+    if (!hfApiKey) {
+        console.log("HUGGINGFACE_API_KEY no encontrada. Omitiendo Hugging Face.");
+        return null;
+    }
+    console.log('Intentando transcribir con Hugging Face (Whisper Large v3-turbo)...');
+    try {
+        // Usar el cliente oficial de Hugging Face Inference
+        const hf = new HfInference(hfApiKey);
+
+        // Convertir el buffer a Blob para la API
+        const audioBlob = new Blob([audioBuffer], { type: 'audio/ogg' });
+
+        const response = await hf.automaticSpeechRecognition({
+            model: 'openai/whisper-large-v3-turbo',
+            data: audioBlob
+        });
+
+        if (response && response.text) {
+            console.log(`Transcripción completa (Hugging Face): "${response.text}"`);
+            return response.text;
+        }
+        console.warn("Respuesta de Hugging Face inesperada:", JSON.stringify(response));
+    } catch (error) {
+        console.error("Error con Hugging Face:", error.message);
+        if (error.response) {
+            console.error("Detalles del error HF:", JSON.stringify(error.response.data));
+            console.error("Status Code HF:", error.response.status);
         }
-    } else {
-        console.log("HUGGINGFACE_API_KEY no encontrada. Usando OpenAI directamente.");
     }
+    return null;
+}
 
-    // Fallback: OpenAI (Whisper)
+/**
+ * Transcribe con la API oficial de OpenAI (whisper-1).
+ */
+async function transcribirOpenAI(audioBuffer) {
     const openAiApiKey = process.env.OPENAI_API_KEY;
     if (!openAiApiKey) {
-        console.error("API Key de OpenAI no encontrada. No se puede transcribir.");
+        console.log("OPENAI_API_KEY no encontrada. Omitiendo OpenAI.");
         return null;
     }
     console.log('Enviando audio a la API de OpenAI (Whisper)...');
@@ -69,7 +80,7 @@ async function transcribeAudio(audioBuffer) {
 
         const transcribedText = response.data?.text || '';
         console.log(`Transcripción completa (OpenAI): "${transcribedText}"`);
-        return transcribedText;
+        return transcribedText || null;
     } catch (error) {
         console.error("Error al transcribir audio con OpenAI:", error.message);
         if (error.response) {
@@ -79,57 +90,116 @@ async function transcribeAudio(audioBuffer) {
     }
 }
 
+/**
+ * Transcribe en el propio servidor con Whisper (sin red ni API key), en el idioma de la conversación si ya se conoce.
+ */
+async function transcribirConWhisperLocal(audioBuffer, idioma) {
+    console.log('Transcribiendo con Whisper local...');
+    const texto = await transcribirLocal(audioBuffer, IDIOMAS[idioma]?.whisper);
+    if (texto) console.log(`Transcripción completa (Whisper local): "${texto}"`);
+    return texto;
+}
+
+const TRANSCRIPTORES = {
+    huggingface: transcribirHuggingFace,
+    openai: transcribirOpenAI,
+    local: transcribirConWhisperLocal,
+};
+
+/**
+ * Transcribe un buffer de audio a texto probando los proveedores de TRANSCRIPCION_PROVEEDORES en orden.
+ * @param {Buffer} audioBuffer - El buffer de audio (en formato ogg).
+ * @param {string|null} [idioma] - El idioma de la conversación, si ya se detectó (es, en, pt).
+ * @returns {Promise<string|null>} El texto transcrito o null si ningún proveedor pudo.
+ */
+async function transcribeAudio(audioBuffer, idioma = null) {
+    for (const proveedor of TRANSCRIPCION_PROVEEDORES) {
+        const transcribir = TRANSCRIPTORES[proveedor];
+        if (!transcribir) {
+            console.error(`Proveedor de transcripción desconocido: "${proveedor}". Usa ${Object.keys(TRANSCRIPTORES).join(', ')}.`);
+            continue;
+        }
+        const texto = await transcribir(audioBuffer, idioma);
+        if (texto) return texto;
+        console.log(`No se obtuvo transcripción con ${proveedor}. Pasando al siguiente proveedor...`);
+    }
+    console.error("Ningún proveedor de transcripción pudo procesar el audio.");
+    return null;
+}
+
+function listarOpciones(opciones) {
+    return opciones.map((opcion, i) => `*-${i + 1}-* ${opcion.nombre}`).join('\n');
+}
 
 /**
  * Las instrucciones completas que definen la personalidad y el flujo de trabajo del asistente de IA.
+ * El nombre de la clínica, el horario, los tipos de consulta y las nóminas salen de su configuración.
+ * @returns {string}
  */
-const systemPrompt = `Eres un asistente robótico de recolección de datos para una clínica. Tu única misión es seguir las secuencias de preguntas al pie de la letra.
+function generarSystemPrompt() {
+    const clinica = getClinica();
+    const ejemploTipo = clinica.tipos_consulta[0].nombre;
+    return `Eres un asistente robótico de recolección de datos para una clínica. Tu única misión es seguir las secuencias de preguntas al pie de la letra.
 
 **REGLA DE COMPORTAMIENTO INQUEBRANTABLE:**
 - Tu función es: 1. Hacer la siguiente pregunta de la lista. 2. Esperar la respuesta. 3. Repetir.
 - NO intentes adivinar información ni completar varios pasos a la vez.
-- **NUNCA respondas con un JSON a menos que sea la respuesta FINAL de una secuencia completa.**
+- **NUNCA llames a una función a menos que sea el paso FINAL de una secuencia completa.**
 - **NUEVA CAPACIDAD**: El usuario puede especificar un día de la semana para su cita o reembolso (ej: "para el lunes", "el miércoles"). Si lo hace, debes capturar ese día.
 
 **PASO 1: PRIMER CONTACTO**
 Tu PRIMERA respuesta a un usuario nuevo DEBE SER el saludo estándar, A MENOS QUE el usuario manifieste una intención clara o emergencia inmediata.
 Saludo Estándar:
-"¡Hola! Soy el asistente virtual de la Clínica Demo. Te recuerdo que nuestro horario de atención es de 8:00 AM a 2:00 PM. ¿Cómo puedo ayudarte hoy? Indica el número de tu opción:
+"¡Hola! Soy el asistente virtual de ${clinica.nombre}. Te recuerdo que nuestro horario de atención es ${describirHorarioSemanal()}. ¿Cómo puedo ayudarte hoy? Indica el número de tu opción:
 
 *-1-* Agendar una Cita
 *-2-* Solicitar un Reembolso
-*-3-* Emergencia"
+*-3-* Emergencia
+*-4-* Cancelar o Reprogramar una Cita
+*-5-* Consultar mis Solicitudes"
 
 **PASO 2: SECUENCIAS**
 Basado en la respuesta del usuario, sigue la secuencia correspondiente.
 
 **SECUENCIA "Agendar Cita":**
 1.  **Pregunta (Texto):** "¿Claro! Antes de continuar, por favor asegúrate de que tu historia médica se encuentra en la clínica. ¿Deseas continuar?"
-2.  **Pregunta con Opciones (Texto):** "¿Qué tipo de consulta necesitas? Puedes solicitarla para un día específico si lo deseas (ej: 'Consulta integral para el martes').\n\n*-1-* Consulta Integral\n*-2-* Reposo Médico\n*-3-* Examen Físico Anual (ECOR)"
+2.  **Pregunta con Opciones (Texto):** "¿Qué tipo de consulta necesitas? Puedes solicitarla para un día específico si lo deseas (ej: '${ejemploTipo} para el martes').\n\n${listarOpciones(clinica.tipos_consulta)}"
 3.  **Pregunta (Texto):** "¿A nombre de quién será la cita? Por favor, indica nombre y apellido."
     // Instrucción de Validación: Después de esta pregunta, si solo recibes una palabra (ej: "Mia"), DEBES preguntar: "¿Y cuál sería el apellido?". NO continúes hasta tener al menos dos palabras.
 4.  **Pregunta (Texto):** "¿Cuál es el número de cédula del paciente?"
-5.  **Pregunta con Opciones (Texto):** "¿A qué tipo de nómina perteneces? Por favor, elige una:\n\n*-1-* Contractual Diaria\n*-2-* Contractual Mensual\n*-3-* No Contractual"
+    // Instrucción de Beneficiarios: Si el usuario indica que la cita es para un familiar (cónyuge, hijo/a, padre o madre, hermano/a), pregunta después: "¿Cuál es el nombre, apellido y cédula del trabajador titular?" y "¿Qué parentesco tiene el paciente con el titular?". Si el paciente es un menor sin cédula, no insistas: omite la cédula del paciente.
+5.  **Pregunta con Opciones (Texto):** "¿A qué tipo de nómina perteneces (o el titular, si la cita es para un familiar)? Por favor, elige una:\n\n${listarOpciones(clinica.nominas)}"
 6.  **Pregunta (Texto):** "Para finalizar, por favor, indícame a qué gerencia perteneces."
-7.  **Acción Final (JSON):** Al recibir la gerencia, genera el JSON \`{"accion": "agendar_solicitud", ...}\`.
+7.  **Acción Final (Función):** Al recibir la gerencia, llama a la función \`agendar_solicitud\`.
 
 **SECUENCIA "Solicitar Reembolso":**
 1.  **Pregunta (Texto):** "¿A nombre de quién será el reembolso? Puedes indicar si es para un día específico. Por favor, indica nombre y apellido."
     // Instrucción de Validación: Aplica la misma lógica de validación de nombre y apellido.
 2.  **Pregunta (Texto):** "¿Cuál es el número de cédula?"
-3.  **Acción Final (JSON):** Al recibir la cédula, genera el JSON \`{"accion": "solicitar_reembolso", ...}\`.
+    // Instrucción de Beneficiarios: Aplica la misma lógica de la secuencia "Agendar Cita" si el reembolso es para un familiar.
+3.  **Acción Final (Función):** Al recibir la cédula (y los datos del titular, si aplica), llama a la función \`solicitar_reembolso\`. NO pidas las facturas: el sistema se las pedirá al usuario (fotos o PDF, con monto y concepto) después.
+
+**SECUENCIA "Cancelar o Reprogramar":**
+1.  **Pregunta con Opciones (Texto):** "¿Qué deseas hacer?\n\n*-1-* Cancelar mi cita o reembolso\n*-2-* Cambiar mi cita o reembolso para otro día"
+2.  **Pregunta (Texto):** "¿Cuál es el número de cédula con el que se registró la solicitud?"
+3.  **Pregunta (Texto, solo si eligió cambiar):** "¿Para qué día de la semana deseas moverla?"
+4.  **Acción Final (Función):** Llama a la función \`cancelar_solicitud\` o \`reprogramar_solicitud\`. El sistema le pedirá confirmación al usuario antes de aplicar el cambio.
+
+**SECUENCIA "Consultar mis Solicitudes":**
+1.  **Acción Final (Función):** Llama a la función \`consultar_solicitudes\`. Si el usuario ya indicó una cédula, inclúyela. Si no la indicó, omítela: el sistema buscará las solicitudes registradas desde su número de WhatsApp y, si no encuentra ninguna, se la pedirá.
 
 **CIERRE DE INTERACCIÓN:**
 Si el usuario dice "gracias", "excelente", "listo" o se despide al final, responde SIEMPRE:
 "Estamos para servirles."
 
-**REGLA FINAL: LA GENERACIÓN DEL JSON DE ACCIÓN**
-Al final de una secuencia, tu respuesta DEBE SER ÚNICA Y EXCLUSIVAMENTE un objeto JSON. Si el usuario especificó un día, AÑADE la clave "dia_semana_deseado".
-
-- Citas: \`{"accion": "agendar_solicitud", "datos": {"tipo_consulta_detalle": "...", "nombre_paciente": "...", "apellido_paciente": "...", "cedula": "...", "nomina": "...", "gerencia": "...", "dia_semana_deseado": "Martes"}}\` (dia_semana_deseado es opcional)
-- Reembolsos: \`{"accion": "solicitar_reembolso", "datos": {"nombre_paciente": "...", "apellido_paciente": "...", "cedula": "...", "dia_semana_deseado": "Lunes"}}\` (dia_semana_deseado es opcional)
-- Emergencias: \`{"accion": "informar_emergencia"}\`
+**REGLA FINAL: LAS FUNCIONES DE ACCIÓN**
+Al final de una secuencia, llama a la función correspondiente (agendar_solicitud, solicitar_reembolso, cancelar_solicitud, reprogramar_solicitud, consultar_solicitudes o informar_emergencia) con los datos recolectados. Si el usuario especificó un día, inclúyelo en "dia_semana_deseado".
+- Usa EXACTAMENTE las opciones de la lista para "tipo_consulta_detalle", "nomina" y "parentesco", y la cédula solo con números.
+- Para un familiar, agrega "titular_nombre", "titular_apellido", "titular_cedula" y "parentesco"; si el paciente es menor sin cédula, omite "cedula".
+- Si el sistema te indica que una llamada tiene datos inválidos, corrígelos con lo que dijo el usuario o pregúntale SOLO el dato que falte o esté mal, y vuelve a llamar a la función.
+- Si no tienes funciones disponibles, responde ÚNICA Y EXCLUSIVAMENTE con un objeto JSON: \`{"accion": "<nombre de la función>", "datos": {...}}\`.
 `;
+}
 
 /**
  * Procesa la respuesta de la IA. Extrae el bloque JSON si existe y lo formatea como 'tool_call'.
@@ -161,100 +231,74 @@ function parseAIResponse(rawResponse) {
 }
 
 /**
- * --- Proveedor #1: Google AI Studio (Principal) ---
+ * Agrega al prompt del sistema las instrucciones propias de la conversación (ej. pacientes conocidos)
+ * y, si el paciente no escribe en español, el idioma en que se le debe responder.
+ * @param {string|null} contexto - Instrucciones adicionales o null.
+ * @param {string} [idioma] - El idioma de la conversación (es, en, pt).
+ * @returns {string}
  */
-async function processWithGoogleAI(conversationHistory) {
-    const apiKey = process.env.GOOGLE_API_KEY;
-    if (!apiKey) throw new Error("API Key de Google no encontrada.");
-    const genAI = new GoogleGenerativeAI(apiKey);
-    const model = genAI.getGenerativeModel({
-        // <-- CAMBIO REALIZADO AQUÍ
-        model: "gemini-flash-latest",
-        systemInstruction: systemPrompt,
-    });
-    const googleCompatibleHistory = conversationHistory.map(msg => ({
-        role: msg.role === 'assistant' ? 'model' : 'user',
-        parts: [{ text: msg.content }]
-    }));
-    const result = await model.generateContent({
-        contents: googleCompatibleHistory,
-        generationConfig: { temperature: 0.2 },
-    });
-    const rawResponse = result.response.text();
-    console.log("Respuesta cruda de Google AI:", rawResponse);
-    return parseAIResponse(rawResponse);
+function construirSystemPrompt(contexto, idioma = 'es') {
+    const systemPrompt = generarSystemPrompt();
+    let prompt = contexto ? `${systemPrompt}\n${contexto}\n` : systemPrompt;
+    if (idioma !== 'es' && IDIOMAS[idioma]) {
+        prompt += `\n**IDIOMA DE LA CONVERSACIÓN:** El paciente escribe en ${IDIOMAS[idioma].nombre}. Responde SIEMPRE en ${IDIOMAS[idioma].nombre}, traduciendo las preguntas y opciones de este prompt. Los argumentos de las funciones van SIEMPRE con los valores exactos en español de las listas (tipo de consulta, nómina, gerencia, día, parentesco), aunque el paciente los diga en otro idioma.\n`;
+    }
+    return prompt;
 }
 
 /**
- * --- Proveedor #2: OpenRouter (Respaldo) ---
+ * Convierte los argumentos de una llamada en objeto; devuelve null si no son un JSON válido.
  */
-async function processWithOpenRouter(conversationHistory) {
-    const apiKey = process.env.OPENROUTER_API_KEY;
-    if (!apiKey) throw new Error("API Key de OpenRouter no encontrada.");
-    const messagesWithSystemPrompt = [{ role: 'system', content: systemPrompt }, ...conversationHistory];
-    const response = await axios.post('https://openrouter.ai/api/v1/chat/completions', {
-        // <-- CAMBIO REALIZADO AQUÍ
-        model: 'nvidia/nemotron-nano-12b-v2-vl:free',
-        messages: messagesWithSystemPrompt,
-    }, {
-        headers: { 'Authorization': `Bearer ${apiKey}` }
-    });
-    const message = response?.data?.choices?.[0]?.message;
-    if (message && message.content) {
-        const rawResponse = message.content;
-        console.log("Respuesta cruda de OpenRouter:", rawResponse);
-        return parseAIResponse(rawResponse);
-    } else {
-        console.error("Estructura de respuesta de OpenRouter inesperada:", JSON.stringify(response.data, null, 2));
-        throw new Error('La respuesta de OpenRouter no tiene el formato esperado.');
+function leerArgumentos(call) {
+    try {
+        return JSON.parse(call.arguments || '{}');
+    } catch (e) {
+        return null;
     }
 }
 
 /**
- * --- Orquestador Principal de IA con Lógica de Reintentos Mejorada ---
+ * --- Orquestador Principal de IA ---
+ * Valida los argumentos de cada llamada a función antes de devolverla. Si son inválidos, le muestra
+ * los errores a la IA y le vuelve a preguntar, para que los corrija o le pida el dato al usuario.
+ * @param {Array} conversationHistory - Mensajes de la conversación ({ role, content }).
+ * @param {string|null} [contexto] - Instrucciones adicionales para esta conversación (ej. pacientes conocidos).
+ * @param {string} [idioma] - El idioma de la conversación (es, en, pt).
+ * @returns {Promise<Object|null>} Una respuesta 'reply' o un 'tool_call' con argumentos válidos y normalizados; null si ningún proveedor responde.
  */
-async function processConversationWithAI(conversationHistory) {
-    const MAX_RETRIES = 3;
-    const RETRY_DELAY = 2000;
-    let attempt = 0;
-
-    // Intento con Google AI (Principal)
-    while (attempt < MAX_RETRIES) {
-        attempt++;
-        try {
-            console.log(`Intentando con Google AI (Intento ${attempt}/${MAX_RETRIES})...`);
-            return await processWithGoogleAI(conversationHistory);
-        } catch (googleError) {
-            console.error(`Error con Google AI en el intento ${attempt}:`, googleError.message);
-
-            const errorMessage = googleError.message.toLowerCase();
-            const isOverloaded = errorMessage.includes('503') || errorMessage.includes('overloaded');
-            const isQuotaError = errorMessage.includes('429') || errorMessage.includes('quota');
-            const isApiKeyError = errorMessage.includes('api key');
-
-            if (isApiKeyError || isQuotaError) {
-                console.log("Error de API Key o Cuota Excedida. Pasando directamente al proveedor de respaldo.");
-                break;
-            }
+async function processConversationWithAI(conversationHistory, contexto = null, idioma = 'es') {
+    let historial = conversationHistory;
+    let validacion = null;
 
-            if (isOverloaded && attempt < MAX_RETRIES) {
-                console.log(`Servidor sobrecargado. Reintentando en ${RETRY_DELAY / 1000} segundos...`);
-                await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
-                continue;
-            }
-            break;
+    for (let intento = 0; intento <= MAX_CORRECCIONES; intento++) {
+        const consulta = await consultarProveedores(historial, construirSystemPrompt(contexto, idioma));
+        // Fallback final: null para que messageHandler active el menú de respaldo
+        if (!consulta) return null;
+        const respuesta = consulta.type === 'text' ? parseAIResponse(consulta.content) : consulta;
+        if (respuesta.type !== 'tool_call') return respuesta;
+
+        const args = leerArgumentos(respuesta.call);
+        validacion = args ? validarArgumentos(respuesta.call.name, args) : { ok: false, errores: ['Los argumentos no son un JSON válido.'], campos: [] };
+        if (validacion.ok) {
+            return { type: 'tool_call', call: { name: respuesta.call.name, arguments: JSON.stringify(validacion.args) } };
         }
-    }
 
-    // Fallback: OpenRouter
-    console.log("Google AI no disponible. Intentando con el proveedor de respaldo: OpenRouter...");
-    try {
-        return await processWithOpenRouter(conversationHistory);
-    } catch (openRouterError) {
-        console.error("OpenRouter (respaldo) también falló.", openRouterError.message);
-        // Fallback final: Devolver null para que messageHandler active el menú de respaldo
-        return null;
+        const { errores } = validacion;
+        console.warn(`[IA] Llamada a ${respuesta.call.name} con datos inválidos (intento ${intento + 1}/${MAX_CORRECCIONES + 1}):`, errores.join(' | '));
+        historial = [
+            ...historial,
+            { role: 'assistant', content: `[Llamada a ${respuesta.call.name} con ${respuesta.call.arguments}]` },
+            { role: 'user', content: `(Mensaje del sistema, no del usuario) La llamada a ${respuesta.call.name} tiene datos inválidos y no se registró:\n- ${errores.join('\n- ')}\nCorrígelos con lo que dijo el usuario y vuelve a llamar a la función, o pregúntale SOLO el dato que falte o esté mal.` },
+        ];
     }
+
+    // La IA no logró corregir la llamada: se le pide al usuario que confirme los datos en lugar de guardar un registro incorrecto
+    console.error('[IA] No se pudo obtener una llamada válida tras las correcciones:', validacion.errores.join(' | '));
+    const campos = validacion.campos.length > 0 ? ` (${describirCampos(validacion.campos, idioma)})` : '';
+    return {
+        type: 'reply',
+        content: t(idioma, 'datos_no_validados', { campos }),
+    };
 }
 
 
@@ -0,0 +1,229 @@
+// aiProviders.js
+// Cadena de proveedores de IA configurable: cada proveedor tiene un tipo (google, openai o local),
+// URL base, modelo, tiempo máximo de espera y reintentos, y se prueban en orden. Un circuito por
+// proveedor lo salta durante un tiempo cuando falla varias veces seguidas, para no esperar en cada
+// mensaje a un servicio caído. Con un servidor local compatible con OpenAI (Ollama, llama.cpp)
+// el bot funciona sin claves de la nube.
+
+const axios = require('axios');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { getHerramientasGemini, getHerramientasOpenAI } = require('./tools');
+require('dotenv').config();
+
+// Fallos seguidos que abren el circuito de un proveedor, y segundos que queda abierto
+const CIRCUITO_FALLOS = parseInt(process.env.AI_CIRCUITO_FALLOS, 10) || 3;
+const CIRCUITO_SEGUNDOS = parseInt(process.env.AI_CIRCUITO_SEGUNDOS, 10) || 120;
+
+const TIPOS = ['google', 'openai', 'local'];
+
+// Valores por defecto de cada tipo de proveedor
+const POR_DEFECTO = {
+    google: { modelo: 'gemini-flash-latest', api_key_env: 'GOOGLE_API_KEY', reintentos: 3 },
+    openai: { url: 'https://openrouter.ai/api/v1', modelo: 'nvidia/nemotron-nano-12b-v2-vl:free', api_key_env: 'OPENROUTER_API_KEY', reintentos: 1 },
+    local: { url: 'http://localhost:11434/v1', modelo: 'llama3.1', reintentos: 1 },
+};
+
+/**
+ * Lee la lista de proveedores de AI_PROVEEDORES (JSON). Sin esa variable se usa la cadena de siempre:
+ * Gemini y luego OpenRouter.
+ * @returns {Array<Object>}
+ */
+function cargarProveedores() {
+    let configurados = [
+        { nombre: 'Google AI', tipo: 'google' },
+        { nombre: 'OpenRouter', tipo: 'openai' },
+    ];
+    if (process.env.AI_PROVEEDORES) {
+        try {
+            const lista = JSON.parse(process.env.AI_PROVEEDORES);
+            if (!Array.isArray(lista) || lista.length === 0) throw new Error('debe ser una lista con al menos un proveedor');
+            configurados = lista;
+        } catch (error) {
+            console.error('[IA] AI_PROVEEDORES no es un JSON válido. Usando Google AI y OpenRouter:', error.message);
+        }
+    }
+
+    return configurados
+        .filter(p => {
+            if (TIPOS.includes(p.tipo)) return true;
+            console.error(`[IA] Proveedor "${p.nombre || p.tipo}" ignorado: el tipo debe ser ${TIPOS.join(', ')}.`);
+            return false;
+        })
+        .map((p, i) => {
+            const config = { ...POR_DEFECTO[p.tipo], ...p };
+            return {
+                nombre: config.nombre || `${config.tipo} #${i + 1}`,
+                tipo: config.tipo,
+                url: config.url || null,
+                modelo: config.modelo,
+                apiKey: config.api_key_env ? process.env[config.api_key_env] || null : null,
+                timeoutMs: parseInt(config.timeout_ms, 10) || 30000,
+                reintentos: Math.max(1, parseInt(config.reintentos, 10) || 1),
+                esperaMs: parseInt(config.espera_reintento_ms, 10) || 2000,
+                herramientas: config.herramientas !== false,
+                // Estado del circuito
+                fallos: 0,
+                abiertoHasta: 0,
+            };
+        });
+}
+
+const PROVEEDORES = cargarProveedores();
+
+/**
+ * Proveedor de tipo "google": Gemini con function calling nativo.
+ */
+async function consultarGoogle(proveedor, conversationHistory, systemPrompt) {
+    if (!proveedor.apiKey) throw new Error("API Key de Google no encontrada.");
+    const genAI = new GoogleGenerativeAI(proveedor.apiKey);
+    const model = genAI.getGenerativeModel({
+        model: proveedor.modelo,
+        systemInstruction: systemPrompt,
+        ...(proveedor.herramientas ? { tools: getHerramientasGemini() } : {}),
+    }, {
+        timeout: proveedor.timeoutMs,
+        ...(proveedor.url ? { baseUrl: proveedor.url } : {}),
+    });
+    const googleCompatibleHistory = conversationHistory.map(msg => ({
+        role: msg.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: msg.content }]
+    }));
+    const result = await model.generateContent({
+        contents: googleCompatibleHistory,
+        generationConfig: { temperature: 0.2 },
+    });
+    const functionCall = result.response.functionCalls()?.[0];
+    if (functionCall) {
+        console.log(`Llamada a función de ${proveedor.nombre}:`, functionCall.name, JSON.stringify(functionCall.args));
+        return { type: 'tool_call', call: { name: functionCall.name, arguments: JSON.stringify(functionCall.args || {}) } };
+    }
+    const rawResponse = result.response.text();
+    console.log(`Respuesta cruda de ${proveedor.nombre}:`, rawResponse);
+    return { type: 'text', content: rawResponse };
+}
+
+/**
+ * Proveedores de tipo "openai" y "local": cualquier servidor compatible con chat/completions
+ * (OpenRouter, Ollama, llama.cpp, vLLM...). Los locales no requieren API key.
+ */
+async function consultarCompatibleOpenAI(proveedor, conversationHistory, systemPrompt) {
+    if (proveedor.tipo === 'openai' && !proveedor.apiKey) throw new Error(`API Key de ${proveedor.nombre} no encontrada.`);
+    const messagesWithSystemPrompt = [{ role: 'system', content: systemPrompt }, ...conversationHistory];
+    const enviar = (conHerramientas) => axios.post(`${proveedor.url.replace(/\/+$/, '')}/chat/completions`, {
+        model: proveedor.modelo,
+        messages: messagesWithSystemPrompt,
+        ...(conHerramientas ? { tools: getHerramientasOpenAI() } : {}),
+    }, {
+        headers: proveedor.apiKey ? { 'Authorization': `Bearer ${proveedor.apiKey}` } : {},
+        timeout: proveedor.timeoutMs,
+    });
+
+    let response;
+    try {
+        response = await enviar(proveedor.herramientas);
+    } catch (error) {
+        // Algunos modelos no admiten function calling: se reintenta sin herramientas y se usa el JSON del prompt
+        const status = error.response?.status;
+        if (!proveedor.herramientas || (status !== 400 && status !== 404)) throw error;
+        console.warn(`${proveedor.nombre} rechazó las herramientas (HTTP ${status}). Reintentando sin function calling...`);
+        response = await enviar(false);
+    }
+
+    const message = response?.data?.choices?.[0]?.message;
+    const toolCall = message?.tool_calls?.[0]?.function;
+    if (toolCall) {
+        console.log(`Llamada a función de ${proveedor.nombre}:`, toolCall.name, toolCall.arguments);
+        const args = typeof toolCall.arguments === 'string' ? toolCall.arguments : JSON.stringify(toolCall.arguments || {});
+        return { type: 'tool_call', call: { name: toolCall.name, arguments: args || '{}' } };
+    }
+    if (message && message.content) {
+        console.log(`Respuesta cruda de ${proveedor.nombre}:`, message.content);
+        return { type: 'text', content: message.content };
+    }
+    console.error(`Estructura de respuesta de ${proveedor.nombre} inesperada:`, JSON.stringify(response.data, null, 2));
+    throw new Error(`La respuesta de ${proveedor.nombre} no tiene el formato esperado.`);
+}
+
+/**
+ * Decide si vale la pena reintentar con el mismo proveedor: sí ante sobrecarga, errores del servidor
+ * o de red; no ante API key inválida, cuota agotada o errores de la solicitud, que no se arreglan solos.
+ */
+function esReintentable(error) {
+    const status = error.response?.status || error.status;
+    const mensaje = String(error.message || '').toLowerCase();
+    if (mensaje.includes('api key') || mensaje.includes('quota') || status === 429 || mensaje.includes('429')) return false;
+    if (status) return status >= 500;
+    if (/\b5\d\d\b/.test(mensaje) || mensaje.includes('overloaded')) return true;
+    return ['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED'].includes(error.code) || mensaje.includes('timeout');
+}
+
+function circuitoAbierto(proveedor) {
+    return proveedor.abiertoHasta > Date.now();
+}
+
+function registrarFallo(proveedor) {
+    proveedor.fallos++;
+    if (proveedor.fallos >= CIRCUITO_FALLOS) {
+        proveedor.abiertoHasta = Date.now() + CIRCUITO_SEGUNDOS * 1000;
+        console.warn(`[IA] ${proveedor.nombre} falló ${proveedor.fallos} veces seguidas. Se omitirá durante ${CIRCUITO_SEGUNDOS} segundos.`);
+    }
+}
+
+function registrarExito(proveedor) {
+    if (proveedor.fallos > 0) console.log(`[IA] ${proveedor.nombre} volvió a responder.`);
+    proveedor.fallos = 0;
+    proveedor.abiertoHasta = 0;
+}
+
+/**
+ * Consulta los proveedores en orden hasta que uno responda.
+ * @param {Array} conversationHistory - Mensajes de la conversación ({ role, content }).
+ * @param {string} systemPrompt - Las instrucciones del sistema.
+ * @returns {Promise<{type: 'text', content: string}|{type: 'tool_call', call: Object}|null>} null si ninguno respondió.
+ */
+async function consultarProveedores(conversationHistory, systemPrompt) {
+    for (const proveedor of PROVEEDORES) {
+        if (circuitoAbierto(proveedor)) {
+            console.log(`[IA] ${proveedor.nombre} omitido: circuito abierto tras fallos repetidos.`);
+            continue;
+        }
+        const consultar = proveedor.tipo === 'google' ? consultarGoogle : consultarCompatibleOpenAI;
+
+        for (let attempt = 1; attempt <= proveedor.reintentos; attempt++) {
+            try {
+                console.log(`Intentando con ${proveedor.nombre} (Intento ${attempt}/${proveedor.reintentos})...`);
+                const respuesta = await consultar(proveedor, conversationHistory, systemPrompt);
+                registrarExito(proveedor);
+                return respuesta;
+            } catch (error) {
+                console.error(`Error con ${proveedor.nombre} en el intento ${attempt}:`, error.message);
+                // Sin API key el proveedor no está configurado: no cuenta como caída
+                if (String(error.message).includes('API Key') && !proveedor.apiKey) break;
+                if (attempt === proveedor.reintentos || !esReintentable(error)) {
+                    registrarFallo(proveedor);
+                    break;
+                }
+                console.log(`Reintentando en ${proveedor.esperaMs / 1000} segundos...`);
+                await new Promise(resolve => setTimeout(resolve, proveedor.esperaMs));
+            }
+        }
+        console.log(`${proveedor.nombre} no disponible. Pasando al siguiente proveedor...`);
+    }
+    return null;
+}
+
+/**
+ * Describe la cadena de proveedores y el estado de sus circuitos, para el log de arranque y diagnóstico.
+ * @returns {string}
+ */
+function describirProveedores() {
+    return PROVEEDORES.map((p, i) => {
+        const estado = circuitoAbierto(p) ? 'circuito abierto' : p.tipo !== 'local' && !p.apiKey ? 'sin API key' : 'activo';
+        return `${i + 1}. ${p.nombre} (${p.tipo}, ${p.modelo}) — ${estado}`;
+    }).join('\n');
+}
+
+module.exports = {
+    consultarProveedores,
+    describirProveedores,
+};
@@ -0,0 +1,81 @@
+// attendance.js
+// Registro de asistencia de los turnos: pendiente, presente, ausente o cancelada
+// El personal la marca por WhatsApp (/asistio, /falto) o por HTTP (POST /asistencia);
+// al final del día los turnos sin marcar se cierran como ausentes (no-show).
+
+const { getSolicitudPorTurno, actualizarSolicitud, cerrarAsistenciaDelDia } = require('./database');
+const { getHoyISO } = require('./calendar');
+require('dotenv').config();
+
+// Por defecto los turnos sin marcar se cierran a las 8:00 PM (hora de la clínica)
+const CIERRE_ASISTENCIA_CRON = process.env.CIERRE_ASISTENCIA_CRON || '0 20 * * *';
+
+const ESTADOS_ASISTENCIA = ['pendiente', 'presente', 'ausente', 'cancelada'];
+
+/**
+ * Registra la asistencia de un turno.
+ * @param {string} numeroTurno - El número de turno (ej: "C-004"), sin importar mayúsculas.
+ * @param {'presente' | 'ausente' | 'pendiente'} asistencia - El estado de asistencia.
+ * @param {string} [fechaISO] - La fecha del turno en formato "YYYY-MM-DD" (por defecto hoy).
+ * @returns {Promise<{ok: boolean, mensaje: string, solicitud?: Object}>} Resultado para mostrar al personal.
+ */
+async function registrarAsistencia(numeroTurno, asistencia, fechaISO = getHoyISO()) {
+    if (!ESTADOS_ASISTENCIA.includes(asistencia) || asistencia === 'cancelada') {
+        return { ok: false, mensaje: `Estado de asistencia no válido: ${asistencia}.` };
+    }
+    const turno = String(numeroTurno || '').trim().toUpperCase();
+    if (!/^[A-Z]-\d+$/.test(turno)) {
+        return { ok: false, mensaje: 'Indica un número de turno válido (ej: C-004).' };
+    }
+
+    const solicitud = await getSolicitudPorTurno(turno, fechaISO);
+    if (!solicitud) {
+        return { ok: false, mensaje: `No se encontró el turno ${turno} vigente para el ${fechaISO}.` };
+    }
+
+    const actualizada = await actualizarSolicitud(solicitud.id, { asistencia, asistencia_registrada_en: new Date().toISOString() });
+    if (!actualizada) {
+        return { ok: false, mensaje: `Hubo un error al registrar la asistencia del turno ${turno}.` };
+    }
+
+    const nombre = [actualizada.nombre_paciente, actualizada.apellido_paciente].filter(Boolean).join(' ');
+    return { ok: true, mensaje: `Turno ${turno} (${fechaISO})${nombre ? ` de ${nombre}` : ''} marcado como *${asistencia}*.`, solicitud: actualizada };
+}
+
+/**
+ * Cierra la asistencia de hoy: los turnos que siguen pendientes pasan a ausentes.
+ * @returns {Promise<number>} Cantidad de turnos marcados como ausentes.
+ */
+async function cerrarAsistenciaDeHoy() {
+    const fechaISO = getHoyISO();
+    const ausentes = await cerrarAsistenciaDelDia(fechaISO);
+    console.log(`[ASISTENCIA] Cierre del ${fechaISO}: ${ausentes} turno(s) marcados como ausentes.`);
+    return ausentes;
+}
+
+/**
+ * Calcula los totales y tasas de asistencia de un conjunto de solicitudes.
+ * Las tasas se calculan sobre los turnos ya cerrados (presentes + ausentes).
+ * @param {Array} solicitudes - Solicitudes de consulta, ECOR o reembolso.
+ * @returns {{total: number, presentes: number, ausentes: number, pendientes: number, canceladas: number, tasaAsistencia: number|null, tasaNoShow: number|null}}
+ */
+function calcularResumenAsistencia(solicitudes) {
+    const resumen = { total: solicitudes.length, presentes: 0, ausentes: 0, pendientes: 0, canceladas: 0 };
+    for (const s of solicitudes) {
+        if (s.estado === 'cancelada' || s.asistencia === 'cancelada') resumen.canceladas++;
+        else if (s.asistencia === 'presente') resumen.presentes++;
+        else if (s.asistencia === 'ausente') resumen.ausentes++;
+        else resumen.pendientes++;
+    }
+    const cerrados = resumen.presentes + resumen.ausentes;
+    resumen.tasaAsistencia = cerrados > 0 ? resumen.presentes / cerrados : null;
+    resumen.tasaNoShow = cerrados > 0 ? resumen.ausentes / cerrados : null;
+    return resumen;
+}
+
+module.exports = {
+    CIERRE_ASISTENCIA_CRON,
+    registrarAsistencia,
+    cerrarAsistenciaDeHoy,
+    calcularResumenAsistencia,
+};
@@ -0,0 +1,400 @@
+// calendar.js
+// Calendario de la clínica: zona horaria, horario por día de la semana, feriados y cierres
+// Todas las fechas de calendario se manejan como objetos Date a la medianoche local,
+// y se convierten a "YYYY-MM-DD" con toISODate (nunca con toISOString, que cambia a UTC).
+
+const { getClinica } = require('./clinica');
+const { porSede } = require('./sedes');
+require('dotenv').config();
+
+const CLINIC_TIMEZONE = process.env.CLINIC_TIMEZONE || 'America/Caracas';
+
+/**
+ * Horario de atención por defecto (Domingo=0 ... Sábado=6). null = cerrado.
+ * Se puede sobrescribir con CLINIC_HORARIO, ej: {"lunes": "08:00-14:00", "sabado": "08:00-12:00"},
+ * o con "horario" en la configuración de la clínica (clinica.json), que tiene prioridad.
+ */
+const HORARIO_POR_DEFECTO = {
+    0: null,
+    1: '08:00-14:00',
+    2: '08:00-14:00',
+    3: '08:00-14:00',
+    4: '08:00-14:00',
+    5: '08:00-14:00',
+    6: null,
+};
+
+/**
+ * Duración estimada de atención por tipo de solicitud, en minutos.
+ * Se puede sobrescribir con DURACION_POR_TIPO, ej: {"consulta": 15, "ecor": 40}
+ */
+const DURACION_POR_DEFECTO = { consulta: 20, ecor: 30, reembolso: 10 };
+
+// Feriados nacionales de fecha fija (MM-DD)
+const FERIADOS_FIJOS = {
+    '01-01': 'Año Nuevo',
+    '04-19': 'Declaración de la Independencia',
+    '05-01': 'Día del Trabajador',
+    '06-24': 'Batalla de Carabobo',
+    '07-05': 'Día de la Independencia',
+    '07-24': 'Natalicio del Libertador',
+    '10-12': 'Día de la Resistencia Indígena',
+    '12-25': 'Navidad',
+};
+
+// Los cierres de la base de datos se refrescan cada 5 minutos (cada sede tiene los suyos)
+const CIERRES_CACHE_MS = 5 * 60 * 1000;
+const cierresCache = porSede(() => ({ cargadoEn: 0, porFecha: new Map() }));
+
+/**
+ * Convierte un string de día de la semana a un número (Domingo=0, Lunes=1, etc.).
+ * @param {string} dayString - El nombre del día (ej. "Lunes").
+ * @returns {number|null} El número del día o null si no es válido.
+ */
+function getDayOfWeekAsNumber(dayString) {
+    if (!dayString) return null;
+    const days = {
+        'domingo': 0, 'lunes': 1, 'martes': 2, 'miercoles': 3, 'miércoles': 3, 'jueves': 4, 'viernes': 5, 'sabado': 6, 'sábado': 6
+    };
+    return days[dayString.toLowerCase()] ?? null;
+}
+
+// Combina un horario por nombre de día (ej. {"lunes": "08:00-14:00"}) con el horario por defecto
+function combinarHorario(personalizado) {
+    const horario = { ...HORARIO_POR_DEFECTO };
+    for (const [dia, rango] of Object.entries(personalizado)) {
+        const numero = /^\d$/.test(dia) ? Number(dia) : getDayOfWeekAsNumber(dia);
+        if (numero !== null) horario[numero] = rango || null;
+    }
+    return horario;
+}
+
+function cargarHorario() {
+    if (!process.env.CLINIC_HORARIO) return { ...HORARIO_POR_DEFECTO };
+    try {
+        return combinarHorario(JSON.parse(process.env.CLINIC_HORARIO));
+    } catch (error) {
+        console.error('[Calendario] CLINIC_HORARIO no es un JSON válido. Usando horario por defecto:', error.message);
+        return { ...HORARIO_POR_DEFECTO };
+    }
+}
+
+const HORARIO = cargarHorario();
+
+// Horario combinado de la configuración de la clínica; se recalcula solo cuando el archivo cambia
+let horarioClinica = { origen: null, horario: HORARIO };
+
+/**
+ * El horario semanal vigente: el de la configuración de la clínica si define uno, o el de CLINIC_HORARIO.
+ * @returns {Object<number, string|null>} Rango "HH:MM-HH:MM" por día de la semana (Domingo=0).
+ */
+function getHorarioSemanal() {
+    const { horario } = getClinica();
+    if (!horario) return HORARIO;
+    if (horario !== horarioClinica.origen) horarioClinica = { origen: horario, horario: combinarHorario(horario) };
+    return horarioClinica.horario;
+}
+
+function cargarDuraciones() {
+    if (!process.env.DURACION_POR_TIPO) return { ...DURACION_POR_DEFECTO };
+    try {
+        return { ...DURACION_POR_DEFECTO, ...JSON.parse(process.env.DURACION_POR_TIPO) };
+    } catch (error) {
+        console.error('[Calendario] DURACION_POR_TIPO no es un JSON válido. Usando duraciones por defecto:', error.message);
+        return { ...DURACION_POR_DEFECTO };
+    }
+}
+
+const DURACION_POR_TIPO = cargarDuraciones();
+
+/**
+ * Devuelve la fecha y hora actuales de la clínica (en su zona horaria) como un Date local.
+ * @returns {Date}
+ */
+function getAhoraClinica() {
+    return new Date(new Date().toLocaleString('en-US', { timeZone: CLINIC_TIMEZONE }));
+}
+
+/**
+ * Formatea una fecha de calendario como "YYYY-MM-DD" usando sus campos locales.
+ * @param {Date} fecha
+ * @returns {string}
+ */
+function toISODate(fecha) {
+    const mes = String(fecha.getMonth() + 1).padStart(2, '0');
+    const dia = String(fecha.getDate()).padStart(2, '0');
+    return `${fecha.getFullYear()}-${mes}-${dia}`;
+}
+
+/**
+ * Convierte "YYYY-MM-DD" en un Date a la medianoche local.
+ * @param {string} fechaISO
+ * @returns {Date}
+ */
+function parseISODate(fechaISO) {
+    const [year, month, day] = fechaISO.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Devuelve la fecha actual de la clínica en formato "YYYY-MM-DD".
+ */
+function getHoyISO() {
+    return toISODate(getAhoraClinica());
+}
+
+/**
+ * Formatea una fecha para mostrarla al usuario (ej. "martes, 21 de octubre").
+ * @param {Date|string} fecha - Un Date o una fecha "YYYY-MM-DD".
+ * @param {string} [locale] - El locale del idioma del paciente (por defecto español).
+ */
+function formatearFechaLarga(fecha, locale = 'es-VE') {
+    const date = typeof fecha === 'string' ? parseISODate(fecha) : fecha;
+    return date.toLocaleDateString(locale, { weekday: 'long', day: 'numeric', month: 'long' });
+}
+
+/**
+ * Calcula el Domingo de Pascua (algoritmo de Meeus/Jones/Butcher).
+ * @param {number} year
+ * @returns {Date}
+ */
+function getDomingoDePascua(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Devuelve el nombre del feriado nacional de una fecha, o null si no es feriado.
+ * Incluye los feriados fijos y los móviles (Carnaval y Semana Santa).
+ * @param {Date} fecha
+ * @returns {string|null}
+ */
+function getFeriadoNacional(fecha) {
+    const fijo = FERIADOS_FIJOS[toISODate(fecha).slice(5)];
+    if (fijo) return fijo;
+
+    const pascua = getDomingoDePascua(fecha.getFullYear());
+    const moviles = { '-48': 'Lunes de Carnaval', '-47': 'Martes de Carnaval', '-3': 'Jueves Santo', '-2': 'Viernes Santo' };
+    const diferencia = Math.round((fecha - pascua) / (24 * 60 * 60 * 1000));
+    return moviles[diferencia] || null;
+}
+
+/**
+ * Carga (con caché) los cierres y feriados configurados en la base de datos.
+ * @returns {Promise<Map<string, string>>} Mapa de "YYYY-MM-DD" a motivo.
+ */
+async function getCierres() {
+    if (Date.now() - cierresCache.cargadoEn < CIERRES_CACHE_MS) return cierresCache.porFecha;
+
+    // Se requiere aquí para evitar una dependencia circular (database -> calendar -> database)
+    const { getCierresCalendario } = require('./database');
+    const desde = getAhoraClinica();
+    desde.setDate(desde.getDate() - 90);
+    const cierres = await getCierresCalendario(toISODate(desde));
+
+    cierresCache.porFecha = new Map(cierres.map(c => [c.fecha, c.motivo || 'Clínica cerrada']));
+    cierresCache.cargadoEn = Date.now();
+    return cierresCache.porFecha;
+}
+
+/**
+ * Obtiene el horario de atención de una fecha según su día de la semana.
+ * @param {Date} fecha
+ * @returns {{apertura: string, cierre: string}|null} null si la clínica no abre ese día de la semana.
+ */
+function getHorario(fecha) {
+    const rango = getHorarioSemanal()[fecha.getDay()];
+    if (!rango) return null;
+    const [apertura, cierre] = rango.split('-').map(h => h.trim());
+    return { apertura, cierre };
+}
+
+/**
+ * Formatea una hora "HH:MM" en formato de 12 horas (ej. "2:00 PM").
+ */
+function formatearHora(hora) {
+    const [h, m] = hora.split(':').map(Number);
+    const sufijo = h >= 12 ? 'PM' : 'AM';
+    return `${h % 12 || 12}:${String(m).padStart(2, '0')} ${sufijo}`;
+}
+
+function horaAMinutos(hora) {
+    const [h, m] = hora.split(':').map(Number);
+    return h * 60 + m;
+}
+
+function minutosAHora(minutos) {
+    return `${String(Math.floor(minutos / 60)).padStart(2, '0')}:${String(minutos % 60).padStart(2, '0')}`;
+}
+
+function duracionDe(tipo) {
+    return DURACION_POR_TIPO[tipo] || DURACION_POR_DEFECTO.consulta;
+}
+
+/**
+ * Estima la hora de llegada de un turno: apertura + la duración de los turnos anteriores del día con
+ * la misma letra. Consulta y ECOR comparten la numeración C pero cada tipo dura lo suyo, por eso se
+ * suman las duraciones en vez de multiplicar la posición. Las canceladas también cuentan, para que la
+ * hora ya asignada a los turnos siguientes no se repita.
+ * @param {Date} fecha - La fecha asignada.
+ * @param {'consulta' | 'ecor' | 'reembolso'} tipo - El tipo de solicitud.
+ * @param {string} numeroTurno - El número de turno (ej. "C-005").
+ * @param {Array<Object>} solicitudesDelDia - Las solicitudes de esa fecha (con numero_turno y tipo_solicitud).
+ * @returns {string|null} La hora estimada "HH:MM", o null si no hay horario ese día o el turno ya no
+ * alcanza a atenderse antes del cierre.
+ */
+function calcularHoraEstimada(fecha, tipo, numeroTurno, solicitudesDelDia = []) {
+    const horario = getHorario(fecha);
+    const [prefijo, numero] = String(numeroTurno).split('-');
+    const posicion = parseInt(numero, 10);
+    if (!horario || isNaN(posicion)) return null;
+
+    const anteriores = solicitudesDelDia.filter(s => {
+        const [prefijoOtro, numeroOtro] = String(s.numero_turno).split('-');
+        return prefijoOtro === prefijo && parseInt(numeroOtro, 10) < posicion;
+    });
+    const inicio = horaAMinutos(horario.apertura) + anteriores.reduce((total, s) => total + duracionDe(s.tipo_solicitud), 0);
+    if (inicio + duracionDe(tipo) > horaAMinutos(horario.cierre)) return null;
+    return minutosAHora(inicio);
+}
+
+/**
+ * Describe el horario de atención de una fecha (ej. "8:00 AM a 2:00 PM").
+ * @param {Date} fecha
+ * @param {string} [hasta] - La palabra entre las dos horas en el idioma del paciente.
+ * @returns {string|null}
+ */
+function describirHorario(fecha, hasta = 'a') {
+    const horario = getHorario(fecha);
+    return horario ? `${formatearHora(horario.apertura)} ${hasta} ${formatearHora(horario.cierre)}` : null;
+}
+
+const NOMBRES_DIAS = ['Domingo', 'Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado'];
+
+/**
+ * Describe el horario semanal en español, agrupando los días con el mismo horario
+ * (ej. "Lunes a Viernes de 8:00 AM a 2:00 PM; Sábado de 8:00 AM a 12:00 PM").
+ * @returns {string}
+ */
+function describirHorarioSemanal() {
+    const horario = getHorarioSemanal();
+    const grupos = [];
+    for (const dia of [1, 2, 3, 4, 5, 6, 0]) {
+        const rango = horario[dia];
+        if (!rango) continue;
+        const grupo = grupos.find(g => g.rango === rango);
+        if (grupo) grupo.dias.push(dia);
+        else grupos.push({ rango, dias: [dia] });
+    }
+    return grupos.map(({ rango, dias }) => {
+        const [apertura, cierre] = rango.split('-').map(h => formatearHora(h.trim()));
+        // Los días seguidos (ej. lunes, martes y miércoles) se nombran como un intervalo
+        const orden = dias.map(d => (d + 6) % 7);
+        const seguidos = dias.length > 2 && orden.every((d, i) => i === 0 || d === orden[i - 1] + 1);
+        const nombres = dias.map(d => NOMBRES_DIAS[d]);
+        const texto = seguidos
+            ? `${nombres[0]} a ${nombres[nombres.length - 1]}`
+            : nombres.length > 1 ? `${nombres.slice(0, -1).join(', ')} y ${nombres[nombres.length - 1]}` : nombres[0];
+        return `${texto} de ${apertura} a ${cierre}`;
+    }).join('; ');
+}
+
+/**
+ * Indica por qué la clínica no atiende en una fecha.
+ * @param {Date} fecha
+ * @returns {Promise<string|null>} El motivo del cierre o null si es día hábil.
+ */
+async function getMotivoCierre(fecha) {
+    if (!getHorario(fecha)) return 'Fuera del horario semanal';
+    const feriado = getFeriadoNacional(fecha);
+    if (feriado) return feriado;
+    const cierres = await getCierres();
+    return cierres.get(toISODate(fecha)) || null;
+}
+
+/**
+ * @param {Date} fecha
+ * @returns {Promise<boolean>} true si la clínica atiende ese día.
+ */
+async function esDiaHabil(fecha) {
+    return (await getMotivoCierre(fecha)) === null;
+}
+
+/**
+ * Devuelve el primer día hábil a partir de una fecha (inclusive). Busca como máximo un año.
+ * @param {Date} fecha
+ * @returns {Promise<Date>} Una nueva fecha; la original no se modifica.
+ */
+async function getSiguienteDiaHabil(fecha) {
+    const actual = new Date(fecha.getFullYear(), fecha.getMonth(), fecha.getDate());
+    for (let i = 0; i < 366; i++) {
+        if (await esDiaHabil(actual)) return actual;
+        actual.setDate(actual.getDate() + 1);
+    }
+    throw new Error('No hay días hábiles configurados en el calendario de la clínica.');
+}
+
+/**
+ * Devuelve el último día hábil anterior a una fecha (exclusive). Busca como máximo un año.
+ * @param {Date} fecha
+ * @returns {Promise<Date>}
+ */
+async function getDiaHabilAnterior(fecha) {
+    const actual = new Date(fecha.getFullYear(), fecha.getMonth(), fecha.getDate());
+    for (let i = 0; i < 366; i++) {
+        actual.setDate(actual.getDate() - 1);
+        if (await esDiaHabil(actual)) return actual;
+    }
+    throw new Error('No hay días hábiles configurados en el calendario de la clínica.');
+}
+
+/**
+ * Determina la fecha inicial para agendar: hoy si es día hábil y aún no cerró la clínica,
+ * si no, el próximo día hábil.
+ * @returns {Promise<Date>}
+ */
+async function getFechaInicialBusqueda() {
+    const ahora = getAhoraClinica();
+    const hoy = new Date(ahora.getFullYear(), ahora.getMonth(), ahora.getDate());
+    const horario = getHorario(hoy);
+    const horaActual = `${String(ahora.getHours()).padStart(2, '0')}:${String(ahora.getMinutes()).padStart(2, '0')}`;
+
+    if (horario && horaActual < horario.cierre && await esDiaHabil(hoy)) return hoy;
+
+    hoy.setDate(hoy.getDate() + 1);
+    return getSiguienteDiaHabil(hoy);
+}
+
+module.exports = {
+    CLINIC_TIMEZONE,
+    getDayOfWeekAsNumber,
+    getAhoraClinica,
+    toISODate,
+    parseISODate,
+    getHoyISO,
+    formatearFechaLarga,
+    getFeriadoNacional,
+    getHorario,
+    describirHorario,
+    describirHorarioSemanal,
+    formatearHora,
+    calcularHoraEstimada,
+    getMotivoCierre,
+    esDiaHabil,
+    getSiguienteDiaHabil,
+    getDiaHabilAnterior,
+    getFechaInicialBusqueda,
+};
@@ -0,0 +1,162 @@
+// clinica.js
+// Identidad y opciones de la clínica: nombre, teléfono de emergencias, horario semanal, tipos de
+// consulta y nóminas. Se leen de un archivo JSON (CLINICA_CONFIG, por defecto clinica.json) que se
+// vuelve a cargar cuando cambia, así que el prompt de la IA, los mensajes, el menú guiado y la
+// validación de las funciones toman los cambios sin reiniciar el bot ni tocar el código.
+// Con varias sedes cada una tiene su propio archivo (ver sedes.js).
+
+const fs = require('fs');
+const { getSedeActual, porSede } = require('./sedes');
+require('dotenv').config();
+
+// Cada cuánto se revisa si el archivo cambió
+const RECARGA_MS = 30 * 1000;
+
+const TIPOS_SOLICITUD = ['consulta', 'ecor'];
+
+/**
+ * Configuración usada cuando no hay archivo (o le faltan campos). El horario no está aquí:
+ * sin "horario" en el archivo se usa el de calendar.js (CLINIC_HORARIO).
+ */
+const CONFIG_POR_DEFECTO = {
+    nombre: 'Clínica Demo',
+    telefono_emergencias: process.env.EMERGENCIA_TELEFONO || '0000-0000000',
+    horario: null,
+    tipos_consulta: [
+        {
+            nombre: 'Consulta integral',
+            tipo_solicitud: 'consulta',
+            alias: ['integral', 'comprehensive'],
+            etiquetas: { en: 'Comprehensive consultation', pt: 'Consulta integral' },
+        },
+        {
+            nombre: 'Reposo médico',
+            tipo_solicitud: 'consulta',
+            alias: ['reposo', 'leave', 'atestado'],
+            etiquetas: { en: 'Medical leave', pt: 'Atestado médico' },
+        },
+        {
+            nombre: 'Examen físico anual (ECOR)',
+            tipo_solicitud: 'ecor',
+            alias: ['ecor', 'examen fisico anual', 'physical exam', 'exame fisico'],
+            etiquetas: { en: 'Annual physical exam (ECOR)', pt: 'Exame físico anual (ECOR)' },
+        },
+    ],
+    nominas: [
+        { nombre: 'Contractual Diaria', etiquetas: { en: 'Contract (daily)', pt: 'Contratual Diária' } },
+        { nombre: 'Contractual Mensual', etiquetas: { en: 'Contract (monthly)', pt: 'Contratual Mensal' } },
+        { nombre: 'No Contractual', etiquetas: { en: 'Non-contract', pt: 'Não Contratual' } },
+    ],
+};
+
+const cache = porSede(() => ({ config: null, modificado: null, revisadoEn: 0 }));
+
+// Las opciones se pueden escribir solo con el nombre ("No Contractual") o con sus alias y etiquetas
+function normalizarOpciones(lista, campo) {
+    if (!Array.isArray(lista) || lista.length === 0) throw new Error(`"${campo}" debe ser una lista con al menos una opción`);
+    return lista.map(opcion => {
+        const entrada = typeof opcion === 'string' ? { nombre: opcion } : opcion;
+        if (!entrada || typeof entrada.nombre !== 'string' || !entrada.nombre.trim()) throw new Error(`cada opción de "${campo}" necesita un nombre`);
+        return { ...entrada, nombre: entrada.nombre.trim(), alias: entrada.alias || [], etiquetas: entrada.etiquetas || {} };
+    });
+}
+
+/**
+ * Valida el archivo y lo completa con los valores por defecto.
+ * @param {Object} datos - El contenido del archivo.
+ * @returns {Object} La configuración completa.
+ */
+function construirConfig(datos) {
+    if (!datos || typeof datos !== 'object' || Array.isArray(datos)) throw new Error('debe ser un objeto JSON');
+    // Sin nombre en el archivo, una sede se presenta con el nombre que tiene en sedes.json
+    const { nombre } = getSedeActual();
+    const config = { ...CONFIG_POR_DEFECTO, ...(nombre && { nombre }), ...datos };
+    config.tipos_consulta = normalizarOpciones(config.tipos_consulta, 'tipos_consulta');
+    config.nominas = normalizarOpciones(config.nominas, 'nominas');
+    for (const tipo of config.tipos_consulta) {
+        tipo.tipo_solicitud = tipo.tipo_solicitud || 'consulta';
+        if (!TIPOS_SOLICITUD.includes(tipo.tipo_solicitud)) {
+            throw new Error(`el tipo_solicitud de "${tipo.nombre}" debe ser ${TIPOS_SOLICITUD.join(' o ')}`);
+        }
+    }
+    if (config.horario !== null && (typeof config.horario !== 'object' || Array.isArray(config.horario))) {
+        throw new Error('"horario" debe ser un objeto como {"lunes": "08:00-14:00", "sabado": null}');
+    }
+    config.telefono_emergencias = String(config.telefono_emergencias);
+    return config;
+}
+
+/**
+ * Devuelve la configuración de la clínica, recargando el archivo si cambió.
+ * Si el archivo nuevo no es válido se sigue usando la última configuración buena.
+ * @returns {{nombre: string, telefono_emergencias: string, horario: Object|null, tipos_consulta: Array<Object>, nominas: Array<Object>}}
+ */
+function getClinica() {
+    const { clinica: archivo } = getSedeActual();
+    if (cache.config && Date.now() - cache.revisadoEn < RECARGA_MS) return cache.config;
+    cache.revisadoEn = Date.now();
+
+    let modificado = null;
+    try {
+        modificado = fs.statSync(archivo).mtimeMs;
+    } catch (error) {
+        // Sin archivo se usan los valores por defecto
+    }
+    if (cache.config && modificado === cache.modificado) return cache.config;
+
+    if (modificado === null) {
+        cache.config = construirConfig({});
+    } else {
+        try {
+            cache.config = construirConfig(JSON.parse(fs.readFileSync(archivo, 'utf8')));
+            console.log(`[CLÍNICA] Configuración cargada de ${archivo}.`);
+        } catch (error) {
+            console.error(`[CLÍNICA] ${archivo} no es válido (${error.message}). Se mantiene la configuración anterior.`);
+            cache.config = cache.config || construirConfig({});
+        }
+    }
+    cache.modificado = modificado;
+    return cache.config;
+}
+
+/**
+ * @returns {Array<string>} Los nombres oficiales de los tipos de consulta.
+ */
+function getTiposConsulta() {
+    return getClinica().tipos_consulta.map(tipo => tipo.nombre);
+}
+
+/**
+ * @returns {Array<string>} Los nombres oficiales de las nóminas.
+ */
+function getNominas() {
+    return getClinica().nominas.map(nomina => nomina.nombre);
+}
+
+/**
+ * El tipo de solicitud (y de cupo) que genera un tipo de consulta: "ecor" no tiene límite de cupos.
+ * @param {string} tipoConsulta - El tipo de consulta elegido (ej. "Examen físico anual (ECOR)").
+ * @returns {'consulta'|'ecor'|null} null si no es un tipo de consulta configurado.
+ */
+function getTipoSolicitud(tipoConsulta) {
+    const tipo = getClinica().tipos_consulta.find(t => t.nombre === tipoConsulta);
+    return tipo ? tipo.tipo_solicitud : null;
+}
+
+/**
+ * Busca un tipo de consulta o una nómina por su nombre oficial, para traducir sus etiquetas.
+ * @param {string} valor
+ * @returns {Object|null} La opción con sus alias y etiquetas, o null.
+ */
+function getOpcionClinica(valor) {
+    const { tipos_consulta, nominas } = getClinica();
+    return [...tipos_consulta, ...nominas].find(opcion => opcion.nombre === valor) || null;
+}
+
+module.exports = {
+    getClinica,
+    getTiposConsulta,
+    getNominas,
+    getTipoSolicitud,
+    getOpcionClinica,
+};
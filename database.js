@@ -4,6 +4,9 @@
 // Si no está configurado, usa datos mock en memoria
 
 require('dotenv').config();
+const { toISODate, parseISODate } = require('./calendar');
+const { resolverLimite, getReglaTurno } = require('./quotas');
+const { getSedeId } = require('./sedes');
 
 // Detectar si Supabase está configurado verificando las variables de entorno
 const supabaseConfigured = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY;
@@ -13,6 +16,102 @@ if (supabaseConfigured) {
 
     const supabase = require('./supabaseClient');
 
+    // Las filas antiguas no tienen estado (NULL), por eso se incluyen explícitamente
+    const FILTRO_NO_CANCELADA = 'estado.is.null,estado.neq.cancelada';
+
+    // Con varias sedes cada consulta se limita a la sede que se está atendiendo y cada fila nueva
+    // se guarda con su sede_id (ver sedes.js y sql/sedes.sql). Con una sola clínica no cambian.
+    function deLaSede(query) {
+        const sedeId = getSedeId();
+        return sedeId ? query.eq('sede_id', sedeId) : query;
+    }
+
+    function conSede(fila) {
+        const sedeId = getSedeId();
+        return sedeId ? { ...fila, sede_id: sedeId } : fila;
+    }
+
+    /**
+     * Obtiene el límite de cupos de un tipo de solicitud en una fecha según las reglas de cupos.
+     * @param {'consulta' | 'reembolso'} tipo - El tipo de solicitud.
+     * @param {Date} fecha - La fecha del cupo.
+     * @returns {Promise<number>} - El límite de cupos del día.
+     */
+    async function getLimiteCupos(tipo, fecha) {
+        // Solo hacen falta las reglas generales del tipo y la excepción de esa fecha, si la hay
+        const { data, error } = await deLaSede(supabase
+            .from('reglas_cupos')
+            .select('tipo_solicitud, dia_semana, fecha, limite')
+            .eq('tipo_solicitud', tipo)
+            .or(`fecha.is.null,fecha.eq.${toISODate(fecha)}`));
+        if (error) throw error;
+        return resolverLimite(data, tipo, fecha);
+    }
+
+    /**
+     * Obtiene las reglas de cupos: las generales y las excepciones por fecha desde una fecha dada.
+     * @param {string} fechaDesde - Fecha mínima de las excepciones, en formato "YYYY-MM-DD".
+     * @returns {Promise<Array>} - Lista de reglas.
+     */
+    async function getReglasCupos(fechaDesde) {
+        try {
+            const { data, error } = await deLaSede(supabase
+                .from('reglas_cupos')
+                .select('*')
+                .or(`fecha.is.null,fecha.gte.${fechaDesde}`));
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error al obtener las reglas de cupos:', error.message);
+            return [];
+        }
+    }
+
+    // Filtra la regla con el mismo tipo, día de la semana y fecha (los nulos se comparan con IS NULL)
+    function filtrarRegla(query, regla) {
+        query = deLaSede(query).eq('tipo_solicitud', regla.tipo_solicitud);
+        query = regla.dia_semana === null ? query.is('dia_semana', null) : query.eq('dia_semana', regla.dia_semana);
+        return regla.fecha === null ? query.is('fecha', null) : query.eq('fecha', regla.fecha);
+    }
+
+    /**
+     * Crea o actualiza la regla de cupos de un tipo para un día de la semana, una fecha o todos los días.
+     * @param {Object} regla - tipo_solicitud, dia_semana, fecha y limite.
+     * @returns {Promise<Object|null>} - La regla guardada o null si hay error.
+     */
+    async function guardarReglaCupos(regla) {
+        try {
+            const { data: existente, error: buscarError } = await filtrarRegla(supabase.from('reglas_cupos').select('id'), regla).maybeSingle();
+            if (buscarError) throw buscarError;
+
+            const query = existente
+                ? supabase.from('reglas_cupos').update({ limite: regla.limite }).eq('id', existente.id)
+                : supabase.from('reglas_cupos').insert([conSede(regla)]);
+            const { data, error } = await query.select().single();
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error al guardar la regla de cupos:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Elimina la regla de cupos de un tipo para un día de la semana, una fecha o todos los días.
+     * @param {Object} regla - tipo_solicitud, dia_semana y fecha.
+     * @returns {Promise<boolean>} - true si se eliminó una regla.
+     */
+    async function eliminarReglaCupos(regla) {
+        try {
+            const { data, error } = await filtrarRegla(supabase.from('reglas_cupos').delete(), regla).select('id');
+            if (error) throw error;
+            return data.length > 0;
+        } catch (error) {
+            console.error('Error al eliminar la regla de cupos:', error.message);
+            return false;
+        }
+    }
+
     /**
      * Obtiene los cupos disponibles para un tipo de solicitud en una fecha.
      * @param {'consulta' | 'reembolso'} tipo - El tipo de solicitud.
@@ -21,32 +120,33 @@ if (supabaseConfigured) {
      */
     async function getCuposDisponibles(tipo, fecha) {
         try {
-            const diaSemana = fecha.getDay();
-            let claveLimite = `cupos_${tipo}`;
-            // Los miércoles tienen menos cupos para consultas
-            if (tipo === 'consulta' && diaSemana === 3) {
-                claveLimite = 'cupos_consulta_miercoles';
-            }
-
-            // Obtener el límite de cupos desde la configuración
-            const { data: config, error: configError } = await supabase.from('configuracion').select('valor').eq('clave', claveLimite).single();
-            if (configError) throw configError;
-            const limiteCupos = parseInt(config.valor, 10);
+            const limiteCupos = await getLimiteCupos(tipo, fecha);
 
-            const fechaISO = fecha.toISOString().split('T')[0];
+            const fechaISO = toISODate(fecha);
             // Consultas y ECOR comparten el mismo límite de cupos
-            const tipoQuery = tipo === 'consulta' ? ['consulta', 'ecor'] : ['reembolso'];
+            const tipoQuery = getReglaTurno(tipo).tipos;
 
-            // Contar cuántas solicitudes ya hay para esa fecha
-            const { count, error: countError } = await supabase
+            // Contar cuántas solicitudes ya hay para esa fecha (las canceladas liberan su cupo)
+            const { count, error: countError } = await deLaSede(supabase
                 .from('solicitudes')
                 .select('*', { count: 'exact', head: true })
                 .in('tipo_solicitud', tipoQuery)
-                .eq('fecha_solicitud', fechaISO);
+                .eq('fecha_solicitud', fechaISO)
+                .or(FILTRO_NO_CANCELADA));
 
             if (countError) throw countError;
 
-            return limiteCupos - count;
+            // Los cupos ofrecidos a la lista de espera quedan reservados mientras la oferta está vigente
+            const { count: reservados, error: reservaError } = await deLaSede(supabase
+                .from('lista_espera')
+                .select('*', { count: 'exact', head: true })
+                .eq('tipo_solicitud', tipo)
+                .eq('fecha_oferta', fechaISO)
+                .eq('estado', 'ofrecida'));
+
+            if (reservaError) throw reservaError;
+
+            return limiteCupos - count - (reservados || 0);
         } catch (error) {
             console.error('Error al obtener cupos disponibles:', error.message);
             return 0;
@@ -54,32 +154,47 @@ if (supabaseConfigured) {
     }
 
     /**
-     * Genera el siguiente número de turno para una fecha.
-     * El conteo se reinicia cada día gracias a la restricción UNIQUE en la BD.
-     * @param {'C' | 'R'} prefijo - C para Consulta, R para Reembolso.
-     * @param {Date} fecha - La fecha para el turno.
-     * @returns {Promise<string|null>} - El número de turno (ej: "C-001") o null si hay error.
+     * Reserva un turno de forma atómica: verifica el cupo, asigna el siguiente número del día
+     * y crea la solicitud en una sola transacción (función reservar_turno, ver sql/reservar_turno.sql).
+     * Reintenta si la transacción choca con otra reserva simultánea.
+     * @param {Object} datosSolicitud - Los datos de la solicitud (incluye tipo_solicitud y fecha_solicitud).
+     * @param {number|null} [ofertaId] - La oferta de la lista de espera que se acepta: su cupo apartado se usa
+     * para esta reserva y la oferta queda aceptada en la misma transacción.
+     * @returns {Promise<{solicitud: Object|null, sinCupos: boolean}>} - La solicitud creada, o sinCupos si el día se llenó.
      */
-    async function getSiguienteNumeroTurno(prefijo, fecha) {
-        try {
-            const fechaISO = fecha.toISOString().split('T')[0];
-            const tipoSolicitudQuery = (prefijo === 'R') ? ['reembolso'] : ['consulta', 'ecor'];
-
-            // Contar turnos existentes para ese día
-            const { count, error } = await supabase
-                .from('solicitudes')
-                .select('*', { count: 'exact', head: true })
-                .eq('fecha_solicitud', fechaISO)
-                .in('tipo_solicitud', tipoSolicitudQuery);
+    async function reservarTurno(datosSolicitud, ofertaId = null) {
+        const { prefijo, tipos, tipoCupo } = getReglaTurno(datosSolicitud.tipo_solicitud);
+        const MAX_REINTENTOS = 3;
 
-            if (error) throw error;
-
-            const nuevoNumero = (count || 0) + 1;
-            return `${prefijo}-${String(nuevoNumero).padStart(3, '0')}`;
-        } catch (error) {
-            console.error('Error al generar el número de turno:', error.message);
-            return null;
+        for (let intento = 1; intento <= MAX_REINTENTOS; intento++) {
+            try {
+                // ECOR no tiene límite de cupos propio
+                const limite = datosSolicitud.tipo_solicitud === 'ecor' ? null : await getLimiteCupos(tipoCupo, parseISODate(datosSolicitud.fecha_solicitud));
+                const { data, error } = await supabase.rpc('reservar_turno', {
+                    p_datos: conSede(datosSolicitud),
+                    p_prefijo: prefijo,
+                    p_tipos: tipos,
+                    p_tipo_cupo: tipoCupo,
+                    p_limite: limite,
+                    p_oferta_id: ofertaId,
+                });
+                if (error) throw error;
+                return { solicitud: data, sinCupos: false };
+            } catch (error) {
+                if (error.message && error.message.includes('SIN_CUPOS')) {
+                    return { solicitud: null, sinCupos: true };
+                }
+                // 23505: número de turno duplicado, 40001/40P01: conflicto de serialización o deadlock
+                const esConflicto = ['23505', '40001', '40P01'].includes(error.code);
+                if (esConflicto && intento < MAX_REINTENTOS) {
+                    console.warn(`Conflicto al reservar turno (intento ${intento}/${MAX_REINTENTOS}). Reintentando...`);
+                    continue;
+                }
+                console.error('Error al reservar el turno:', error.message);
+                return { solicitud: null, sinCupos: false };
+            }
         }
+        return { solicitud: null, sinCupos: false };
     }
 
     /**
@@ -89,7 +204,7 @@ if (supabaseConfigured) {
      */
     async function crearSolicitud(datosSolicitud) {
         try {
-            const { data, error } = await supabase.from('solicitudes').insert([datosSolicitud]).select().single();
+            const { data, error } = await supabase.from('solicitudes').insert([conSede(datosSolicitud)]).select().single();
             if (error) throw error;
             return data;
         } catch (error) {
@@ -105,10 +220,10 @@ if (supabaseConfigured) {
      */
     async function getDatosReporteDiario(fechaString) {
         try {
-            const { data, error } = await supabase
+            const { data, error } = await deLaSede(supabase
                 .from('solicitudes')
                 .select('*')
-                .eq('fecha_solicitud', fechaString);
+                .eq('fecha_solicitud', fechaString));
 
             if (error) throw error;
             return data;
@@ -130,11 +245,11 @@ if (supabaseConfigured) {
             const lastDay = new Date(year, month, 0).getDate();
             const endDate = `${mesString}-${lastDay}`;
 
-            const { data, error } = await supabase
+            const { data, error } = await deLaSede(supabase
                 .from('solicitudes')
                 .select('*')
                 .gte('fecha_solicitud', startDate)
-                .lte('fecha_solicitud', endDate);
+                .lte('fecha_solicitud', endDate));
 
             if (error) throw error;
             return data;
@@ -145,22 +260,32 @@ if (supabaseConfigured) {
     }
 
     /**
-     * Verifica si ya existe una cita para una cédula en una fecha específica.
-     * @param {string} cedula - La cédula del paciente.
+     * Verifica si el paciente ya tiene una cita en una fecha específica.
+     * Los beneficiarios sin cédula (menores) se identifican por la cédula del titular y su nombre.
+     * @param {Object} paciente - cedula, o titular_cedula con nombre_paciente y apellido_paciente.
      * @param {Date} fecha - La fecha a verificar.
      * @returns {Promise<boolean>} - True si ya tiene cita, false si no.
      */
-    async function checkExistingAppointment(cedula, fecha) {
+    async function checkExistingAppointment(paciente, fecha) {
         try {
-            const fechaISO = fecha.toISOString().split('T')[0];
-            const { data, error } = await supabase
+            const fechaISO = toISODate(fecha);
+            let query = deLaSede(supabase
                 .from('solicitudes')
                 .select('id')
-                .eq('cedula', cedula)
                 .eq('fecha_solicitud', fechaISO)
                 .in('tipo_solicitud', ['consulta', 'ecor'])
-                .maybeSingle();
+                .or(FILTRO_NO_CANCELADA));
 
+            if (paciente.cedula) {
+                query = query.eq('cedula', paciente.cedula);
+            } else if (paciente.titular_cedula && paciente.nombre_paciente) {
+                query = query.is('cedula', null).eq('titular_cedula', paciente.titular_cedula).ilike('nombre_paciente', paciente.nombre_paciente.trim());
+                if (paciente.apellido_paciente) query = query.ilike('apellido_paciente', paciente.apellido_paciente.trim());
+            } else {
+                return false;
+            }
+
+            const { data, error } = await query.limit(1).maybeSingle();
             if (error) throw error;
             return !!data; // Retorna true si existe, false si no
         } catch (error) {
@@ -169,13 +294,738 @@ if (supabaseConfigured) {
         }
     }
 
+    /**
+     * Obtiene los cierres y feriados de la clínica registrados a partir de una fecha.
+     * Con varias sedes incluye los de la sede y los que no tienen sede (cierres de toda la empresa).
+     * @param {string} fechaDesde - La fecha mínima en formato "YYYY-MM-DD".
+     * @returns {Promise<Array<{fecha: string, motivo: string}>>} - Array de cierres.
+     */
+    async function getCierresCalendario(fechaDesde) {
+        try {
+            const sedeId = getSedeId();
+            let query = supabase
+                .from('calendario_cierres')
+                .select('fecha, motivo')
+                .gte('fecha', fechaDesde);
+            if (sedeId) query = query.or(`sede_id.is.null,sede_id.eq.${sedeId}`);
+
+            const { data, error } = await query;
+
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error al obtener los cierres del calendario:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Obtiene las solicitudes vigentes (no canceladas) de una cédula a partir de una fecha,
+     * incluidas las de sus beneficiarios.
+     * @param {string} cedula - La cédula del paciente.
+     * @param {string} fechaDesde - La fecha mínima en formato "YYYY-MM-DD".
+     * @returns {Promise<Array>} - Array de solicitudes ordenadas por fecha.
+     */
+    async function getSolicitudesActivasPorCedula(cedula, fechaDesde) {
+        try {
+            const { data, error } = await deLaSede(supabase
+                .from('solicitudes')
+                .select('*'))
+                .or(`cedula.eq.${cedula},titular_cedula.eq.${cedula}`)
+                .gte('fecha_solicitud', fechaDesde)
+                .in('tipo_solicitud', ['consulta', 'ecor', 'reembolso'])
+                .or(FILTRO_NO_CANCELADA)
+                .order('fecha_solicitud', { ascending: true });
+
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error al obtener solicitudes por cédula:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Obtiene el historial de solicitudes (incluidas las canceladas) de una cédula a partir de una fecha,
+     * incluidas las de sus beneficiarios.
+     * @param {string} cedula - La cédula del paciente.
+     * @param {string} fechaDesde - La fecha mínima en formato "YYYY-MM-DD".
+     * @returns {Promise<Array>} - Array de solicitudes ordenadas por fecha.
+     */
+    async function getSolicitudesPorCedula(cedula, fechaDesde) {
+        try {
+            const { data, error } = await deLaSede(supabase
+                .from('solicitudes')
+                .select('*'))
+                .or(`cedula.eq.${cedula},titular_cedula.eq.${cedula}`)
+                .gte('fecha_solicitud', fechaDesde)
+                .in('tipo_solicitud', ['consulta', 'ecor', 'reembolso'])
+                .order('fecha_solicitud', { ascending: true });
+
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error al obtener el historial por cédula:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Obtiene el historial de solicitudes registradas desde un número de WhatsApp a partir de una fecha.
+     * @param {string} whatsappJid - El JID normalizado del remitente.
+     * @param {string} fechaDesde - La fecha mínima en formato "YYYY-MM-DD".
+     * @returns {Promise<Array>} - Array de solicitudes ordenadas por fecha.
+     */
+    async function getSolicitudesPorWhatsapp(whatsappJid, fechaDesde) {
+        try {
+            const { data, error } = await deLaSede(supabase
+                .from('solicitudes')
+                .select('*'))
+                .eq('whatsapp_jid', whatsappJid)
+                .gte('fecha_solicitud', fechaDesde)
+                .in('tipo_solicitud', ['consulta', 'ecor', 'reembolso'])
+                .order('fecha_solicitud', { ascending: true });
+
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error al obtener el historial por WhatsApp:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Actualiza los campos de una solicitud existente.
+     * @param {number} id - El id de la solicitud.
+     * @param {Object} cambios - Los campos a modificar.
+     * @returns {Promise<Object|null>} - La solicitud actualizada o null si hay error.
+     */
+    async function actualizarSolicitud(id, cambios) {
+        try {
+            const { data, error } = await supabase.from('solicitudes').update(cambios).eq('id', id).select().single();
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error al actualizar la solicitud:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Cancela una solicitud. La fila se conserva (para no repetir números de turno)
+     * pero deja de contar para los cupos del día.
+     * @param {number} id - El id de la solicitud.
+     * @returns {Promise<Object|null>} - La solicitud cancelada o null si hay error.
+     */
+    async function cancelarSolicitud(id) {
+        return actualizarSolicitud(id, { estado: 'cancelada', asistencia: 'cancelada' });
+    }
+
+    /**
+     * Busca una solicitud vigente por su número de turno y fecha.
+     * @param {string} numeroTurno - El número de turno (ej: "C-004").
+     * @param {string} fechaISO - La fecha en formato "YYYY-MM-DD".
+     * @returns {Promise<Object|null>} - La solicitud o null si no existe.
+     */
+    async function getSolicitudPorTurno(numeroTurno, fechaISO) {
+        try {
+            const { data, error } = await deLaSede(supabase
+                .from('solicitudes')
+                .select('*'))
+                .eq('numero_turno', numeroTurno)
+                .eq('fecha_solicitud', fechaISO)
+                .or(FILTRO_NO_CANCELADA)
+                .limit(1)
+                .maybeSingle();
+
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error al buscar la solicitud por turno:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Marca como ausentes los turnos de una fecha que siguen sin asistencia registrada.
+     * @param {string} fechaISO - La fecha en formato "YYYY-MM-DD".
+     * @returns {Promise<number>} - Cantidad de turnos marcados como ausentes.
+     */
+    async function cerrarAsistenciaDelDia(fechaISO) {
+        try {
+            // Las filas antiguas no tienen asistencia (NULL); se excluyen las canceladas por su estado
+            const { data, error } = await deLaSede(supabase
+                .from('solicitudes')
+                .update({ asistencia: 'ausente', asistencia_registrada_en: new Date().toISOString() }))
+                .eq('fecha_solicitud', fechaISO)
+                .in('tipo_solicitud', ['consulta', 'ecor', 'reembolso'])
+                .or('asistencia.eq.pendiente,and(asistencia.is.null,estado.is.null)')
+                .select('id');
+
+            if (error) throw error;
+            return data.length;
+        } catch (error) {
+            console.error('Error al cerrar la asistencia del día:', error.message);
+            return 0;
+        }
+    }
+
+    /**
+     * Agrega una persona a la lista de espera.
+     * @param {Object} entrada - whatsapp_jid, tipo_solicitud, dia_semana (o null) y datos del paciente.
+     * @returns {Promise<Object|null>} - La entrada creada o null si hay error.
+     */
+    async function agregarListaEspera(entrada) {
+        try {
+            const { data, error } = await supabase.from('lista_espera').insert([conSede({ ...entrada, estado: 'esperando' })]).select().single();
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error al agregar a la lista de espera:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Obtiene la entrada más antigua en espera para un tipo y día de la semana.
+     * @param {'consulta' | 'reembolso'} tipo - El tipo de solicitud.
+     * @param {number} diaSemana - El día de la semana del cupo liberado (Domingo=0).
+     * @param {Array<number>} [excluir] - Ids de entradas que no pueden tomar este cupo.
+     * @returns {Promise<Object|null>} - La entrada o null si no hay nadie esperando.
+     */
+    async function getSiguienteListaEspera(tipo, diaSemana, excluir = []) {
+        try {
+            let query = deLaSede(supabase
+                .from('lista_espera')
+                .select('*'))
+                .eq('estado', 'esperando')
+                .eq('tipo_solicitud', tipo)
+                .or(`dia_semana.is.null,dia_semana.eq.${diaSemana}`);
+            if (excluir.length > 0) query = query.not('id', 'in', `(${excluir.join(',')})`);
+            const { data, error } = await query
+                .order('created_at', { ascending: true })
+                .limit(1)
+                .maybeSingle();
+
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error al obtener el siguiente en la lista de espera:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Obtiene las entradas de la lista de espera en un estado.
+     * @param {'esperando' | 'ofrecida'} estado - El estado a filtrar.
+     * @returns {Promise<Array>} - Array de entradas.
+     */
+    async function getListaEsperaPorEstado(estado) {
+        try {
+            const { data, error } = await deLaSede(supabase.from('lista_espera').select('*')).eq('estado', estado);
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error al obtener la lista de espera:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Actualiza una entrada de la lista de espera.
+     * @param {number} id - El id de la entrada.
+     * @param {Object} cambios - Los campos a modificar.
+     * @returns {Promise<Object|null>} - La entrada actualizada o null si hay error.
+     */
+    async function actualizarListaEspera(id, cambios) {
+        try {
+            const { data, error } = await supabase.from('lista_espera').update(cambios).eq('id', id).select().single();
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error al actualizar la lista de espera:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Obtiene los recordatorios ya enviados para las citas de una fecha.
+     * @param {string} fechaCita - La fecha de las citas en formato "YYYY-MM-DD".
+     * @returns {Promise<Array>} - Array de recordatorios.
+     */
+    async function getRecordatoriosPorFecha(fechaCita) {
+        try {
+            const { data, error } = await supabase.from('recordatorios').select('*').eq('fecha_cita', fechaCita);
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error al obtener los recordatorios:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Registra en la bitácora un recordatorio enviado.
+     * @param {Object} recordatorio - solicitud_id, whatsapp_jid y fecha_cita.
+     * @returns {Promise<Object|null>} - El recordatorio registrado o null si hay error.
+     */
+    async function registrarRecordatorio(recordatorio) {
+        try {
+            const { data, error } = await supabase
+                .from('recordatorios')
+                .insert([{ ...recordatorio, enviado_en: new Date().toISOString() }])
+                .select()
+                .single();
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error al registrar el recordatorio:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Actualiza un recordatorio (por ejemplo, con la respuesta del paciente).
+     * @param {number} id - El id del recordatorio.
+     * @param {Object} cambios - Los campos a modificar.
+     * @returns {Promise<Object|null>} - El recordatorio actualizado o null si hay error.
+     */
+    async function actualizarRecordatorio(id, cambios) {
+        try {
+            const { data, error } = await supabase.from('recordatorios').update(cambios).eq('id', id).select().single();
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error al actualizar el recordatorio:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Registra los comprobantes (facturas) de una solicitud de reembolso.
+     * @param {number} solicitudId - El id de la solicitud.
+     * @param {Array} comprobantes - Cada uno con archivo, tipo_archivo, monto y concepto.
+     * @returns {Promise<Array|null>} - Los comprobantes registrados o null si hay error.
+     */
+    async function registrarComprobantes(solicitudId, comprobantes) {
+        try {
+            const filas = comprobantes.map(c => ({ solicitud_id: solicitudId, archivo: c.archivo, tipo_archivo: c.tipo_archivo, monto: c.monto, concepto: c.concepto }));
+            const { data, error } = await supabase.from('reembolso_comprobantes').insert(filas).select();
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error al registrar los comprobantes:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Obtiene los comprobantes de varias solicitudes de reembolso.
+     * @param {Array<number>} solicitudIds - Los ids de las solicitudes.
+     * @returns {Promise<Array>} - Lista de comprobantes.
+     */
+    async function getComprobantesPorSolicitudes(solicitudIds) {
+        if (solicitudIds.length === 0) return [];
+        try {
+            const { data, error } = await supabase
+                .from('reembolso_comprobantes')
+                .select('*')
+                .in('solicitud_id', solicitudIds)
+                .order('id', { ascending: true });
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error al obtener los comprobantes:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Pasa los comprobantes de una solicitud a otra (al reprogramar un reembolso).
+     * @param {number} solicitudIdAnterior - El id de la solicitud cancelada.
+     * @param {number} solicitudIdNueva - El id de la nueva solicitud.
+     * @returns {Promise<boolean>} - true si se actualizó correctamente.
+     */
+    async function reasignarComprobantes(solicitudIdAnterior, solicitudIdNueva) {
+        try {
+            const { error } = await supabase.from('reembolso_comprobantes').update({ solicitud_id: solicitudIdNueva }).eq('solicitud_id', solicitudIdAnterior);
+            if (error) throw error;
+            return true;
+        } catch (error) {
+            console.error('Error al reasignar los comprobantes:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Registra un cambio de estado de un reembolso en su historial.
+     * @param {Object} entrada - solicitud_id, estado, motivo y registrado_por.
+     * @returns {Promise<Object|null>} - El registro creado o null si hay error.
+     */
+    async function registrarEstadoReembolso(entrada) {
+        try {
+            const { data, error } = await supabase
+                .from('reembolso_estados')
+                .insert([{ ...entrada, registrado_en: new Date().toISOString() }])
+                .select()
+                .single();
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error al registrar el estado del reembolso:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Obtiene el historial de estados de varias solicitudes de reembolso, del más antiguo al más reciente.
+     * @param {Array<number>} solicitudIds - Los ids de las solicitudes.
+     * @returns {Promise<Array>} - Lista de cambios de estado.
+     */
+    async function getHistorialReembolsos(solicitudIds) {
+        if (solicitudIds.length === 0) return [];
+        try {
+            const { data, error } = await supabase
+                .from('reembolso_estados')
+                .select('*')
+                .in('solicitud_id', solicitudIds)
+                .order('registrado_en', { ascending: true });
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error al obtener el historial de reembolsos:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Obtiene los reembolsos vigentes en alguno de los estados indicados.
+     * Los reembolsos anteriores al seguimiento de estados (sin estado) cuentan como recibidos.
+     * @param {Array<string>} estados - Los estados de reembolso a buscar.
+     * @returns {Promise<Array>} - Lista de solicitudes ordenadas por fecha y turno.
+     */
+    async function getReembolsosPorEstado(estados) {
+        try {
+            const filtroEstado = `estado_reembolso.in.(${estados.join(',')})${estados.includes('recibido') ? ',estado_reembolso.is.null' : ''}`;
+            const { data, error } = await deLaSede(supabase
+                .from('solicitudes')
+                .select('*'))
+                .eq('tipo_solicitud', 'reembolso')
+                .or(FILTRO_NO_CANCELADA)
+                .or(filtroEstado)
+                .order('fecha_solicitud', { ascending: true })
+                .order('numero_turno', { ascending: true });
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error al obtener los reembolsos por estado:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Obtiene el perfil de un paciente por su cédula.
+     * @param {string} cedula - La cédula del paciente.
+     * @returns {Promise<Object|null>} - El perfil o null si no existe.
+     */
+    async function getPacientePorCedula(cedula) {
+        try {
+            const { data, error } = await supabase.from('pacientes').select('*').eq('cedula', cedula).maybeSingle();
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error al obtener el paciente:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Obtiene los pacientes vinculados a un número de WhatsApp, del más reciente al más antiguo.
+     * @param {string} whatsappJid - El JID de WhatsApp.
+     * @returns {Promise<Array>} - Lista de perfiles.
+     */
+    async function getPacientesPorWhatsapp(whatsappJid) {
+        try {
+            const { data, error } = await supabase
+                .from('pacientes')
+                .select('*')
+                .contains('whatsapp_jids', [whatsappJid])
+                .order('updated_at', { ascending: false });
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error al obtener los pacientes por WhatsApp:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Crea o actualiza el perfil de un paciente y lo vincula a un número de WhatsApp.
+     * Solo se sobrescriben los campos que vienen con valor.
+     * @param {Object} paciente - cedula y los datos a guardar.
+     * @param {string|null} whatsappJid - El JID desde el que se registró la solicitud.
+     * @returns {Promise<Object|null>} - El perfil guardado o null si hay error.
+     */
+    async function guardarPaciente(paciente, whatsappJid) {
+        try {
+            const existente = await getPacientePorCedula(paciente.cedula);
+            const jids = new Set(existente?.whatsapp_jids || []);
+            if (whatsappJid) jids.add(whatsappJid);
+
+            const { data, error } = await supabase
+                .from('pacientes')
+                .upsert({ ...existente, ...paciente, whatsapp_jids: [...jids], updated_at: new Date().toISOString() }, { onConflict: 'cedula' })
+                .select()
+                .single();
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error al guardar el paciente:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Obtiene las solicitudes vigentes con el estado de verificación de nómina indicado.
+     * @param {string} estado - El estado de verificación (ej: "pendiente").
+     * @returns {Promise<Array>} - Lista de solicitudes ordenadas por fecha y turno.
+     */
+    async function getSolicitudesPorVerificacion(estado) {
+        try {
+            const { data, error } = await deLaSede(supabase
+                .from('solicitudes')
+                .select('*'))
+                .eq('verificacion_nomina', estado)
+                .or(FILTRO_NO_CANCELADA)
+                .order('fecha_solicitud', { ascending: true })
+                .order('numero_turno', { ascending: true });
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error al obtener las solicitudes por verificación:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Reemplaza la nómina de empleados: guarda los del archivo como activos y desactiva los que ya no aparecen.
+     * @param {Array<Object>} empleados - Empleados con cedula, nombre, apellido, nomina y gerencia.
+     * @returns {Promise<boolean>} - true si se guardó correctamente.
+     */
+    async function reemplazarNomina(empleados) {
+        const importadoEn = new Date().toISOString();
+        try {
+            for (let i = 0; i < empleados.length; i += 500) {
+                const lote = empleados.slice(i, i + 500).map(e => ({ ...e, activo: true, importado_en: importadoEn }));
+                const { error } = await supabase.from('empleados').upsert(lote, { onConflict: 'cedula' });
+                if (error) throw error;
+            }
+            const { error } = await supabase.from('empleados').update({ activo: false }).lt('importado_en', importadoEn);
+            if (error) throw error;
+            return true;
+        } catch (error) {
+            console.error('Error al reemplazar la nómina:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Obtiene un empleado activo de la nómina por su cédula.
+     * @param {string} cedula - La cédula (solo dígitos).
+     * @returns {Promise<Object|null>} - El empleado o null si no está en la nómina.
+     */
+    async function getEmpleadoPorCedula(cedula) {
+        try {
+            const { data, error } = await supabase.from('empleados').select('*').eq('cedula', cedula).eq('activo', true).maybeSingle();
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error al obtener el empleado:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Obtiene la cantidad de empleados activos y la fecha de la última importación.
+     * @returns {Promise<{total: number, importado_en: string|null}>}
+     */
+    async function getResumenNomina() {
+        try {
+            const { data, count, error } = await supabase
+                .from('empleados')
+                .select('importado_en', { count: 'exact' })
+                .eq('activo', true)
+                .order('importado_en', { ascending: false })
+                .limit(1);
+            if (error) throw error;
+            return { total: count || 0, importado_en: data[0]?.importado_en || null };
+        } catch (error) {
+            console.error('Error al obtener el resumen de la nómina:', error.message);
+            return { total: 0, importado_en: null };
+        }
+    }
+
+    /**
+     * Registra un evento en la línea de tiempo de una emergencia.
+     * @param {Object} entrada - solicitud_id, evento y detalle.
+     * @returns {Promise<Object|null>} - El registro creado o null si hay error.
+     */
+    async function registrarEventoEmergencia(entrada) {
+        try {
+            const { data, error } = await supabase
+                .from('emergencia_eventos')
+                .insert([{ ...entrada, registrado_en: new Date().toISOString() }])
+                .select()
+                .single();
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error al registrar el evento de la emergencia:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Obtiene la línea de tiempo de varias emergencias, del evento más antiguo al más reciente.
+     * @param {Array<number>} solicitudIds - Los ids de las emergencias.
+     * @returns {Promise<Array>} - Lista de eventos.
+     */
+    async function getEventosEmergencias(solicitudIds) {
+        if (solicitudIds.length === 0) return [];
+        try {
+            const { data, error } = await supabase
+                .from('emergencia_eventos')
+                .select('*')
+                .in('solicitud_id', solicitudIds)
+                .order('registrado_en', { ascending: true });
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error al obtener los eventos de las emergencias:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Obtiene las emergencias en alguno de los estados indicados, de la más antigua a la más reciente.
+     * @param {Array<string>} estados - Los estados de emergencia a buscar (ej: "alertada").
+     * @returns {Promise<Array>} - Lista de emergencias.
+     */
+    async function getEmergenciasPorEstado(estados) {
+        try {
+            const { data, error } = await deLaSede(supabase
+                .from('solicitudes')
+                .select('*'))
+                .eq('tipo_solicitud', 'emergencia')
+                .in('estado_emergencia', estados)
+                .order('id', { ascending: true });
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error al obtener las emergencias por estado:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Obtiene todas las sesiones de conversación guardadas.
+     * @returns {Promise<Array>} - Lista de sesiones.
+     */
+    async function getSesiones() {
+        try {
+            const { data, error } = await deLaSede(supabase
+                .from('sesiones')
+                .select('*'));
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error al obtener las sesiones:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Crea o reemplaza la sesión de conversación de un número de WhatsApp (en la sede actual).
+     * @param {Object} sesion - whatsapp_jid, estado, admin, idioma, actualizado_en y aviso_enviado_en.
+     * @returns {Promise<boolean>} - true si se guardó.
+     */
+    async function guardarSesion(sesion) {
+        try {
+            const { error } = await supabase
+                .from('sesiones')
+                .upsert(conSede(sesion), { onConflict: getSedeId() ? 'sede_id,whatsapp_jid' : 'whatsapp_jid' });
+            if (error) throw error;
+            return true;
+        } catch (error) {
+            console.error('Error al guardar la sesión:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Elimina la sesión de conversación de un número de WhatsApp.
+     * @param {string} whatsappJid - JID del paciente.
+     * @returns {Promise<boolean>} - true si se eliminó.
+     */
+    async function eliminarSesion(whatsappJid) {
+        try {
+            const { error } = await deLaSede(supabase
+                .from('sesiones')
+                .delete())
+                .eq('whatsapp_jid', whatsappJid);
+            if (error) throw error;
+            return true;
+        } catch (error) {
+            console.error('Error al eliminar la sesión:', error.message);
+            return false;
+        }
+    }
+
     module.exports = {
+        getLimiteCupos,
         getCuposDisponibles,
-        getSiguienteNumeroTurno,
+        reservarTurno,
         crearSolicitud,
         getDatosReporteDiario,
         getDatosReporteMensual,
         checkExistingAppointment,
+        getSolicitudesActivasPorCedula,
+        getSolicitudesPorCedula,
+        getSolicitudesPorWhatsapp,
+        actualizarSolicitud,
+        cancelarSolicitud,
+        getSolicitudPorTurno,
+        cerrarAsistenciaDelDia,
+        getCierresCalendario,
+        agregarListaEspera,
+        getSiguienteListaEspera,
+        getListaEsperaPorEstado,
+        actualizarListaEspera,
+        getRecordatoriosPorFecha,
+        registrarRecordatorio,
+        actualizarRecordatorio,
+        getReglasCupos,
+        guardarReglaCupos,
+        eliminarReglaCupos,
+        registrarComprobantes,
+        getComprobantesPorSolicitudes,
+        reasignarComprobantes,
+        registrarEstadoReembolso,
+        getHistorialReembolsos,
+        getReembolsosPorEstado,
+        getPacientePorCedula,
+        getPacientesPorWhatsapp,
+        guardarPaciente,
+        getSolicitudesPorVerificacion,
+        reemplazarNomina,
+        getEmpleadoPorCedula,
+        getResumenNomina,
+        registrarEventoEmergencia,
+        getEventosEmergencias,
+        getEmergenciasPorEstado,
+        getSesiones,
+        guardarSesion,
+        eliminarSesion,
     };
 
 } else {
@@ -185,11 +1035,49 @@ if (supabaseConfigured) {
     const mockData = require('./mockData');
 
     module.exports = {
+        getLimiteCupos: mockData.getLimiteCupos,
         getCuposDisponibles: mockData.getCuposDisponibles,
-        getSiguienteNumeroTurno: mockData.getSiguienteNumeroTurno,
+        reservarTurno: mockData.reservarTurno,
         crearSolicitud: mockData.crearSolicitud,
         getDatosReporteDiario: mockData.getDatosReporteDiario,
         getDatosReporteMensual: mockData.getDatosReporteMensual,
         checkExistingAppointment: mockData.checkExistingAppointment,
+        getSolicitudesActivasPorCedula: mockData.getSolicitudesActivasPorCedula,
+        getSolicitudesPorCedula: mockData.getSolicitudesPorCedula,
+        getSolicitudesPorWhatsapp: mockData.getSolicitudesPorWhatsapp,
+        actualizarSolicitud: mockData.actualizarSolicitud,
+        cancelarSolicitud: mockData.cancelarSolicitud,
+        getSolicitudPorTurno: mockData.getSolicitudPorTurno,
+        cerrarAsistenciaDelDia: mockData.cerrarAsistenciaDelDia,
+        getCierresCalendario: mockData.getCierresCalendario,
+        agregarListaEspera: mockData.agregarListaEspera,
+        getSiguienteListaEspera: mockData.getSiguienteListaEspera,
+        getListaEsperaPorEstado: mockData.getListaEsperaPorEstado,
+        actualizarListaEspera: mockData.actualizarListaEspera,
+        getRecordatoriosPorFecha: mockData.getRecordatoriosPorFecha,
+        registrarRecordatorio: mockData.registrarRecordatorio,
+        actualizarRecordatorio: mockData.actualizarRecordatorio,
+        getReglasCupos: mockData.getReglasCupos,
+        guardarReglaCupos: mockData.guardarReglaCupos,
+        eliminarReglaCupos: mockData.eliminarReglaCupos,
+        registrarComprobantes: mockData.registrarComprobantes,
+        getComprobantesPorSolicitudes: mockData.getComprobantesPorSolicitudes,
+        reasignarComprobantes: mockData.reasignarComprobantes,
+        registrarEstadoReembolso: mockData.registrarEstadoReembolso,
+        getHistorialReembolsos: mockData.getHistorialReembolsos,
+        getReembolsosPorEstado: mockData.getReembolsosPorEstado,
+        getPacientePorCedula: mockData.getPacientePorCedula,
+        getPacientesPorWhatsapp: mockData.getPacientesPorWhatsapp,
+        guardarPaciente: mockData.guardarPaciente,
+        getSolicitudesPorVerificacion: mockData.getSolicitudesPorVerificacion,
+        reemplazarNomina: mockData.reemplazarNomina,
+        getEmpleadoPorCedula: mockData.getEmpleadoPorCedula,
+        getResumenNomina: mockData.getResumenNomina,
+        registrarEventoEmergencia: mockData.registrarEventoEmergencia,
+        getEventosEmergencias: mockData.getEventosEmergencias,
+        getEmergenciasPorEstado: mockData.getEmergenciasPorEstado,
+        getSesiones: mockData.getSesiones,
+        guardarSesion: mockData.guardarSesion,
+        eliminarSesion: mockData.eliminarSesion,
     };
 }
@@ -0,0 +1,246 @@
+// emergencies.js
+// Emergencias: se registran con el mensaje del paciente (texto o nota de voz transcrita) y su ubicación
+// si la comparte, se alerta de inmediato al personal de guardia y, si nadie confirma la atención en
+// EMERGENCIA_MINUTOS_ESCALAMIENTO minutos, se escala al siguiente contacto de la lista.
+// Cada paso queda en la tabla emergencia_eventos y forma la línea de tiempo de los reportes.
+// Con varias sedes, cada una alerta a su propio personal de guardia y de escalamiento (ver sedes.js).
+
+const { crearSolicitud, actualizarSolicitud, registrarEventoEmergencia, getEmergenciasPorEstado } = require('./database');
+const { getAhoraClinica, toISODate } = require('./calendar');
+const { t } = require('./i18n');
+const { idiomas } = require('./sessions');
+const { getClinica } = require('./clinica');
+const { getSedeActual, porSede } = require('./sedes');
+require('dotenv').config();
+
+// Personal de guardia de la sede (EMERGENCIA_GUARDIA): recibe la alerta apenas se reporta la emergencia
+function getGuardia() {
+    return getSedeActual().emergencia_guardia.map(n => `${n}@s.whatsapp.net`);
+}
+
+// Contactos de escalamiento de la sede (EMERGENCIA_ESCALAMIENTO), en orden: uno nuevo cada EMERGENCIA_MINUTOS_ESCALAMIENTO sin confirmación
+function getEscalamiento() {
+    return getSedeActual().emergencia_escalamiento.map(n => `${n}@s.whatsapp.net`);
+}
+
+const MINUTOS_ESCALAMIENTO = parseInt(process.env.EMERGENCIA_MINUTOS_ESCALAMIENTO, 10) || 5;
+
+// Tiempo durante el que una ubicación compartida por el paciente se asocia a su última emergencia
+const MINUTOS_UBICACION = 60;
+
+const ETIQUETAS_EVENTO = {
+    recibida: 'Recibida',
+    alerta: 'Alerta enviada',
+    ubicacion: 'Ubicación recibida',
+    escalada: 'Escalada',
+    sin_respuesta: 'Sin confirmación',
+    atendida: 'Atendida',
+};
+
+const ETIQUETAS_ESTADO_EMERGENCIA = {
+    alertada: 'Alertada',
+    sin_respuesta: 'Sin confirmación',
+    atendida: 'Atendida',
+};
+
+// Última emergencia de cada paciente, para asociarle la ubicación que comparta después
+const emergenciasRecientes = porSede(() => new Map());
+
+function numeroDe(jid) {
+    return String(jid || '').split('@')[0];
+}
+
+async function registrarEvento(solicitudId, evento, detalle = null) {
+    await registrarEventoEmergencia({ solicitud_id: solicitudId, evento, detalle });
+}
+
+/**
+ * Envía un mensaje a varios contactos sin detenerse si alguno falla.
+ * @returns {Promise<Array<string>>} Los contactos a los que se les entregó el mensaje.
+ */
+async function enviarATodos(sock, contactos, contenido) {
+    const enviados = [];
+    for (const jid of contactos) {
+        try {
+            await sock.sendMessage(jid, contenido);
+            enviados.push(jid);
+        } catch (error) {
+            console.error(`[EMERGENCIAS] Error al enviar a ${jid}:`, error.message);
+        }
+    }
+    return enviados;
+}
+
+function textoAlerta(emergencia, encabezado) {
+    const mensaje = emergencia.mensaje ? `\n*Mensaje:* ${emergencia.mensaje}` : '';
+    const ubicacion = emergencia.ubicacion ? `\n*Ubicación:* ${emergencia.ubicacion}` : '';
+    return `${encabezado}\n\n*Paciente:* wa.me/${numeroDe(emergencia.whatsapp_jid)}${mensaje}${ubicacion}\n*Hora:* ${emergencia.hora_solicitud}\n\nResponde */atender ${emergencia.id}* para confirmar que la estás atendiendo.`;
+}
+
+// Contactos que ya recibieron la alerta de una emergencia (guardia y escalamientos hechos)
+function contactosAlertados(emergencia) {
+    return [...getGuardia(), ...getEscalamiento().slice(0, emergencia.nivel_escalamiento || 0)];
+}
+
+/**
+ * Indica si un número pertenece al personal de guardia o de escalamiento.
+ * @param {string} jid - JID del remitente.
+ * @returns {boolean}
+ */
+function esPersonalEmergencias(jid) {
+    return getGuardia().includes(jid) || getEscalamiento().includes(jid);
+}
+
+/**
+ * Registra una emergencia, responde al paciente y alerta al personal de guardia.
+ * @param {Object} sock - Socket de WhatsApp.
+ * @param {string} whatsappJid - JID del paciente.
+ * @param {string|null} mensaje - Lo que escribió o dijo el paciente.
+ * @param {string} [idioma] - El idioma del paciente, para la respuesta.
+ * @returns {Promise<Object|null>} La emergencia registrada, o null si no se pudo guardar.
+ */
+async function registrarEmergencia(sock, whatsappJid, mensaje = null, idioma = 'es') {
+    const ahora = getAhoraClinica();
+    const emergencia = await crearSolicitud({
+        tipo_solicitud: 'emergencia',
+        fecha_solicitud: toISODate(ahora),
+        hora_solicitud: ahora.toTimeString().slice(0, 8),
+        numero_turno: 'EMERGENCIA',
+        whatsapp_jid: whatsappJid,
+        idioma,
+        mensaje: mensaje || null,
+        estado_emergencia: 'alertada',
+        nivel_escalamiento: 0,
+        ultima_alerta: new Date().toISOString(),
+    });
+
+    // Al paciente se le responde aunque la emergencia no se haya podido guardar
+    await sock.sendMessage(whatsappJid, { text: t(idioma, 'emergencia_paciente', { telefono: getClinica().telefono_emergencias }) });
+    if (!emergencia) return null;
+
+    emergenciasRecientes.set(whatsappJid, { id: emergencia.id, expira: Date.now() + MINUTOS_UBICACION * 60 * 1000 });
+    await registrarEvento(emergencia.id, 'recibida', mensaje);
+
+    const enviados = await enviarATodos(sock, getGuardia(), { text: textoAlerta(emergencia, `🚨 *EMERGENCIA #${emergencia.id}*`) });
+    await registrarEvento(emergencia.id, 'alerta', enviados.length > 0 ? enviados.map(numeroDe).join(', ') : 'No hay personal de guardia configurado');
+    console.log(`[EMERGENCIAS] Emergencia #${emergencia.id} de ${whatsappJid} alertada a ${enviados.length} contacto(s).`);
+    return emergencia;
+}
+
+/**
+ * Asocia la ubicación que compartió el paciente a su última emergencia y la reenvía al personal alertado.
+ * @param {Object} sock - Socket de WhatsApp.
+ * @param {string} whatsappJid - JID del paciente.
+ * @param {Object} ubicacion - El locationMessage de Baileys.
+ * @param {string} [idioma] - El idioma del paciente, para la respuesta.
+ * @returns {Promise<boolean>} true si el paciente tenía una emergencia reciente.
+ */
+async function registrarUbicacion(sock, whatsappJid, ubicacion, idioma = 'es') {
+    const reciente = emergenciasRecientes.get(whatsappJid);
+    if (!reciente || reciente.expira < Date.now()) {
+        emergenciasRecientes.delete(whatsappJid);
+        return false;
+    }
+
+    const { degreesLatitude: latitud, degreesLongitude: longitud } = ubicacion;
+    const lugar = [ubicacion.name, ubicacion.address].filter(Boolean).join(', ');
+    const texto = `${lugar ? `${lugar} ` : ''}https://maps.google.com/?q=${latitud},${longitud}`;
+
+    const emergencia = await actualizarSolicitud(reciente.id, { ubicacion: texto });
+    if (!emergencia) return false;
+    await registrarEvento(emergencia.id, 'ubicacion', texto);
+
+    const contactos = contactosAlertados(emergencia);
+    await enviarATodos(sock, contactos, { text: `📍 Ubicación del paciente de la *EMERGENCIA #${emergencia.id}*:\n${texto}` });
+    await enviarATodos(sock, contactos, { location: { degreesLatitude: latitud, degreesLongitude: longitud } });
+    await sock.sendMessage(whatsappJid, { text: t(idioma, 'emergencia_ubicacion') });
+    return true;
+}
+
+/**
+ * Registra que un miembro del personal está atendiendo la emergencia y detiene el escalamiento.
+ * @param {Object} sock - Socket de WhatsApp.
+ * @param {string} personalJid - JID de quien confirma.
+ * @param {string} [idTexto] - El número de la emergencia; si se omite, la más reciente sin atender.
+ * @returns {Promise<{ok: boolean, mensaje: string}>} Resultado para mostrar al personal.
+ */
+async function atenderEmergencia(sock, personalJid, idTexto) {
+    const pendientes = await getEmergenciasPorEstado(['alertada', 'sin_respuesta']);
+    if (pendientes.length === 0) return { ok: false, mensaje: 'No hay emergencias pendientes de atención.' };
+
+    let emergencia;
+    if (idTexto) {
+        const id = parseInt(String(idTexto).replace(/\D/g, ''), 10);
+        emergencia = pendientes.find(e => e.id === id);
+        if (!emergencia) return { ok: false, mensaje: `La emergencia #${idTexto} no existe o ya fue atendida.` };
+    } else {
+        emergencia = pendientes[pendientes.length - 1];
+    }
+
+    const actualizada = await actualizarSolicitud(emergencia.id, { estado_emergencia: 'atendida', atendida_por: numeroDe(personalJid) });
+    if (!actualizada) return { ok: false, mensaje: `Hubo un error al actualizar la emergencia #${emergencia.id}.` };
+    await registrarEvento(emergencia.id, 'atendida', numeroDe(personalJid));
+
+    if (emergencia.whatsapp_jid) {
+        await enviarATodos(sock, [emergencia.whatsapp_jid], { text: t(emergencia.idioma || idiomas[emergencia.whatsapp_jid], 'emergencia_atendida') });
+    }
+    const otros = contactosAlertados(actualizada).filter(jid => jid !== personalJid);
+    await enviarATodos(sock, otros, { text: `✅ La *EMERGENCIA #${emergencia.id}* ya está siendo atendida por wa.me/${numeroDe(personalJid)}.` });
+    return { ok: true, mensaje: `Emergencia #${emergencia.id} marcada como atendida. Se avisó al paciente.` };
+}
+
+/**
+ * Revisión periódica: escala al siguiente contacto las emergencias sin confirmación después de
+ * MINUTOS_ESCALAMIENTO minutos. Cuando no quedan contactos, se recuerda a todos y queda sin confirmación.
+ * @param {Object} sock - Socket de WhatsApp.
+ */
+async function revisarEmergencias(sock) {
+    for (const [jid, reciente] of emergenciasRecientes) {
+        if (reciente.expira < Date.now()) emergenciasRecientes.delete(jid);
+    }
+
+    const limite = Date.now() - MINUTOS_ESCALAMIENTO * 60 * 1000;
+    const vencidas = (await getEmergenciasPorEstado(['alertada']))
+        .filter(e => new Date(e.ultima_alerta).getTime() <= limite);
+
+    for (const emergencia of vencidas) {
+        const nivel = emergencia.nivel_escalamiento || 0;
+        const siguiente = getEscalamiento()[nivel];
+
+        if (siguiente) {
+            await actualizarSolicitud(emergencia.id, { nivel_escalamiento: nivel + 1, ultima_alerta: new Date().toISOString() });
+            const enviados = await enviarATodos(sock, [siguiente], { text: textoAlerta(emergencia, `🚨 *EMERGENCIA #${emergencia.id}* (escalada: nadie la ha confirmado en ${MINUTOS_ESCALAMIENTO} minutos)`) });
+            await registrarEvento(emergencia.id, 'escalada', enviados.length > 0 ? numeroDe(siguiente) : `${numeroDe(siguiente)} (no se pudo enviar)`);
+            console.log(`[EMERGENCIAS] Emergencia #${emergencia.id} escalada a ${siguiente}.`);
+            continue;
+        }
+
+        await actualizarSolicitud(emergencia.id, { estado_emergencia: 'sin_respuesta', ultima_alerta: new Date().toISOString() });
+        await enviarATodos(sock, contactosAlertados(emergencia), { text: textoAlerta(emergencia, `⚠️ *EMERGENCIA #${emergencia.id} SIN CONFIRMAR*`) });
+        await registrarEvento(emergencia.id, 'sin_respuesta', 'Se agotaron los contactos de escalamiento');
+        console.warn(`[EMERGENCIAS] Emergencia #${emergencia.id} sin confirmación después de todos los escalamientos.`);
+    }
+}
+
+/**
+ * Arma la línea de tiempo de una emergencia para los reportes, un evento por línea.
+ * @param {Array<Object>} eventos - Los eventos de la emergencia, del más antiguo al más reciente.
+ * @param {string} timeZone - Zona horaria en la que se muestran las horas.
+ * @returns {string}
+ */
+function describirLineaTiempo(eventos, timeZone) {
+    return eventos.map(e => {
+        const hora = new Date(e.registrado_en).toLocaleTimeString('es-VE', { timeZone, hour: '2-digit', minute: '2-digit', second: '2-digit' });
+        return `${hora} ${ETIQUETAS_EVENTO[e.evento] || e.evento}${e.detalle ? `: ${e.detalle}` : ''}`;
+    }).join('\n');
+}
+
+module.exports = {
+    ETIQUETAS_ESTADO_EMERGENCIA,
+    esPersonalEmergencias,
+    registrarEmergencia,
+    registrarUbicacion,
+    atenderEmergencia,
+    revisarEmergencias,
+    describirLineaTiempo,
+};
@@ -0,0 +1,743 @@
+// i18n.js
+// Catálogo de mensajes al paciente en español, inglés y portugués, y detección del idioma del
+// primer mensaje de la conversación. Los valores que se guardan (tipos de consulta, nóminas, días,
+// parentescos) siguen siendo los canónicos en español: aquí solo se traducen sus etiquetas. Las de los
+// tipos de consulta y las nóminas vienen de la configuración de la clínica (clinica.js).
+// Los mensajes a los administradores y los reportes no pasan por el catálogo.
+
+const { getOpcionClinica } = require('./clinica');
+require('dotenv').config();
+
+const IDIOMAS = {
+    es: { nombre: 'español', whisper: 'spanish', locale: 'es-VE' },
+    en: { nombre: 'English', whisper: 'english', locale: 'en-US' },
+    pt: { nombre: 'português', whisper: 'portuguese', locale: 'pt-BR' },
+};
+
+const IDIOMA_POR_DEFECTO = IDIOMAS[process.env.IDIOMA_POR_DEFECTO] ? process.env.IDIOMA_POR_DEFECTO : 'es';
+
+const MENSAJES = {
+    es: {
+        // --- Conversación ---
+        saludo: '¡Hola! Soy el asistente virtual de {clinica}.',
+        menu_reinicio: 'Ok, empecemos de nuevo.',
+        ia_no_disponible: 'Lo siento, nuestro asistente inteligente no está disponible en este momento.',
+        ia_error: 'Hubo un problema con el asistente.',
+        despedida: 'Estamos para servirle, que tenga un gran día.',
+        idioma_cambiado: 'De acuerdo, continuemos en español.',
+        en_que_mas: '¿En qué más puedo ayudarte?',
+        responde_si_no: 'Responde *sí* o *no*.',
+        seguimos: '¿Seguimos? 🙂 Tu solicitud quedó a medias. Responde a la última pregunta para continuar, o escribe *menu* para empezar de nuevo.\n\n_Si no respondes en {minutos} minutos, cerraremos la conversación._',
+        datos_no_validados: 'No pude validar algunos de tus datos{campos}. Por favor, indícalos de nuevo para continuar.',
+        y: 'y',
+
+        // --- Notas de voz ---
+        audio_procesando: 'Procesando tu nota de voz, un momento...',
+        audio_error_descarga: 'Hubo un error al descargar el audio. Por favor intenta de nuevo.',
+        audio_no_transcrito: 'Lo siento, no pude procesar tu nota de voz. Por favor, ¿podrías escribir tu solicitud?',
+        audio_error: 'Hubo un problema inesperado con tu nota de voz. Por favor, intenta de nuevo.',
+        audio_muy_largo: 'Tu nota de voz es demasiado larga. Por favor, envía una de hasta {duracion} o escribe tu solicitud.',
+        duracion_minutos: '{n} minuto(s)',
+        duracion_segundos: '{n} segundos',
+
+        // --- Fechas y cupos ---
+        ya_tiene_cita_dia: 'Lo siento, ya tienes una cita registrada para el día disponible ({fechas}). No es posible agendar dos citas el mismo día.',
+        ya_tiene_cita_dias: 'Lo siento, ya tienes una cita registrada para los días disponibles ({fechas}). No es posible agendar dos citas el mismo día.',
+        sin_cupos_dia: 'Lo sentimos, no hay cupos disponibles para el {dia} ni en los días siguientes.',
+        sin_cupos: 'Lo sentimos, no hemos encontrado cupos disponibles en los próximos 7 días.',
+        lista_espera_pregunta_dia: '¿Deseas que te anotemos en la lista de espera para un {dia}? Si se libera un cupo te avisaremos por aquí.',
+        lista_espera_pregunta: '¿Deseas que te anotemos en la lista de espera? Si se libera un cupo te avisaremos por aquí.',
+        cupo: 'cupo',
+        cupos: 'cupos',
+        fechas_encabezado_una: 'Esta es la próxima fecha disponible:',
+        fechas_encabezado_varias: 'Estas son las próximas fechas disponibles:',
+        fechas_instruccion_una: 'Responde *1* para agendarla, o *no* si no te sirve.',
+        fechas_instruccion_varias: 'Responde con el número de la fecha que prefieras (1 a {total}), o *no* si ninguna te sirve.',
+        fecha_no_registrada: 'Entendido, no registramos la solicitud. Puedes escribirnos de nuevo cuando quieras buscar otra fecha.',
+        fecha_opcion_invalida: 'Por favor, responde con el número de una de las fechas (1 a {total}), o *no* para salir.',
+        ya_tiene_cita_fecha: 'Ya tienes una cita registrada para el {fecha}.',
+        fecha_llena: 'Lo siento, el {fecha} se llenó mientras elegías.',
+        nomina_no_encontrada: 'No encontré la cédula {cedula} en la nómina de la empresa. Puedes continuar, pero tu solicitud quedará *pendiente de verificación* por el personal.',
+        nomina_rechazada: 'Tu turno *{turno}* del {fecha} fue cancelado porque no pudimos verificar tus datos en la nómina de la empresa. Si crees que es un error, comunícate con Recursos Humanos.',
+
+        // --- Comprobantes de reembolso ---
+        reembolso_pedir_facturas: 'Para procesar tu reembolso necesito las facturas o recibos.\n\nEnvía una *foto o PDF* de cada factura e indica en el mismo mensaje (o en el siguiente) el *monto y el concepto*, por ejemplo: _350,50 Medicinas_.\n\nCuando hayas enviado todas, escribe *listo*.',
+        factura_monto_pendiente: 'Antes de enviar otra factura, indícame el *monto y el concepto* de la anterior (ej: _350,50 Medicinas_).',
+        factura_sin_monto: 'Recibí el archivo. ¿Cuál es el *monto y el concepto* de esta factura? (ej: _350,50 Medicinas_)',
+        factura_registrada: 'Factura registrada: {concepto} por {monto}. Envía la siguiente o escribe *listo*.',
+        factura_monto_no_identificado: 'No pude identificar el monto y el concepto. Escríbelos así: _350,50 Medicinas_',
+        reembolso_cancelado: 'Entendido, no registramos el reembolso.',
+        factura_minimo: 'Necesito al menos una factura para procesar el reembolso. Envía una foto o PDF, o escribe *cancelar* para salir.',
+        facturas_recibidas: 'Recibí {cantidad} {facturas} por un total de *{total}*.',
+        factura: 'factura',
+        facturas: 'facturas',
+        factura_instruccion: 'Envía una *foto o PDF* de la factura con el monto y el concepto, o escribe *listo* si ya enviaste todas.',
+        comprobante_sin_adjunto: 'El mensaje no tiene una foto ni un documento adjunto.',
+        comprobante_formato: 'Solo se aceptan fotos (JPG o PNG) o documentos PDF.',
+        comprobante_tamano: 'El archivo supera el tamaño máximo de {mb} MB.',
+        comprobante_error: 'No pude guardar el archivo. Por favor, envíalo de nuevo.',
+
+        // --- Lista de espera ---
+        lista_espera_responde: 'Por favor, responde *sí* para anotarte en la lista de espera o *no* para salir.',
+        lista_espera_no: 'Entendido. Puedes escribirnos de nuevo cuando quieras buscar otra fecha.',
+        lista_espera_ok: 'Listo, quedaste en la lista de espera. Cuando se libere un cupo te escribiremos y tendrás {minutos} minutos para confirmarlo.',
+        lista_espera_error: 'Hubo un error al anotarte en la lista de espera. Por favor, intenta de nuevo.',
+        oferta_rechazada: 'De acuerdo, liberamos el cupo y te retiramos de la lista de espera.',
+        oferta_vencida: 'Lo siento, la reserva de ese cupo ya venció.',
+        oferta_ya_tiene_cita: 'Ya tienes una cita registrada para el {fecha}, así que seguirás en la lista de espera para otro día.',
+        oferta_sin_cupo: 'Lo siento, el cupo ya no está disponible. Seguirás en la lista de espera.',
+        oferta_cupo: '¡Buenas noticias! Se liberó un cupo de *{tipo}* para el *{fecha}*.\n\n¿Deseas tomarlo? Responde *sí* o *no*. Te lo reservamos durante {minutos} minutos.',
+        oferta_expirada: 'El cupo que te reservamos ya no está disponible porque venció el tiempo para confirmarlo. Si aún lo necesitas, escríbenos para buscar otra fecha.',
+
+        // --- Recordatorios ---
+        recordatorio_confirmado: '¡Gracias por confirmar! Te esperamos.',
+        recordatorio_cancelado_uno: 'Listo, cancelamos tu turno: {turnos}. Gracias por avisarnos.',
+        recordatorio_cancelado_varios: 'Listo, cancelamos tus turnos: {turnos}. Gracias por avisarnos.',
+        recordatorio_ya_cancelado: 'Ese turno ya estaba cancelado. Si necesitas otra cita, escríbenos.',
+        recordatorio: '🔔 *Recordatorio*\n\nTe esperamos el *{fecha}* para:\n{turnos}\n\n{instrucciones}',
+        recordatorio_turno: '• *{turno}* ({tipo})',
+        recordatorio_turno_hora: '• *{turno}* ({tipo}, hora estimada {hora})',
+        recordatorio_responde: 'Responde *1* para confirmar tu asistencia o *2* para cancelar.',
+        recordatorio_escribenos: 'Si no puedes asistir, escríbenos para cancelar o reprogramar.',
+
+        // --- Cancelación y reprogramación ---
+        tipo_consulta: 'Consulta',
+        tipo_ecor: 'ECOR',
+        tipo_reembolso: 'Reembolso',
+        solicitud_descripcion: '{turno} ({tipo}){paciente} para el {fecha}',
+        solicitud_de: ' de {nombre}',
+        modificacion_sin_cedula: 'Necesito el número de cédula con el que se registró la solicitud para poder ubicarla.',
+        modificacion_sin_solicitudes: 'No encontré solicitudes vigentes asociadas a la cédula {cedula}.',
+        modificacion_varias_cancelar: 'Encontré varias solicitudes a tu nombre. ¿Cuál deseas cancelar? Responde con el número:\n\n{lista}',
+        modificacion_varias_reprogramar: 'Encontré varias solicitudes a tu nombre. ¿Cuál deseas reprogramar? Responde con el número:\n\n{lista}',
+        confirmar_reprogramar_dia: '¿Confirmas que deseas mover tu turno {solicitud} al próximo {dia} disponible?',
+        confirmar_reprogramar: '¿Confirmas que deseas mover tu turno {solicitud} al próximo día disponible?',
+        confirmar_cancelar: '¿Confirmas que deseas cancelar tu turno {solicitud}?',
+        sin_cambios: 'De acuerdo, no se realizó ningún cambio.',
+        opcion_invalida: 'Opción no válida. Por favor, responde con un número del 1 al {total}.',
+        modificacion_responde: 'Por favor, responde *sí* para confirmar o *no* para dejar tu solicitud como está.',
+        solicitud_sin_cambios: 'De acuerdo, tu solicitud se mantiene sin cambios.',
+        cancelacion_error: 'Hubo un error al cancelar tu solicitud. Por favor, intenta de nuevo.',
+        cancelacion_ok: 'Tu turno {solicitud} ha sido cancelado.\n\n¿En qué más puedo ayudarte?',
+        reprogramacion_sin_cupos: 'Lo sentimos, no hay cupos disponibles para esa fecha en los próximos 7 días. Tu solicitud actual se mantiene sin cambios.',
+        reprogramacion_misma_fecha: 'Tu solicitud ya está agendada para el {fecha}. No se realizó ningún cambio.',
+        reprogramacion_cita_existente: 'Lo siento, ya tienes una cita registrada para el {fecha}. No es posible agendar dos citas el mismo día.',
+        reprogramacion_fallida: '{mensaje}\n\nTu solicitud anterior se mantiene sin cambios.',
+        reprogramacion_ok: 'Tu turno anterior {solicitud} fue cancelado.\n\n{mensaje}',
+
+        // --- Consulta de solicitudes ---
+        estado_cancelada: 'Cancelada',
+        estado_pendiente: 'Pendiente',
+        estado_finalizada: 'Finalizada',
+        reembolso_recibido: 'Recibido',
+        reembolso_en_revision: 'En revisión',
+        reembolso_aprobado: 'Aprobado',
+        reembolso_rechazado: 'Rechazado',
+        reembolso_pagado: 'Pagado',
+        reembolso_aviso_en_revision: 'Tu reembolso *{turno}* está *en revisión*. Te avisaremos cuando tengamos una respuesta.',
+        reembolso_aviso_aprobado: '¡Buenas noticias! Tu reembolso *{turno}* fue *aprobado*. Te avisaremos cuando se realice el pago.',
+        reembolso_aviso_rechazado: 'Tu reembolso *{turno}* fue *rechazado*.\n\n*Motivo:* {motivo}\n\nSi tienes dudas, escríbenos.',
+        reembolso_aviso_pagado: 'Tu reembolso *{turno}* fue *pagado*. ¡Gracias por tu paciencia!',
+        consulta_sin_solicitudes_numero: 'No encontré solicitudes registradas desde este número. Por favor, indícame tu número de cédula para buscarlas.',
+        consulta_sin_solicitudes_cedula: 'No encontré solicitudes de los últimos {dias} días ni próximas asociadas a la cédula {cedula}.',
+        consulta_hora: ' (aprox. {hora})',
+        consulta_titulo: '*Tus solicitudes*',
+        consulta_proximas: '_Próximas:_',
+        consulta_sin_proximas: '_No tienes solicitudes próximas._',
+        consulta_recientes: '_Recientes:_',
+        cedula_solo_numero: 'Por favor, indícame solo el número de cédula (ej: 12345678).',
+
+        // --- Registro de la solicitud ---
+        error_datos: 'Hubo un error al recuperar tus datos. Por favor, intenta de nuevo.',
+        error_ultimo_cupo: 'Lo siento, el último cupo de esa fecha acaba de ser tomado.',
+        error_registro: 'Hubo un error al registrar tu solicitud en la base de datos.',
+        registro_exitoso: '¡Registro exitoso!\n\nTu solicitud ha sido agendada con el número de turno: *{turno}*.\n{paciente}\n*Fecha Asignada:* {fecha}{hora_estimada}\n*Hora del Registro:* {hora_registro}{verificacion}\n\n_Te recordamos que el horario de atención en la clínica ese día es de {horario}._\n\n¿En qué más puedo ayudarte?',
+        registro_paciente: '\n*Paciente:* {nombre} ({titular})',
+        registro_hora_estimada: '\n*Hora Estimada de Llegada:* {hora}',
+        registro_verificacion: '\n\n_Tus datos no aparecen en la nómina: el personal verificará la solicitud y te avisará si hay algún problema._',
+        horario_hasta: 'a',
+        titular_descripcion: '{parentesco} de {nombre}, C.I. {cedula}',
+        titular: 'titular',
+
+        // --- Emergencias ---
+        emergencia_paciente: 'Detecté una emergencia. Por favor, comunícate directamente al siguiente número:\n*{telefono}*\n\nYa avisamos al personal de guardia. Si puedes, comparte tu *ubicación* por este chat (📎 > Ubicación) para que sepan dónde encontrarte.',
+        emergencia_ubicacion: 'Recibimos tu ubicación y se la enviamos al personal de guardia.',
+        emergencia_atendida: 'El personal de guardia ya está atendiendo tu emergencia y se comunicará contigo.',
+
+        // --- Menú guiado ---
+        menu_pregunta: 'Por favor, responde con el número de tu solicitud:\n\n{opciones}',
+        menu_ayuda: '_Escribe *0* para volver atrás, *menu* para empezar de nuevo o *salir* para terminar._',
+        menu_agendar: 'Agendar una Cita',
+        menu_reembolso: 'Solicitar un Reembolso',
+        menu_emergencia: 'Emergencia',
+        menu_modificar: 'Cancelar o Reprogramar una Cita',
+        menu_consultar: 'Consultar mis Solicitudes',
+        menu_historia: 'Antes de continuar, por favor asegúrate de que tu historia médica se encuentra en la clínica. ¿Deseas continuar?\n\n{opciones}',
+        menu_historia_si: 'Sí, continuar',
+        menu_historia_no: 'No',
+        menu_tipo_consulta: '¿Qué tipo de consulta necesitas?\n\n{opciones}',
+        menu_para_quien_cita: '¿Para quién es la cita?\n\n{opciones}',
+        menu_para_quien_reembolso: '¿Para quién es el reembolso?\n\n{opciones}',
+        menu_para_mi: 'Para mí',
+        menu_para_familiar: 'Para un familiar (cónyuge, hijo/a, padre o madre, hermano/a)',
+        menu_nombre: '¿Cuál es el *nombre* del paciente?',
+        menu_apellido: '¿Cuál es el *apellido* del paciente?',
+        menu_cedula: '¿Cuál es el número de *cédula* del paciente?',
+        menu_cedula_menor: ' Si es un menor sin cédula, escribe *no tiene*.',
+        menu_titular_nombre: '¿Cuál es el *nombre* del trabajador titular?',
+        menu_titular_apellido: '¿Cuál es el *apellido* del trabajador titular?',
+        menu_titular_cedula: '¿Cuál es el número de *cédula* del trabajador titular?',
+        menu_parentesco: '¿Qué parentesco tiene el paciente con el titular?\n\n{opciones}',
+        menu_nomina_titular: '¿A qué tipo de nómina pertenece el titular?\n\n{opciones}',
+        menu_nomina: '¿A qué tipo de nómina perteneces?\n\n{opciones}',
+        menu_gerencia_titular: '¿A qué *gerencia* pertenece el titular?',
+        menu_gerencia: '¿A qué *gerencia* perteneces?',
+        menu_dia: '¿Prefieres algún día de la semana? Escribe el día (ej: martes) o *no* para buscar la fecha más próxima.',
+        menu_accion_modificacion: '¿Qué deseas hacer?\n\n{opciones}',
+        menu_cancelar_solicitud: 'Cancelar mi cita o reembolso',
+        menu_reprogramar_solicitud: 'Cambiar mi cita o reembolso para otro día',
+        menu_cedula_registro: '¿Cuál es el número de cédula con el que se registró la solicitud?',
+        menu_dia_reprogramacion: '¿Para qué día de la semana deseas moverla?',
+        menu_nombre_invalido: 'Por favor, escríbelo solo con letras (ej: María).',
+        menu_cedula_invalida: 'La cédula debe tener solo números, de 5 a 10 dígitos (ej: 12345678).',
+        menu_dia_invalido: 'No reconocí el día. Escribe un día de la semana (ej: martes).',
+        menu_dia_invalido_opcional: 'No reconocí el día. Escribe un día de la semana (ej: martes) o *no*.',
+        menu_gerencia_invalida: 'Por favor, escribe el nombre de la gerencia.',
+        menu_responde_escrito: 'Por favor, responde por escrito.',
+        menu_salir: 'De acuerdo, no registramos nada. Escribe *menu* cuando quieras empezar de nuevo.',
+        menu_historia_salir: 'Entendido. Cuando tu historia médica esté en la clínica, escríbenos para agendar tu cita.',
+        menu_dato_corregir: 'Hay un dato que debemos corregir.',
+
+        // --- Nombres de los campos (datos a corregir) ---
+        campo_nombre_paciente: 'nombre',
+        campo_apellido_paciente: 'apellido',
+        campo_cedula: 'cédula',
+        campo_nomina: 'nómina',
+        campo_gerencia: 'gerencia',
+        campo_tipo_consulta_detalle: 'tipo de consulta',
+        campo_dia_semana_deseado: 'día de la semana',
+        campo_titular_nombre: 'nombre del titular',
+        campo_titular_apellido: 'apellido del titular',
+        campo_titular_cedula: 'cédula del titular',
+        campo_parentesco: 'parentesco',
+    },
+
+    en: {
+        saludo: 'Hello! I\'m the virtual assistant of {clinica}.',
+        menu_reinicio: 'OK, let\'s start over.',
+        ia_no_disponible: 'Sorry, our smart assistant is not available right now.',
+        ia_error: 'There was a problem with the assistant.',
+        despedida: 'We are here to help. Have a great day.',
+        idioma_cambiado: 'Sure, let\'s continue in English.',
+        en_que_mas: 'What else can I help you with?',
+        responde_si_no: 'Reply *yes* or *no*.',
+        seguimos: 'Shall we continue? 🙂 Your request is unfinished. Answer the last question to continue, or type *menu* to start over.\n\n_If you don\'t reply within {minutos} minutes, we will close the conversation._',
+        datos_no_validados: 'I couldn\'t validate some of your details{campos}. Please provide them again to continue.',
+        y: 'and',
+
+        audio_procesando: 'Processing your voice note, one moment...',
+        audio_error_descarga: 'There was an error downloading the audio. Please try again.',
+        audio_no_transcrito: 'Sorry, I couldn\'t process your voice note. Could you please type your request?',
+        audio_error: 'There was an unexpected problem with your voice note. Please try again.',
+        audio_muy_largo: 'Your voice note is too long. Please send one of up to {duracion} or type your request.',
+        duracion_minutos: '{n} minute(s)',
+        duracion_segundos: '{n} seconds',
+
+        ya_tiene_cita_dia: 'Sorry, you already have an appointment on the available day ({fechas}). You can\'t book two appointments on the same day.',
+        ya_tiene_cita_dias: 'Sorry, you already have an appointment on the available days ({fechas}). You can\'t book two appointments on the same day.',
+        sin_cupos_dia: 'Sorry, there are no slots available on {dia} or the following days.',
+        sin_cupos: 'Sorry, we couldn\'t find any available slots in the next 7 days.',
+        lista_espera_pregunta_dia: 'Would you like us to add you to the waiting list for a {dia}? If a slot opens up, we\'ll let you know here.',
+        lista_espera_pregunta: 'Would you like us to add you to the waiting list? If a slot opens up, we\'ll let you know here.',
+        cupo: 'slot',
+        cupos: 'slots',
+        fechas_encabezado_una: 'This is the next available date:',
+        fechas_encabezado_varias: 'These are the next available dates:',
+        fechas_instruccion_una: 'Reply *1* to book it, or *no* if it doesn\'t work for you.',
+        fechas_instruccion_varias: 'Reply with the number of the date you prefer (1 to {total}), or *no* if none works for you.',
+        fecha_no_registrada: 'Understood, we didn\'t register the request. You can write to us again whenever you want to look for another date.',
+        fecha_opcion_invalida: 'Please reply with the number of one of the dates (1 to {total}), or *no* to exit.',
+        ya_tiene_cita_fecha: 'You already have an appointment on {fecha}.',
+        fecha_llena: 'Sorry, {fecha} filled up while you were choosing.',
+        nomina_no_encontrada: 'I couldn\'t find ID number {cedula} in the company payroll. You can continue, but your request will be *pending verification* by the staff.',
+        nomina_rechazada: 'Your appointment *{turno}* on {fecha} was cancelled because we could not verify your details in the company payroll. If you think this is a mistake, please contact Human Resources.',
+
+        reembolso_pedir_facturas: 'To process your refund I need the invoices or receipts.\n\nSend a *photo or PDF* of each invoice and include in the same message (or the next one) the *amount and description*, for example: _350.50 Medicines_.\n\nWhen you have sent them all, type *done*.',
+        factura_monto_pendiente: 'Before sending another invoice, tell me the *amount and description* of the previous one (e.g. _350.50 Medicines_).',
+        factura_sin_monto: 'I got the file. What is the *amount and description* of this invoice? (e.g. _350.50 Medicines_)',
+        factura_registrada: 'Invoice registered: {concepto} for {monto}. Send the next one or type *done*.',
+        factura_monto_no_identificado: 'I couldn\'t identify the amount and description. Write them like this: _350.50 Medicines_',
+        reembolso_cancelado: 'Understood, we didn\'t register the refund.',
+        factura_minimo: 'I need at least one invoice to process the refund. Send a photo or PDF, or type *cancel* to exit.',
+        facturas_recibidas: 'I received {cantidad} {facturas} for a total of *{total}*.',
+        factura: 'invoice',
+        facturas: 'invoices',
+        factura_instruccion: 'Send a *photo or PDF* of the invoice with the amount and description, or type *done* if you have sent them all.',
+        comprobante_sin_adjunto: 'The message has no photo or document attached.',
+        comprobante_formato: 'Only photos (JPG or PNG) or PDF documents are accepted.',
+        comprobante_tamano: 'The file exceeds the maximum size of {mb} MB.',
+        comprobante_error: 'I couldn\'t save the file. Please send it again.',
+
+        lista_espera_responde: 'Please reply *yes* to join the waiting list or *no* to exit.',
+        lista_espera_no: 'Understood. You can write to us again whenever you want to look for another date.',
+        lista_espera_ok: 'Done, you are on the waiting list. When a slot opens up we\'ll message you and you\'ll have {minutos} minutes to confirm it.',
+        lista_espera_error: 'There was an error adding you to the waiting list. Please try again.',
+        oferta_rechazada: 'All right, we released the slot and removed you from the waiting list.',
+        oferta_vencida: 'Sorry, the hold on that slot has expired.',
+        oferta_ya_tiene_cita: 'You already have an appointment on {fecha}, so you\'ll stay on the waiting list for another day.',
+        oferta_sin_cupo: 'Sorry, the slot is no longer available. You\'ll stay on the waiting list.',
+        oferta_cupo: 'Good news! A *{tipo}* slot opened up for *{fecha}*.\n\nWould you like to take it? Reply *yes* or *no*. We\'ll hold it for you for {minutos} minutes.',
+        oferta_expirada: 'The slot we held for you is no longer available because the time to confirm it ran out. If you still need it, write to us to find another date.',
+
+        recordatorio_confirmado: 'Thanks for confirming! See you then.',
+        recordatorio_cancelado_uno: 'Done, we cancelled your appointment: {turnos}. Thanks for letting us know.',
+        recordatorio_cancelado_varios: 'Done, we cancelled your appointments: {turnos}. Thanks for letting us know.',
+        recordatorio_ya_cancelado: 'That appointment was already cancelled. If you need another one, just write to us.',
+        recordatorio: '🔔 *Reminder*\n\nWe\'ll see you on *{fecha}* for:\n{turnos}\n\n{instrucciones}',
+        recordatorio_turno: '• *{turno}* ({tipo})',
+        recordatorio_turno_hora: '• *{turno}* ({tipo}, estimated time {hora})',
+        recordatorio_responde: 'Reply *1* to confirm your attendance or *2* to cancel.',
+        recordatorio_escribenos: 'If you can\'t make it, write to us to cancel or reschedule.',
+
+        tipo_consulta: 'Consultation',
+        tipo_ecor: 'ECOR',
+        tipo_reembolso: 'Refund',
+        solicitud_descripcion: '{turno} ({tipo}){paciente} on {fecha}',
+        solicitud_de: ' for {nombre}',
+        modificacion_sin_cedula: 'I need the ID number the request was registered with to find it.',
+        modificacion_sin_solicitudes: 'I couldn\'t find any current requests for ID number {cedula}.',
+        modificacion_varias_cancelar: 'I found several requests under your name. Which one do you want to cancel? Reply with the number:\n\n{lista}',
+        modificacion_varias_reprogramar: 'I found several requests under your name. Which one do you want to reschedule? Reply with the number:\n\n{lista}',
+        confirmar_reprogramar_dia: 'Do you confirm you want to move your appointment {solicitud} to the next available {dia}?',
+        confirmar_reprogramar: 'Do you confirm you want to move your appointment {solicitud} to the next available day?',
+        confirmar_cancelar: 'Do you confirm you want to cancel your appointment {solicitud}?',
+        sin_cambios: 'All right, no changes were made.',
+        opcion_invalida: 'Invalid option. Please reply with a number from 1 to {total}.',
+        modificacion_responde: 'Please reply *yes* to confirm or *no* to leave your request as it is.',
+        solicitud_sin_cambios: 'All right, your request stays unchanged.',
+        cancelacion_error: 'There was an error cancelling your request. Please try again.',
+        cancelacion_ok: 'Your appointment {solicitud} has been cancelled.\n\nWhat else can I help you with?',
+        reprogramacion_sin_cupos: 'Sorry, there are no slots available for that date in the next 7 days. Your current request stays unchanged.',
+        reprogramacion_misma_fecha: 'Your request is already booked for {fecha}. No changes were made.',
+        reprogramacion_cita_existente: 'Sorry, you already have an appointment on {fecha}. You can\'t book two appointments on the same day.',
+        reprogramacion_fallida: '{mensaje}\n\nYour previous request stays unchanged.',
+        reprogramacion_ok: 'Your previous appointment {solicitud} was cancelled.\n\n{mensaje}',
+
+        estado_cancelada: 'Cancelled',
+        estado_pendiente: 'Pending',
+        estado_finalizada: 'Completed',
+        reembolso_recibido: 'Received',
+        reembolso_en_revision: 'Under review',
+        reembolso_aprobado: 'Approved',
+        reembolso_rechazado: 'Rejected',
+        reembolso_pagado: 'Paid',
+        reembolso_aviso_en_revision: 'Your refund *{turno}* is *under review*. We\'ll let you know when we have an answer.',
+        reembolso_aviso_aprobado: 'Good news! Your refund *{turno}* was *approved*. We\'ll let you know when the payment is made.',
+        reembolso_aviso_rechazado: 'Your refund *{turno}* was *rejected*.\n\n*Reason:* {motivo}\n\nIf you have any questions, write to us.',
+        reembolso_aviso_pagado: 'Your refund *{turno}* has been *paid*. Thank you for your patience!',
+        consulta_sin_solicitudes_numero: 'I couldn\'t find any requests registered from this number. Please tell me your ID number to look them up.',
+        consulta_sin_solicitudes_cedula: 'I couldn\'t find any requests from the last {dias} days or upcoming ones for ID number {cedula}.',
+        consulta_hora: ' (approx. {hora})',
+        consulta_titulo: '*Your requests*',
+        consulta_proximas: '_Upcoming:_',
+        consulta_sin_proximas: '_You have no upcoming requests._',
+        consulta_recientes: '_Recent:_',
+        cedula_solo_numero: 'Please send only the ID number (e.g. 12345678).',
+
+        error_datos: 'There was an error retrieving your details. Please try again.',
+        error_ultimo_cupo: 'Sorry, the last slot for that date was just taken.',
+        error_registro: 'There was an error saving your request in the database.',
+        registro_exitoso: 'Registration successful!\n\nYour request has been booked with queue number: *{turno}*.\n{paciente}\n*Assigned Date:* {fecha}{hora_estimada}\n*Registration Time:* {hora_registro}{verificacion}\n\n_Please remember the clinic\'s opening hours that day are {horario}._\n\nWhat else can I help you with?',
+        registro_paciente: '\n*Patient:* {nombre} ({titular})',
+        registro_hora_estimada: '\n*Estimated Arrival Time:* {hora}',
+        registro_verificacion: '\n\n_Your details are not in the payroll: the staff will verify the request and let you know if there is any problem._',
+        horario_hasta: 'to',
+        titular_descripcion: '{parentesco} of {nombre}, ID {cedula}',
+        titular: 'employee',
+
+        emergencia_paciente: 'I detected an emergency. Please call this number directly:\n*{telefono}*\n\nWe have already alerted the on-call staff. If you can, share your *location* in this chat (📎 > Location) so they know where to find you.',
+        emergencia_ubicacion: 'We received your location and sent it to the on-call staff.',
+        emergencia_atendida: 'The on-call staff is already attending to your emergency and will contact you.',
+
+        menu_pregunta: 'Please reply with the number of your request:\n\n{opciones}',
+        menu_ayuda: '_Type *0* to go back, *menu* to start over or *exit* to finish._',
+        menu_agendar: 'Book an Appointment',
+        menu_reembolso: 'Request a Refund',
+        menu_emergencia: 'Emergency',
+        menu_modificar: 'Cancel or Reschedule an Appointment',
+        menu_consultar: 'Check my Requests',
+        menu_historia: 'Before continuing, please make sure your medical record is at the clinic. Do you want to continue?\n\n{opciones}',
+        menu_historia_si: 'Yes, continue',
+        menu_historia_no: 'No',
+        menu_tipo_consulta: 'What type of consultation do you need?\n\n{opciones}',
+        menu_para_quien_cita: 'Who is the appointment for?\n\n{opciones}',
+        menu_para_quien_reembolso: 'Who is the refund for?\n\n{opciones}',
+        menu_para_mi: 'For me',
+        menu_para_familiar: 'For a family member (spouse, child, parent, sibling)',
+        menu_nombre: 'What is the patient\'s *first name*?',
+        menu_apellido: 'What is the patient\'s *last name*?',
+        menu_cedula: 'What is the patient\'s *ID number*?',
+        menu_cedula_menor: ' If it is a minor without an ID, type *none*.',
+        menu_titular_nombre: 'What is the employee\'s *first name*?',
+        menu_titular_apellido: 'What is the employee\'s *last name*?',
+        menu_titular_cedula: 'What is the employee\'s *ID number*?',
+        menu_parentesco: 'How is the patient related to the employee?\n\n{opciones}',
+        menu_nomina_titular: 'Which payroll type does the employee belong to?\n\n{opciones}',
+        menu_nomina: 'Which payroll type do you belong to?\n\n{opciones}',
+        menu_gerencia_titular: 'Which *department* does the employee belong to?',
+        menu_gerencia: 'Which *department* do you belong to?',
+        menu_dia: 'Do you prefer a day of the week? Type the day (e.g. Tuesday) or *no* to look for the nearest date.',
+        menu_accion_modificacion: 'What would you like to do?\n\n{opciones}',
+        menu_cancelar_solicitud: 'Cancel my appointment or refund',
+        menu_reprogramar_solicitud: 'Move my appointment or refund to another day',
+        menu_cedula_registro: 'What ID number was the request registered with?',
+        menu_dia_reprogramacion: 'Which day of the week do you want to move it to?',
+        menu_nombre_invalido: 'Please write it using letters only (e.g. Maria).',
+        menu_cedula_invalida: 'The ID number must contain only digits, 5 to 10 of them (e.g. 12345678).',
+        menu_dia_invalido: 'I didn\'t recognize the day. Type a day of the week (e.g. Tuesday).',
+        menu_dia_invalido_opcional: 'I didn\'t recognize the day. Type a day of the week (e.g. Tuesday) or *no*.',
+        menu_gerencia_invalida: 'Please type the name of the department.',
+        menu_responde_escrito: 'Please reply in writing.',
+        menu_salir: 'All right, nothing was registered. Type *menu* whenever you want to start over.',
+        menu_historia_salir: 'Understood. Once your medical record is at the clinic, write to us to book your appointment.',
+        menu_dato_corregir: 'There is a detail we need to correct.',
+
+        campo_nombre_paciente: 'first name',
+        campo_apellido_paciente: 'last name',
+        campo_cedula: 'ID number',
+        campo_nomina: 'payroll type',
+        campo_gerencia: 'department',
+        campo_tipo_consulta_detalle: 'consultation type',
+        campo_dia_semana_deseado: 'day of the week',
+        campo_titular_nombre: 'employee\'s first name',
+        campo_titular_apellido: 'employee\'s last name',
+        campo_titular_cedula: 'employee\'s ID number',
+        campo_parentesco: 'relationship',
+    },
+
+    pt: {
+        saludo: 'Olá! Sou o assistente virtual da {clinica}.',
+        menu_reinicio: 'Ok, vamos começar de novo.',
+        ia_no_disponible: 'Desculpe, nosso assistente inteligente não está disponível no momento.',
+        ia_error: 'Houve um problema com o assistente.',
+        despedida: 'Estamos à disposição. Tenha um ótimo dia.',
+        idioma_cambiado: 'Certo, vamos continuar em português.',
+        en_que_mas: 'Em que mais posso ajudar?',
+        responde_si_no: 'Responda *sim* ou *não*.',
+        seguimos: 'Vamos continuar? 🙂 Sua solicitação ficou pela metade. Responda à última pergunta para continuar, ou escreva *menu* para começar de novo.\n\n_Se você não responder em {minutos} minutos, encerraremos a conversa._',
+        datos_no_validados: 'Não consegui validar alguns dos seus dados{campos}. Por favor, informe-os novamente para continuar.',
+        y: 'e',
+
+        audio_procesando: 'Processando sua mensagem de voz, um momento...',
+        audio_error_descarga: 'Houve um erro ao baixar o áudio. Por favor, tente novamente.',
+        audio_no_transcrito: 'Desculpe, não consegui processar sua mensagem de voz. Você poderia escrever sua solicitação?',
+        audio_error: 'Houve um problema inesperado com sua mensagem de voz. Por favor, tente novamente.',
+        audio_muy_largo: 'Sua mensagem de voz é muito longa. Por favor, envie uma de até {duracion} ou escreva sua solicitação.',
+        duracion_minutos: '{n} minuto(s)',
+        duracion_segundos: '{n} segundos',
+
+        ya_tiene_cita_dia: 'Desculpe, você já tem uma consulta marcada no dia disponível ({fechas}). Não é possível marcar duas consultas no mesmo dia.',
+        ya_tiene_cita_dias: 'Desculpe, você já tem uma consulta marcada nos dias disponíveis ({fechas}). Não é possível marcar duas consultas no mesmo dia.',
+        sin_cupos_dia: 'Desculpe, não há vagas disponíveis para {dia} nem nos dias seguintes.',
+        sin_cupos: 'Desculpe, não encontramos vagas disponíveis nos próximos 7 dias.',
+        lista_espera_pregunta_dia: 'Deseja que o coloquemos na lista de espera para uma {dia}? Se uma vaga for liberada, avisaremos por aqui.',
+        lista_espera_pregunta: 'Deseja que o coloquemos na lista de espera? Se uma vaga for liberada, avisaremos por aqui.',
+        cupo: 'vaga',
+        cupos: 'vagas',
+        fechas_encabezado_una: 'Esta é a próxima data disponível:',
+        fechas_encabezado_varias: 'Estas são as próximas datas disponíveis:',
+        fechas_instruccion_una: 'Responda *1* para marcá-la, ou *não* se não servir.',
+        fechas_instruccion_varias: 'Responda com o número da data que preferir (1 a {total}), ou *não* se nenhuma servir.',
+        fecha_no_registrada: 'Entendido, não registramos a solicitação. Você pode nos escrever novamente quando quiser procurar outra data.',
+        fecha_opcion_invalida: 'Por favor, responda com o número de uma das datas (1 a {total}), ou *não* para sair.',
+        ya_tiene_cita_fecha: 'Você já tem uma consulta marcada para {fecha}.',
+        fecha_llena: 'Desculpe, {fecha} ficou lotado enquanto você escolhia.',
+        nomina_no_encontrada: 'Não encontrei o documento {cedula} na folha de pagamento da empresa. Você pode continuar, mas sua solicitação ficará *pendente de verificação* pela equipe.',
+        nomina_rechazada: 'Seu atendimento *{turno}* de {fecha} foi cancelado porque não conseguimos verificar seus dados na folha de pagamento da empresa. Se acha que é um erro, entre em contato com o RH.',
+
+        reembolso_pedir_facturas: 'Para processar seu reembolso preciso das notas fiscais ou recibos.\n\nEnvie uma *foto ou PDF* de cada nota e indique na mesma mensagem (ou na seguinte) o *valor e a descrição*, por exemplo: _350,50 Remédios_.\n\nQuando tiver enviado todas, escreva *pronto*.',
+        factura_monto_pendiente: 'Antes de enviar outra nota, informe o *valor e a descrição* da anterior (ex: _350,50 Remédios_).',
+        factura_sin_monto: 'Recebi o arquivo. Qual é o *valor e a descrição* desta nota? (ex: _350,50 Remédios_)',
+        factura_registrada: 'Nota registrada: {concepto} no valor de {monto}. Envie a próxima ou escreva *pronto*.',
+        factura_monto_no_identificado: 'Não consegui identificar o valor e a descrição. Escreva assim: _350,50 Remédios_',
+        reembolso_cancelado: 'Entendido, não registramos o reembolso.',
+        factura_minimo: 'Preciso de pelo menos uma nota para processar o reembolso. Envie uma foto ou PDF, ou escreva *cancelar* para sair.',
+        facturas_recibidas: 'Recebi {cantidad} {facturas} no total de *{total}*.',
+        factura: 'nota',
+        facturas: 'notas',
+        factura_instruccion: 'Envie uma *foto ou PDF* da nota com o valor e a descrição, ou escreva *pronto* se já enviou todas.',
+        comprobante_sin_adjunto: 'A mensagem não tem foto nem documento anexado.',
+        comprobante_formato: 'Só são aceitas fotos (JPG ou PNG) ou documentos PDF.',
+        comprobante_tamano: 'O arquivo ultrapassa o tamanho máximo de {mb} MB.',
+        comprobante_error: 'Não consegui salvar o arquivo. Por favor, envie-o novamente.',
+
+        lista_espera_responde: 'Por favor, responda *sim* para entrar na lista de espera ou *não* para sair.',
+        lista_espera_no: 'Entendido. Você pode nos escrever novamente quando quiser procurar outra data.',
+        lista_espera_ok: 'Pronto, você está na lista de espera. Quando uma vaga for liberada, escreveremos e você terá {minutos} minutos para confirmá-la.',
+        lista_espera_error: 'Houve um erro ao colocá-lo na lista de espera. Por favor, tente novamente.',
+        oferta_rechazada: 'Certo, liberamos a vaga e o retiramos da lista de espera.',
+        oferta_vencida: 'Desculpe, a reserva dessa vaga já expirou.',
+        oferta_ya_tiene_cita: 'Você já tem uma consulta marcada para {fecha}, então continuará na lista de espera para outro dia.',
+        oferta_sin_cupo: 'Desculpe, a vaga não está mais disponível. Você continuará na lista de espera.',
+        oferta_cupo: 'Boas notícias! Abriu uma vaga de *{tipo}* para *{fecha}*.\n\nDeseja ficar com ela? Responda *sim* ou *não*. Vamos reservá-la para você por {minutos} minutos.',
+        oferta_expirada: 'A vaga que reservamos para você não está mais disponível porque o prazo para confirmá-la terminou. Se ainda precisar, escreva para buscarmos outra data.',
+
+        recordatorio_confirmado: 'Obrigado por confirmar! Esperamos por você.',
+        recordatorio_cancelado_uno: 'Pronto, cancelamos seu atendimento: {turnos}. Obrigado por avisar.',
+        recordatorio_cancelado_varios: 'Pronto, cancelamos seus atendimentos: {turnos}. Obrigado por avisar.',
+        recordatorio_ya_cancelado: 'Esse atendimento já estava cancelado. Se precisar de outro, é só escrever.',
+        recordatorio: '🔔 *Lembrete*\n\nEsperamos por você em *{fecha}* para:\n{turnos}\n\n{instrucciones}',
+        recordatorio_turno: '• *{turno}* ({tipo})',
+        recordatorio_turno_hora: '• *{turno}* ({tipo}, horário estimado {hora})',
+        recordatorio_responde: 'Responda *1* para confirmar sua presença ou *2* para cancelar.',
+        recordatorio_escribenos: 'Se não puder comparecer, escreva para cancelar ou remarcar.',
+
+        tipo_consulta: 'Consulta',
+        tipo_ecor: 'ECOR',
+        tipo_reembolso: 'Reembolso',
+        solicitud_descripcion: '{turno} ({tipo}){paciente} para {fecha}',
+        solicitud_de: ' de {nombre}',
+        modificacion_sin_cedula: 'Preciso do número do documento com o qual a solicitação foi registrada para localizá-la.',
+        modificacion_sin_solicitudes: 'Não encontrei solicitações vigentes associadas ao documento {cedula}.',
+        modificacion_varias_cancelar: 'Encontrei várias solicitações em seu nome. Qual deseja cancelar? Responda com o número:\n\n{lista}',
+        modificacion_varias_reprogramar: 'Encontrei várias solicitações em seu nome. Qual deseja remarcar? Responda com o número:\n\n{lista}',
+        confirmar_reprogramar_dia: 'Confirma que deseja mover seu atendimento {solicitud} para a próxima {dia} disponível?',
+        confirmar_reprogramar: 'Confirma que deseja mover seu atendimento {solicitud} para o próximo dia disponível?',
+        confirmar_cancelar: 'Confirma que deseja cancelar seu atendimento {solicitud}?',
+        sin_cambios: 'Certo, nenhuma alteração foi feita.',
+        opcion_invalida: 'Opção inválida. Por favor, responda com um número de 1 a {total}.',
+        modificacion_responde: 'Por favor, responda *sim* para confirmar ou *não* para deixar sua solicitação como está.',
+        solicitud_sin_cambios: 'Certo, sua solicitação continua sem alterações.',
+        cancelacion_error: 'Houve um erro ao cancelar sua solicitação. Por favor, tente novamente.',
+        cancelacion_ok: 'Seu atendimento {solicitud} foi cancelado.\n\nEm que mais posso ajudar?',
+        reprogramacion_sin_cupos: 'Desculpe, não há vagas disponíveis para essa data nos próximos 7 dias. Sua solicitação atual continua sem alterações.',
+        reprogramacion_misma_fecha: 'Sua solicitação já está marcada para {fecha}. Nenhuma alteração foi feita.',
+        reprogramacion_cita_existente: 'Desculpe, você já tem uma consulta marcada para {fecha}. Não é possível marcar duas consultas no mesmo dia.',
+        reprogramacion_fallida: '{mensaje}\n\nSua solicitação anterior continua sem alterações.',
+        reprogramacion_ok: 'Seu atendimento anterior {solicitud} foi cancelado.\n\n{mensaje}',
+
+        estado_cancelada: 'Cancelada',
+        estado_pendiente: 'Pendente',
+        estado_finalizada: 'Finalizada',
+        reembolso_recibido: 'Recebido',
+        reembolso_en_revision: 'Em análise',
+        reembolso_aprobado: 'Aprovado',
+        reembolso_rechazado: 'Recusado',
+        reembolso_pagado: 'Pago',
+        reembolso_aviso_en_revision: 'Seu reembolso *{turno}* está *em análise*. Avisaremos quando tivermos uma resposta.',
+        reembolso_aviso_aprobado: 'Boas notícias! Seu reembolso *{turno}* foi *aprovado*. Avisaremos quando o pagamento for feito.',
+        reembolso_aviso_rechazado: 'Seu reembolso *{turno}* foi *recusado*.\n\n*Motivo:* {motivo}\n\nSe tiver dúvidas, escreva para nós.',
+        reembolso_aviso_pagado: 'Seu reembolso *{turno}* foi *pago*. Obrigado pela paciência!',
+        consulta_sin_solicitudes_numero: 'Não encontrei solicitações registradas a partir deste número. Por favor, informe o número do seu documento para procurá-las.',
+        consulta_sin_solicitudes_cedula: 'Não encontrei solicitações dos últimos {dias} dias nem próximas associadas ao documento {cedula}.',
+        consulta_hora: ' (aprox. {hora})',
+        consulta_titulo: '*Suas solicitações*',
+        consulta_proximas: '_Próximas:_',
+        consulta_sin_proximas: '_Você não tem solicitações próximas._',
+        consulta_recientes: '_Recentes:_',
+        cedula_solo_numero: 'Por favor, informe apenas o número do documento (ex: 12345678).',
+
+        error_datos: 'Houve um erro ao recuperar seus dados. Por favor, tente novamente.',
+        error_ultimo_cupo: 'Desculpe, a última vaga dessa data acabou de ser ocupada.',
+        error_registro: 'Houve um erro ao registrar sua solicitação no banco de dados.',
+        registro_exitoso: 'Registro realizado!\n\nSua solicitação foi marcada com o número de atendimento: *{turno}*.\n{paciente}\n*Data Marcada:* {fecha}{hora_estimada}\n*Hora do Registro:* {hora_registro}{verificacion}\n\n_Lembramos que o horário de atendimento da clínica nesse dia é das {horario}._\n\nEm que mais posso ajudar?',
+        registro_paciente: '\n*Paciente:* {nombre} ({titular})',
+        registro_hora_estimada: '\n*Hora Estimada de Chegada:* {hora}',
+        registro_verificacion: '\n\n_Seus dados não aparecem na folha de pagamento: a equipe verificará a solicitação e avisará se houver algum problema._',
+        horario_hasta: 'às',
+        titular_descripcion: '{parentesco} de {nombre}, doc. {cedula}',
+        titular: 'titular',
+
+        emergencia_paciente: 'Detectei uma emergência. Por favor, ligue diretamente para o seguinte número:\n*{telefono}*\n\nJá avisamos a equipe de plantão. Se puder, compartilhe sua *localização* neste chat (📎 > Localização) para que saibam onde encontrá-lo.',
+        emergencia_ubicacion: 'Recebemos sua localização e a enviamos à equipe de plantão.',
+        emergencia_atendida: 'A equipe de plantão já está atendendo sua emergência e entrará em contato com você.',
+
+        menu_pregunta: 'Por favor, responda com o número da sua solicitação:\n\n{opciones}',
+        menu_ayuda: '_Escreva *0* para voltar, *menu* para começar de novo ou *sair* para terminar._',
+        menu_agendar: 'Marcar uma Consulta',
+        menu_reembolso: 'Solicitar um Reembolso',
+        menu_emergencia: 'Emergência',
+        menu_modificar: 'Cancelar ou Remarcar uma Consulta',
+        menu_consultar: 'Consultar minhas Solicitações',
+        menu_historia: 'Antes de continuar, verifique se seu prontuário médico está na clínica. Deseja continuar?\n\n{opciones}',
+        menu_historia_si: 'Sim, continuar',
+        menu_historia_no: 'Não',
+        menu_tipo_consulta: 'Que tipo de consulta você precisa?\n\n{opciones}',
+        menu_para_quien_cita: 'Para quem é a consulta?\n\n{opciones}',
+        menu_para_quien_reembolso: 'Para quem é o reembolso?\n\n{opciones}',
+        menu_para_mi: 'Para mim',
+        menu_para_familiar: 'Para um familiar (cônjuge, filho/a, pai ou mãe, irmão/ã)',
+        menu_nombre: 'Qual é o *nome* do paciente?',
+        menu_apellido: 'Qual é o *sobrenome* do paciente?',
+        menu_cedula: 'Qual é o número do *documento* do paciente?',
+        menu_cedula_menor: ' Se for um menor sem documento, escreva *não tem*.',
+        menu_titular_nombre: 'Qual é o *nome* do funcionário titular?',
+        menu_titular_apellido: 'Qual é o *sobrenome* do funcionário titular?',
+        menu_titular_cedula: 'Qual é o número do *documento* do funcionário titular?',
+        menu_parentesco: 'Qual é o parentesco do paciente com o titular?\n\n{opciones}',
+        menu_nomina_titular: 'A que tipo de folha de pagamento o titular pertence?\n\n{opciones}',
+        menu_nomina: 'A que tipo de folha de pagamento você pertence?\n\n{opciones}',
+        menu_gerencia_titular: 'A que *gerência* o titular pertence?',
+        menu_gerencia: 'A que *gerência* você pertence?',
+        menu_dia: 'Prefere algum dia da semana? Escreva o dia (ex: terça) ou *não* para procurar a data mais próxima.',
+        menu_accion_modificacion: 'O que deseja fazer?\n\n{opciones}',
+        menu_cancelar_solicitud: 'Cancelar minha consulta ou reembolso',
+        menu_reprogramar_solicitud: 'Mudar minha consulta ou reembolso para outro dia',
+        menu_cedula_registro: 'Qual é o número do documento com o qual a solicitação foi registrada?',
+        menu_dia_reprogramacion: 'Para qual dia da semana deseja movê-la?',
+        menu_nombre_invalido: 'Por favor, escreva apenas com letras (ex: Maria).',
+        menu_cedula_invalida: 'O documento deve ter apenas números, de 5 a 10 dígitos (ex: 12345678).',
+        menu_dia_invalido: 'Não reconheci o dia. Escreva um dia da semana (ex: terça).',
+        menu_dia_invalido_opcional: 'Não reconheci o dia. Escreva um dia da semana (ex: terça) ou *não*.',
+        menu_gerencia_invalida: 'Por favor, escreva o nome da gerência.',
+        menu_responde_escrito: 'Por favor, responda por escrito.',
+        menu_salir: 'Certo, não registramos nada. Escreva *menu* quando quiser começar de novo.',
+        menu_historia_salir: 'Entendido. Quando seu prontuário estiver na clínica, escreva para marcar sua consulta.',
+        menu_dato_corregir: 'Há um dado que precisamos corrigir.',
+
+        campo_nombre_paciente: 'nome',
+        campo_apellido_paciente: 'sobrenome',
+        campo_cedula: 'documento',
+        campo_nomina: 'folha de pagamento',
+        campo_gerencia: 'gerência',
+        campo_tipo_consulta_detalle: 'tipo de consulta',
+        campo_dia_semana_deseado: 'dia da semana',
+        campo_titular_nombre: 'nome do titular',
+        campo_titular_apellido: 'sobrenome do titular',
+        campo_titular_cedula: 'documento do titular',
+        campo_parentesco: 'parentesco',
+    },
+};
+
+// Etiquetas de los valores canónicos (en español) que se guardan en la base de datos
+const VALORES = {
+    en: {
+        Lunes: 'Monday', Martes: 'Tuesday', 'Miércoles': 'Wednesday', Jueves: 'Thursday', Viernes: 'Friday', 'Sábado': 'Saturday', Domingo: 'Sunday',
+        conyuge: 'Spouse', hijo: 'Child', padre: 'Parent', hermano: 'Sibling', otro: 'Other relative',
+    },
+    pt: {
+        Lunes: 'Segunda-feira', Martes: 'Terça-feira', 'Miércoles': 'Quarta-feira', Jueves: 'Quinta-feira', Viernes: 'Sexta-feira', 'Sábado': 'Sábado', Domingo: 'Domingo',
+        conyuge: 'Cônjuge', hijo: 'Filho(a)', padre: 'Pai/Mãe', hermano: 'Irmão(ã)', otro: 'Outro familiar',
+    },
+};
+
+// Formas cortas de los días que también se aceptan como respuesta (ej. "terça", "wed")
+const ALIAS_DIAS = {
+    Lunes: ['mon', 'segunda'], Martes: ['tue', 'tues', 'terca'], 'Miércoles': ['wed', 'quarta'], Jueves: ['thu', 'thurs', 'quinta'],
+    Viernes: ['fri', 'sexta'], 'Sábado': ['sat'], Domingo: ['sun'],
+};
+
+// Palabras frecuentes de cada idioma, sin tildes, para detectar el idioma de un mensaje
+const PALABRAS = {
+    es: ['hola', 'buenas', 'buenos', 'tardes', 'noches', 'quiero', 'necesito', 'quisiera', 'cita', 'tengo', 'estoy', 'soy', 'una', 'el', 'los', 'las', 'del', 'mi', 'mis', 'yo', 'con', 'gracias', 'hijo', 'hija', 'esposa', 'esposo', 'dolor', 'como', 'cuando', 'puedo', 'hacer', 'pedir', 'sacar', 'mañana', 'manana', 'reposo', 'medico', 'ayuda', 'emergencia', 'cancelar', 'tambien', 'pero', 'y'],
+    en: ['hello', 'hi', 'hey', 'good', 'morning', 'afternoon', 'evening', 'i', 'im', 'my', 'me', 'need', 'want', 'would', 'like', 'the', 'an', 'to', 'for', 'and', 'is', 'am', 'are', 'have', 'with', 'please', 'thanks', 'thank', 'you', 'appointment', 'book', 'schedule', 'doctor', 'refund', 'help', 'can', 'how', 'what', 'when', 'son', 'daughter', 'wife', 'husband', 'pain', 'sick', 'tomorrow', 'check', 'cancel'],
+    pt: ['ola', 'oi', 'bom', 'boa', 'tarde', 'noite', 'eu', 'meu', 'minha', 'preciso', 'quero', 'gostaria', 'uma', 'um', 'com', 'obrigado', 'obrigada', 'nao', 'voce', 'tenho', 'estou', 'sou', 'marcar', 'filho', 'filha', 'esposa', 'marido', 'dor', 'como', 'quando', 'posso', 'fazer', 'amanha', 'ajuda', 'emergencia', 'tambem', 'mas', 'e', 'do', 'da', 'ao'],
+};
+
+// Nombres con los que el paciente puede pedir un idioma (ej. "english", "português")
+const NOMBRES_IDIOMA = {
+    es: ['espanol', 'castellano', 'spanish', 'espanhol'],
+    en: ['english', 'ingles', 'ingles por favor', 'in english', 'en ingles'],
+    pt: ['portugues', 'portuguese', 'em portugues', 'en portugues'],
+};
+
+function normalizar(texto) {
+    return String(texto || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Devuelve el mensaje del catálogo en el idioma pedido, con sus variables reemplazadas.
+ * Si el idioma no tiene ese mensaje se usa el español.
+ * @param {string} idioma - Código del idioma (es, en, pt).
+ * @param {string} clave - Clave del mensaje.
+ * @param {Object} [variables] - Valores para los marcadores {nombre} del mensaje.
+ * @returns {string}
+ */
+function t(idioma, clave, variables = {}) {
+    const plantilla = MENSAJES[idioma || IDIOMA_POR_DEFECTO]?.[clave] ?? MENSAJES.es[clave];
+    if (plantilla === undefined) {
+        console.error(`[I18N] Mensaje sin traducción: ${clave}`);
+        return clave;
+    }
+    return plantilla.replace(/\{(\w+)\}/g, (marcador, nombre) => (variables[nombre] !== undefined ? variables[nombre] : marcador));
+}
+
+/**
+ * Traduce un valor canónico (tipo de consulta, nómina, día o parentesco) al idioma del paciente.
+ * @param {string} idioma
+ * @param {string} valor - El valor en español tal como se guarda.
+ * @returns {string} La etiqueta traducida, o el mismo valor si no tiene traducción.
+ */
+function etiqueta(idioma, valor) {
+    const opcion = getOpcionClinica(valor);
+    if (opcion) return opcion.etiquetas[idioma || IDIOMA_POR_DEFECTO] || valor;
+    return VALORES[idioma || IDIOMA_POR_DEFECTO]?.[valor] || valor;
+}
+
+/**
+ * Todas las formas en que un paciente puede escribir un valor canónico en los otros idiomas,
+ * para aceptarlas como respuesta o como argumento de la IA.
+ * @param {string} valor - El valor en español.
+ * @returns {Array<string>}
+ */
+function traducciones(valor) {
+    const opcion = getOpcionClinica(valor);
+    const formas = opcion
+        ? Object.values(opcion.etiquetas).filter(Boolean)
+        : Object.values(VALORES).map(valores => valores[valor]).filter(Boolean);
+    for (const forma of [...formas]) {
+        // "Segunda-feira" también se escribe "segunda feira" o "segunda"
+        if (forma.includes('-')) formas.push(forma.replace(/-/g, ' '), forma.split('-')[0]);
+    }
+    return [...new Set([...formas, ...(opcion ? opcion.alias : ALIAS_DIAS[valor] || [])])];
+}
+
+/**
+ * Detecta el idioma de un mensaje contando palabras frecuentes y letras propias de cada idioma.
+ * @param {string} texto - El mensaje del paciente.
+ * @returns {string|null} El código del idioma, o null si el mensaje no alcanza para decidir (ej. "12345678").
+ */
+function detectarIdioma(texto) {
+    const original = String(texto || '').toLowerCase();
+    const palabras = normalizar(original).replace(/[^a-z\s]/g, ' ').split(/\s+/).filter(Boolean);
+    const puntos = { es: 0, en: 0, pt: 0 };
+    for (const palabra of palabras) {
+        for (const idioma of Object.keys(PALABRAS)) {
+            if (PALABRAS[idioma].includes(palabra)) puntos[idioma]++;
+        }
+    }
+    if (/[ñ¿¡]/.test(original)) puntos.es += 2;
+    if (/[ãõç]|ção|ções/.test(original)) puntos.pt += 2;
+
+    const [primero, segundo] = Object.entries(puntos).sort((a, b) => b[1] - a[1]);
+    return primero[1] > 0 && primero[1] > segundo[1] ? primero[0] : null;
+}
+
+/**
+ * Reconoce cuando el paciente pide cambiar de idioma escribiendo solo su nombre (ej. "english").
+ * @param {string} texto
+ * @returns {string|null} El código del idioma pedido o null.
+ */
+function idiomaSolicitado(texto) {
+    const respuesta = normalizar(texto).replace(/[^a-z\s]/g, '').trim();
+    return Object.keys(NOMBRES_IDIOMA).find(idioma => NOMBRES_IDIOMA[idioma].includes(respuesta)) || null;
+}
+
+/**
+ * @param {string} idioma
+ * @returns {string} El locale para formatear fechas, horas y montos (ej. "en-US").
+ */
+function getLocale(idioma) {
+    return (IDIOMAS[idioma] || IDIOMAS[IDIOMA_POR_DEFECTO]).locale;
+}
+
+module.exports = {
+    IDIOMAS,
+    IDIOMA_POR_DEFECTO,
+    t,
+    etiqueta,
+    traducciones,
+    detectarIdioma,
+    idiomaSolicitado,
+    getLocale,
+};
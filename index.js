@@ -1,6 +1,7 @@
 // index.js
 // Punto de entrada principal del chatbot de WhatsApp
 // Este archivo maneja la conexión con WhatsApp y el servidor Express
+// Con varias sedes (sedes.js) abre una sesión de WhatsApp por sede en el mismo proceso
 
 const { default: makeWASocket, useMultiFileAuthState, DisconnectReason, fetchLatestBaileysVersion } = require('@whiskeysockets/baileys');
 const { Boom } = require('@hapi/boom');
@@ -8,21 +9,41 @@ const path = require('path');
 const express = require('express');
 const fs = require('fs');
 const pino = require('pino');
+const cron = require('node-cron');
 const { handleMessage } = require('./messageHandler');
 const { generateAndEmailReport } = require('./reportGenerator');
+const { CLINIC_TIMEZONE, getAhoraClinica, getDiaHabilAnterior, toISODate } = require('./calendar');
+const { revisarListaEspera } = require('./waitlist');
+const { RECORDATORIOS_CRON, enviarRecordatorios } = require('./reminders');
+const { CIERRE_ASISTENCIA_CRON, registrarAsistencia, cerrarAsistenciaDeHoy } = require('./attendance');
+const { importarNomina } = require('./roster');
+const { revisarEmergencias } = require('./emergencies');
+const { describirProveedores } = require('./aiProviders');
+const { restaurarSesiones, revisarSesiones } = require('./sessions');
+const { getSedes, esMultisede, getSedePorId, getConsolidado, ejecutarEnSede } = require('./sedes');
 require('dotenv').config();
 
-// Carpeta donde se guarda la autenticación de WhatsApp
-const authFolder = path.join(__dirname, 'auth_info_baileys');
+// Cada sede guarda la autenticación de WhatsApp en su carpeta (auth_info_baileys con una sola clínica)
 // Descomenta las siguientes líneas para forzar un nuevo código QR
-// if (fs.existsSync(authFolder)) {
-//     console.log('[Inicio] Eliminando carpeta de autenticación antigua para forzar un nuevo QR.');
-//     fs.rmSync(authFolder, { recursive: true, force: true });
+// for (const { auth: authFolder } of getSedes()) {
+//     if (fs.existsSync(authFolder)) {
+//         console.log('[Inicio] Eliminando carpeta de autenticación antigua para forzar un nuevo QR.');
+//         fs.rmSync(authFolder, { recursive: true, force: true });
+//     }
 // }
 
+// Socket activo de WhatsApp de cada sede (se reemplaza en cada reconexión), usado por las tareas periódicas
+const socketsActivos = new Map();
+
+// Prefijo de los logs de conexión, para distinguir las sedes
+function etiquetaSede(sede) {
+    return sede.id ? `[Sede ${sede.id}] ` : '';
+}
+
 // Configuración del servidor Express
 const app = express();
 const port = process.env.PORT || 3000;
+app.use(express.json());
 
 // Ruta principal de salud del servidor
 app.get('/', (req, res) => {
@@ -46,53 +67,108 @@ app.get('/trigger-report', async (req, res) => {
     console.log('✅ [CRON-WEB] ¡La comparación de secretos fue exitosa!');
 
     try {
-        const fechaString = getReportDateString();
-        console.log(`[CRON-WEB] Calculada fecha para el reporte: ${fechaString}`);
-        await generateAndEmailReport(fechaString);
+        // Cada sede recibe el reporte de su último día hábil
+        const fechas = [];
+        for (const sede of getSedes()) {
+            await ejecutarEnSede(sede, async () => {
+                const fechaString = await getReportDateString();
+                console.log(`[CRON-WEB] ${etiquetaSede(sede)}Calculada fecha para el reporte: ${fechaString}`);
+                await generateAndEmailReport(fechaString);
+                fechas.push(fechaString);
+            });
+        }
+
+        // El consolidado de todas las sedes cubre el día hábil más reciente entre ellas
+        const consolidado = getConsolidado();
+        if (consolidado) {
+            const fechaString = fechas.sort()[fechas.length - 1];
+            console.log(`[CRON-WEB] Generando el reporte consolidado de todas las sedes para: ${fechaString}`);
+            await ejecutarEnSede(consolidado, () => generateAndEmailReport(fechaString));
+        }
         console.log('✅ [CRON-WEB] Tarea de reporte finalizada exitosamente.');
     } catch (error) {
         console.error('❌ [CRON-WEB] Ocurrió un error crítico durante la ejecución:', error);
     }
 });
 
+// Endpoint para que el personal registre la asistencia de un turno
+// Body JSON: { "numero_turno": "C-004", "asistencia": "presente" | "ausente", "fecha": "YYYY-MM-DD" (opcional), "sede": "centro" (con varias sedes) }
+app.post('/asistencia', async (req, res) => {
+    const secret = req.query.secret || req.body?.secret;
+    if (secret !== process.env.CRON_SECRET) {
+        return res.status(401).send('Clave secreta no válida.');
+    }
+
+    const { numero_turno, asistencia, fecha } = req.body || {};
+    if (fecha && !/^\d{4}-\d{2}-\d{2}$/.test(fecha)) {
+        return res.status(400).json({ ok: false, mensaje: 'La fecha debe tener el formato YYYY-MM-DD.' });
+    }
+
+    // Los números de turno se repiten entre sedes: con varias hay que indicar de cuál es
+    const sede = esMultisede() ? getSedePorId(req.body?.sede || req.query.sede) : getSedes()[0];
+    if (!sede) {
+        return res.status(400).json({ ok: false, mensaje: `Indica la sede del turno: ${getSedes().map(s => s.id).join(', ')}.` });
+    }
+
+    try {
+        const resultado = await ejecutarEnSede(sede, () => registrarAsistencia(numero_turno, asistencia, fecha || undefined));
+        res.status(resultado.ok ? 200 : 400).json(resultado);
+    } catch (error) {
+        console.error('[ASISTENCIA] Error al registrar asistencia por HTTP:', error);
+        res.status(500).json({ ok: false, mensaje: 'Error interno al registrar la asistencia.' });
+    }
+});
+
+// Endpoint para importar la nómina de empleados exportada por Recursos Humanos
+// Body: el archivo Excel (.xlsx) o CSV; el formato se toma del Content-Type o de ?formato=csv
+app.post('/nomina', express.raw({
+    type: ['text/csv', 'application/octet-stream', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+    limit: '10mb',
+}), async (req, res) => {
+    if (req.query.secret !== process.env.CRON_SECRET) {
+        return res.status(401).send('Clave secreta no válida.');
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ ok: false, mensaje: 'Envía el archivo de nómina en el cuerpo de la petición.' });
+    }
+
+    try {
+        const resultado = await importarNomina(req.body, req.query.formato || req.get('content-type'));
+        res.status(resultado.ok ? 200 : 400).json(resultado);
+    } catch (error) {
+        console.error('[NÓMINA] Error al importar la nómina por HTTP:', error);
+        res.status(500).json({ ok: false, mensaje: 'Error interno al importar la nómina.' });
+    }
+});
+
 app.listen(port, () => {
     console.log(`Servidor web escuchando en el puerto ${port}.`);
 });
 
 /**
- * Calcula la fecha del reporte basándose en el día actual.
- * Los lunes genera el reporte del viernes (3 días antes).
- * Los demás días genera el reporte del día anterior.
- * @returns {string} - Fecha en formato YYYY-MM-DD
+ * Calcula la fecha del reporte: el último día hábil anterior a hoy según el calendario
+ * de la clínica (los lunes es el viernes, salvo que haya sido feriado o un día de cierre).
+ * @returns {Promise<string>} - Fecha en formato YYYY-MM-DD
  */
-function getReportDateString() {
-    const ahora = new Date(new Date().toLocaleString("en-US", { timeZone: "America/Caracas" }));
-    const diaDeLaSemana = ahora.getDay();
-    let fechaDelReporte = new Date(ahora);
-
-    if (diaDeLaSemana === 1) {
-        // Si es lunes, reportar el viernes (3 días antes)
-        fechaDelReporte.setDate(ahora.getDate() - 3);
-    } else {
-        // Cualquier otro día, reportar el día anterior
-        fechaDelReporte.setDate(ahora.getDate() - 1);
-    }
-
-    return fechaDelReporte.toLocaleDateString('en-CA');
+async function getReportDateString() {
+    const fechaDelReporte = await getDiaHabilAnterior(getAhoraClinica());
+    return toISODate(fechaDelReporte);
 }
 
 /**
- * Función principal que establece la conexión con WhatsApp.
+ * Función principal que establece la conexión con WhatsApp de una sede.
  * Maneja la autenticación, reconexión y recepción de mensajes.
+ * @param {Object} sede - La sede (ver sedes.js); sus mensajes se procesan dentro de su contexto.
  */
-async function connectToWhatsApp() {
+async function connectToWhatsApp(sede) {
+    const prefijo = etiquetaSede(sede);
     try {
         // Cargar estado de autenticación guardado
-        const { state, saveCreds } = await useMultiFileAuthState(path.resolve(__dirname, 'auth_info_baileys'));
+        const { state, saveCreds } = await useMultiFileAuthState(sede.auth);
 
         // Obtener la versión más reciente de Baileys para evitar bloqueos
         const { version, isLatest } = await fetchLatestBaileysVersion();
-        console.log(`[Inicio] Usando la versión de Baileys: ${version.join('.')}, ¿Es la más reciente?: ${isLatest}`);
+        console.log(`[Inicio] ${prefijo}Usando la versión de Baileys: ${version.join('.')}, ¿Es la más reciente?: ${isLatest}`);
 
         // Crear el socket de WhatsApp
         const sock = makeWASocket({
@@ -113,7 +189,7 @@ async function connectToWhatsApp() {
                 const encodedQr = encodeURIComponent(qr);
                 const qrUrl = `https://api.qrserver.com/v1/create-qr-code/?size=300x300&data=${encodedQr}`;
                 console.log('------------------------------------------------');
-                console.log('¡Nuevo código QR! Abre este enlace en tu navegador:');
+                console.log(`${prefijo}¡Nuevo código QR! Abre este enlace en tu navegador:`);
                 console.log(qrUrl);
                 console.log('------------------------------------------------');
             }
@@ -121,12 +197,14 @@ async function connectToWhatsApp() {
             // Si la conexión se cierra, intentar reconectar
             if (connection === 'close') {
                 const shouldReconnect = (lastDisconnect.error instanceof Boom)?.output?.statusCode !== DisconnectReason.loggedOut;
-                console.log('Conexión cerrada, reconectando...', shouldReconnect);
+                console.log(`${prefijo}Conexión cerrada, reconectando...`, shouldReconnect);
+                socketsActivos.delete(sede.id);
                 if (shouldReconnect) {
-                    connectToWhatsApp();
+                    connectToWhatsApp(sede);
                 }
             } else if (connection === 'open') {
-                console.log('¡Conexión abierta y exitosa!');
+                socketsActivos.set(sede.id, sock);
+                console.log(`${prefijo}¡Conexión abierta y exitosa!`);
             }
         });
 
@@ -146,17 +224,76 @@ async function connectToWhatsApp() {
             if (from === 'status@broadcast' || from.endsWith('@g.us')) return;
 
             try {
-                await handleMessage(sock, msg);
+                await ejecutarEnSede(sede, () => handleMessage(sock, msg));
             } catch (error) {
                 console.error(`Error fatal al manejar un mensaje de ${from}:`, error);
             }
         });
     } catch (error) {
-        console.error("Error crítico en la función connectToWhatsApp:", error);
+        console.error(`${prefijo}Error crítico en la función connectToWhatsApp:`, error);
         // Reintentar conexión después de 15 segundos
-        setTimeout(connectToWhatsApp, 15000);
+        setTimeout(() => connectToWhatsApp(sede), 15000);
+    }
+}
+
+/**
+ * Programa una tarea periódica que necesita el socket de WhatsApp. Se ejecuta para cada sede con su
+ * socket; si una sede no está conectada en ese momento, su ejecución se omite.
+ * @param {string} nombre - Nombre de la tarea para los logs.
+ * @param {string} expresion - Expresión cron, evaluada en la zona horaria de la clínica.
+ * @param {Function} tarea - Función que recibe el socket activo.
+ */
+function programarTarea(nombre, expresion, tarea) {
+    if (!cron.validate(expresion)) {
+        console.error(`[CRON] Expresión inválida para ${nombre}: '${expresion}'. La tarea no se programará.`);
+        return;
     }
+    cron.schedule(expresion, async () => {
+        for (const sede of getSedes()) {
+            const sock = socketsActivos.get(sede.id);
+            if (!sock) {
+                console.log(`[CRON] ${etiquetaSede(sede)}${nombre}: WhatsApp no está conectado, se omite esta ejecución.`);
+                continue;
+            }
+            try {
+                await ejecutarEnSede(sede, () => tarea(sock));
+            } catch (error) {
+                console.error(`[CRON] ${etiquetaSede(sede)}Error en la tarea ${nombre}:`, error);
+            }
+        }
+    }, { timezone: CLINIC_TIMEZONE });
+}
+
+// Revisión de la lista de espera cada minuto: vence ofertas y ofrece cupos liberados
+programarTarea('lista de espera', '* * * * *', revisarListaEspera);
+// Escalamiento de emergencias sin confirmación, revisado cada minuto
+programarTarea('emergencias', '* * * * *', revisarEmergencias);
+// Conversaciones inactivas: aviso "¿seguimos?" y expiración, revisadas cada minuto
+programarTarea('sesiones', '* * * * *', revisarSesiones);
+// Recordatorios del día anterior a las citas
+programarTarea('recordatorios', RECORDATORIOS_CRON, enviarRecordatorios);
+
+// Cierre de asistencia: los turnos de hoy sin marcar quedan como ausentes (no necesita WhatsApp)
+if (cron.validate(CIERRE_ASISTENCIA_CRON)) {
+    cron.schedule(CIERRE_ASISTENCIA_CRON, async () => {
+        for (const sede of getSedes()) {
+            try {
+                await ejecutarEnSede(sede, cerrarAsistenciaDeHoy);
+            } catch (error) {
+                console.error(`[CRON] ${etiquetaSede(sede)}Error en el cierre de asistencia:`, error);
+            }
+        }
+    }, { timezone: CLINIC_TIMEZONE });
+} else {
+    console.error(`[CRON] Expresión inválida para el cierre de asistencia: '${CIERRE_ASISTENCIA_CRON}'.`);
 }
 
-console.log('El bot está listo. El reporte automático se activará mediante un cron job web externo.');
-connectToWhatsApp();
\ No newline at end of file
+console.log('El bot está listo. El reporte automático se activará mediante un cron job web externo; los recordatorios y la lista de espera corren dentro del proceso.');
+console.log(`[Inicio] Proveedores de IA, en orden:\n${describirProveedores()}`);
+// Las conversaciones y los logins de administrador guardados de cada sede se restauran antes de recibir sus mensajes
+// Si no se pueden restaurar las sesiones de una sede, igual se conecta (con las conversaciones desde cero)
+for (const sede of getSedes()) {
+    ejecutarEnSede(sede, restaurarSesiones)
+        .catch(error => console.error(`[Inicio] ${etiquetaSede(sede)}No se pudieron restaurar las sesiones:`, error))
+        .then(() => connectToWhatsApp(sede));
+}
\ No newline at end of file
@@ -0,0 +1,304 @@
+// menuFlow.js
+// Menú guiado de texto para cuando la IA no está disponible: hace las mismas preguntas que las
+// secuencias de la IA, una por una, valida cada respuesta y permite volver al paso anterior.
+// Al terminar devuelve la misma acción (nombre y argumentos) que llamaría la IA, para que
+// messageHandler.js la ejecute con el mismo código de agendamiento.
+// Las preguntas salen en el idioma de la conversación, pero se guardan los valores canónicos en español.
+
+const { DIAS_SEMANA, sinTildes, normalizarCedula, validarArgumentos } = require('./tools');
+const { PARENTESCOS } = require('./patients');
+const { getTiposConsulta, getNominas } = require('./clinica');
+const { IDIOMAS, IDIOMA_POR_DEFECTO, t, etiqueta, traducciones } = require('./i18n');
+
+const PALABRAS_VOLVER = ['0', 'atras', 'volver', 'regresar', 'back', 'voltar'];
+const PALABRAS_SALIR = ['salir', 'cancelar', 'exit', 'cancel', 'sair'];
+const PALABRAS_NINGUNO = ['no', 'ninguno', 'cualquiera', 'cualquier dia', 'no tiene', 'sin cedula', 'none', 'any', 'any day', 'nenhum', 'qualquer', 'qualquer dia', 'nao', 'nao tem'];
+
+/**
+ * Una opción de una lista. El texto es una función del idioma; se aceptan como respuesta
+ * el texto en cualquiera de los idiomas, el valor y los alias.
+ */
+function opcion(valor, texto, alias = []) {
+    const textos = Object.keys(IDIOMAS).map(idioma => texto(idioma));
+    return { valor, texto, alias: [...textos, valor, ...alias].map(sinTildes) };
+}
+
+// Opción cuyo texto sale del catálogo de mensajes
+const opcionCatalogo = (valor, clave, alias = []) => opcion(valor, idioma => t(idioma, clave), alias);
+
+// Las listas que dependen de la configuración de la clínica se pasan como función y se arman en cada uso
+const resolver = opciones => (typeof opciones === 'function' ? opciones() : opciones);
+
+// --- Lectores de respuestas: devuelven { valor } o { error } con la clave del mensaje de error ---
+
+function leerOpcion(lista) {
+    return texto => {
+        const opciones = resolver(lista);
+        const respuesta = sinTildes(texto).replace(/^-?(\d+)-?$/, '$1');
+        const elegida = /^\d+$/.test(respuesta) ? opciones[parseInt(respuesta, 10) - 1] : opciones.find(o => o.alias.includes(respuesta));
+        return elegida ? { valor: elegida.valor } : { error: 'opcion_invalida', variables: { total: opciones.length } };
+    };
+}
+
+function leerNombre(texto) {
+    const nombre = texto.trim().replace(/\s+/g, ' ');
+    if (!/[a-záéíóúüñãõâêôçà]{2,}/i.test(nombre) || /\d/.test(nombre)) return { error: 'menu_nombre_invalido' };
+    return { valor: nombre };
+}
+
+function leerCedula(opcional) {
+    return texto => {
+        if (opcional && PALABRAS_NINGUNO.includes(sinTildes(texto))) return { valor: null };
+        const cedula = normalizarCedula(texto);
+        return cedula ? { valor: cedula } : { error: 'menu_cedula_invalida' };
+    };
+}
+
+function leerDia(opcional) {
+    return texto => {
+        const respuesta = sinTildes(texto).replace(/^(el|los|para el|on|na|no dia)\s+/, '');
+        if (opcional && PALABRAS_NINGUNO.includes(respuesta)) return { valor: null };
+        const dia = DIAS_SEMANA.find(d => [d, ...traducciones(d)].some(forma => sinTildes(forma) === respuesta));
+        return dia ? { valor: dia } : { error: opcional ? 'menu_dia_invalido_opcional' : 'menu_dia_invalido' };
+    };
+}
+
+const esFamiliar = datos => datos.para_quien === 'familiar';
+
+const OPCIONES_MENU = [
+    opcionCatalogo('agendar', 'menu_agendar', ['agendar', 'cita', 'appointment', 'marcar']),
+    opcionCatalogo('reembolso', 'menu_reembolso', ['reembolso', 'refund']),
+    opcionCatalogo('emergencia', 'menu_emergencia', ['emergency', 'emergencia']),
+    opcionCatalogo('modificar', 'menu_modificar', ['cancelar cita', 'reprogramar', 'reschedule', 'remarcar']),
+    opcionCatalogo('consultar', 'menu_consultar', ['consultar', 'mis solicitudes', 'my requests', 'status']),
+];
+const OPCIONES_HISTORIA = [
+    opcionCatalogo('si', 'menu_historia_si', ['si', 's', 'yes', 'y', 'sim']),
+    opcionCatalogo('no', 'menu_historia_no', ['n', 'nao']),
+];
+const OPCIONES_TIPO = () => getTiposConsulta().map(tipo => opcion(tipo, idioma => etiqueta(idioma, tipo), traducciones(tipo)));
+const OPCIONES_PARA_QUIEN = [
+    opcionCatalogo('titular', 'menu_para_mi', ['para mi', 'yo', 'me', 'myself', 'eu']),
+    opcionCatalogo('familiar', 'menu_para_familiar', ['familiar', 'family', 'relative']),
+];
+const OPCIONES_PARENTESCO = Object.entries(PARENTESCOS).map(([clave, texto]) => opcion(clave, idioma => (idioma === 'es' ? texto : etiqueta(idioma, clave)), traducciones(clave)));
+const OPCIONES_NOMINA = () => getNominas().map(nomina => opcion(nomina, idioma => etiqueta(idioma, nomina), traducciones(nomina)));
+const OPCIONES_MODIFICACION = [
+    opcionCatalogo('cancelar_solicitud', 'menu_cancelar_solicitud', ['cancelar', 'cancel']),
+    opcionCatalogo('reprogramar_solicitud', 'menu_reprogramar_solicitud', ['cambiar', 'reprogramar', 'reschedule', 'change', 'remarcar']),
+];
+
+function listar(opciones, idioma) {
+    return resolver(opciones).map((o, i) => `*-${i + 1}-* ${o.texto(idioma)}`).join('\n');
+}
+
+/**
+ * Pasos del menú. Cada paso tiene su pregunta, cómo leer la respuesta, el campo donde se guarda
+ * y, si solo aplica a algunos casos, la condición (aplica).
+ */
+const PASOS = {
+    menu: {
+        pregunta: (datos, idioma) => t(idioma, 'menu_pregunta', { opciones: listar(OPCIONES_MENU, idioma) }),
+        leer: leerOpcion(OPCIONES_MENU),
+        campo: 'opcion',
+    },
+    historia: {
+        pregunta: (datos, idioma) => t(idioma, 'menu_historia', { opciones: listar(OPCIONES_HISTORIA, idioma) }),
+        leer: leerOpcion(OPCIONES_HISTORIA),
+        campo: 'historia',
+    },
+    tipo_consulta: {
+        pregunta: (datos, idioma) => t(idioma, 'menu_tipo_consulta', { opciones: listar(OPCIONES_TIPO, idioma) }),
+        leer: leerOpcion(OPCIONES_TIPO),
+        campo: 'tipo_consulta_detalle',
+    },
+    para_quien: {
+        pregunta: (datos, idioma) => t(idioma, datos.opcion === 'reembolso' ? 'menu_para_quien_reembolso' : 'menu_para_quien_cita', { opciones: listar(OPCIONES_PARA_QUIEN, idioma) }),
+        leer: leerOpcion(OPCIONES_PARA_QUIEN),
+        campo: 'para_quien',
+    },
+    nombre: {
+        pregunta: (datos, idioma) => t(idioma, 'menu_nombre'),
+        leer: leerNombre,
+        campo: 'nombre_paciente',
+    },
+    apellido: {
+        pregunta: (datos, idioma) => t(idioma, 'menu_apellido'),
+        leer: leerNombre,
+        campo: 'apellido_paciente',
+    },
+    cedula: {
+        pregunta: (datos, idioma) => `${t(idioma, 'menu_cedula')}${esFamiliar(datos) ? t(idioma, 'menu_cedula_menor') : ''}`,
+        leer: (texto, datos) => leerCedula(esFamiliar(datos))(texto),
+        campo: 'cedula',
+    },
+    titular_nombre: {
+        pregunta: (datos, idioma) => t(idioma, 'menu_titular_nombre'),
+        leer: leerNombre,
+        campo: 'titular_nombre',
+        aplica: esFamiliar,
+    },
+    titular_apellido: {
+        pregunta: (datos, idioma) => t(idioma, 'menu_titular_apellido'),
+        leer: leerNombre,
+        campo: 'titular_apellido',
+        aplica: esFamiliar,
+    },
+    titular_cedula: {
+        pregunta: (datos, idioma) => t(idioma, 'menu_titular_cedula'),
+        leer: leerCedula(false),
+        campo: 'titular_cedula',
+        aplica: esFamiliar,
+    },
+    parentesco: {
+        pregunta: (datos, idioma) => t(idioma, 'menu_parentesco', { opciones: listar(OPCIONES_PARENTESCO, idioma) }),
+        leer: leerOpcion(OPCIONES_PARENTESCO),
+        campo: 'parentesco',
+        aplica: esFamiliar,
+    },
+    nomina: {
+        pregunta: (datos, idioma) => t(idioma, esFamiliar(datos) ? 'menu_nomina_titular' : 'menu_nomina', { opciones: listar(OPCIONES_NOMINA, idioma) }),
+        leer: leerOpcion(OPCIONES_NOMINA),
+        campo: 'nomina',
+    },
+    gerencia: {
+        pregunta: (datos, idioma) => t(idioma, esFamiliar(datos) ? 'menu_gerencia_titular' : 'menu_gerencia'),
+        leer: texto => (/[a-záéíóúüñãõâêôçà]{2,}/i.test(texto) ? { valor: texto.trim() } : { error: 'menu_gerencia_invalida' }),
+        campo: 'gerencia',
+    },
+    dia: {
+        pregunta: (datos, idioma) => t(idioma, 'menu_dia'),
+        leer: leerDia(true),
+        campo: 'dia_semana_deseado',
+    },
+    accion_modificacion: {
+        pregunta: (datos, idioma) => t(idioma, 'menu_accion_modificacion', { opciones: listar(OPCIONES_MODIFICACION, idioma) }),
+        leer: leerOpcion(OPCIONES_MODIFICACION),
+        campo: 'accion',
+    },
+    cedula_registro: {
+        pregunta: (datos, idioma) => t(idioma, 'menu_cedula_registro'),
+        leer: leerCedula(false),
+        campo: 'cedula',
+    },
+    dia_reprogramacion: {
+        pregunta: (datos, idioma) => t(idioma, 'menu_dia_reprogramacion'),
+        leer: leerDia(false),
+        campo: 'dia_semana_deseado',
+        aplica: datos => datos.accion === 'reprogramar_solicitud',
+    },
+};
+
+const DATOS_PACIENTE = ['para_quien', 'nombre', 'apellido', 'cedula', 'titular_nombre', 'titular_apellido', 'titular_cedula', 'parentesco'];
+
+/**
+ * Secuencia de pasos de cada opción del menú y la acción que ejecutan al terminar.
+ */
+const FLUJOS = {
+    agendar: { pasos: ['historia', 'tipo_consulta', ...DATOS_PACIENTE, 'nomina', 'gerencia', 'dia'], accion: () => 'agendar_solicitud' },
+    reembolso: { pasos: [...DATOS_PACIENTE, 'dia'], accion: () => 'solicitar_reembolso' },
+    modificar: { pasos: ['accion_modificacion', 'cedula_registro', 'dia_reprogramacion'], accion: datos => datos.accion },
+};
+
+// Opciones del menú que no hacen preguntas
+const ACCIONES_DIRECTAS = { emergencia: 'informar_emergencia', consultar: 'consultar_solicitudes' };
+
+function siguientePaso(pasos, desde, datos) {
+    for (let i = desde; i < pasos.length; i++) {
+        const paso = PASOS[pasos[i]];
+        if (!paso.aplica || paso.aplica(datos)) return pasos[i];
+    }
+    return null;
+}
+
+function preguntar(estado, prefacio = null) {
+    const pregunta = PASOS[estado.paso].pregunta(estado.datos, estado.idioma);
+    const ayuda = estado.paso === 'menu' ? '' : `\n\n${t(estado.idioma, 'menu_ayuda')}`;
+    return { estado, mensaje: `${prefacio ? `${prefacio}\n\n` : ''}${pregunta}${ayuda}` };
+}
+
+/**
+ * Arma los argumentos de la acción solo con los pasos que aplican, para descartar respuestas
+ * de una rama abandonada al volver atrás (ej. los datos del titular si luego eligió "Para mí").
+ */
+function construirArgumentos(flujo, datos) {
+    const args = {};
+    for (const nombre of flujo.pasos) {
+        const paso = PASOS[nombre];
+        if (paso.aplica && !paso.aplica(datos)) continue;
+        if (datos[paso.campo] !== undefined && datos[paso.campo] !== null) args[paso.campo] = datos[paso.campo];
+    }
+    delete args.para_quien;
+    delete args.historia;
+    delete args.accion;
+    return args;
+}
+
+/**
+ * Inicia el menú principal.
+ * @param {string} [prefacio] - Texto previo al menú (ej. el aviso de que la IA no está disponible).
+ * @param {string} [idioma] - El idioma de la conversación (es, en, pt).
+ * @returns {{estado: Object, mensaje: string}} El estado a guardar en userState y el mensaje para el usuario.
+ */
+function iniciarMenu(prefacio = null, idioma = IDIOMA_POR_DEFECTO) {
+    return preguntar({ flujo: null, paso: 'menu', previos: [], datos: {}, idioma }, prefacio);
+}
+
+/**
+ * Procesa la respuesta del usuario al paso actual del menú.
+ * @param {Object} estado - El estado devuelto por iniciarMenu o por la respuesta anterior.
+ * @param {string} texto - El mensaje del usuario.
+ * @returns {{estado?: Object, mensaje?: string, accion?: {nombre: string, args: Object}, salir?: boolean}}
+ *   Con estado y mensaje el menú sigue; con accion hay que ejecutarla; con salir el menú terminó.
+ */
+function procesarRespuestaMenu(estado, texto) {
+    const respuesta = sinTildes(texto || '');
+    if (!respuesta) return preguntar(estado, t(estado.idioma, 'menu_responde_escrito'));
+
+    if (PALABRAS_SALIR.includes(respuesta) && estado.paso !== 'accion_modificacion') {
+        return { salir: true, mensaje: t(estado.idioma, 'menu_salir') };
+    }
+
+    if (PALABRAS_VOLVER.includes(respuesta) && estado.paso !== 'menu') {
+        const previos = [...estado.previos];
+        const anterior = previos.pop();
+        const flujo = previos.length === 0 && anterior === 'menu' ? null : estado.flujo;
+        return preguntar({ ...estado, flujo, paso: anterior, previos });
+    }
+
+    const paso = PASOS[estado.paso];
+    const lectura = paso.leer(texto, estado.datos);
+    if (lectura.error) return preguntar(estado, t(estado.idioma, lectura.error, lectura.variables));
+
+    const datos = { ...estado.datos, [paso.campo]: lectura.valor };
+
+    if (estado.paso === 'menu') {
+        if (ACCIONES_DIRECTAS[lectura.valor]) return { accion: { nombre: ACCIONES_DIRECTAS[lectura.valor], args: {} } };
+        const primero = siguientePaso(FLUJOS[lectura.valor].pasos, 0, datos);
+        return preguntar({ ...estado, flujo: lectura.valor, paso: primero, previos: ['menu'], datos });
+    }
+    if (estado.paso === 'historia' && lectura.valor === 'no') {
+        return { salir: true, mensaje: t(estado.idioma, 'menu_historia_salir') };
+    }
+
+    const flujo = FLUJOS[estado.flujo];
+    const siguiente = siguientePaso(flujo.pasos, flujo.pasos.indexOf(estado.paso) + 1, datos);
+    if (siguiente) {
+        return preguntar({ ...estado, paso: siguiente, previos: [...estado.previos, estado.paso], datos });
+    }
+
+    // Último paso: se validan los argumentos igual que los de la IA
+    const nombre = flujo.accion(datos);
+    const validacion = validarArgumentos(nombre, construirArgumentos(flujo, datos));
+    if (!validacion.ok) {
+        const pasoInvalido = flujo.pasos.find(p => validacion.campos.includes(PASOS[p].campo)) || estado.paso;
+        console.error(`[MENÚ] Datos inválidos al terminar ${estado.flujo}:`, validacion.errores.join(' | '));
+        return preguntar({ ...estado, paso: pasoInvalido, datos }, t(estado.idioma, 'menu_dato_corregir'));
+    }
+    return { accion: { nombre, args: validacion.args } };
+}
+
+module.exports = {
+    iniciarMenu,
+    procesarRespuestaMenu,
+};
@@ -1,85 +1,71 @@
 // messageHandler.js
 
 const { downloadMediaMessage, jidNormalizedUser } = require('@whiskeysockets/baileys');
-const { getCuposDisponibles, getSiguienteNumeroTurno, crearSolicitud, checkExistingAppointment } = require('./database');
+const { getCuposDisponibles, reservarTurno, actualizarSolicitud, checkExistingAppointment, getSolicitudesActivasPorCedula, getSolicitudesPorCedula, getSolicitudesPorWhatsapp, cancelarSolicitud, getSolicitudPorTurno, getRecordatoriosPorFecha, getDatosReporteDiario, actualizarRecordatorio, registrarComprobantes, reasignarComprobantes } = require('./database');
 const { generateAndSendReports, generateAndSendMonthlyReport } = require('./reportGenerator');
 const { transcribeAudio, processConversationWithAI } = require('./aiHandler');
+const { MAX_SEGUNDOS_NOTA_VOZ, getDuracionNotaVoz } = require('./whisperLocal');
+const { getDayOfWeekAsNumber, getAhoraClinica, toISODate, parseISODate, getHoyISO, formatearFechaLarga, describirHorario, formatearHora, calcularHoraEstimada, esDiaHabil, getSiguienteDiaHabil, getFechaInicialBusqueda } = require('./calendar');
+const { registrarAsistencia } = require('./attendance');
+const { describirCupos, cambiarCupos, borrarCupos } = require('./quotas');
+const { getAdjunto, guardarComprobante, parsearMontoConcepto } = require('./receipts');
+const { normalizarBeneficiario, describirTitular, construirContextoPaciente, completarConPerfil, actualizarPerfilDesdeSolicitud } = require('./patients');
+const { triarMensaje } = require('./triage');
+const { iniciarMenu, procesarRespuestaMenu } = require('./menuFlow');
+const { userState, authenticatedAdmins, idiomas, persistirSesion } = require('./sessions');
+const { esPersonalEmergencias, registrarEmergencia, registrarUbicacion, atenderEmergencia } = require('./emergencies');
+const { importarNomina, verificarContraNomina, describirNomina, describirRevisionesPendientes, resolverVerificacion } = require('./roster');
+const { describirEstadoReembolso, registrarRecepcionReembolso, cambiarEstadoReembolso, describirReembolsosPendientes } = require('./reimbursements');
+const { MINUTOS_OFERTA, agregarAListaEspera, getOfertaActiva, notificarCupoLiberado, aceptarOferta, devolverAListaEspera, rechazarOferta } = require('./waitlist');
+const { DIAS_SEMANA, sinTildes } = require('./tools');
+const { getClinica, getTipoSolicitud } = require('./clinica');
+const { getSedeActual } = require('./sedes');
+const { IDIOMA_POR_DEFECTO, t, etiqueta, traducciones, detectarIdioma, idiomaSolicitado, getLocale } = require('./i18n');
 require('dotenv').config();
 
-const userState = {};
-const authenticatedAdmins = new Set(); // Almacena números de WhatsApp que han hecho /login exitosamente
 
-/**
- * Envía un mensaje de emergencia con el número de contacto y finaliza la conversación.
- */
-async function executeEmergencyCall(sock, from) {
-    // Guardar la emergencia en Supabase
-    const ahora = new Date(new Date().toLocaleString("en-US", { timeZone: "America/Caracas" }));
-    const fechaISO = ahora.toISOString().split('T')[0];
-    const horaParaDB = ahora.toTimeString().slice(0, 8);
+// Días hacia atrás que se muestran como "recientes" al consultar las solicitudes
+const DIAS_HISTORIAL_RECIENTE = 30;
 
-    await crearSolicitud({
-        tipo_solicitud: 'emergencia',
-        fecha_solicitud: fechaISO,
-        hora_solicitud: horaParaDB,
-        numero_turno: 'EMERGENCIA' // Opcional, para identificar
-    });
+// Cantidad de fechas con cupos que se ofrecen al paciente para elegir
+const FECHAS_A_OFRECER = parseInt(process.env.FECHAS_A_OFRECER, 10) || 3;
 
-    await sock.sendMessage(from, { text: "Detecté una emergencia. Por favor, comunícate directamente al siguiente número:\n*0000-0000000*" });
+/**
+ * El idioma de la conversación con el paciente (el detectado en su primer mensaje o el que pidió).
+ */
+function idiomaDe(from) {
+    return idiomas[from] || IDIOMA_POR_DEFECTO;
 }
 
-// =================================================================================
-// NUEVA LÓGICA DE BÚSQUEDA DE FECHAS
-// =================================================================================
-
 /**
- * Convierte un string de día de la semana a un número (Domingo=0, Lunes=1, etc.).
- * @param {string} dayString - El nombre del día (ej. "Lunes").
- * @returns {number|null} El número del día o null si no es válido.
+ * Formatea una fecha de turno como "Lunes, 15 de enero" en el idioma del paciente.
  */
-function getDayOfWeekAsNumber(dayString) {
-    if (!dayString) return null;
-    const days = {
-        'domingo': 0, 'lunes': 1, 'martes': 2, 'miercoles': 3, 'miércoles': 3, 'jueves': 4, 'viernes': 5, 'sabado': 6, 'sábado': 6
-    };
-    return days[dayString.toLowerCase()] ?? null;
+function formatearFecha(fecha, idioma) {
+    return formatearFechaLarga(fecha, getLocale(idioma));
 }
 
 /**
- * Determina la fecha inicial para la búsqueda (hoy si es día hábil y antes de las 2 PM, si no, el próximo día hábil).
- * @returns {Date} La fecha inicial para la búsqueda.
+ * Registra la emergencia con lo que escribió el paciente, le envía el número de contacto
+ * y alerta al personal de guardia.
+ * @param {string|null} mensaje - Los mensajes del paciente en la conversación (texto o notas de voz transcritas).
  */
-function getInitialSearchDate() {
-    const ahora = new Date(new Date().toLocaleString("en-US", { timeZone: "America/Caracas" }));
-    let fechaBusqueda = new Date(ahora.getFullYear(), ahora.getMonth(), ahora.getDate()); // Normaliza a la medianoche
-
-    const diaSemana = fechaBusqueda.getDay();
-    const hora = ahora.getHours();
-
-    // Si es fin de semana, avanza al lunes
-    if (diaSemana === 6) { // Sábado
-        fechaBusqueda.setDate(fechaBusqueda.getDate() + 2);
-    } else if (diaSemana === 0) { // Domingo
-        fechaBusqueda.setDate(fechaBusqueda.getDate() + 1);
-    }
-    // Si es un día de semana pero ya pasó el horario de atención (2 PM)
-    else if (hora >= 14) {
-        fechaBusqueda.setDate(fechaBusqueda.getDate() + 1);
-        // Si al avanzar cae en fin de semana, ajusta al lunes
-        if (fechaBusqueda.getDay() === 6) fechaBusqueda.setDate(fechaBusqueda.getDate() + 2);
-    }
-
-    return fechaBusqueda;
+async function executeEmergencyCall(sock, from, mensaje = null) {
+    await registrarEmergencia(sock, from, mensaje, idiomaDe(from));
 }
 
+// =================================================================================
+// NUEVA LÓGICA DE BÚSQUEDA DE FECHAS
+// =================================================================================
+
 /**
- * Busca la próxima fecha disponible para una cita, opcionalmente a partir de un día deseado.
+ * Busca las próximas fechas con cupos para una cita, opcionalmente a partir de un día deseado.
  * @param {'consulta' | 'reembolso' | 'ecor'} tipo - El tipo de solicitud.
  * @param {string|null} diaDeseadoString - El día de la semana deseado (ej. "Miércoles").
- * @returns {Promise<Date|null>} La fecha encontrada o null si no hay cupos en los próximos 7 días.
+ * @param {number} cantidad - Cuántas fechas devolver como máximo.
+ * @returns {Promise<Array<{fecha: Date, cupos: number}>>} Las fechas encontradas en los próximos 7 días (puede ser vacío).
  */
-async function findNextAvailableDate(tipo, diaDeseadoString = null) {
-    let searchDate = getInitialSearchDate();
+async function findAvailableDates(tipo, diaDeseadoString = null, cantidad = 1) {
+    let searchDate = await getFechaInicialBusqueda();
     const targetDay = getDayOfWeekAsNumber(diaDeseadoString);
 
     if (targetDay !== null) {
@@ -89,22 +75,50 @@ async function findNextAvailableDate(tipo, diaDeseadoString = null) {
         }
     }
 
-    // Busca un cupo disponible en los próximos 7 días a partir de la fecha de búsqueda
-    for (let i = 0; i < 7; i++) {
-        const currentDay = searchDate.getDay();
-        // Solo busca en días hábiles (Lunes a Viernes)
-        if (currentDay >= 1 && currentDay <= 5) {
+    // Busca cupos disponibles en los próximos 7 días a partir de la fecha de búsqueda
+    const encontradas = [];
+    for (let i = 0; i < 7 && encontradas.length < cantidad; i++) {
+        // Solo busca en días hábiles según el calendario (horario semanal, feriados y cierres)
+        if (await esDiaHabil(searchDate)) {
             const tipoBusqueda = tipo === 'ecor' ? 'consulta' : tipo;
             const cupos = await getCuposDisponibles(tipoBusqueda, searchDate);
             if (cupos > 0) {
-                return searchDate; // ¡Encontramos un cupo!
+                encontradas.push({ fecha: new Date(searchDate), cupos });
             }
         }
-        // Si no hay cupo o es fin de semana, avanza al siguiente día
+        // Si no hay cupo o la clínica no atiende, avanza al siguiente día
         searchDate.setDate(searchDate.getDate() + 1);
     }
 
-    return null; // No se encontraron cupos en la próxima semana
+    return encontradas;
+}
+
+/**
+ * Busca la próxima fecha disponible para una cita, opcionalmente a partir de un día deseado.
+ * @param {'consulta' | 'reembolso' | 'ecor'} tipo - El tipo de solicitud.
+ * @param {string|null} diaDeseadoString - El día de la semana deseado (ej. "Miércoles").
+ * @returns {Promise<Date|null>} La fecha encontrada o null si no hay cupos en los próximos 7 días.
+ */
+async function findNextAvailableDate(tipo, diaDeseadoString = null) {
+    const [primera] = await findAvailableDates(tipo, diaDeseadoString, 1);
+    return primera ? primera.fecha : null;
+}
+
+/**
+ * Calcula la fecha de un ECOR. No tiene límite de cupos, se agenda para la próxima fecha posible.
+ * @param {string|null} diaDeseadoString - El día de la semana deseado (ej. "Miércoles").
+ * @returns {Promise<Date>} La fecha asignada.
+ */
+async function getFechaEcor(diaDeseadoString = null) {
+    const fechaCita = await getFechaInicialBusqueda();
+    const targetDay = getDayOfWeekAsNumber(diaDeseadoString);
+    if (targetDay !== null) {
+        while (fechaCita.getDay() !== targetDay) {
+            fechaCita.setDate(fechaCita.getDate() + 1);
+        }
+    }
+    // Si el día deseado es feriado o la clínica está cerrada, pasa al siguiente día hábil
+    return getSiguienteDiaHabil(fechaCita);
 }
 
 /**
@@ -114,71 +128,617 @@ async function handleSchedulingRequest(sock, from, tipo, args) {
     userState[from] = { data: args }; // Guarda los datos del usuario
     const diaDeseado = args.dia_semana_deseado;
 
-    // --- NUEVA RESTRICCIÓN: Verificar si ya tiene cita ese día ---
-    if (tipo === 'consulta' && args.cedula) {
-        // Nota: Necesitamos saber la fecha *antes* de verificar. 
-        // Pero la fecha depende de la búsqueda. 
-        // Primero buscamos la fecha tentativa, luego verificamos.
-    }
-
-    const tipoParaCupos = args.tipo_consulta_detalle === 'Examen físico anual (ECOR)' ? 'ecor' : tipo;
+    const tipoParaCupos = getTipoSolicitud(args.tipo_consulta_detalle) === 'ecor' ? 'ecor' : tipo;
 
     if (tipoParaCupos === 'ecor') {
-        // ECOR no tiene límite de cupos, se agenda para la próxima fecha posible
-        let fechaCita = getInitialSearchDate();
-        if (diaDeseado) {
-            const targetDay = getDayOfWeekAsNumber(diaDeseado);
-            if (targetDay !== null) {
-                while (fechaCita.getDay() !== targetDay) {
-                    fechaCita.setDate(fechaCita.getDate() + 1);
-                }
-            }
-        }
-        // Asegurarse que no caiga en fin de semana
-        if (fechaCita.getDay() === 0) fechaCita.setDate(fechaCita.getDate() + 1);
-        if (fechaCita.getDay() === 6) fechaCita.setDate(fechaCita.getDate() + 2);
-
-        const mensaje = await procesarCreacionSolicitud(from, 'ecor', fechaCita);
+        const fechaCita = await getFechaEcor(diaDeseado);
+        const { mensaje } = await procesarCreacionSolicitud(from, 'ecor', fechaCita);
         await sock.sendMessage(from, { text: mensaje });
         return true;
     }
 
-    // Para consultas y reembolsos, buscamos el próximo cupo disponible
-    const fechaCita = await findNextAvailableDate(tipo, diaDeseado);
+    // Para consultas y reembolsos, el paciente elige entre las próximas fechas con cupos
+    return await ofrecerFechas(sock, from, tipo, args);
+}
 
-    if (fechaCita) {
-        // --- VERIFICACIÓN DE CITA EXISTENTE ---
-        if (tipo === 'consulta' && args.cedula) {
-            const tieneCita = await checkExistingAppointment(args.cedula, fechaCita);
-            if (tieneCita) {
-                const fechaFormateada = fechaCita.toLocaleDateString('es-VE', { weekday: 'long', day: 'numeric', month: 'long' });
-                await sock.sendMessage(from, { text: `Lo siento, ya tienes una cita registrada para el ${fechaFormateada}. No es posible agendar dos citas el mismo día.` });
-                return true;
-            }
+/**
+ * Ofrece al paciente las próximas fechas con cupos y deja la conversación esperando su elección.
+ * Si no hay fechas, le ofrece anotarse en la lista de espera.
+ * @param {string} [prefacio] - Texto previo a la lista (ej. cuando la fecha elegida se llenó).
+ * @returns {Promise<boolean>} true si la conversación terminó.
+ */
+async function ofrecerFechas(sock, from, tipo, args, prefacio = null) {
+    const idioma = idiomaDe(from);
+    const diaDeseado = args.dia_semana_deseado;
+    let opciones = await findAvailableDates(tipo, diaDeseado, FECHAS_A_OFRECER);
+
+    // --- VERIFICACIÓN DE CITA EXISTENTE ---
+    // No se ofrecen días en los que el paciente ya tiene una cita
+    if (tipo === 'consulta' && opciones.length > 0) {
+        const libres = [];
+        for (const opcion of opciones) {
+            if (!(await checkExistingAppointment(args, opcion.fecha))) libres.push(opcion);
         }
+        if (libres.length === 0) {
+            const fechas = opciones.map(o => formatearFecha(o.fecha, idioma)).join(', ');
+            await sock.sendMessage(from, { text: t(idioma, opciones.length > 1 ? 'ya_tiene_cita_dias' : 'ya_tiene_cita_dia', { fechas }) });
+            delete userState[from];
+            return true;
+        }
+        opciones = libres;
+    }
 
-        const mensaje = await procesarCreacionSolicitud(from, tipo, fechaCita);
-        await sock.sendMessage(from, { text: mensaje });
+    if (opciones.length === 0) {
+        const dia = etiqueta(idioma, diaDeseado);
+        const mensajeAviso = diaDeseado ? t(idioma, 'sin_cupos_dia', { dia }) : t(idioma, 'sin_cupos');
+        const preguntaListaEspera = diaDeseado ? t(idioma, 'lista_espera_pregunta_dia', { dia }) : t(idioma, 'lista_espera_pregunta');
+        await sock.sendMessage(from, { text: `${prefacio ? `${prefacio}\n\n` : ''}${mensajeAviso}\n\n${preguntaListaEspera} ${t(idioma, 'responde_si_no')}` });
+
+        // Guardamos los datos para poder registrar la solicitud cuando se libere el cupo
+        userState[from] = { step: 'esperando_confirmacion_lista_espera', data: args, tipo, diaSemana: getDayOfWeekAsNumber(diaDeseado) };
+        return false;
+    }
+
+    const lista = opciones
+        .map((o, i) => `*${i + 1})* ${formatearFecha(o.fecha, idioma)} (${o.cupos} ${t(idioma, o.cupos === 1 ? 'cupo' : 'cupos')})`)
+        .join('\n');
+    const encabezado = t(idioma, opciones.length > 1 ? 'fechas_encabezado_varias' : 'fechas_encabezado_una');
+    const instruccion = opciones.length > 1
+        ? t(idioma, 'fechas_instruccion_varias', { total: opciones.length })
+        : t(idioma, 'fechas_instruccion_una');
+    await sock.sendMessage(from, { text: `${prefacio ? `${prefacio}\n\n` : ''}${encabezado}\n\n${lista}\n\n${instruccion}` });
+
+    userState[from] = { step: 'esperando_seleccion_fecha', data: args, tipo, opciones: opciones.map(o => toISODate(o.fecha)) };
+    return false;
+}
+
+/**
+ * Respuesta del paciente a la lista de fechas: registra la solicitud en la fecha elegida
+ * después de confirmar que todavía tiene cupo.
+ */
+async function handleDateSelection(sock, from, messageContent) {
+    const { data, tipo, opciones } = userState[from];
+    const idioma = idiomaDe(from);
+    const texto = messageContent.trim().toLowerCase();
 
-        // --- NUEVO FLUJO POST-REGISTRO ---
-        // No borramos el estado inmediatamente, lo cambiamos a 'esperando_confirmacion_final'
-        userState[from] = { step: 'esperando_confirmacion_final' };
-        return false; // Retornamos false para indicar que el flujo NO ha terminado completamente (aunque la tarea principal sí)
+    let fechaISO = null;
+    if (/^\d+$/.test(texto)) {
+        fechaISO = opciones[parseInt(texto, 10) - 1] || null;
     } else {
-        const mensajeAviso = diaDeseado
-            ? `Lo sentimos, no hay cupos disponibles para el ${diaDeseado} ni en los días siguientes. Por favor, intenta para otra fecha.`
-            : "Lo sentimos, no hemos encontrado cupos disponibles en los próximos 7 días. Por favor, intenta de nuevo más tarde.";
-        await sock.sendMessage(from, { text: mensajeAviso });
-        return true; // Finaliza el flujo
+        // También se acepta el nombre del día en cualquier idioma (ej. "el martes", "tuesday")
+        const respuesta = sinTildes(texto).replace(/^(el|on|na)\s+/, '');
+        const dia = DIAS_SEMANA.find(d => [d, ...traducciones(d)].some(forma => sinTildes(forma) === respuesta));
+        const diaSemana = getDayOfWeekAsNumber(dia);
+        if (diaSemana !== null) fechaISO = opciones.find(f => parseISODate(f).getDay() === diaSemana) || null;
     }
+
+    if (!fechaISO) {
+        if (!/^\d+$/.test(texto) && interpretarConfirmacion(texto) === false) {
+            delete userState[from];
+            await sock.sendMessage(from, { text: t(idioma, 'fecha_no_registrada') });
+            return;
+        }
+        await sock.sendMessage(from, { text: t(idioma, 'fecha_opcion_invalida', { total: opciones.length }) });
+        return;
+    }
+
+    const fecha = parseISODate(fechaISO);
+    if (tipo === 'consulta' && await checkExistingAppointment(data, fecha)) {
+        await ofrecerFechas(sock, from, tipo, data, t(idioma, 'ya_tiene_cita_fecha', { fecha: formatearFecha(fecha, idioma) }));
+        return;
+    }
+
+    // La reserva vuelve a verificar el cupo: otro paciente pudo tomarlo mientras se elegía la fecha
+    userState[from] = { data };
+    const { mensaje, sinCupos } = await procesarCreacionSolicitud(from, tipo, fecha);
+    if (sinCupos) {
+        await ofrecerFechas(sock, from, tipo, data, t(idioma, 'fecha_llena', { fecha: formatearFecha(fecha, idioma) }));
+        return;
+    }
+    await sock.sendMessage(from, { text: mensaje });
+
+    // --- NUEVO FLUJO POST-REGISTRO ---
+    // No borramos el estado inmediatamente, lo cambiamos a 'esperando_confirmacion_final'
+    userState[from] = { step: 'esperando_confirmacion_final' };
+}
+
+/**
+ * Normaliza los datos del titular y el beneficiario, los completa con los perfiles guardados y los verifica
+ * contra la nómina. Si la cédula del empleado no está en la nómina, se avisa que la solicitud quedará pendiente de verificación.
+ */
+async function prepararDatosSolicitud(sock, from, args) {
+    const { estado, datos } = await verificarContraNomina(await completarConPerfil(normalizarBeneficiario(args)));
+    if (estado === 'no_encontrada') {
+        await sock.sendMessage(from, { text: t(idiomaDe(from), 'nomina_no_encontrada', { cedula: datos.titular_cedula || datos.cedula }) });
+    }
+    return datos;
 }
 
 async function executeReimbursementRequest(sock, from, args) {
-    return await handleSchedulingRequest(sock, from, 'reembolso', args);
+    // Antes de buscar fecha se piden las facturas; ver handleReceiptMessage
+    userState[from] = { step: 'esperando_comprobantes_reembolso', data: await prepararDatosSolicitud(sock, from, args), comprobantes: [], pendiente: null };
+    await sock.sendMessage(from, { text: t(idiomaDe(from), 'reembolso_pedir_facturas') });
+    return false;
 }
 
 async function executeAppointmentRequest(sock, from, args) {
-    return await handleSchedulingRequest(sock, from, 'consulta', args);
+    return await handleSchedulingRequest(sock, from, 'consulta', await prepararDatosSolicitud(sock, from, args));
+}
+
+// =================================================================================
+// COMPROBANTES DE REEMBOLSO
+// =================================================================================
+
+function describirComprobantes(comprobantes, idioma) {
+    const total = comprobantes.reduce((suma, c) => suma + c.monto, 0);
+    return t(idioma, 'facturas_recibidas', {
+        cantidad: comprobantes.length,
+        facturas: t(idioma, comprobantes.length === 1 ? 'factura' : 'facturas'),
+        total: formatearMonto(total, idioma),
+    });
+}
+
+function formatearMonto(monto, idioma) {
+    return monto.toLocaleString(getLocale(idioma), { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * Recibe las facturas de un reembolso: cada foto o PDF se guarda y se le asocia un monto y un concepto.
+ * Con "listo" se pasa a elegir la fecha; los comprobantes se registran al crear la solicitud.
+ */
+async function handleReceiptMessage(sock, from, msg, messageContent) {
+    const currentState = userState[from];
+    const idioma = idiomaDe(from);
+    const texto = messageContent.trim();
+
+    if (getAdjunto(msg)) {
+        if (currentState.pendiente) {
+            await sock.sendMessage(from, { text: t(idioma, 'factura_monto_pendiente') });
+            return;
+        }
+        const guardado = await guardarComprobante(msg, idioma);
+        if (!guardado.ok) {
+            await sock.sendMessage(from, { text: guardado.mensaje });
+            return;
+        }
+        const comprobante = { archivo: guardado.archivo, tipo_archivo: guardado.tipo_archivo };
+        const detalle = parsearMontoConcepto(getAdjunto(msg).caption);
+        if (!detalle) {
+            currentState.pendiente = comprobante;
+            await sock.sendMessage(from, { text: t(idioma, 'factura_sin_monto') });
+            return;
+        }
+        currentState.comprobantes.push({ ...comprobante, ...detalle });
+        await sock.sendMessage(from, { text: t(idioma, 'factura_registrada', { concepto: detalle.concepto, monto: formatearMonto(detalle.monto, idioma) }) });
+        return;
+    }
+
+    if (currentState.pendiente) {
+        const detalle = parsearMontoConcepto(texto);
+        if (!detalle) {
+            await sock.sendMessage(from, { text: t(idioma, 'factura_monto_no_identificado') });
+            return;
+        }
+        currentState.comprobantes.push({ ...currentState.pendiente, ...detalle });
+        currentState.pendiente = null;
+        await sock.sendMessage(from, { text: t(idioma, 'factura_registrada', { concepto: detalle.concepto, monto: formatearMonto(detalle.monto, idioma) }) });
+        return;
+    }
+
+    const respuesta = sinTildes(texto);
+    if (['cancelar', 'cancel'].includes(respuesta)) {
+        delete userState[from];
+        await sock.sendMessage(from, { text: t(idioma, 'reembolso_cancelado') });
+        return;
+    }
+    if (['listo', 'lista', 'ya', 'termine', 'done', 'ready', 'pronto', 'terminei'].includes(respuesta)) {
+        if (currentState.comprobantes.length === 0) {
+            await sock.sendMessage(from, { text: t(idioma, 'factura_minimo') });
+            return;
+        }
+        const data = { ...currentState.data, comprobantes: currentState.comprobantes };
+        await sock.sendMessage(from, { text: describirComprobantes(currentState.comprobantes, idioma) });
+        const finalizado = await handleSchedulingRequest(sock, from, 'reembolso', data);
+        if (finalizado) delete userState[from];
+        return;
+    }
+
+    await sock.sendMessage(from, { text: t(idioma, 'factura_instruccion') });
+}
+
+// =================================================================================
+// LISTA DE ESPERA
+// =================================================================================
+
+async function handleWaitlistConfirmation(sock, from, messageContent) {
+    const { data, tipo, diaSemana } = userState[from];
+    const idioma = idiomaDe(from);
+    const confirmacion = interpretarConfirmacion(messageContent);
+
+    if (confirmacion === null) {
+        await sock.sendMessage(from, { text: t(idioma, 'lista_espera_responde') });
+        return;
+    }
+    delete userState[from];
+    if (!confirmacion) {
+        await sock.sendMessage(from, { text: t(idioma, 'lista_espera_no') });
+        return;
+    }
+
+    const datos = { ...data };
+    delete datos.dia_semana_deseado;
+    const entrada = await agregarAListaEspera(from, tipo, diaSemana, datos, idioma);
+    await sock.sendMessage(from, {
+        text: entrada
+            ? t(idioma, 'lista_espera_ok', { minutos: MINUTOS_OFERTA })
+            : t(idioma, 'lista_espera_error')
+    });
+}
+
+/**
+ * Respuesta del paciente a un cupo ofrecido desde la lista de espera.
+ * Al aceptar se registra por el flujo normal de generación de turnos; la oferta sigue apartando el cupo
+ * hasta que la reserva del turno la marca como aceptada.
+ */
+async function handleWaitlistOfferResponse(sock, from, oferta, confirmacion) {
+    const idioma = idiomaDe(from);
+    if (!confirmacion) {
+        await rechazarOferta(sock, oferta);
+        await sock.sendMessage(from, { text: t(idioma, 'oferta_rechazada') });
+        return;
+    }
+
+    if (!aceptarOferta(oferta)) {
+        await sock.sendMessage(from, { text: t(idioma, 'oferta_vencida') });
+        return;
+    }
+
+    const tipo = oferta.tipo_solicitud;
+    const fecha = parseISODate(oferta.fecha_oferta);
+    if (tipo === 'consulta' && await checkExistingAppointment(oferta.datos, fecha)) {
+        await devolverAListaEspera(oferta);
+        await sock.sendMessage(from, { text: t(idioma, 'oferta_ya_tiene_cita', { fecha: formatearFecha(fecha, idioma) }) });
+        await notificarCupoLiberado(sock, tipo, fecha);
+        return;
+    }
+    userState[from] = { data: oferta.datos };
+    const { solicitud, mensaje, sinCupos } = await procesarCreacionSolicitud(from, tipo, fecha, oferta.id);
+    if (sinCupos) {
+        delete userState[from];
+        await devolverAListaEspera(oferta);
+        await sock.sendMessage(from, { text: t(idioma, 'oferta_sin_cupo') });
+        return;
+    }
+    // Si el registro falló la oferta sigue vigente: vuelve a la lista y el cupo pasa al siguiente
+    if (!solicitud) {
+        await devolverAListaEspera(oferta);
+        await notificarCupoLiberado(sock, tipo, fecha);
+    }
+    await sock.sendMessage(from, { text: mensaje });
+    if (solicitud) userState[from] = { step: 'esperando_confirmacion_final' };
+    else delete userState[from];
+}
+
+// =================================================================================
+// RESPUESTA A RECORDATORIOS
+// =================================================================================
+
+/**
+ * Deja al paciente esperando la respuesta a un recordatorio (1 = confirma, 2 = cancela). Se llama antes de
+ * enviar el recordatorio: si el paciente está en medio de otra conversación no se interrumpe, y el
+ * recordatorio no le pide 1 o 2 (podrá cancelar por el flujo normal).
+ * @param {string} from - JID del paciente.
+ * @param {Array} solicitudes - Las solicitudes recordadas.
+ * @returns {Promise<boolean>} true si la respuesta del paciente se tomará como respuesta al recordatorio.
+ */
+async function iniciarRespuestaRecordatorio(from, solicitudes) {
+    if (userState[from]) return false;
+    userState[from] = { step: 'esperando_respuesta_recordatorio', solicitudes };
+    await persistirSesion(from);
+    return true;
+}
+
+async function handleReminderResponse(sock, from, messageContent) {
+    const { solicitudes: recordadas } = userState[from];
+    const idioma = idiomaDe(from);
+    const confirmacion = interpretarConfirmacion(messageContent);
+    if (confirmacion === null) {
+        // Cualquier otra respuesta se interpreta como una conversación nueva
+        delete userState[from];
+        return false;
+    }
+    delete userState[from];
+
+    const ids = new Set(recordadas.map(s => s.id));
+    const fechas = [...new Set(recordadas.map(s => s.fecha_solicitud))];
+    const recordatorios = [];
+    for (const fecha of fechas) {
+        recordatorios.push(...(await getRecordatoriosPorFecha(fecha)).filter(r => ids.has(r.solicitud_id)));
+    }
+
+    if (confirmacion === true) {
+        for (const recordatorio of recordatorios) {
+            await actualizarRecordatorio(recordatorio.id, { respuesta: 'confirmada' });
+        }
+        await sock.sendMessage(from, { text: t(idioma, 'recordatorio_confirmado') });
+        return true;
+    }
+
+    if (confirmacion === false) {
+        // Las que el paciente ya canceló o reprogramó desde el recordatorio no se vuelven a cancelar
+        const solicitudes = [];
+        for (const recordada of recordadas) {
+            const vigente = await getSolicitudPorTurno(recordada.numero_turno, recordada.fecha_solicitud);
+            if (vigente && vigente.id === recordada.id) solicitudes.push(vigente);
+        }
+        for (const solicitud of solicitudes) {
+            await cancelarSolicitud(solicitud.id);
+        }
+        for (const recordatorio of recordatorios) {
+            await actualizarRecordatorio(recordatorio.id, { respuesta: 'cancelada' });
+        }
+        if (solicitudes.length === 0) {
+            await sock.sendMessage(from, { text: t(idioma, 'recordatorio_ya_cancelado') });
+            return true;
+        }
+        const turnos = solicitudes.map(s => `*${s.numero_turno}*`).join(', ');
+        await sock.sendMessage(from, { text: t(idioma, solicitudes.length > 1 ? 'recordatorio_cancelado_varios' : 'recordatorio_cancelado_uno', { turnos }) });
+        for (const solicitud of solicitudes) {
+            await notificarCupoLiberado(sock, solicitud.tipo_solicitud, parseISODate(solicitud.fecha_solicitud));
+        }
+        return true;
+    }
+}
+
+// =================================================================================
+// CANCELACIÓN Y REPROGRAMACIÓN DE SOLICITUDES
+// =================================================================================
+
+// Datos del paciente que se conservan al mover una solicitud a otra fecha
+const CAMPOS_PACIENTE = ['nombre_paciente', 'apellido_paciente', 'cedula', 'titular_nombre', 'titular_apellido', 'titular_cedula', 'parentesco', 'nomina', 'gerencia', 'tipo_consulta_detalle', 'verificacion_nomina'];
+
+function describirTipo(tipo, idioma) {
+    return ['consulta', 'ecor', 'reembolso'].includes(tipo) ? t(idioma, `tipo_${tipo}`) : tipo;
+}
+
+function describirSolicitud(solicitud, idioma) {
+    // Las solicitudes de beneficiarios indican para quién son, porque el titular también las ve con su cédula
+    const paciente = solicitud.titular_cedula ? t(idioma, 'solicitud_de', { nombre: [solicitud.nombre_paciente, solicitud.apellido_paciente].filter(Boolean).join(' ') }) : '';
+    return t(idioma, 'solicitud_descripcion', {
+        turno: `*${solicitud.numero_turno}*`,
+        tipo: describirTipo(solicitud.tipo_solicitud, idioma),
+        paciente,
+        fecha: formatearFecha(solicitud.fecha_solicitud, idioma),
+    });
+}
+
+/**
+ * Interpreta una respuesta de confirmación del usuario.
+ * @param {string} texto - El mensaje del usuario.
+ * @returns {boolean|null} true si confirma, false si rechaza, null si no se entiende.
+ */
+function interpretarConfirmacion(texto) {
+    const respuesta = texto.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+    if (/^(si|s|1|confirmo|confirmar|dale|ok|claro|yes|yeah|sure|sim)\b/.test(respuesta)) return true;
+    if (/^(no|n|2|cancelar|cancel|nao)\b/.test(respuesta)) return false;
+    return null;
+}
+
+/**
+ * Busca las solicitudes vigentes de la cédula y pide al usuario que elija y confirme cuál modificar.
+ * @param {'cancelar' | 'reprogramar'} accion - La modificación solicitada.
+ */
+async function handleModificationRequest(sock, from, accion, args) {
+    const idioma = idiomaDe(from);
+    const cedula = String(args.cedula || '').replace(/\D/g, '');
+    if (!cedula) {
+        await sock.sendMessage(from, { text: t(idioma, 'modificacion_sin_cedula') });
+        return true;
+    }
+
+    const solicitudes = await getSolicitudesActivasPorCedula(cedula, getHoyISO());
+
+    if (solicitudes.length === 0) {
+        await sock.sendMessage(from, { text: t(idioma, 'modificacion_sin_solicitudes', { cedula }) });
+        return true;
+    }
+
+    const diaDeseado = args.dia_semana_deseado || null;
+    if (solicitudes.length === 1) {
+        await pedirConfirmacionModificacion(sock, from, accion, solicitudes[0], diaDeseado);
+        return false;
+    }
+
+    userState[from] = { step: 'esperando_seleccion_modificacion', accion, opciones: solicitudes, diaDeseado };
+    const lista = solicitudes.map((s, i) => `*-${i + 1}-* ${describirSolicitud(s, idioma)}`).join('\n');
+    await sock.sendMessage(from, { text: t(idioma, `modificacion_varias_${accion}`, { lista }) });
+    return false;
+}
+
+async function pedirConfirmacionModificacion(sock, from, accion, solicitud, diaDeseado) {
+    userState[from] = { step: 'esperando_confirmacion_modificacion', accion, solicitud, diaDeseado };
+    const idioma = idiomaDe(from);
+    const descripcion = describirSolicitud(solicitud, idioma);
+    let pregunta = t(idioma, 'confirmar_cancelar', { solicitud: descripcion });
+    if (accion === 'reprogramar') {
+        pregunta = diaDeseado
+            ? t(idioma, 'confirmar_reprogramar_dia', { solicitud: descripcion, dia: etiqueta(idioma, diaDeseado) })
+            : t(idioma, 'confirmar_reprogramar', { solicitud: descripcion });
+    }
+    await sock.sendMessage(from, { text: `${pregunta} ${t(idioma, 'responde_si_no')}` });
+}
+
+async function handleModificationSelection(sock, from, messageContent) {
+    const currentState = userState[from];
+    const idioma = idiomaDe(from);
+    const indice = parseInt(messageContent.trim(), 10) - 1;
+
+    if (interpretarConfirmacion(messageContent) === false && isNaN(indice)) {
+        delete userState[from];
+        await sock.sendMessage(from, { text: t(idioma, 'sin_cambios') });
+        return;
+    }
+    if (isNaN(indice) || !currentState.opciones[indice]) {
+        await sock.sendMessage(from, { text: t(idioma, 'opcion_invalida', { total: currentState.opciones.length }) });
+        return;
+    }
+    await pedirConfirmacionModificacion(sock, from, currentState.accion, currentState.opciones[indice], currentState.diaDeseado);
+}
+
+async function handleModificationConfirmation(sock, from, messageContent) {
+    const { accion, solicitud, diaDeseado } = userState[from];
+    const idioma = idiomaDe(from);
+    const confirmacion = interpretarConfirmacion(messageContent);
+
+    if (confirmacion === null) {
+        await sock.sendMessage(from, { text: t(idioma, 'modificacion_responde') });
+        return;
+    }
+    if (!confirmacion) {
+        delete userState[from];
+        await sock.sendMessage(from, { text: t(idioma, 'solicitud_sin_cambios') });
+        return;
+    }
+
+    const finalizado = accion === 'reprogramar'
+        ? await aplicarReprogramacion(sock, from, solicitud, diaDeseado)
+        : await aplicarCancelacion(sock, from, solicitud);
+
+    if (finalizado) delete userState[from];
+    else userState[from] = { step: 'esperando_confirmacion_final' };
+}
+
+/**
+ * Cancela la solicitud, liberando su cupo.
+ * @returns {Promise<boolean>} true si el flujo terminó, false si queda esperando la confirmación final.
+ */
+async function aplicarCancelacion(sock, from, solicitud) {
+    const idioma = idiomaDe(from);
+    const cancelada = await cancelarSolicitud(solicitud.id);
+    if (!cancelada) {
+        await sock.sendMessage(from, { text: t(idioma, 'cancelacion_error') });
+        return true;
+    }
+    await sock.sendMessage(from, { text: t(idioma, 'cancelacion_ok', { solicitud: describirSolicitud(solicitud, idioma) }) });
+    await notificarCupoLiberado(sock, solicitud.tipo_solicitud, parseISODate(solicitud.fecha_solicitud));
+    return false;
+}
+
+/**
+ * Mueve la solicitud a la próxima fecha disponible: crea la nueva y, solo si se registró, cancela la anterior.
+ * @returns {Promise<boolean>} true si el flujo terminó, false si queda esperando la confirmación final.
+ */
+async function aplicarReprogramacion(sock, from, solicitud, diaDeseado) {
+    const idioma = idiomaDe(from);
+    const tipo = solicitud.tipo_solicitud;
+    const fechaCita = tipo === 'ecor' ? await getFechaEcor(diaDeseado) : await findNextAvailableDate(tipo, diaDeseado);
+
+    if (!fechaCita) {
+        await sock.sendMessage(from, { text: t(idioma, 'reprogramacion_sin_cupos') });
+        return true;
+    }
+
+    const fechaCitaISO = toISODate(fechaCita);
+    if (fechaCitaISO === solicitud.fecha_solicitud) {
+        await sock.sendMessage(from, { text: t(idioma, 'reprogramacion_misma_fecha', { fecha: formatearFecha(fechaCitaISO, idioma) }) });
+        return true;
+    }
+    if (tipo !== 'reembolso' && await checkExistingAppointment(solicitud, fechaCita)) {
+        await sock.sendMessage(from, { text: t(idioma, 'reprogramacion_cita_existente', { fecha: formatearFecha(fechaCitaISO, idioma) }) });
+        return true;
+    }
+
+    const datos = {};
+    for (const campo of CAMPOS_PACIENTE) {
+        if (solicitud[campo] !== undefined && solicitud[campo] !== null) datos[campo] = solicitud[campo];
+    }
+    userState[from] = { data: datos };
+
+    const { solicitud: nuevaSolicitud, mensaje } = await procesarCreacionSolicitud(from, tipo === 'reembolso' ? 'reembolso' : 'consulta', fechaCita);
+    if (!nuevaSolicitud) {
+        await sock.sendMessage(from, { text: t(idioma, 'reprogramacion_fallida', { mensaje }) });
+        return true;
+    }
+
+    if (tipo === 'reembolso') await reasignarComprobantes(solicitud.id, nuevaSolicitud.id);
+    await cancelarSolicitud(solicitud.id);
+    await sock.sendMessage(from, { text: t(idioma, 'reprogramacion_ok', { solicitud: describirSolicitud(solicitud, idioma), mensaje }) });
+    await notificarCupoLiberado(sock, solicitud.tipo_solicitud, parseISODate(solicitud.fecha_solicitud));
+    return false;
+}
+
+// =================================================================================
+// CONSULTA DE SOLICITUDES ("MIS SOLICITUDES")
+// =================================================================================
+
+/**
+ * Determina el estado que se le muestra al paciente para una solicitud.
+ */
+function describirEstadoSolicitud(solicitud, hoyISO, idioma) {
+    if (solicitud.estado === 'cancelada') return t(idioma, 'estado_cancelada');
+    if (solicitud.tipo_solicitud === 'reembolso') return describirEstadoReembolso(solicitud, idioma);
+    return t(idioma, solicitud.fecha_solicitud >= hoyISO ? 'estado_pendiente' : 'estado_finalizada');
+}
+
+/**
+ * Lista las solicitudes próximas y recientes del paciente, buscándolas por cédula
+ * o, si no la indicó, por el número de WhatsApp desde el que se registraron.
+ */
+async function executeStatusRequest(sock, from, args) {
+    const idioma = idiomaDe(from);
+    const cedula = String(args.cedula || '').replace(/\D/g, '');
+    const hoyISO = getHoyISO();
+    const desde = getAhoraClinica();
+    desde.setDate(desde.getDate() - DIAS_HISTORIAL_RECIENTE);
+    const desdeISO = toISODate(desde);
+
+    const solicitudes = cedula
+        ? await getSolicitudesPorCedula(cedula, desdeISO)
+        : await getSolicitudesPorWhatsapp(from, desdeISO);
+
+    if (solicitudes.length === 0) {
+        if (!cedula) {
+            userState[from] = { step: 'esperando_cedula_consulta' };
+            await sock.sendMessage(from, { text: t(idioma, 'consulta_sin_solicitudes_numero') });
+            return false;
+        }
+        await sock.sendMessage(from, { text: t(idioma, 'consulta_sin_solicitudes_cedula', { dias: DIAS_HISTORIAL_RECIENTE, cedula }) });
+        return true;
+    }
+
+    const formatear = s => {
+        const hora = s.hora_estimada ? t(idioma, 'consulta_hora', { hora: formatearHora(s.hora_estimada) }) : '';
+        return `• *${s.numero_turno}* ${describirTipo(s.tipo_solicitud, idioma)} — ${formatearFecha(s.fecha_solicitud, idioma)}${hora} — ${describirEstadoSolicitud(s, hoyISO, idioma)}`;
+    };
+    const proximas = solicitudes.filter(s => s.fecha_solicitud >= hoyISO);
+    const recientes = solicitudes.filter(s => s.fecha_solicitud < hoyISO).reverse();
+
+    let texto = t(idioma, 'consulta_titulo');
+    texto += proximas.length > 0 ? `\n\n${t(idioma, 'consulta_proximas')}\n${proximas.map(formatear).join('\n')}` : `\n\n${t(idioma, 'consulta_sin_proximas')}`;
+    if (recientes.length > 0) texto += `\n\n${t(idioma, 'consulta_recientes')}\n${recientes.map(formatear).join('\n')}`;
+    texto += `\n\n${t(idioma, 'en_que_mas')}`;
+
+    await sock.sendMessage(from, { text: texto });
+    userState[from] = { step: 'esperando_confirmacion_final' };
+    return false;
+}
+
+async function handleStatusCedulaResponse(sock, from, messageContent) {
+    const cedula = messageContent.replace(/\D/g, '');
+    if (!cedula) {
+        await sock.sendMessage(from, { text: t(idiomaDe(from), 'cedula_solo_numero') });
+        return;
+    }
+    const finalizado = await executeStatusRequest(sock, from, { cedula });
+    if (finalizado) delete userState[from];
+}
+
+async function executeCancellationRequest(sock, from, args) {
+    return await handleModificationRequest(sock, from, 'cancelar', args);
+}
+
+async function executeRescheduleRequest(sock, from, args) {
+    return await handleModificationRequest(sock, from, 'reprogramar', args);
 }
 
 
@@ -188,82 +748,181 @@ async function executeAppointmentRequest(sock, from, args) {
 
 /**
  * Lógica central para crear una solicitud en la base de datos y generar el mensaje de éxito.
+ * El número de turno y el cupo se reservan de forma atómica; si otro paciente tomó el último cupo
+ * mientras tanto, se devuelve sinCupos para que el llamador busque otra fecha.
+ * @param {number|null} [ofertaId] - La oferta de la lista de espera que se acepta con esta solicitud.
+ * @returns {Promise<{solicitud: Object|null, mensaje: string, sinCupos?: boolean}>} La solicitud creada (null si falló) y el mensaje para el usuario.
  */
-async function procesarCreacionSolicitud(from, tipo, fecha) {
+async function procesarCreacionSolicitud(from, tipo, fecha, ofertaId = null) {
     const currentState = userState[from];
-    if (!currentState || !currentState.data) return "Hubo un error al recuperar tus datos. Por favor, intenta de nuevo.";
+    const idioma = idiomaDe(from);
+    if (!currentState || !currentState.data) return { solicitud: null, mensaje: t(idioma, 'error_datos') };
 
-    const prefijo = (tipo === 'reembolso') ? 'R' : 'C';
-    const tipoSolicitudDB = (currentState.data.tipo_consulta_detalle === 'Examen físico anual (ECOR)') ? 'ecor' : tipo;
+    const tipoSolicitudDB = getTipoSolicitud(currentState.data.tipo_consulta_detalle) === 'ecor' ? 'ecor' : tipo;
 
-    const numeroTurno = await getSiguienteNumeroTurno(prefijo, fecha);
-    if (!numeroTurno) return "Hubo un error crítico al generar tu número de turno.";
-
-    const ahora = new Date(new Date().toLocaleString("en-US", { timeZone: "America/Caracas" }));
+    const ahora = getAhoraClinica();
     const horaParaDB = ahora.toTimeString().slice(0, 8);
-    const horaParaUsuario = ahora.toLocaleTimeString('es-VE', { hour: '2-digit', minute: '2-digit', hour12: true });
+    const horaParaUsuario = ahora.toLocaleTimeString(getLocale(idioma), { hour: '2-digit', minute: '2-digit', hour12: true });
 
     const datosParaGuardar = { ...currentState.data };
     delete datosParaGuardar.fechaPropuesta;
     delete datosParaGuardar.dia_semana_deseado; // Limpiamos el dato auxiliar
+    delete datosParaGuardar.comprobantes; // Las facturas van en su propia tabla
 
     const solicitudData = {
         ...datosParaGuardar,
         tipo_solicitud: tipoSolicitudDB,
-        numero_turno: numeroTurno,
-        fecha_solicitud: fecha.toISOString().split('T')[0],
-        hora_solicitud: horaParaDB
+        fecha_solicitud: toISODate(fecha),
+        hora_solicitud: horaParaDB,
+        asistencia: 'pendiente',
+        whatsapp_jid: from,
+        idioma,
     };
+    if (tipoSolicitudDB === 'reembolso') solicitudData.estado_reembolso = 'recibido';
+
+    const { solicitud: reservada, sinCupos } = await reservarTurno(solicitudData, ofertaId);
+    if (sinCupos) return { solicitud: null, mensaje: t(idioma, 'error_ultimo_cupo'), sinCupos: true };
+    if (!reservada) return { solicitud: null, mensaje: t(idioma, 'error_registro') };
 
-    const nuevaSolicitud = await crearSolicitud(solicitudData);
-    if (nuevaSolicitud) {
-        const fechaFormateada = fecha.toLocaleDateString('es-VE', { weekday: 'long', day: 'numeric', month: 'long' });
-        return `¡Registro exitoso!\n\nTu solicitud ha sido agendada con el número de turno: *${numeroTurno}*.\n\n*Fecha Asignada:* ${fechaFormateada}\n*Hora del Registro:* ${horaParaUsuario}\n\n_Te recordamos que el horario de atención en la clínica es de 8:00 AM a 2:00 PM._\n\n¿En qué más puedo ayudarte?`;
+    // La hora estimada depende del número asignado y de los turnos anteriores, que solo se conocen tras la reserva
+    const numeroTurno = reservada.numero_turno;
+    const horaEstimada = calcularHoraEstimada(fecha, tipoSolicitudDB, numeroTurno, await getDatosReporteDiario(reservada.fecha_solicitud));
+    const nuevaSolicitud = (horaEstimada && await actualizarSolicitud(reservada.id, { hora_estimada: horaEstimada })) || reservada;
+
+    const comprobantes = currentState.data.comprobantes || [];
+    if (comprobantes.length > 0 && !(await registrarComprobantes(nuevaSolicitud.id, comprobantes))) {
+        console.error(`[COMPROBANTES] No se registraron los comprobantes de la solicitud ${nuevaSolicitud.id}:`, comprobantes);
     }
-    return "Hubo un error al registrar tu solicitud en la base de datos.";
+    if (tipoSolicitudDB === 'reembolso') await registrarRecepcionReembolso(nuevaSolicitud);
+    await actualizarPerfilDesdeSolicitud(nuevaSolicitud);
+
+    const lineaBeneficiario = nuevaSolicitud.titular_cedula
+        ? t(idioma, 'registro_paciente', { nombre: [nuevaSolicitud.nombre_paciente, nuevaSolicitud.apellido_paciente].filter(Boolean).join(' '), titular: describirTitular(nuevaSolicitud, idioma) })
+        : '';
+    return {
+        solicitud: nuevaSolicitud,
+        mensaje: t(idioma, 'registro_exitoso', {
+            turno: numeroTurno,
+            paciente: lineaBeneficiario,
+            fecha: formatearFecha(fecha, idioma),
+            hora_estimada: horaEstimada ? t(idioma, 'registro_hora_estimada', { hora: formatearHora(horaEstimada) }) : '',
+            hora_registro: horaParaUsuario,
+            verificacion: nuevaSolicitud.verificacion_nomina === 'pendiente' ? t(idioma, 'registro_verificacion') : '',
+            horario: describirHorario(fecha, t(idioma, 'horario_hasta')),
+        }),
+    };
 }
 
-// Las funciones de menú de respaldo y el manejador principal no necesitan cambios
-async function startMenuFlow(sock, from, prependMessage = null) {
-    console.log(`Activando flujo de menú de respaldo de texto para ${from}`);
-    userState[from] = { step: 'menu_principal_respuesta' };
+// =================================================================================
+// MENÚ DE RESPALDO (SIN IA)
+// =================================================================================
 
-    let menuText = (prependMessage || "¡Hola!") +
-        "\n\nNuestro asistente inteligente no está disponible. Por favor, responde con el número de tu solicitud:\n\n*-1-* 🚨 Emergencia\n*-2-* 💸 Solicitar Reembolso\n*-3-* 🩺 Agendar Consulta";
+/**
+ * Ejecuta una acción de la IA o del menú de respaldo con sus argumentos ya validados.
+ * @returns {Promise<boolean>} true si la conversación terminó.
+ */
+async function ejecutarAccion(sock, from, nombre, args) {
+    console.log(`[+] Ejecutando herramienta: ${nombre}`, args);
+    if (nombre === 'informar_emergencia') {
+        const mensajesPaciente = (userState[from]?.history || []).filter(m => m.role === 'user').map(m => m.content).join(' / ');
+        await executeEmergencyCall(sock, from, mensajesPaciente || null);
+        return true;
+    }
+    if (nombre === 'solicitar_reembolso') return await executeReimbursementRequest(sock, from, args);
+    if (nombre === 'agendar_solicitud') return await executeAppointmentRequest(sock, from, args);
+    if (nombre === 'cancelar_solicitud') return await executeCancellationRequest(sock, from, args);
+    if (nombre === 'reprogramar_solicitud') return await executeRescheduleRequest(sock, from, args);
+    if (nombre === 'consultar_solicitudes') return await executeStatusRequest(sock, from, args);
+    throw new Error(`Herramienta desconocida: ${nombre}`);
+}
 
-    await sock.sendMessage(from, { text: menuText });
+/**
+ * Termina una acción: borra el estado si la conversación terminó, salvo que quede esperando la confirmación final.
+ */
+function finalizarAccion(from, taskCompleted) {
+    if (taskCompleted && userState[from]?.step !== 'esperando_confirmacion_final') {
+        delete userState[from];
+    }
+}
+
+async function startMenuFlow(sock, from, prependMessage = null) {
+    console.log(`Activando flujo de menú de respaldo de texto para ${from}`);
+    const idioma = idiomaDe(from);
+    const { estado, mensaje } = iniciarMenu(prependMessage || t(idioma, 'saludo', { clinica: getClinica().nombre }), idioma);
+    userState[from] = { step: 'menu_respaldo', menu: estado };
+    await sock.sendMessage(from, { text: mensaje });
 }
 
+/**
+ * Respuesta del usuario al menú de respaldo: avanza un paso o, al terminar, ejecuta la acción
+ * con el mismo código que usa la IA.
+ */
 async function handleMenuResponse(sock, from, messageContent) {
-    const currentState = userState[from];
-    if (!currentState || currentState.step !== 'menu_principal_respuesta') return;
-    const choice = messageContent.trim();
-    if (choice === '1') {
-        await executeEmergencyCall(sock, from);
+    const resultado = procesarRespuestaMenu(userState[from].menu, messageContent);
+
+    if (resultado.salir) {
         delete userState[from];
-    } else if (choice === '2' || choice === '3') {
-        const requestType = choice === '2' ? 'reembolso' : 'consulta';
-        await sock.sendMessage(from, { text: `Para procesar tu *${requestType}*, por favor, indica toda la información en un solo mensaje. Ejemplo:\n\nNombre: Juan Pérez\nCédula: 12345678\nNómina: Contractual Mensual\nGerencia: Operaciones\nTipo de Consulta: Reposo Médico` });
+        await sock.sendMessage(from, { text: resultado.mensaje });
+        return;
+    }
+    if (resultado.accion) {
         delete userState[from];
-    } else {
-        await sock.sendMessage(from, { text: "Opción no válida. Por favor, responde con 1, 2 o 3." });
+        finalizarAccion(from, await ejecutarAccion(sock, from, resultado.accion.nombre, resultado.accion.args));
+        return;
     }
+    userState[from].menu = resultado.estado;
+    await sock.sendMessage(from, { text: resultado.mensaje });
+}
+
+function notaVozDemasiadoLarga(segundos) {
+    return Number(segundos) > MAX_SEGUNDOS_NOTA_VOZ;
+}
+
+async function avisarNotaVozLarga(sock, from) {
+    const idioma = idiomaDe(from);
+    const duracion = MAX_SEGUNDOS_NOTA_VOZ >= 60
+        ? t(idioma, 'duracion_minutos', { n: Math.round(MAX_SEGUNDOS_NOTA_VOZ / 60 * 10) / 10 })
+        : t(idioma, 'duracion_segundos', { n: MAX_SEGUNDOS_NOTA_VOZ });
+    await sock.sendMessage(from, { text: t(idioma, 'audio_muy_largo', { duracion }) });
+}
+
+/**
+ * Fija el idioma de la conversación con el primer mensaje en el que se puede reconocer.
+ * Mientras no se reconozca se usa IDIOMA_POR_DEFECTO.
+ */
+function detectarIdiomaConversacion(from, texto) {
+    if (idiomas[from] || !texto) return;
+    const idioma = detectarIdioma(texto);
+    if (idioma) idiomas[from] = idioma;
 }
 
+/**
+ * Procesa un mensaje entrante y guarda la sesión como quedó, aunque el procesamiento falle.
+ */
 async function handleMessage(sock, msg) {
     const from = jidNormalizedUser(msg.key.remoteJid);
+    try {
+        await procesarMensaje(sock, msg, from);
+    } finally {
+        await persistirSesion(from);
+    }
+}
+
+async function procesarMensaje(sock, msg, from) {
     console.log(`[DEBUG] Mensaje recibido de: ${msg.key.remoteJid} -> Normalizado a: ${from}`);
     const isAudio = msg.message?.audioMessage;
     let originalText = (msg.message?.conversation || msg.message?.extendedTextMessage?.text || '').trim();
 
-    const adminNumber = `${process.env.REPORT_WHATSAPP_NUMBER}@s.whatsapp.net`;
-    const isAdmin = from === adminNumber || authenticatedAdmins.has(from);
+    // Cada sede tiene sus administradores, su contraseña y el número que recibe sus reportes
+    const sede = getSedeActual();
+    const adminNumber = `${sede.reporte_whatsapp}@s.whatsapp.net`;
+    const isAdmin = sede.administradores.some(numero => from === `${numero}@s.whatsapp.net`) || authenticatedAdmins.has(from);
 
     // --- COMANDO DE LOGIN ---
     if (originalText.toLowerCase().startsWith('/login')) {
         const parts = originalText.split(' ');
         const password = parts[1];
-        const correctPassword = process.env.ADMIN_PASSWORD || '2025';
+        const correctPassword = sede.admin_password;
 
         if (password === correctPassword) {
             authenticatedAdmins.add(from);
@@ -277,7 +936,7 @@ async function handleMessage(sock, msg) {
 
     if (originalText.toLowerCase().startsWith('/reporte-mensual') && isAdmin) {
         const parts = originalText.split(' ');
-        let mesString = new Date().toISOString().slice(0, 7); // YYYY-MM actual por defecto
+        let mesString = getHoyISO().slice(0, 7); // YYYY-MM actual por defecto
         if (parts.length > 1 && /^\d{4}-\d{2}$/.test(parts[1])) {
             mesString = parts[1];
         }
@@ -288,7 +947,7 @@ async function handleMessage(sock, msg) {
 
     if (originalText.toLowerCase().startsWith('/reporte') && isAdmin) {
         const parts = originalText.split(' ');
-        let fechaString = new Date().toLocaleDateString('en-CA', { timeZone: 'America/Caracas' });
+        let fechaString = getHoyISO();
         if (parts.length > 1 && /^\d{4}-\d{2}-\d{2}$/.test(parts[1])) {
             fechaString = parts[1];
         }
@@ -298,78 +957,280 @@ async function handleMessage(sock, msg) {
         return;
     }
 
-    if (originalText.toLowerCase() === 'menu') {
-        delete userState[from];
-        await startMenuFlow(sock, from, "Ok, empecemos de nuevo.");
+    // --- ASISTENCIA: /asistio C-004 [YYYY-MM-DD] y /falto C-004 [YYYY-MM-DD] ---
+    if ((originalText.toLowerCase().startsWith('/asistio') || originalText.toLowerCase().startsWith('/falto')) && isAdmin) {
+        const parts = originalText.split(/\s+/);
+        const asistencia = parts[0].toLowerCase() === '/asistio' ? 'presente' : 'ausente';
+        if (parts.length > 2 && !/^\d{4}-\d{2}-\d{2}$/.test(parts[2])) {
+            await sock.sendMessage(from, { text: "Formato de fecha no válido. Usa YYYY-MM-DD, ej: /asistio C-004 2025-01-15" });
+            return;
+        }
+        const resultado = await registrarAsistencia(parts[1], asistencia, parts[2] || undefined);
+        await sock.sendMessage(from, { text: `${resultado.ok ? '✅' : '❌'} ${resultado.mensaje}` });
         return;
     }
 
-    // La lógica de confirmación para el día siguiente ya no es necesaria con el nuevo sistema.
-    const currentState = userState[from];
+    // --- REEMBOLSOS: /reembolsos y /reembolso R-003 [YYYY-MM-DD] <estado> [motivo] ---
+    if (originalText.toLowerCase() === '/reembolsos' && isAdmin) {
+        await sock.sendMessage(from, { text: await describirReembolsosPendientes() });
+        return;
+    }
 
-    // --- NUEVO MANEJADOR DE CONFIRMACIÓN FINAL ---
-    if (currentState && currentState.step === 'esperando_confirmacion_final') {
-        const respuesta = originalText.toLowerCase();
-        if (respuesta.includes('no') || respuesta.includes('gracias') || respuesta.includes('listo')) {
-            await sock.sendMessage(from, { text: "Estamos para servirle, que tenga un gran día." });
-            delete userState[from];
+    if (originalText.toLowerCase().startsWith('/reembolso ') && isAdmin) {
+        const parts = originalText.split(/\s+/);
+        const conFecha = /^\d{4}-\d{2}-\d{2}$/.test(parts[2] || '');
+        const [estado, ...motivo] = parts.slice(conFecha ? 3 : 2);
+        if (!estado) {
+            await sock.sendMessage(from, { text: "Formato: /reembolso R-003 [YYYY-MM-DD] revision|aprobado|rechazado <motivo>|pagado" });
             return;
-        } else {
-            // Si dice otra cosa (ej: "tengo una emergencia"), borramos el estado "finalizado"
-            // y dejamos que el flujo continúe hacia la IA para que ella interprete el mensaje.
-            delete userState[from];
-            // NO hacemos return aquí, para que caiga en la lógica de IA de abajo
         }
+        const resultado = await cambiarEstadoReembolso(sock, parts[1], estado, {
+            fechaISO: conFecha ? parts[2] : undefined,
+            motivo: motivo.join(' '),
+            registradoPor: from,
+        });
+        await sock.sendMessage(from, { text: `${resultado.ok ? '✅' : '❌'} ${resultado.mensaje}` });
+        return;
     }
 
-    if (currentState && currentState.step === 'menu_principal_respuesta') {
-        await handleMenuResponse(sock, from, originalText);
+    // --- EMERGENCIAS: /atender [número] confirma que el personal de guardia está atendiendo ---
+    if (originalText.toLowerCase().startsWith('/atender') && (isAdmin || esPersonalEmergencias(from))) {
+        const resultado = await atenderEmergencia(sock, from, originalText.split(/\s+/)[1]);
+        await sock.sendMessage(from, { text: `${resultado.ok ? '✅' : '❌'} ${resultado.mensaje}` });
+        return;
+    }
+
+    // La ubicación que comparte un paciente después de reportar una emergencia se envía a la guardia
+    if (msg.message?.locationMessage && await registrarUbicacion(sock, from, msg.message.locationMessage, idiomaDe(from))) {
+        return;
+    }
+
+    // --- NÓMINA: /nomina (o el archivo Excel/CSV con el comentario /nomina), /revisiones y /verificar C-004 [YYYY-MM-DD] aprobar|rechazar ---
+    const adjuntoNomina = getAdjunto(msg);
+    if (adjuntoNomina && adjuntoNomina.caption.toLowerCase().startsWith('/nomina') && isAdmin) {
+        await sock.sendMessage(from, { text: "Recibido. Importando la nómina..." });
+        try {
+            const buffer = await downloadMediaMessage(msg, 'buffer', {});
+            const nombreArchivo = msg.message?.documentMessage?.fileName
+                || msg.message?.documentWithCaptionMessage?.message?.documentMessage?.fileName
+                || adjuntoNomina.mimetype;
+            const resultado = await importarNomina(buffer, nombreArchivo);
+            await sock.sendMessage(from, { text: `${resultado.ok ? '✅' : '❌'} ${resultado.mensaje}` });
+        } catch (error) {
+            console.error('[NÓMINA] Error al descargar el archivo:', error.message);
+            await sock.sendMessage(from, { text: "❌ No se pudo descargar el archivo. Envíalo de nuevo." });
+        }
+        return;
+    }
+
+    if (originalText.toLowerCase() === '/nomina' && isAdmin) {
+        await sock.sendMessage(from, { text: await describirNomina() });
         return;
     }
 
+    if (originalText.toLowerCase() === '/revisiones' && isAdmin) {
+        await sock.sendMessage(from, { text: await describirRevisionesPendientes() });
+        return;
+    }
+
+    if (originalText.toLowerCase().startsWith('/verificar') && isAdmin) {
+        const parts = originalText.split(/\s+/);
+        const conFecha = /^\d{4}-\d{2}-\d{2}$/.test(parts[2] || '');
+        const decision = parts[conFecha ? 3 : 2];
+        if (!parts[1] || !decision) {
+            await sock.sendMessage(from, { text: "Formato: /verificar C-004 [YYYY-MM-DD] aprobar|rechazar" });
+            return;
+        }
+        const resultado = await resolverVerificacion(sock, parts[1], decision, conFecha ? parts[2] : undefined);
+        await sock.sendMessage(from, { text: `${resultado.ok ? '✅' : '❌'} ${resultado.mensaje}` });
+        return;
+    }
+
+    // --- CUPOS: /cupos, /cupos set <tipo> [YYYY-MM-DD | día] <límite> y /cupos borrar <tipo> [YYYY-MM-DD | día] ---
+    if (originalText.toLowerCase().startsWith('/cupos') && isAdmin) {
+        const parts = originalText.split(/\s+/);
+        const accion = (parts[1] || '').toLowerCase();
+        if (!accion) {
+            await sock.sendMessage(from, { text: await describirCupos() });
+            return;
+        }
+
+        let resultado;
+        if (accion === 'set' && (parts.length === 4 || parts.length === 5)) {
+            const [tipo, alcance, limite] = parts.length === 5 ? parts.slice(2) : [parts[2], null, parts[3]];
+            resultado = await cambiarCupos(tipo, alcance, limite);
+        } else if (accion === 'borrar' && (parts.length === 3 || parts.length === 4)) {
+            resultado = await borrarCupos(parts[2], parts[3]);
+        } else {
+            resultado = { ok: false, mensaje: "Formato no válido. Ejemplos: /cupos, /cupos set consulta 2026-12-23 5, /cupos set consulta miercoles 10, /cupos borrar consulta 2026-12-23" };
+        }
+        await sock.sendMessage(from, { text: `${resultado.ok ? '✅' : '❌'} ${resultado.mensaje}` });
+
+        // Si una fecha puntual ganó cupos, se ofrecen enseguida a la lista de espera;
+        // los cambios por día de la semana los recoge la revisión periódica de la lista.
+        if (resultado.ok && resultado.regla.fecha) {
+            await notificarCupoLiberado(sock, resultado.regla.tipo_solicitud, parseISODate(resultado.regla.fecha));
+        }
+        return;
+    }
+
+    // Las notas de voz se transcriben antes de todo lo demás: el triaje y cada paso de la conversación reciben el texto
     if (isAudio) {
         try {
             console.log(`[DEBUG] Recibida nota de voz de ${from}. Iniciando descarga...`);
-            await sock.sendMessage(from, { text: "Procesando tu nota de voz, un momento..." });
+            // WhatsApp indica la duración de la nota: las demasiado largas se rechazan sin descargarlas
+            if (notaVozDemasiadoLarga(msg.message.audioMessage.seconds)) {
+                await avisarNotaVozLarga(sock, from);
+                return;
+            }
+            await sock.sendMessage(from, { text: t(idiomaDe(from), 'audio_procesando') });
 
             const buffer = await downloadMediaMessage(msg, 'buffer', {});
             console.log(`[DEBUG] Audio descargado. Tamaño del buffer: ${buffer ? buffer.length : 'NULO'} bytes`);
 
             if (!buffer || buffer.length === 0) {
                 console.error("[ERROR] El buffer de audio está vacío o es nulo.");
-                await sock.sendMessage(from, { text: "Hubo un error al descargar el audio. Por favor intenta de nuevo." });
+                await sock.sendMessage(from, { text: t(idiomaDe(from), 'audio_error_descarga') });
                 return;
             }
 
-            originalText = await transcribeAudio(buffer);
+            if (!msg.message.audioMessage.seconds && notaVozDemasiadoLarga(getDuracionNotaVoz(buffer))) {
+                await avisarNotaVozLarga(sock, from);
+                return;
+            }
+
+            originalText = await transcribeAudio(buffer, idiomas[from] || null);
             console.log(`[DEBUG] Resultado de transcripción: "${originalText}"`);
 
             if (!originalText) {
                 console.warn("[WARN] La transcripción retornó null o vacío.");
-                await sock.sendMessage(from, { text: "Lo siento, no pude procesar tu nota de voz. Por favor, ¿podrías escribir tu solicitud?" });
+                await sock.sendMessage(from, { text: t(idiomaDe(from), 'audio_no_transcrito') });
                 return;
             }
             console.log(`Audio transcrito como: "${originalText}"`);
+            detectarIdiomaConversacion(from, originalText);
         } catch (error) {
             console.error("Error crítico durante el procesamiento de audio:", error);
-            await sock.sendMessage(from, { text: "Hubo un problema inesperado con tu nota de voz. Por favor, intenta de nuevo." });
+            await sock.sendMessage(from, { text: t(idiomaDe(from), 'audio_error') });
+            return;
+        }
+    }
+
+    // --- TRIAJE LOCAL: una emergencia clara no depende de que la IA responda ni del paso en que vaya la conversación ---
+    if (originalText && triarMensaje(originalText, from, isAudio ? 'audio' : 'texto').emergencia) {
+        const previos = (userState[from]?.history || []).filter(m => m.role === 'user').map(m => m.content);
+        delete userState[from];
+        await executeEmergencyCall(sock, from, [...previos, originalText].join(' / '));
+        return;
+    }
+
+    // --- IDIOMA: el paciente puede cambiarlo escribiendo su nombre (ej. "english") ---
+    const idiomaPedido = idiomaSolicitado(originalText);
+    if (idiomaPedido) {
+        idiomas[from] = idiomaPedido;
+        if (userState[from]?.menu) userState[from].menu.idioma = idiomaPedido;
+        // Sin una conversación en curso se abre una, para que el idioma elegido se conserve en la sesión
+        if (!userState[from]) userState[from] = { history: [], contextoPaciente: await construirContextoPaciente(from) };
+        await sock.sendMessage(from, { text: t(idiomaPedido, 'idioma_cambiado') });
+        return;
+    }
+    detectarIdiomaConversacion(from, originalText);
+
+    if (originalText.toLowerCase() === 'menu') {
+        delete userState[from];
+        await startMenuFlow(sock, from, t(idiomaDe(from), 'menu_reinicio'));
+        return;
+    }
+
+    // --- RESPUESTA A UN CUPO OFRECIDO DESDE LA LISTA DE ESPERA ---
+    // Solo si no hay otro paso en curso (una fecha por elegir, un recordatorio...) y con un sí o no escrito:
+    // un "1" o un "2" responde a ese otro paso, no a la oferta
+    const ofertaListaEspera = getOfertaActiva(from);
+    const pasoEnCurso = userState[from]?.step && userState[from].step !== 'esperando_confirmacion_final';
+    const confirmacionOferta = ofertaListaEspera && !pasoEnCurso && !/^\d/.test(originalText)
+        ? interpretarConfirmacion(originalText)
+        : null;
+    if (ofertaListaEspera && confirmacionOferta !== null) {
+        await handleWaitlistOfferResponse(sock, from, ofertaListaEspera, confirmacionOferta);
+        return;
+    }
+
+    // La lógica de confirmación para el día siguiente ya no es necesaria con el nuevo sistema.
+    const currentState = userState[from];
+
+    // --- RESPUESTA A UN RECORDATORIO DEL DÍA ANTERIOR ---
+    if (currentState && currentState.step === 'esperando_respuesta_recordatorio') {
+        const respondido = await handleReminderResponse(sock, from, originalText);
+        if (respondido) return;
+        // Si no respondió 1 o 2, el mensaje continúa hacia la IA
+    }
+
+    // --- NUEVO MANEJADOR DE CONFIRMACIÓN FINAL ---
+    if (currentState && currentState.step === 'esperando_confirmacion_final') {
+        const respuesta = sinTildes(originalText);
+        if (['no', 'gracias', 'listo', 'thank', 'obrigad', 'nao'].some(palabra => respuesta.includes(palabra))) {
+            await sock.sendMessage(from, { text: t(idiomaDe(from), 'despedida') });
+            delete userState[from];
             return;
+        } else {
+            // Si dice otra cosa (ej: "tengo una emergencia"), borramos el estado "finalizado"
+            // y dejamos que el flujo continúe hacia la IA para que ella interprete el mensaje.
+            delete userState[from];
+            // NO hacemos return aquí, para que caiga en la lógica de IA de abajo
         }
     }
 
+    if (currentState && currentState.step === 'menu_respaldo') {
+        await handleMenuResponse(sock, from, originalText);
+        return;
+    }
+
+    if (currentState && currentState.step === 'esperando_comprobantes_reembolso') {
+        await handleReceiptMessage(sock, from, msg, originalText);
+        return;
+    }
+
+    if (currentState && currentState.step === 'esperando_seleccion_fecha') {
+        await handleDateSelection(sock, from, originalText);
+        return;
+    }
+
+    if (currentState && currentState.step === 'esperando_confirmacion_lista_espera') {
+        await handleWaitlistConfirmation(sock, from, originalText);
+        return;
+    }
+
+    if (currentState && currentState.step === 'esperando_cedula_consulta') {
+        await handleStatusCedulaResponse(sock, from, originalText);
+        return;
+    }
+
+    // --- CANCELACIÓN / REPROGRAMACIÓN: SELECCIÓN Y CONFIRMACIÓN ---
+    if (currentState && currentState.step === 'esperando_seleccion_modificacion') {
+        await handleModificationSelection(sock, from, originalText);
+        return;
+    }
+
+    if (currentState && currentState.step === 'esperando_confirmacion_modificacion') {
+        await handleModificationConfirmation(sock, from, originalText);
+        return;
+    }
+
     if (!originalText) return;
+
     if (!userState[from] || !userState[from].history) {
-        userState[from] = { history: [] };
+        // Si el número ya tiene pacientes guardados, la IA ofrece agendar para ellos
+        userState[from] = { history: [], contextoPaciente: await construirContextoPaciente(from) };
     }
     userState[from].history.push({ role: 'user', content: originalText });
 
     try {
-        const aiResponse = await processConversationWithAI(userState[from].history);
+        const aiResponse = await processConversationWithAI(userState[from].history, userState[from].contextoPaciente, idiomaDe(from));
 
         if (!aiResponse) {
             console.log("FALLO TOTAL DE LA IA. Activando modo menú de respaldo.");
             userState[from].history.pop();
-            await startMenuFlow(sock, from, "Lo siento, nuestro asistente inteligente no está disponible en este momento.");
+            await startMenuFlow(sock, from, t(idiomaDe(from), 'ia_no_disponible'));
             return;
         }
 
@@ -377,21 +1238,8 @@ async function handleMessage(sock, msg) {
             userState[from].history.push({ role: 'assistant', content: aiResponse.content });
             await sock.sendMessage(from, { text: aiResponse.content });
         } else if (aiResponse.type === 'tool_call' && aiResponse.call?.name) {
-            let taskCompleted = true;
-            const toolName = aiResponse.call.name;
             const toolArgs = JSON.parse(aiResponse.call.arguments || '{}');
-            console.log(`[+] Ejecutando herramienta: ${toolName}`, toolArgs);
-            if (toolName === 'informar_emergencia') await executeEmergencyCall(sock, from);
-            else if (toolName === 'solicitar_reembolso') taskCompleted = await executeReimbursementRequest(sock, from, toolArgs);
-            else if (toolName === 'agendar_solicitud') taskCompleted = await executeAppointmentRequest(sock, from, toolArgs);
-            else throw new Error(`Herramienta desconocida: ${toolName}`);
-
-            if (taskCompleted) {
-                // Solo borramos si taskCompleted es true Y no estamos en el paso de confirmación final
-                if (userState[from]?.step !== 'esperando_confirmacion_final') {
-                    delete userState[from];
-                }
-            }
+            finalizarAccion(from, await ejecutarAccion(sock, from, aiResponse.call.name, toolArgs));
         } else {
             userState[from].history.pop();
             throw new Error(`Respuesta no reconocida de la IA: ${JSON.stringify(aiResponse)}`);
@@ -401,8 +1249,8 @@ async function handleMessage(sock, msg) {
         if (userState[from] && userState[from].history) {
             userState[from].history.pop();
         }
-        await startMenuFlow(sock, from, "Hubo un problema con el asistente.");
+        await startMenuFlow(sock, from, t(idiomaDe(from), 'ia_error'));
     }
 }
 
-module.exports = { handleMessage };
\ No newline at end of file
+module.exports = { handleMessage, iniciarRespuestaRecordatorio };
\ No newline at end of file
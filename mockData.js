@@ -1,6 +1,10 @@
 // mockData.js
 // Módulo de datos mock para funcionamiento sin base de datos
 
+const { toISODate, parseISODate } = require('./calendar');
+const { REGLAS_POR_DEFECTO, resolverLimite, getReglaTurno } = require('./quotas');
+const { getSedeId } = require('./sedes');
+
 /**
  * Almacenamiento en memoria para solicitudes
  */
@@ -8,13 +12,78 @@ let solicitudes = [];
 let idCounter = 1;
 
 /**
- * Configuración de cupos disponibles
+ * Reglas de cupos (mismo modelo que la tabla reglas_cupos, ver quotas.js)
  */
-const configuracion = {
-    cupos_consulta: 15,
-    cupos_consulta_miercoles: 10,
-    cupos_reembolso: 20
-};
+let reglasCupos = REGLAS_POR_DEFECTO.map(r => ({ ...r }));
+
+/**
+ * Cierres puntuales de la clínica (los feriados nacionales los calcula calendar.js)
+ * Ejemplo: { fecha: '2026-12-23', motivo: 'Inventario anual' }
+ */
+let cierresCalendario = [];
+
+/**
+ * Lista de espera para cuando no hay cupos
+ */
+let listaEspera = [];
+let listaEsperaIdCounter = 1;
+
+/**
+ * Bitácora de recordatorios enviados (se pierde al reiniciar en modo mock)
+ */
+let recordatorios = [];
+let recordatorioIdCounter = 1;
+
+/**
+ * Comprobantes (facturas) de las solicitudes de reembolso
+ */
+let comprobantes = [];
+let comprobanteIdCounter = 1;
+
+/**
+ * Historial de estados de los reembolsos
+ */
+let estadosReembolso = [];
+let estadoReembolsoIdCounter = 1;
+
+/**
+ * Perfiles de pacientes indexados por cédula
+ */
+let pacientes = new Map();
+
+/**
+ * Nómina de empleados indexada por cédula
+ */
+let empleados = new Map();
+
+/**
+ * Línea de tiempo de las emergencias
+ */
+let eventosEmergencia = [];
+let eventoEmergenciaIdCounter = 1;
+
+/**
+ * Sesiones de conversación indexadas por sede y JID
+ */
+let sesiones = new Map();
+
+/**
+ * Con varias sedes cada fila guarda su sede_id y solo se ven las de la sede actual (ver sedes.js),
+ * igual que los filtros por sede_id de Supabase.
+ */
+function deLaSede(fila) {
+    const sedeId = getSedeId();
+    return !sedeId || fila.sede_id === sedeId;
+}
+
+function conSede(fila) {
+    const sedeId = getSedeId();
+    return sedeId ? { ...fila, sede_id: sedeId } : fila;
+}
+
+function solicitudesDeLaSede() {
+    return solicitudes.filter(deLaSede);
+}
 
 /**
  * Reinicia los datos mock (útil para testing)
@@ -22,6 +91,76 @@ const configuracion = {
 function resetMockData() {
     solicitudes = [];
     idCounter = 1;
+    reglasCupos = REGLAS_POR_DEFECTO.map(r => ({ ...r }));
+    cierresCalendario = [];
+    listaEspera = [];
+    listaEsperaIdCounter = 1;
+    recordatorios = [];
+    recordatorioIdCounter = 1;
+    comprobantes = [];
+    comprobanteIdCounter = 1;
+    estadosReembolso = [];
+    estadoReembolsoIdCounter = 1;
+    pacientes = new Map();
+    empleados = new Map();
+    eventosEmergencia = [];
+    eventoEmergenciaIdCounter = 1;
+    sesiones = new Map();
+}
+
+/**
+ * Reservas en curso por fecha y prefijo. Cada reserva espera a que termine la anterior,
+ * igual que el bloqueo por fecha de la función reservar_turno en Supabase.
+ */
+const reservasEnCurso = new Map();
+
+/**
+ * Ejecuta una función en exclusión mutua con las demás que usan la misma clave.
+ * @param {string} clave - La clave del bloqueo (ej: "C:2026-10-21").
+ * @param {Function} fn - Función asíncrona a ejecutar.
+ * @returns {Promise<*>} - El resultado de fn.
+ */
+function conLock(clave, fn) {
+    const anterior = reservasEnCurso.get(clave) || Promise.resolve();
+    const actual = anterior.then(fn, fn);
+    const cola = actual.catch(() => {});
+    reservasEnCurso.set(clave, cola);
+    cola.then(() => {
+        if (reservasEnCurso.get(clave) === cola) reservasEnCurso.delete(clave);
+    });
+    return actual;
+}
+
+/**
+ * Obtiene el límite de cupos de un tipo de solicitud en una fecha según las reglas de cupos.
+ * @param {'consulta' | 'reembolso'} tipo - El tipo de solicitud.
+ * @param {Date} fecha - La fecha del cupo.
+ * @returns {Promise<number>} - El límite de cupos del día.
+ */
+async function getLimiteCupos(tipo, fecha) {
+    return resolverLimite(reglasCupos.filter(deLaSede), tipo, fecha);
+}
+
+function contarOcupados(tipo, fechaISO, ofertaId = null) {
+    const tipoQuery = getReglaTurno(tipo).tipos;
+
+    // Contar solicitudes existentes para esa fecha (las canceladas liberan su cupo)
+    const count = solicitudesDeLaSede().filter(s =>
+        tipoQuery.includes(s.tipo_solicitud) &&
+        s.fecha_solicitud === fechaISO &&
+        s.estado !== 'cancelada'
+    ).length;
+
+    // Los cupos ofrecidos a la lista de espera quedan reservados mientras la oferta está vigente
+    const reservados = listaEspera.filter(e =>
+        deLaSede(e) &&
+        e.tipo_solicitud === tipo &&
+        e.fecha_oferta === fechaISO &&
+        e.estado === 'ofrecida' &&
+        e.id !== ofertaId
+    ).length;
+
+    return count + reservados;
 }
 
 /**
@@ -32,24 +171,8 @@ function resetMockData() {
  */
 async function getCuposDisponibles(tipo, fecha) {
     try {
-        const diaSemana = fecha.getDay();
-        let claveLimite = `cupos_${tipo}`;
-        // Los miércoles tienen menos cupos para consultas
-        if (tipo === 'consulta' && diaSemana === 3) {
-            claveLimite = 'cupos_consulta_miercoles';
-        }
-
-        const limiteCupos = configuracion[claveLimite] || 15;
-        const fechaISO = fecha.toISOString().split('T')[0];
-        const tipoQuery = tipo === 'consulta' ? ['consulta', 'ecor'] : ['reembolso'];
-
-        // Contar solicitudes existentes para esa fecha
-        const count = solicitudes.filter(s =>
-            tipoQuery.includes(s.tipo_solicitud) &&
-            s.fecha_solicitud === fechaISO
-        ).length;
-
-        return limiteCupos - count;
+        const limiteCupos = await getLimiteCupos(tipo, fecha);
+        return limiteCupos - contarOcupados(tipo, toISODate(fecha));
     } catch (error) {
         console.error('[MOCK] Error al obtener cupos disponibles:', error.message);
         return 0;
@@ -57,28 +180,41 @@ async function getCuposDisponibles(tipo, fecha) {
 }
 
 /**
- * Genera el siguiente número de turno para una fecha.
- * El conteo se reinicia cada día.
- * @param {'C' | 'R'} prefijo - C para Consulta, R para Reembolso.
- * @param {Date} fecha - La fecha para el turno.
- * @returns {Promise<string>} - El número de turno (ej: "C-001").
+ * Reserva un turno de forma atómica: verifica el cupo, asigna el siguiente número del día
+ * y crea la solicitud sin que otra reserva de la misma fecha se intercale.
+ * Los números no se reutilizan aunque la solicitud se cancele.
+ * @param {Object} datosSolicitud - Los datos de la solicitud (incluye tipo_solicitud y fecha_solicitud).
+ * @param {number|null} [ofertaId] - La oferta de la lista de espera que se acepta: su cupo apartado se usa
+ * para esta reserva y la oferta queda aceptada junto con ella.
+ * @returns {Promise<{solicitud: Object|null, sinCupos: boolean}>} - La solicitud creada, o sinCupos si el día se llenó.
  */
-async function getSiguienteNumeroTurno(prefijo, fecha) {
+async function reservarTurno(datosSolicitud, ofertaId = null) {
+    const fechaISO = datosSolicitud.fecha_solicitud;
+    const { prefijo, tipos, tipoCupo } = getReglaTurno(datosSolicitud.tipo_solicitud);
+
     try {
-        const fechaISO = fecha.toISOString().split('T')[0];
-        const tipoSolicitudQuery = (prefijo === 'R') ? ['reembolso'] : ['consulta', 'ecor'];
+        return await conLock(`${getSedeId() || ''}:${prefijo}:${fechaISO}`, async () => {
+            // ECOR no tiene límite de cupos propio
+            if (datosSolicitud.tipo_solicitud !== 'ecor') {
+                const limite = await getLimiteCupos(tipoCupo, parseISODate(fechaISO));
+                if (contarOcupados(tipoCupo, fechaISO, ofertaId) >= limite) {
+                    return { solicitud: null, sinCupos: true };
+                }
+            }
 
-        // Contar turnos existentes para ese día y tipo
-        const count = solicitudes.filter(s =>
-            s.fecha_solicitud === fechaISO &&
-            tipoSolicitudQuery.includes(s.tipo_solicitud)
-        ).length;
+            const ultimo = solicitudesDeLaSede()
+                .filter(s => s.fecha_solicitud === fechaISO && tipos.includes(s.tipo_solicitud) && s.numero_turno)
+                .reduce((max, s) => Math.max(max, parseInt(s.numero_turno.split('-')[1], 10) || 0), 0);
+            const numeroTurno = `${prefijo}-${String(ultimo + 1).padStart(3, '0')}`;
 
-        const nuevoNumero = count + 1;
-        return `${prefijo}-${String(nuevoNumero).padStart(3, '0')}`;
+            const solicitud = await crearSolicitud({ ...datosSolicitud, numero_turno: numeroTurno });
+            const oferta = solicitud && listaEspera.find(e => e.id === ofertaId && e.estado === 'ofrecida');
+            if (oferta) oferta.estado = 'aceptada';
+            return { solicitud, sinCupos: false };
+        });
     } catch (error) {
-        console.error('[MOCK] Error al generar el número de turno:', error.message);
-        return null;
+        console.error('[MOCK] Error al reservar el turno:', error.message);
+        return { solicitud: null, sinCupos: false };
     }
 }
 
@@ -89,11 +225,11 @@ async function getSiguienteNumeroTurno(prefijo, fecha) {
  */
 async function crearSolicitud(datosSolicitud) {
     try {
-        const nuevaSolicitud = {
+        const nuevaSolicitud = conSede({
             id: idCounter++,
             ...datosSolicitud,
             created_at: new Date().toISOString()
-        };
+        });
         solicitudes.push(nuevaSolicitud);
         console.log('[MOCK] Solicitud creada:', nuevaSolicitud);
         return nuevaSolicitud;
@@ -110,7 +246,7 @@ async function crearSolicitud(datosSolicitud) {
  */
 async function getDatosReporteDiario(fechaString) {
     try {
-        return solicitudes.filter(s => s.fecha_solicitud === fechaString);
+        return solicitudesDeLaSede().filter(s => s.fecha_solicitud === fechaString);
     } catch (error) {
         console.error('[MOCK] Error al obtener datos del reporte:', error.message);
         return [];
@@ -129,7 +265,7 @@ async function getDatosReporteMensual(mesString) {
         const lastDay = new Date(year, month, 0).getDate();
         const endDate = `${mesString}-${lastDay}`;
 
-        return solicitudes.filter(s =>
+        return solicitudesDeLaSede().filter(s =>
             s.fecha_solicitud >= startDate &&
             s.fecha_solicitud <= endDate
         );
@@ -140,19 +276,34 @@ async function getDatosReporteMensual(mesString) {
 }
 
 /**
- * Verifica si ya existe una cita para una cédula en una fecha específica.
+ * Indica si una solicitud corresponde al paciente: por su cédula o, para beneficiarios
+ * sin cédula (menores), por la cédula del titular y el nombre.
+ */
+function esMismoPaciente(solicitud, paciente) {
+    if (paciente.cedula) return solicitud.cedula === paciente.cedula;
+    if (!paciente.titular_cedula || !paciente.nombre_paciente) return false;
+    const igual = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+    return !solicitud.cedula &&
+        solicitud.titular_cedula === paciente.titular_cedula &&
+        igual(solicitud.nombre_paciente, paciente.nombre_paciente) &&
+        (!paciente.apellido_paciente || igual(solicitud.apellido_paciente, paciente.apellido_paciente));
+}
+
+/**
+ * Verifica si el paciente ya tiene una cita en una fecha específica.
  * Evita que un paciente agende dos citas el mismo día.
- * @param {string} cedula - La cédula del paciente.
+ * @param {Object} paciente - cedula, o titular_cedula con nombre_paciente y apellido_paciente.
  * @param {Date} fecha - La fecha a verificar.
  * @returns {Promise<boolean>} - True si ya tiene cita, false si no.
  */
-async function checkExistingAppointment(cedula, fecha) {
+async function checkExistingAppointment(paciente, fecha) {
     try {
-        const fechaISO = fecha.toISOString().split('T')[0];
-        const existente = solicitudes.find(s =>
-            s.cedula === cedula &&
+        const fechaISO = toISODate(fecha);
+        const existente = solicitudesDeLaSede().find(s =>
+            esMismoPaciente(s, paciente) &&
             s.fecha_solicitud === fechaISO &&
-            ['consulta', 'ecor'].includes(s.tipo_solicitud)
+            ['consulta', 'ecor'].includes(s.tipo_solicitud) &&
+            s.estado !== 'cancelada'
         );
         return !!existente;
     } catch (error) {
@@ -161,6 +312,491 @@ async function checkExistingAppointment(cedula, fecha) {
     }
 }
 
+/**
+ * Obtiene los cierres y feriados de la clínica registrados a partir de una fecha.
+ * @param {string} fechaDesde - La fecha mínima en formato "YYYY-MM-DD".
+ * @returns {Promise<Array<{fecha: string, motivo: string}>>} - Array de cierres.
+ */
+async function getCierresCalendario(fechaDesde) {
+    // Los cierres sin sede aplican a todas
+    return cierresCalendario.filter(c => c.fecha >= fechaDesde && (!c.sede_id || deLaSede(c)));
+}
+
+/**
+ * Obtiene las solicitudes vigentes (no canceladas) de una cédula a partir de una fecha,
+ * incluidas las de sus beneficiarios.
+ * @param {string} cedula - La cédula del paciente.
+ * @param {string} fechaDesde - La fecha mínima en formato "YYYY-MM-DD".
+ * @returns {Promise<Array>} - Array de solicitudes ordenadas por fecha.
+ */
+async function getSolicitudesActivasPorCedula(cedula, fechaDesde) {
+    try {
+        return solicitudesDeLaSede()
+            .filter(s =>
+                (s.cedula === cedula || s.titular_cedula === cedula) &&
+                s.fecha_solicitud >= fechaDesde &&
+                ['consulta', 'ecor', 'reembolso'].includes(s.tipo_solicitud) &&
+                s.estado !== 'cancelada'
+            )
+            .sort((a, b) => a.fecha_solicitud.localeCompare(b.fecha_solicitud));
+    } catch (error) {
+        console.error('[MOCK] Error al obtener solicitudes por cédula:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Obtiene el historial de solicitudes (incluidas las canceladas) de una cédula a partir de una fecha,
+ * incluidas las de sus beneficiarios.
+ * @param {string} cedula - La cédula del paciente.
+ * @param {string} fechaDesde - La fecha mínima en formato "YYYY-MM-DD".
+ * @returns {Promise<Array>} - Array de solicitudes ordenadas por fecha.
+ */
+async function getSolicitudesPorCedula(cedula, fechaDesde) {
+    try {
+        return filtrarHistorial(s => s.cedula === cedula || s.titular_cedula === cedula, fechaDesde);
+    } catch (error) {
+        console.error('[MOCK] Error al obtener el historial por cédula:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Obtiene el historial de solicitudes registradas desde un número de WhatsApp a partir de una fecha.
+ * @param {string} whatsappJid - El JID normalizado del remitente.
+ * @param {string} fechaDesde - La fecha mínima en formato "YYYY-MM-DD".
+ * @returns {Promise<Array>} - Array de solicitudes ordenadas por fecha.
+ */
+async function getSolicitudesPorWhatsapp(whatsappJid, fechaDesde) {
+    try {
+        return filtrarHistorial(s => s.whatsapp_jid === whatsappJid, fechaDesde);
+    } catch (error) {
+        console.error('[MOCK] Error al obtener el historial por WhatsApp:', error.message);
+        return [];
+    }
+}
+
+function filtrarHistorial(criterio, fechaDesde) {
+    return solicitudesDeLaSede()
+        .filter(s =>
+            criterio(s) &&
+            s.fecha_solicitud >= fechaDesde &&
+            ['consulta', 'ecor', 'reembolso'].includes(s.tipo_solicitud)
+        )
+        .sort((a, b) => a.fecha_solicitud.localeCompare(b.fecha_solicitud));
+}
+
+/**
+ * Actualiza los campos de una solicitud existente.
+ * @param {number} id - El id de la solicitud.
+ * @param {Object} cambios - Los campos a modificar.
+ * @returns {Promise<Object|null>} - La solicitud actualizada o null si no existe.
+ */
+async function actualizarSolicitud(id, cambios) {
+    try {
+        const solicitud = solicitudes.find(s => s.id === id);
+        if (!solicitud) return null;
+        Object.assign(solicitud, cambios);
+        console.log('[MOCK] Solicitud actualizada:', solicitud);
+        return solicitud;
+    } catch (error) {
+        console.error('[MOCK] Error al actualizar la solicitud:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Cancela una solicitud. Se conserva en memoria pero deja de contar para los cupos.
+ * @param {number} id - El id de la solicitud.
+ * @returns {Promise<Object|null>} - La solicitud cancelada o null si no existe.
+ */
+async function cancelarSolicitud(id) {
+    return actualizarSolicitud(id, { estado: 'cancelada', asistencia: 'cancelada' });
+}
+
+/**
+ * Busca una solicitud vigente por su número de turno y fecha.
+ * @param {string} numeroTurno - El número de turno (ej: "C-004").
+ * @param {string} fechaISO - La fecha en formato "YYYY-MM-DD".
+ * @returns {Promise<Object|null>} - La solicitud o null si no existe.
+ */
+async function getSolicitudPorTurno(numeroTurno, fechaISO) {
+    return solicitudesDeLaSede().find(s =>
+        s.numero_turno === numeroTurno &&
+        s.fecha_solicitud === fechaISO &&
+        s.estado !== 'cancelada'
+    ) || null;
+}
+
+/**
+ * Marca como ausentes los turnos de una fecha que siguen sin asistencia registrada.
+ * @param {string} fechaISO - La fecha en formato "YYYY-MM-DD".
+ * @returns {Promise<number>} - Cantidad de turnos marcados como ausentes.
+ */
+async function cerrarAsistenciaDelDia(fechaISO) {
+    const pendientes = solicitudesDeLaSede().filter(s =>
+        s.fecha_solicitud === fechaISO &&
+        ['consulta', 'ecor', 'reembolso'].includes(s.tipo_solicitud) &&
+        s.estado !== 'cancelada' &&
+        (!s.asistencia || s.asistencia === 'pendiente')
+    );
+    const ahora = new Date().toISOString();
+    pendientes.forEach(s => Object.assign(s, { asistencia: 'ausente', asistencia_registrada_en: ahora }));
+    return pendientes.length;
+}
+
+/**
+ * Agrega una persona a la lista de espera.
+ * @param {Object} entrada - whatsapp_jid, tipo_solicitud, dia_semana (o null) y datos del paciente.
+ * @returns {Promise<Object|null>} - La entrada creada o null si hay error.
+ */
+async function agregarListaEspera(entrada) {
+    try {
+        const nuevaEntrada = conSede({
+            id: listaEsperaIdCounter++,
+            ...entrada,
+            estado: 'esperando',
+            created_at: new Date().toISOString()
+        });
+        listaEspera.push(nuevaEntrada);
+        console.log('[MOCK] Agregado a la lista de espera:', nuevaEntrada);
+        return nuevaEntrada;
+    } catch (error) {
+        console.error('[MOCK] Error al agregar a la lista de espera:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Obtiene la entrada más antigua en espera para un tipo y día de la semana.
+ * @param {'consulta' | 'reembolso'} tipo - El tipo de solicitud.
+ * @param {number} diaSemana - El día de la semana del cupo liberado (Domingo=0).
+ * @param {Array<number>} [excluir] - Ids de entradas que no pueden tomar este cupo.
+ * @returns {Promise<Object|null>} - La entrada o null si no hay nadie esperando.
+ */
+async function getSiguienteListaEspera(tipo, diaSemana, excluir = []) {
+    return listaEspera.find(e =>
+        deLaSede(e) &&
+        e.estado === 'esperando' &&
+        e.tipo_solicitud === tipo &&
+        (e.dia_semana === null || e.dia_semana === undefined || e.dia_semana === diaSemana) &&
+        !excluir.includes(e.id)
+    ) || null;
+}
+
+/**
+ * Obtiene las entradas de la lista de espera en un estado.
+ * @param {'esperando' | 'ofrecida'} estado - El estado a filtrar.
+ * @returns {Promise<Array>} - Array de entradas.
+ */
+async function getListaEsperaPorEstado(estado) {
+    return listaEspera.filter(e => deLaSede(e) && e.estado === estado);
+}
+
+/**
+ * Actualiza una entrada de la lista de espera.
+ * @param {number} id - El id de la entrada.
+ * @param {Object} cambios - Los campos a modificar.
+ * @returns {Promise<Object|null>} - La entrada actualizada o null si no existe.
+ */
+async function actualizarListaEspera(id, cambios) {
+    const entrada = listaEspera.find(e => e.id === id);
+    if (!entrada) return null;
+    Object.assign(entrada, cambios);
+    return entrada;
+}
+
+/**
+ * Obtiene los recordatorios ya enviados para las citas de una fecha.
+ * @param {string} fechaCita - La fecha de las citas en formato "YYYY-MM-DD".
+ * @returns {Promise<Array>} - Array de recordatorios.
+ */
+async function getRecordatoriosPorFecha(fechaCita) {
+    return recordatorios.filter(r => r.fecha_cita === fechaCita);
+}
+
+/**
+ * Registra en la bitácora un recordatorio enviado.
+ * @param {Object} recordatorio - solicitud_id, whatsapp_jid y fecha_cita.
+ * @returns {Promise<Object>} - El recordatorio registrado.
+ */
+async function registrarRecordatorio(recordatorio) {
+    const nuevo = { id: recordatorioIdCounter++, ...recordatorio, enviado_en: new Date().toISOString() };
+    recordatorios.push(nuevo);
+    return nuevo;
+}
+
+/**
+ * Actualiza un recordatorio (por ejemplo, con la respuesta del paciente).
+ * @param {number} id - El id del recordatorio.
+ * @param {Object} cambios - Los campos a modificar.
+ * @returns {Promise<Object|null>} - El recordatorio actualizado o null si no existe.
+ */
+async function actualizarRecordatorio(id, cambios) {
+    const recordatorio = recordatorios.find(r => r.id === id);
+    if (!recordatorio) return null;
+    Object.assign(recordatorio, cambios);
+    return recordatorio;
+}
+
+// Compara el alcance de una regla de la sede actual con el de la regla pedida
+function esMismaRegla(a, b) {
+    return deLaSede(a) && a.tipo_solicitud === b.tipo_solicitud && a.dia_semana === b.dia_semana && a.fecha === b.fecha;
+}
+
+/**
+ * Obtiene las reglas de cupos: las generales y las excepciones por fecha desde una fecha dada.
+ * @param {string} fechaDesde - Fecha mínima de las excepciones, en formato "YYYY-MM-DD".
+ * @returns {Promise<Array>} - Lista de reglas.
+ */
+async function getReglasCupos(fechaDesde) {
+    return reglasCupos.filter(r => deLaSede(r) && (!r.fecha || r.fecha >= fechaDesde));
+}
+
+/**
+ * Crea o actualiza la regla de cupos de un tipo para un día de la semana, una fecha o todos los días.
+ * @param {Object} regla - tipo_solicitud, dia_semana, fecha y limite.
+ * @returns {Promise<Object>} - La regla guardada.
+ */
+async function guardarReglaCupos(regla) {
+    const existente = reglasCupos.find(r => esMismaRegla(r, regla));
+    if (existente) {
+        existente.limite = regla.limite;
+        return existente;
+    }
+    const nueva = conSede({ ...regla });
+    reglasCupos.push(nueva);
+    return nueva;
+}
+
+/**
+ * Elimina la regla de cupos de un tipo para un día de la semana, una fecha o todos los días.
+ * @param {Object} regla - tipo_solicitud, dia_semana y fecha.
+ * @returns {Promise<boolean>} - true si se eliminó una regla.
+ */
+async function eliminarReglaCupos(regla) {
+    const antes = reglasCupos.length;
+    reglasCupos = reglasCupos.filter(r => !esMismaRegla(r, regla));
+    return reglasCupos.length < antes;
+}
+
+/**
+ * Registra los comprobantes (facturas) de una solicitud de reembolso.
+ * @param {number} solicitudId - El id de la solicitud.
+ * @param {Array} nuevos - Cada uno con archivo, tipo_archivo, monto y concepto.
+ * @returns {Promise<Array>} - Los comprobantes registrados.
+ */
+async function registrarComprobantes(solicitudId, nuevos) {
+    const registrados = nuevos.map(c => ({
+        id: comprobanteIdCounter++,
+        solicitud_id: solicitudId,
+        archivo: c.archivo,
+        tipo_archivo: c.tipo_archivo,
+        monto: c.monto,
+        concepto: c.concepto,
+        created_at: new Date().toISOString()
+    }));
+    comprobantes.push(...registrados);
+    return registrados;
+}
+
+/**
+ * Obtiene los comprobantes de varias solicitudes de reembolso.
+ * @param {Array<number>} solicitudIds - Los ids de las solicitudes.
+ * @returns {Promise<Array>} - Lista de comprobantes.
+ */
+async function getComprobantesPorSolicitudes(solicitudIds) {
+    return comprobantes.filter(c => solicitudIds.includes(c.solicitud_id));
+}
+
+/**
+ * Pasa los comprobantes de una solicitud a otra (al reprogramar un reembolso).
+ * @param {number} solicitudIdAnterior - El id de la solicitud cancelada.
+ * @param {number} solicitudIdNueva - El id de la nueva solicitud.
+ * @returns {Promise<boolean>} - Siempre true en modo mock.
+ */
+async function reasignarComprobantes(solicitudIdAnterior, solicitudIdNueva) {
+    for (const c of comprobantes) {
+        if (c.solicitud_id === solicitudIdAnterior) c.solicitud_id = solicitudIdNueva;
+    }
+    return true;
+}
+
+/**
+ * Registra un cambio de estado de un reembolso en su historial.
+ * @param {Object} entrada - solicitud_id, estado, motivo y registrado_por.
+ * @returns {Promise<Object>} - El registro creado.
+ */
+async function registrarEstadoReembolso(entrada) {
+    const nuevo = { id: estadoReembolsoIdCounter++, ...entrada, registrado_en: new Date().toISOString() };
+    estadosReembolso.push(nuevo);
+    return nuevo;
+}
+
+/**
+ * Obtiene el historial de estados de varias solicitudes de reembolso, del más antiguo al más reciente.
+ * @param {Array<number>} solicitudIds - Los ids de las solicitudes.
+ * @returns {Promise<Array>} - Lista de cambios de estado.
+ */
+async function getHistorialReembolsos(solicitudIds) {
+    return estadosReembolso.filter(e => solicitudIds.includes(e.solicitud_id));
+}
+
+/**
+ * Obtiene los reembolsos vigentes en alguno de los estados indicados.
+ * Los reembolsos sin estado cuentan como recibidos.
+ * @param {Array<string>} estados - Los estados de reembolso a buscar.
+ * @returns {Promise<Array>} - Lista de solicitudes ordenadas por fecha y turno.
+ */
+async function getReembolsosPorEstado(estados) {
+    return solicitudesDeLaSede()
+        .filter(s =>
+            s.tipo_solicitud === 'reembolso' &&
+            s.estado !== 'cancelada' &&
+            estados.includes(s.estado_reembolso || 'recibido')
+        )
+        .sort((a, b) => a.fecha_solicitud.localeCompare(b.fecha_solicitud) || a.numero_turno.localeCompare(b.numero_turno));
+}
+
+/**
+ * Obtiene el perfil de un paciente por su cédula.
+ * @param {string} cedula - La cédula del paciente.
+ * @returns {Promise<Object|null>} - El perfil o null si no existe.
+ */
+async function getPacientePorCedula(cedula) {
+    return pacientes.get(cedula) || null;
+}
+
+/**
+ * Obtiene los pacientes vinculados a un número de WhatsApp, del más reciente al más antiguo.
+ * @param {string} whatsappJid - El JID de WhatsApp.
+ * @returns {Promise<Array>} - Lista de perfiles.
+ */
+async function getPacientesPorWhatsapp(whatsappJid) {
+    return [...pacientes.values()]
+        .filter(p => p.whatsapp_jids.includes(whatsappJid))
+        .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+}
+
+/**
+ * Crea o actualiza el perfil de un paciente y lo vincula a un número de WhatsApp.
+ * Solo se sobrescriben los campos que vienen con valor.
+ * @param {Object} paciente - cedula y los datos a guardar.
+ * @param {string|null} whatsappJid - El JID desde el que se registró la solicitud.
+ * @returns {Promise<Object>} - El perfil guardado.
+ */
+async function guardarPaciente(paciente, whatsappJid) {
+    const existente = pacientes.get(paciente.cedula) || { whatsapp_jids: [] };
+    const jids = new Set(existente.whatsapp_jids);
+    if (whatsappJid) jids.add(whatsappJid);
+
+    const guardado = { ...existente, ...paciente, whatsapp_jids: [...jids], updated_at: new Date().toISOString() };
+    pacientes.set(paciente.cedula, guardado);
+    return guardado;
+}
+
+/**
+ * Obtiene las solicitudes vigentes con el estado de verificación de nómina indicado.
+ * @param {string} estado - El estado de verificación (ej: "pendiente").
+ * @returns {Promise<Array>} - Lista de solicitudes ordenadas por fecha y turno.
+ */
+async function getSolicitudesPorVerificacion(estado) {
+    return solicitudesDeLaSede()
+        .filter(s => s.verificacion_nomina === estado && s.estado !== 'cancelada')
+        .sort((a, b) => a.fecha_solicitud.localeCompare(b.fecha_solicitud) || a.numero_turno.localeCompare(b.numero_turno));
+}
+
+/**
+ * Reemplaza la nómina de empleados: guarda los del archivo como activos y desactiva los que ya no aparecen.
+ * @param {Array<Object>} nuevos - Empleados con cedula, nombre, apellido, nomina y gerencia.
+ * @returns {Promise<boolean>} - true si se guardó correctamente.
+ */
+async function reemplazarNomina(nuevos) {
+    const importadoEn = new Date().toISOString();
+    for (const empleado of empleados.values()) empleado.activo = false;
+    for (const empleado of nuevos) {
+        empleados.set(empleado.cedula, { ...empleado, activo: true, importado_en: importadoEn });
+    }
+    console.log(`[MOCK] Nómina reemplazada: ${nuevos.length} empleados activos`);
+    return true;
+}
+
+/**
+ * Obtiene un empleado activo de la nómina por su cédula.
+ * @param {string} cedula - La cédula (solo dígitos).
+ * @returns {Promise<Object|null>} - El empleado o null si no está en la nómina.
+ */
+async function getEmpleadoPorCedula(cedula) {
+    const empleado = empleados.get(cedula);
+    return empleado && empleado.activo ? empleado : null;
+}
+
+/**
+ * Obtiene la cantidad de empleados activos y la fecha de la última importación.
+ * @returns {Promise<{total: number, importado_en: string|null}>}
+ */
+async function getResumenNomina() {
+    const activos = [...empleados.values()].filter(e => e.activo);
+    return { total: activos.length, importado_en: activos[0]?.importado_en || null };
+}
+
+/**
+ * Registra un evento en la línea de tiempo de una emergencia.
+ * @param {Object} entrada - solicitud_id, evento y detalle.
+ * @returns {Promise<Object>} - El registro creado.
+ */
+async function registrarEventoEmergencia(entrada) {
+    const nuevo = { id: eventoEmergenciaIdCounter++, ...entrada, registrado_en: new Date().toISOString() };
+    eventosEmergencia.push(nuevo);
+    return nuevo;
+}
+
+/**
+ * Obtiene la línea de tiempo de varias emergencias, del evento más antiguo al más reciente.
+ * @param {Array<number>} solicitudIds - Los ids de las emergencias.
+ * @returns {Promise<Array>} - Lista de eventos.
+ */
+async function getEventosEmergencias(solicitudIds) {
+    return eventosEmergencia.filter(e => solicitudIds.includes(e.solicitud_id));
+}
+
+/**
+ * Obtiene las emergencias en alguno de los estados indicados, de la más antigua a la más reciente.
+ * @param {Array<string>} estados - Los estados de emergencia a buscar (ej: "alertada").
+ * @returns {Promise<Array>} - Lista de emergencias.
+ */
+async function getEmergenciasPorEstado(estados) {
+    return solicitudesDeLaSede().filter(s => s.tipo_solicitud === 'emergencia' && estados.includes(s.estado_emergencia));
+}
+
+/**
+ * Obtiene todas las sesiones de conversación guardadas.
+ * @returns {Promise<Array>} - Lista de sesiones.
+ */
+async function getSesiones() {
+    return [...sesiones.values()].filter(deLaSede);
+}
+
+/**
+ * Crea o reemplaza la sesión de conversación de un número de WhatsApp.
+ * @param {Object} sesion - whatsapp_jid, estado, admin, idioma, actualizado_en y aviso_enviado_en.
+ * @returns {Promise<boolean>} - true si se guardó.
+ */
+async function guardarSesion(sesion) {
+    sesiones.set(`${getSedeId() || ''}:${sesion.whatsapp_jid}`, conSede({ ...sesion }));
+    return true;
+}
+
+/**
+ * Elimina la sesión de conversación de un número de WhatsApp.
+ * @param {string} whatsappJid - JID del paciente.
+ * @returns {Promise<boolean>} - true si se eliminó.
+ */
+async function eliminarSesion(whatsappJid) {
+    sesiones.delete(`${getSedeId() || ''}:${whatsappJid}`);
+    return true;
+}
+
 /**
  * Obtiene todas las solicitudes (para debugging/testing)
  * @returns {Array} - Todas las solicitudes en memoria.
@@ -170,12 +806,50 @@ function getAllSolicitudes() {
 }
 
 module.exports = {
+    getLimiteCupos,
     getCuposDisponibles,
-    getSiguienteNumeroTurno,
+    reservarTurno,
     crearSolicitud,
     getDatosReporteDiario,
     getDatosReporteMensual,
     checkExistingAppointment,
+    getSolicitudesActivasPorCedula,
+    getSolicitudesPorCedula,
+    getSolicitudesPorWhatsapp,
+    actualizarSolicitud,
+    cancelarSolicitud,
+    getSolicitudPorTurno,
+    cerrarAsistenciaDelDia,
+    getCierresCalendario,
+    agregarListaEspera,
+    getSiguienteListaEspera,
+    getListaEsperaPorEstado,
+    actualizarListaEspera,
+    getRecordatoriosPorFecha,
+    registrarRecordatorio,
+    actualizarRecordatorio,
+    getReglasCupos,
+    guardarReglaCupos,
+    eliminarReglaCupos,
+    registrarComprobantes,
+    getComprobantesPorSolicitudes,
+    reasignarComprobantes,
+    registrarEstadoReembolso,
+    getHistorialReembolsos,
+    getReembolsosPorEstado,
+    getPacientePorCedula,
+    getPacientesPorWhatsapp,
+    guardarPaciente,
+    getSolicitudesPorVerificacion,
+    reemplazarNomina,
+    getEmpleadoPorCedula,
+    getResumenNomina,
+    registrarEventoEmergencia,
+    getEventosEmergencias,
+    getEmergenciasPorEstado,
+    getSesiones,
+    guardarSesion,
+    eliminarSesion,
     resetMockData,
     getAllSolicitudes
 };
@@ -0,0 +1,177 @@
+// patients.js
+// Perfiles de pacientes: datos guardados por cédula y vinculados a los números de WhatsApp que los usaron.
+// Se llenan con cada solicitud registrada; en la siguiente visita la IA ofrece agendar para el paciente
+// conocido y solo pregunta lo que falte o haya cambiado.
+// Un empleado (titular) puede agendar para sus familiares (beneficiarios); los menores sin cédula
+// se identifican por la cédula del titular y su nombre.
+
+const { getPacientePorCedula, getPacientesPorWhatsapp, guardarPaciente } = require('./database');
+const { t, etiqueta } = require('./i18n');
+
+// Datos del perfil que se reutilizan en nuevas solicitudes
+const CAMPOS_PERFIL = ['nombre_paciente', 'apellido_paciente', 'nomina', 'gerencia'];
+
+// Los beneficiarios no tienen nómina ni gerencia propias: se usan las del titular
+const CAMPOS_PERFIL_BENEFICIARIO = ['nombre_paciente', 'apellido_paciente'];
+
+const PARENTESCOS = {
+    conyuge: 'Cónyuge',
+    hijo: 'Hijo(a)',
+    padre: 'Padre/Madre',
+    hermano: 'Hermano(a)',
+    otro: 'Otro familiar',
+};
+
+// Formas en que la IA o el usuario pueden indicar el parentesco
+const ALIAS_PARENTESCO = {
+    conyuge: 'conyuge', esposo: 'conyuge', esposa: 'conyuge', pareja: 'conyuge', concubino: 'conyuge', concubina: 'conyuge',
+    hijo: 'hijo', hija: 'hijo', hijos: 'hijo',
+    padre: 'padre', madre: 'padre', papa: 'padre', mama: 'padre',
+    hermano: 'hermano', hermana: 'hermano',
+    otro: 'otro',
+};
+
+function soloDigitos(cedula) {
+    return String(cedula || '').replace(/\D/g, '') || null;
+}
+
+function describirPaciente(paciente) {
+    const nombre = [paciente.nombre_paciente, paciente.apellido_paciente].filter(Boolean).join(' ');
+    return `${nombre || 'Sin nombre'}, C.I. ${paciente.cedula}`;
+}
+
+/**
+ * Normaliza los datos del titular y del beneficiario recibidos de la IA.
+ * Las cédulas quedan solo con dígitos (null si el beneficiario no tiene) y, si la solicitud
+ * es para el propio titular, se descartan los datos del titular.
+ * @param {Object} datos - Los datos recibidos de la IA.
+ * @returns {Object} Los datos normalizados.
+ */
+function normalizarBeneficiario(datos) {
+    const normalizados = { ...datos, cedula: soloDigitos(datos.cedula) };
+    const titularCedula = soloDigitos(datos.titular_cedula);
+    const clave = String(datos.parentesco || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\(.*\)/, '').trim();
+
+    if (!titularCedula || titularCedula === normalizados.cedula || clave === 'titular') {
+        delete normalizados.titular_nombre;
+        delete normalizados.titular_apellido;
+        delete normalizados.titular_cedula;
+        delete normalizados.parentesco;
+        return normalizados;
+    }
+
+    normalizados.titular_cedula = titularCedula;
+    normalizados.parentesco = ALIAS_PARENTESCO[clave] || 'otro';
+    return normalizados;
+}
+
+/**
+ * Describe al titular de la solicitud de un beneficiario (ej: "Hijo(a) de Juan Pérez, C.I. 12345678").
+ * @param {Object} solicitud - La solicitud o los datos del paciente.
+ * @param {string} [idioma] - El idioma del paciente.
+ * @returns {string} Cadena vacía si la solicitud es del propio titular.
+ */
+function describirTitular(solicitud, idioma = 'es') {
+    if (!solicitud.titular_cedula) return '';
+    const nombre = [solicitud.titular_nombre, solicitud.titular_apellido].filter(Boolean).join(' ');
+    const clave = PARENTESCOS[solicitud.parentesco] ? solicitud.parentesco : 'otro';
+    return t(idioma, 'titular_descripcion', {
+        parentesco: idioma === 'es' ? PARENTESCOS[clave] : etiqueta(idioma, clave),
+        nombre: nombre || t(idioma, 'titular'),
+        cedula: solicitud.titular_cedula,
+    });
+}
+
+/**
+ * Arma las instrucciones adicionales para la IA con los pacientes conocidos de un número de WhatsApp.
+ * @param {string} whatsappJid - JID del paciente.
+ * @returns {Promise<string|null>} El texto para el prompt, o null si el número no tiene pacientes guardados.
+ */
+async function construirContextoPaciente(whatsappJid) {
+    const pacientes = await getPacientesPorWhatsapp(whatsappJid);
+    if (pacientes.length === 0) return null;
+
+    const lista = pacientes.map(p => {
+        const faltantes = (p.titular_cedula ? CAMPOS_PERFIL_BENEFICIARIO : CAMPOS_PERFIL).filter(campo => !p[campo]);
+        const datos = p.titular_cedula
+            ? `beneficiario: ${PARENTESCOS[p.parentesco] || PARENTESCOS.otro} del titular C.I. ${p.titular_cedula}`
+            : [`nómina: ${p.nomina || 'desconocida'}`, `gerencia: ${p.gerencia || 'desconocida'}`].join(', ');
+        return `- ${describirPaciente(p)} (${datos})${faltantes.length > 0 ? ` — faltan: ${faltantes.join(', ')}` : ''}`;
+    }).join('\n');
+    const ejemplo = describirPaciente(pacientes[0]);
+
+    return `**PACIENTES CONOCIDOS DE ESTE NÚMERO DE WHATSAPP:**
+${lista}
+
+En las secuencias "Agendar Cita" y "Solicitar Reembolso", en lugar de pedir nombre, apellido y cédula, pregunta: "¿Agendamos para ${ejemplo}?"${pacientes.length > 1 ? ' (como hay varios pacientes, ofrécelos como opciones numeradas y agrega la opción "Otra persona")' : ''}.
+- Si el usuario confirma, usa esos datos y pregunta SOLO lo que falte (por ejemplo nómina o gerencia desconocidas en "Agendar Cita").
+- En "Agendar Cita", si la nómina y la gerencia son conocidas, en lugar de preguntarlas confirma una sola vez: "¿Sigues en la nómina X y la gerencia Y?" y actualízalas si el usuario indica un cambio.
+- Si el paciente elegido es un beneficiario, incluye en la llamada a la función su titular_cedula y su parentesco; la nómina y la gerencia son las del titular.
+- Si el usuario indica otra persona, sigue la secuencia normal.
+- La llamada final a la función debe incluir siempre la cédula del paciente elegido.`;
+}
+
+/**
+ * Completa los datos de una solicitud con los perfiles guardados del paciente y, si es un beneficiario,
+ * del titular (nómina, gerencia y nombre). Los datos que indicó el usuario tienen prioridad sobre los guardados.
+ * @param {Object} datos - Los datos normalizados con normalizarBeneficiario.
+ * @returns {Promise<Object>} Los datos completos.
+ */
+async function completarConPerfil(datos) {
+    const completos = { ...datos };
+    const paciente = datos.cedula ? await getPacientePorCedula(datos.cedula) : null;
+    const titular = datos.titular_cedula ? await getPacientePorCedula(datos.titular_cedula) : paciente;
+
+    for (const campo of CAMPOS_PERFIL_BENEFICIARIO) {
+        if (!completos[campo] && paciente?.[campo]) completos[campo] = paciente[campo];
+    }
+    for (const campo of ['nomina', 'gerencia']) {
+        if (!completos[campo] && titular?.[campo]) completos[campo] = titular[campo];
+    }
+    if (datos.titular_cedula && titular) {
+        completos.titular_nombre = completos.titular_nombre || titular.nombre_paciente;
+        completos.titular_apellido = completos.titular_apellido || titular.apellido_paciente;
+    }
+    return completos;
+}
+
+/**
+ * Guarda o actualiza el perfil del paciente con los datos de una solicitud registrada.
+ * Si es un beneficiario, también se guarda el perfil del titular con su nómina y gerencia.
+ * @param {Object} solicitud - La solicitud creada (con cédula o titular_cedula y whatsapp_jid).
+ */
+async function actualizarPerfilDesdeSolicitud(solicitud) {
+    const jid = solicitud.whatsapp_jid || null;
+
+    if (solicitud.titular_cedula) {
+        const titular = { cedula: solicitud.titular_cedula };
+        if (solicitud.titular_nombre) titular.nombre_paciente = solicitud.titular_nombre;
+        if (solicitud.titular_apellido) titular.apellido_paciente = solicitud.titular_apellido;
+        if (solicitud.nomina) titular.nomina = solicitud.nomina;
+        if (solicitud.gerencia) titular.gerencia = solicitud.gerencia;
+        await guardarPaciente(titular, jid);
+    }
+
+    const cedula = soloDigitos(solicitud.cedula);
+    if (!cedula) return;
+
+    const paciente = { cedula };
+    const campos = solicitud.titular_cedula ? CAMPOS_PERFIL_BENEFICIARIO : CAMPOS_PERFIL;
+    for (const campo of campos) {
+        if (solicitud[campo]) paciente[campo] = solicitud[campo];
+    }
+    if (solicitud.titular_cedula) {
+        paciente.titular_cedula = solicitud.titular_cedula;
+        paciente.parentesco = solicitud.parentesco;
+    }
+    await guardarPaciente(paciente, jid);
+}
+
+module.exports = {
+    PARENTESCOS,
+    normalizarBeneficiario,
+    describirTitular,
+    construirContextoPaciente,
+    completarConPerfil,
+    actualizarPerfilDesdeSolicitud,
+};
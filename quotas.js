@@ -0,0 +1,174 @@
+// quotas.js
+// Reglas de cupos: límite diario por tipo de solicitud, con reglas por día de la semana
+// y excepciones para fechas puntuales (ej. "solo 5 consultas el 2026-12-23").
+// Supabase (tabla reglas_cupos) y el modo mock guardan las reglas con el mismo modelo
+// y ambos calculan el límite con resolverLimite y los tipos que comparten cupo y numeración con getReglaTurno.
+
+const { toISODate, parseISODate, getDayOfWeekAsNumber, getHoyISO, formatearFechaLarga, getFechaInicialBusqueda, getSiguienteDiaHabil } = require('./calendar');
+
+// Consultas y ECOR comparten el cupo de consulta
+const TIPOS_CUPO = ['consulta', 'reembolso'];
+
+const NOMBRES_DIA = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+
+/**
+ * Reglas iniciales. Se usan para sembrar el modo mock y como respaldo si un tipo no tiene reglas en la base de datos.
+ * Cada regla: { tipo_solicitud, dia_semana (Domingo=0, null = todos), fecha ("YYYY-MM-DD", null = todas), limite }.
+ */
+const REGLAS_POR_DEFECTO = [
+    { tipo_solicitud: 'consulta', dia_semana: null, fecha: null, limite: 15 },
+    { tipo_solicitud: 'consulta', dia_semana: 3, fecha: null, limite: 10 }, // Los miércoles tienen menos cupos
+    { tipo_solicitud: 'reembolso', dia_semana: null, fecha: null, limite: 20 },
+];
+
+// Días hábiles que se muestran con /cupos
+const DIAS_RESUMEN = 5;
+
+/**
+ * Prefijo del número de turno y tipos que comparten cupo para cada tipo de solicitud.
+ * Consultas y ECOR comparten la numeración "C" y el cupo de consulta.
+ * @param {'consulta' | 'ecor' | 'reembolso'} tipoSolicitud
+ * @returns {{prefijo: 'C' | 'R', tipos: string[], tipoCupo: 'consulta' | 'reembolso'}}
+ */
+function getReglaTurno(tipoSolicitud) {
+    return tipoSolicitud === 'reembolso'
+        ? { prefijo: 'R', tipos: ['reembolso'], tipoCupo: 'reembolso' }
+        : { prefijo: 'C', tipos: ['consulta', 'ecor'], tipoCupo: 'consulta' };
+}
+
+/**
+ * Calcula el límite de cupos de un día a partir de las reglas.
+ * Prioridad: excepción por fecha > regla del día de la semana > regla general del tipo.
+ * @param {Array} reglas - Las reglas de cupos (pueden incluir otros tipos y fechas).
+ * @param {'consulta' | 'reembolso'} tipo - El tipo de cupo.
+ * @param {Date} fecha - La fecha del cupo.
+ * @returns {number} El límite de cupos del día.
+ */
+function resolverLimite(reglas, tipo, fecha) {
+    let delTipo = reglas.filter(r => r.tipo_solicitud === tipo);
+    if (delTipo.length === 0) delTipo = REGLAS_POR_DEFECTO.filter(r => r.tipo_solicitud === tipo);
+
+    const fechaISO = toISODate(fecha);
+    const regla = delTipo.find(r => r.fecha === fechaISO)
+        || delTipo.find(r => !r.fecha && r.dia_semana === fecha.getDay())
+        || delTipo.find(r => !r.fecha && (r.dia_semana === null || r.dia_semana === undefined));
+    return regla ? Number(regla.limite) : 0;
+}
+
+/**
+ * Interpreta el alcance de una regla escrito por el administrador.
+ * @param {string} [alcance] - "YYYY-MM-DD", un día de la semana ("miercoles") o vacío / "todos" para la regla general.
+ * @returns {{dia_semana: number|null, fecha: string|null}|null} null si el alcance no es válido.
+ */
+function parsearAlcance(alcance) {
+    if (!alcance || ['todos', 'general'].includes(alcance.toLowerCase())) return { dia_semana: null, fecha: null };
+    if (/^\d{4}-\d{2}-\d{2}$/.test(alcance)) {
+        const fecha = parseISODate(alcance);
+        return toISODate(fecha) === alcance ? { dia_semana: null, fecha: alcance } : null;
+    }
+    const diaSemana = getDayOfWeekAsNumber(alcance);
+    return diaSemana === null ? null : { dia_semana: diaSemana, fecha: null };
+}
+
+function describirAlcance(regla) {
+    if (regla.fecha) return `el ${formatearFechaLarga(regla.fecha)} (${regla.fecha})`;
+    if (regla.dia_semana !== null && regla.dia_semana !== undefined) return `los ${NOMBRES_DIA[regla.dia_semana]}`;
+    return 'todos los días';
+}
+
+function validarTipo(tipo) {
+    const tipoNormalizado = String(tipo || '').toLowerCase();
+    if (tipoNormalizado === 'ecor') return { ok: false, mensaje: 'ECOR comparte los cupos de consulta; usa el tipo *consulta*.' };
+    if (!TIPOS_CUPO.includes(tipoNormalizado)) return { ok: false, mensaje: `Tipo no válido: ${tipo}. Usa *consulta* o *reembolso*.` };
+    return { ok: true, tipo: tipoNormalizado };
+}
+
+/**
+ * Arma el resumen de reglas y cupos para el comando /cupos.
+ * @returns {Promise<string>}
+ */
+async function describirCupos() {
+    // Se requiere aquí para evitar una dependencia circular (database -> quotas -> database)
+    const { getReglasCupos, getCuposDisponibles, getLimiteCupos } = require('./database');
+    const reglas = await getReglasCupos(getHoyISO());
+
+    const lineas = ['📊 *Reglas de cupos*'];
+    for (const tipo of TIPOS_CUPO) {
+        const delTipo = reglas.filter(r => r.tipo_solicitud === tipo);
+        const generales = delTipo.filter(r => !r.fecha).sort((a, b) => (a.dia_semana ?? -1) - (b.dia_semana ?? -1));
+        const excepciones = delTipo.filter(r => r.fecha).sort((a, b) => a.fecha.localeCompare(b.fecha));
+        lineas.push('', `*${tipo === 'consulta' ? 'Consulta (incluye ECOR)' : 'Reembolso'}*`);
+        if (generales.length === 0 && excepciones.length === 0) lineas.push('• Sin reglas configuradas (se usan los valores por defecto)');
+        for (const regla of [...generales, ...excepciones]) {
+            lineas.push(`• ${describirAlcance(regla)}: ${regla.limite}`);
+        }
+    }
+
+    lineas.push('', `*Próximos ${DIAS_RESUMEN} días hábiles* (disponibles / límite)`);
+    let fecha = await getFechaInicialBusqueda();
+    for (let i = 0; i < DIAS_RESUMEN; i++) {
+        const columnas = [];
+        for (const tipo of TIPOS_CUPO) {
+            columnas.push(`${tipo} ${await getCuposDisponibles(tipo, fecha)}/${await getLimiteCupos(tipo, fecha)}`);
+        }
+        lineas.push(`• ${formatearFechaLarga(fecha)}: ${columnas.join(', ')}`);
+        fecha.setDate(fecha.getDate() + 1);
+        fecha = await getSiguienteDiaHabil(fecha);
+    }
+
+    lineas.push('', 'Para cambiar: /cupos set consulta 2026-12-23 5, /cupos set consulta miercoles 10 o /cupos set reembolso 20. Para quitar una regla: /cupos borrar consulta 2026-12-23');
+    return lineas.join('\n');
+}
+
+/**
+ * Crea o modifica una regla de cupos.
+ * @param {string} tipo - "consulta" o "reembolso".
+ * @param {string} [alcance] - "YYYY-MM-DD", un día de la semana o vacío para la regla general.
+ * @param {string|number} limite - El nuevo límite diario.
+ * @returns {Promise<{ok: boolean, mensaje: string, regla?: Object}>} Resultado para mostrar al administrador.
+ */
+async function cambiarCupos(tipo, alcance, limite) {
+    const { guardarReglaCupos } = require('./database');
+    const tipoValido = validarTipo(tipo);
+    if (!tipoValido.ok) return tipoValido;
+
+    const ambito = parsearAlcance(alcance);
+    if (!ambito) return { ok: false, mensaje: `Fecha o día no válido: ${alcance}. Usa YYYY-MM-DD o un día de la semana.` };
+    if (ambito.fecha && ambito.fecha < getHoyISO()) return { ok: false, mensaje: 'No se pueden cambiar los cupos de una fecha pasada.' };
+
+    const valor = Number(limite);
+    if (!Number.isInteger(valor) || valor < 0) return { ok: false, mensaje: 'El límite debe ser un número entero mayor o igual a 0.' };
+
+    const regla = await guardarReglaCupos({ tipo_solicitud: tipoValido.tipo, ...ambito, limite: valor });
+    if (!regla) return { ok: false, mensaje: 'Hubo un error al guardar la regla de cupos.' };
+    return { ok: true, mensaje: `Cupos de *${tipoValido.tipo}* para ${describirAlcance(regla)}: *${valor}*.`, regla };
+}
+
+/**
+ * Elimina una regla de cupos (el día vuelve a usar la regla más general).
+ * @param {string} tipo - "consulta" o "reembolso".
+ * @param {string} [alcance] - "YYYY-MM-DD", un día de la semana o vacío para la regla general.
+ * @returns {Promise<{ok: boolean, mensaje: string, regla?: Object}>} Resultado para mostrar al administrador.
+ */
+async function borrarCupos(tipo, alcance) {
+    const { eliminarReglaCupos } = require('./database');
+    const tipoValido = validarTipo(tipo);
+    if (!tipoValido.ok) return tipoValido;
+
+    const ambito = parsearAlcance(alcance);
+    if (!ambito) return { ok: false, mensaje: `Fecha o día no válido: ${alcance}. Usa YYYY-MM-DD o un día de la semana.` };
+
+    const regla = { tipo_solicitud: tipoValido.tipo, ...ambito };
+    if (!(await eliminarReglaCupos(regla))) return { ok: false, mensaje: `No hay una regla de *${tipoValido.tipo}* para ${describirAlcance(regla)}.` };
+    return { ok: true, mensaje: `Se eliminó la regla de *${tipoValido.tipo}* para ${describirAlcance(regla)}.`, regla };
+}
+
+module.exports = {
+    TIPOS_CUPO,
+    REGLAS_POR_DEFECTO,
+    resolverLimite,
+    getReglaTurno,
+    describirCupos,
+    cambiarCupos,
+    borrarCupos,
+};
@@ -0,0 +1,159 @@
+// receipts.js
+// Comprobantes de reembolso (fotos o PDF de facturas): descarga desde WhatsApp, almacenamiento
+// y lectura del monto y el concepto que indica el paciente.
+// Se guardan en un directorio local (COMPROBANTES_DIR) o, si se configura COMPROBANTES_BUCKET,
+// en un bucket de Supabase Storage.
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { downloadMediaMessage } = require('@whiskeysockets/baileys');
+const { getHoyISO } = require('./calendar');
+const { t } = require('./i18n');
+require('dotenv').config();
+
+const COMPROBANTES_DIR = process.env.COMPROBANTES_DIR || path.join(__dirname, 'comprobantes');
+const COMPROBANTES_BUCKET = process.env.COMPROBANTES_BUCKET || null;
+
+// Tamaño máximo de cada comprobante
+const COMPROBANTES_MAX_MB = parseInt(process.env.COMPROBANTES_MAX_MB, 10) || 10;
+
+const EXTENSIONES = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'application/pdf': 'pdf',
+};
+
+/**
+ * Devuelve la imagen o el documento adjunto de un mensaje de WhatsApp, si tiene uno.
+ * @param {Object} msg - El mensaje de Baileys.
+ * @returns {{mimetype: string, caption: string, fileLength: number}|null}
+ */
+function getAdjunto(msg) {
+    const contenido = msg.message?.imageMessage
+        || msg.message?.documentMessage
+        || msg.message?.documentWithCaptionMessage?.message?.documentMessage;
+    if (!contenido) return null;
+    return {
+        mimetype: (contenido.mimetype || '').split(';')[0],
+        caption: (contenido.caption || '').trim(),
+        fileLength: Number(contenido.fileLength) || 0,
+    };
+}
+
+/**
+ * Descarga el adjunto de un mensaje y lo guarda en el directorio o bucket de comprobantes.
+ * @param {Object} msg - El mensaje de Baileys con una imagen o documento.
+ * @param {string} [idioma] - El idioma del paciente, para el mensaje de error.
+ * @returns {Promise<{ok: boolean, mensaje?: string, archivo?: string, tipo_archivo?: string}>}
+ *          archivo es la ruta local o "bucket/ruta" dentro de Supabase Storage.
+ */
+async function guardarComprobante(msg, idioma = 'es') {
+    const adjunto = getAdjunto(msg);
+    if (!adjunto) return { ok: false, mensaje: t(idioma, 'comprobante_sin_adjunto') };
+
+    const extension = EXTENSIONES[adjunto.mimetype];
+    if (!extension) return { ok: false, mensaje: t(idioma, 'comprobante_formato') };
+    if (adjunto.fileLength > COMPROBANTES_MAX_MB * 1024 * 1024) {
+        return { ok: false, mensaje: t(idioma, 'comprobante_tamano', { mb: COMPROBANTES_MAX_MB }) };
+    }
+
+    try {
+        const buffer = await downloadMediaMessage(msg, 'buffer', {});
+        const nombre = `${getHoyISO()}/${Date.now()}-${crypto.randomBytes(4).toString('hex')}.${extension}`;
+
+        if (COMPROBANTES_BUCKET) {
+            const supabase = require('./supabaseClient');
+            const { error } = await supabase.storage.from(COMPROBANTES_BUCKET).upload(nombre, buffer, { contentType: adjunto.mimetype });
+            if (error) throw error;
+            return { ok: true, archivo: `${COMPROBANTES_BUCKET}/${nombre}`, tipo_archivo: adjunto.mimetype };
+        }
+
+        const ruta = path.join(COMPROBANTES_DIR, nombre);
+        await fs.promises.mkdir(path.dirname(ruta), { recursive: true });
+        await fs.promises.writeFile(ruta, buffer);
+        return { ok: true, archivo: ruta, tipo_archivo: adjunto.mimetype };
+    } catch (error) {
+        console.error('[COMPROBANTES] Error al guardar el comprobante:', error.message);
+        return { ok: false, mensaje: t(idioma, 'comprobante_error') };
+    }
+}
+
+/**
+ * Convierte un monto escrito por el paciente en número.
+ * Acepta "1.250,50", "1,250.50", "1250.5" y "1.500" (punto de miles).
+ * @param {string} texto
+ * @returns {number|null}
+ */
+function parsearMonto(texto) {
+    let limpio = texto.replace(/\s/g, '');
+    const ultimoPunto = limpio.lastIndexOf('.');
+    const ultimaComa = limpio.lastIndexOf(',');
+    const separadorDecimal = ultimoPunto > ultimaComa ? '.' : ',';
+    const posicion = Math.max(ultimoPunto, ultimaComa);
+
+    // Un único separador seguido de exactamente 3 dígitos se interpreta como separador de miles
+    const esMiles = posicion !== -1 && limpio.length - posicion - 1 === 3 && limpio.split(separadorDecimal).length === 2
+        && !limpio.includes(separadorDecimal === '.' ? ',' : '.');
+    if (posicion === -1 || esMiles) {
+        limpio = limpio.replace(/[.,]/g, '');
+    } else {
+        const entero = limpio.slice(0, posicion).replace(/[.,]/g, '');
+        limpio = `${entero}.${limpio.slice(posicion + 1)}`;
+    }
+
+    const monto = Number(limpio);
+    return Number.isFinite(monto) && monto > 0 ? Math.round(monto * 100) / 100 : null;
+}
+
+// Marcas de moneda junto a un número, que lo señalan como el monto ("Bs. 1.200", "$300", "45,00 USD")
+const MONEDA_ANTES = /(\b(bs\.?|bsf|usd)|\$)\s*$/i;
+const MONEDA_DESPUES = /^\s*(\$|(bs|bsf|usd|bolivares|bolívares|dolares|dólares)\b)/i;
+
+/**
+ * Elige entre los números del texto el que es el monto: el que tiene una marca de moneda, si no el que
+ * tiene decimales y, entre los que siguen empatados, el mayor ("2 cajas de medicina 300" → 300).
+ * @param {string} texto
+ * @returns {{monto: number, inicio: number, fin: number}|null}
+ */
+function elegirMonto(texto) {
+    let mejor = null;
+    for (const coincidencia of texto.matchAll(/\d[\d.,]*\d|\d/g)) {
+        const monto = parsearMonto(coincidencia[0]);
+        if (!monto) continue;
+        const inicio = coincidencia.index;
+        const fin = inicio + coincidencia[0].length;
+        const conMoneda = MONEDA_ANTES.test(texto.slice(0, inicio)) || MONEDA_DESPUES.test(texto.slice(fin));
+        const puntos = (conMoneda ? 2 : 0) + (/[.,]\d{1,2}$/.test(coincidencia[0]) ? 1 : 0);
+        if (!mejor || puntos > mejor.puntos || (puntos === mejor.puntos && monto > mejor.monto)) {
+            mejor = { monto, inicio, fin, puntos };
+        }
+    }
+    return mejor;
+}
+
+/**
+ * Extrae el monto y el concepto de un texto como "350,50 Medicinas" o "Consulta pediatra Bs. 1.200".
+ * Si hay varios números, el monto se elige con elegirMonto y los demás quedan en el concepto
+ * ("Factura 123 por 45,00 lentes").
+ * @param {string} texto - El mensaje o el pie de foto del comprobante.
+ * @returns {{monto: number, concepto: string}|null} null si falta el monto o el concepto.
+ */
+function parsearMontoConcepto(texto) {
+    const elegido = elegirMonto(texto || '');
+    if (!elegido) return null;
+
+    const concepto = `${texto.slice(0, elegido.inicio)} ${texto.slice(elegido.fin)}`
+        .replace(/\b(monto|concepto|bs\.?|bsf|bolivares|bolívares|usd|dolares|dólares)\b|\$|:/gi, ' ')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s,.-]+|[\s,.-]+$/g, '');
+    if (concepto.length < 2) return null;
+    return { monto: elegido.monto, concepto };
+}
+
+module.exports = {
+    getAdjunto,
+    guardarComprobante,
+    parsearMontoConcepto,
+};
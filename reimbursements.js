@@ -0,0 +1,153 @@
+// reimbursements.js
+// Ciclo de vida de los reembolsos: recibido, en revisión, aprobado, rechazado (con motivo) y pagado.
+// El personal cambia el estado por WhatsApp (/reembolso); cada cambio queda en la tabla reembolso_estados
+// con su fecha y hora, y se le notifica al paciente.
+
+const { getSolicitudPorTurno, actualizarSolicitud, registrarEstadoReembolso, getReembolsosPorEstado } = require('./database');
+const { getHoyISO } = require('./calendar');
+const { t } = require('./i18n');
+const { idiomas } = require('./sessions');
+
+const ESTADOS_REEMBOLSO = ['recibido', 'en_revision', 'aprobado', 'rechazado', 'pagado'];
+
+const ETIQUETAS_ESTADO = {
+    recibido: 'Recibido',
+    en_revision: 'En revisión',
+    aprobado: 'Aprobado',
+    rechazado: 'Rechazado',
+    pagado: 'Pagado',
+};
+
+// Estados a los que se puede pasar desde cada estado (rechazado y pagado son finales)
+const TRANSICIONES = {
+    recibido: ['en_revision', 'aprobado', 'rechazado'],
+    en_revision: ['aprobado', 'rechazado'],
+    aprobado: ['pagado', 'rechazado'],
+    rechazado: [],
+    pagado: [],
+};
+
+// Formas aceptadas en el comando /reembolso
+const ALIAS_ESTADO = {
+    recibido: 'recibido',
+    revision: 'en_revision',
+    en_revision: 'en_revision',
+    aprobado: 'aprobado',
+    aprobar: 'aprobado',
+    rechazado: 'rechazado',
+    rechazar: 'rechazado',
+    pagado: 'pagado',
+    pagar: 'pagado',
+};
+
+/**
+ * Convierte lo que escribe el personal ("revisión", "aprobar", ...) en un estado de reembolso.
+ * @param {string} texto
+ * @returns {string|null}
+ */
+function normalizarEstado(texto) {
+    const limpio = String(texto || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    return ALIAS_ESTADO[limpio] || null;
+}
+
+/**
+ * Devuelve la etiqueta del estado de un reembolso (las solicitudes anteriores sin estado se consideran recibidas).
+ * @param {Object} solicitud - La solicitud de reembolso.
+ * @param {string} [idioma] - El idioma del paciente; sin él se usa la etiqueta de los reportes.
+ * @returns {string}
+ */
+function describirEstadoReembolso(solicitud, idioma = null) {
+    const estado = solicitud.estado_reembolso || 'recibido';
+    const etiqueta = idioma && ETIQUETAS_ESTADO[estado] ? t(idioma, `reembolso_${estado}`) : ETIQUETAS_ESTADO[estado] || estado;
+    return estado === 'rechazado' && solicitud.motivo_rechazo ? `${etiqueta} (${solicitud.motivo_rechazo})` : etiqueta;
+}
+
+/**
+ * Registra en el historial que el reembolso fue recibido. Se llama al crear la solicitud.
+ * @param {Object} solicitud - La solicitud de reembolso recién creada.
+ */
+async function registrarRecepcionReembolso(solicitud) {
+    await registrarEstadoReembolso({ solicitud_id: solicitud.id, estado: 'recibido', registrado_por: solicitud.whatsapp_jid || null });
+}
+
+/**
+ * Cambia el estado de un reembolso, lo guarda en el historial y se lo notifica al paciente.
+ * @param {Object} sock - Socket de WhatsApp.
+ * @param {string} numeroTurno - El número de turno (ej: "R-003"), sin importar mayúsculas.
+ * @param {string} estadoTexto - El nuevo estado (acepta alias como "revision" o "aprobar").
+ * @param {Object} [opciones]
+ * @param {string} [opciones.fechaISO] - La fecha del turno en formato "YYYY-MM-DD" (por defecto hoy).
+ * @param {string} [opciones.motivo] - Motivo del rechazo (obligatorio al rechazar).
+ * @param {string} [opciones.registradoPor] - JID del administrador que hace el cambio.
+ * @returns {Promise<{ok: boolean, mensaje: string, solicitud?: Object}>} Resultado para mostrar al personal.
+ */
+async function cambiarEstadoReembolso(sock, numeroTurno, estadoTexto, { fechaISO = getHoyISO(), motivo = '', registradoPor = null } = {}) {
+    const estado = normalizarEstado(estadoTexto);
+    if (!estado) {
+        return { ok: false, mensaje: `Estado no válido: ${estadoTexto}. Usa revision, aprobado, rechazado o pagado.` };
+    }
+    const turno = String(numeroTurno || '').trim().toUpperCase();
+    if (!/^R-\d+$/.test(turno)) {
+        return { ok: false, mensaje: 'Indica un número de turno de reembolso válido (ej: R-003).' };
+    }
+    motivo = motivo.trim();
+    if (estado === 'rechazado' && !motivo) {
+        return { ok: false, mensaje: 'Indica el motivo del rechazo, ej: /reembolso R-003 rechazado Factura ilegible' };
+    }
+
+    const solicitud = await getSolicitudPorTurno(turno, fechaISO);
+    if (!solicitud) {
+        return { ok: false, mensaje: `No se encontró el reembolso ${turno} vigente para el ${fechaISO}.` };
+    }
+
+    const estadoActual = solicitud.estado_reembolso || 'recibido';
+    if (!TRANSICIONES[estadoActual].includes(estado)) {
+        return { ok: false, mensaje: `El reembolso ${turno} está *${ETIQUETAS_ESTADO[estadoActual]}* y no puede pasar a *${ETIQUETAS_ESTADO[estado]}*.` };
+    }
+
+    const cambios = { estado_reembolso: estado };
+    if (estado === 'rechazado') cambios.motivo_rechazo = motivo;
+    const actualizada = await actualizarSolicitud(solicitud.id, cambios);
+    if (!actualizada) {
+        return { ok: false, mensaje: `Hubo un error al actualizar el reembolso ${turno}.` };
+    }
+    await registrarEstadoReembolso({ solicitud_id: solicitud.id, estado, motivo: motivo || null, registrado_por: registradoPor });
+
+    let aviso = '';
+    if (actualizada.whatsapp_jid) {
+        try {
+            const idioma = actualizada.idioma || idiomas[actualizada.whatsapp_jid];
+            await sock.sendMessage(actualizada.whatsapp_jid, { text: t(idioma, `reembolso_aviso_${estado}`, { turno, motivo }) });
+            aviso = ' Se notificó al paciente.';
+        } catch (error) {
+            console.error(`[REEMBOLSOS] Error al notificar a ${actualizada.whatsapp_jid}:`, error.message);
+            aviso = ' No se pudo notificar al paciente.';
+        }
+    }
+
+    return { ok: true, mensaje: `Reembolso ${turno} (${fechaISO}) marcado como *${ETIQUETAS_ESTADO[estado]}*.${aviso}`, solicitud: actualizada };
+}
+
+/**
+ * Arma la lista de reembolsos que aún no están pagados ni rechazados, para el comando /reembolsos.
+ * @returns {Promise<string>}
+ */
+async function describirReembolsosPendientes() {
+    const pendientes = await getReembolsosPorEstado(['recibido', 'en_revision', 'aprobado']);
+    if (pendientes.length === 0) return 'No hay reembolsos pendientes.';
+
+    const lineas = pendientes.map(s => {
+        const nombre = [s.nombre_paciente, s.apellido_paciente].filter(Boolean).join(' ');
+        return `• *${s.numero_turno}* ${s.fecha_solicitud} — ${nombre || s.cedula || 'Sin nombre'} — ${describirEstadoReembolso(s)}`;
+    });
+    return `💸 *Reembolsos pendientes* (${pendientes.length})\n\n${lineas.join('\n')}\n\nPara cambiar el estado: /reembolso R-003 2025-01-15 aprobado`;
+}
+
+module.exports = {
+    ESTADOS_REEMBOLSO,
+    ETIQUETAS_ESTADO,
+    describirEstadoReembolso,
+    registrarRecepcionReembolso,
+    cambiarEstadoReembolso,
+    describirReembolsosPendientes,
+};
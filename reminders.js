@@ -0,0 +1,79 @@
+// reminders.js
+// Recordatorios automáticos por WhatsApp para las citas del próximo día hábil
+// La bitácora de recordatorios evita repetir envíos si el bot se reinicia o la tarea corre más de una vez.
+
+const { getDatosReporteDiario, getRecordatoriosPorFecha, registrarRecordatorio } = require('./database');
+const { getAhoraClinica, getSiguienteDiaHabil, toISODate, formatearFechaLarga, formatearHora } = require('./calendar');
+const { iniciarRespuestaRecordatorio } = require('./messageHandler');
+const { t, getLocale } = require('./i18n');
+const { idiomas } = require('./sessions');
+require('dotenv').config();
+
+// Por defecto se envían a las 4:00 PM (hora de la clínica) del día anterior
+const RECORDATORIOS_CRON = process.env.RECORDATORIOS_CRON || '0 16 * * *';
+
+function describirTurno(solicitud, idioma) {
+    const variables = { turno: solicitud.numero_turno, tipo: t(idioma, `tipo_${solicitud.tipo_solicitud}`) };
+    if (!solicitud.hora_estimada) return t(idioma, 'recordatorio_turno', variables);
+    return t(idioma, 'recordatorio_turno_hora', { ...variables, hora: formatearHora(solicitud.hora_estimada) });
+}
+
+/**
+ * Envía un recordatorio a cada paciente con consulta, ECOR o reembolso el próximo día hábil.
+ * Los turnos de un mismo número de WhatsApp se agrupan en un solo mensaje.
+ * @param {Object} sock - Socket de WhatsApp.
+ * @returns {Promise<number>} Cantidad de mensajes enviados.
+ */
+async function enviarRecordatorios(sock) {
+    const manana = getAhoraClinica();
+    manana.setHours(0, 0, 0, 0);
+    manana.setDate(manana.getDate() + 1);
+    const fechaCita = await getSiguienteDiaHabil(manana);
+    const fechaISO = toISODate(fechaCita);
+
+    const yaEnviados = new Set((await getRecordatoriosPorFecha(fechaISO)).map(r => r.solicitud_id));
+    const pendientes = (await getDatosReporteDiario(fechaISO)).filter(s =>
+        ['consulta', 'ecor', 'reembolso'].includes(s.tipo_solicitud) &&
+        s.estado !== 'cancelada' &&
+        s.whatsapp_jid &&
+        !yaEnviados.has(s.id)
+    );
+
+    const porPaciente = new Map();
+    for (const solicitud of pendientes) {
+        if (!porPaciente.has(solicitud.whatsapp_jid)) porPaciente.set(solicitud.whatsapp_jid, []);
+        porPaciente.get(solicitud.whatsapp_jid).push(solicitud);
+    }
+
+    let enviados = 0;
+    for (const [jid, solicitudes] of porPaciente) {
+        try {
+            // Solo se pide responder 1 o 2 si la respuesta va a llegar al recordatorio y no a otra conversación
+            const conRespuesta = await iniciarRespuestaRecordatorio(jid, solicitudes);
+            // El idioma guardado con la solicitud: la conversación del paciente suele haber expirado
+            const idioma = solicitudes[0].idioma || idiomas[jid];
+            await sock.sendMessage(jid, {
+                text: t(idioma, 'recordatorio', {
+                    fecha: formatearFechaLarga(fechaCita, getLocale(idioma)),
+                    turnos: solicitudes.map(s => describirTurno(s, idioma)).join('\n'),
+                    instrucciones: t(idioma, conRespuesta ? 'recordatorio_responde' : 'recordatorio_escribenos'),
+                })
+            });
+
+            for (const solicitud of solicitudes) {
+                await registrarRecordatorio({ solicitud_id: solicitud.id, whatsapp_jid: jid, fecha_cita: fechaISO });
+            }
+            enviados++;
+        } catch (error) {
+            console.error(`[RECORDATORIOS] Error al enviar el recordatorio a ${jid}:`, error.message);
+        }
+    }
+
+    console.log(`[RECORDATORIOS] ${enviados} recordatorio(s) enviado(s) para las citas del ${fechaISO}.`);
+    return enviados;
+}
+
+module.exports = {
+    RECORDATORIOS_CRON,
+    enviarRecordatorios,
+};
@@ -1,83 +1,195 @@
 // reportGenerator.js
 // Módulo para generación de reportes en Excel y envío por email
 // Genera reportes diarios y mensuales de consultas, reembolsos y emergencias
+// Con varias sedes cada sede recibe el suyo, y el consolidado de todas lleva una columna Sede
 
 const ExcelJS = require('exceljs');
 const { Resend } = require('resend');
 const path = require('path');
 const fs = require('fs');
-const { getDatosReporteDiario, getDatosReporteMensual } = require('./database');
+const { getDatosReporteDiario, getDatosReporteMensual, getComprobantesPorSolicitudes, getHistorialReembolsos, getEventosEmergencias } = require('./database');
+const { calcularResumenAsistencia } = require('./attendance');
+const { ETIQUETAS_ESTADO } = require('./reimbursements');
+const { CLINIC_TIMEZONE } = require('./calendar');
+const { PARENTESCOS } = require('./patients');
+const { ETIQUETAS_ESTADO_EMERGENCIA, describirLineaTiempo } = require('./emergencies');
+const { getClinica } = require('./clinica');
+const { esMultisede, getSedeActual, getSedePorId } = require('./sedes');
 require('dotenv').config();
 
 // Cliente de Resend para envío de correos
 const resend = new Resend(process.env.RESEND_API_KEY);
 
+/**
+ * Agrega el titular y el parentesco a una solicitud para las hojas del reporte.
+ * Las solicitudes sin titular son del propio empleado.
+ */
+function conTitular(solicitud) {
+    if (!solicitud.titular_cedula) return { ...solicitud, titular: '', parentesco: 'Titular' };
+    const nombre = [solicitud.titular_nombre, solicitud.titular_apellido].filter(Boolean).join(' ');
+    return {
+        ...solicitud,
+        titular: `${nombre ? `${nombre}, ` : ''}C.I. ${solicitud.titular_cedula}`,
+        parentesco: PARENTESCOS[solicitud.parentesco] || PARENTESCOS.otro,
+    };
+}
+
+/**
+ * Prefijo de los archivos y el asunto del correo: el id de la sede, o "Consolidado" para todas.
+ */
+function sufijoSede() {
+    if (!esMultisede()) return null;
+    return getSedeActual().id || 'Consolidado';
+}
+
 /**
  * Crea un archivo Excel con los datos de solicitudes.
- * Organiza los datos en hojas separadas: Consultas, ECOR, Reembolsos y Emergencias.
+ * Organiza los datos en hojas separadas: Consultas, ECOR, Reembolsos, Emergencias y un resumen de Asistencia.
  * @param {Array} datos - Array de solicitudes a incluir en el reporte.
  * @param {string} fechaString - Identificador de fecha para el nombre del archivo.
  * @returns {Promise<string>} - Ruta del archivo Excel generado.
  */
 async function createExcelReport(datos, fechaString) {
+    // El consolidado de varias sedes indica la sede de cada fila
+    const conSedes = esMultisede() && !getSedeActual().id;
+    const columnas = lista => conSedes ? [{ header: 'Sede', key: 'sede', width: 18 }, ...lista] : lista;
+    if (conSedes) datos = datos.map(d => ({ ...d, sede: getSedePorId(d.sede_id)?.nombre || d.sede_id || '' }));
+
     const workbook = new ExcelJS.Workbook();
     workbook.creator = 'AsistenteVirtualClinica';
     workbook.created = new Date();
 
     // Hoja 1: Consultas Generales
     const consultasSheet = workbook.addWorksheet('Consultas');
-    consultasSheet.columns = [
+    consultasSheet.columns = columnas([
         { header: 'Turno', key: 'numero_turno', width: 12 },
         { header: 'Nombre', key: 'nombre_paciente', width: 20 },
         { header: 'Apellido', key: 'apellido_paciente', width: 20 },
         { header: 'Cédula', key: 'cedula', width: 15 },
+        { header: 'Titular', key: 'titular', width: 30 },
+        { header: 'Parentesco', key: 'parentesco', width: 15 },
         { header: 'Tipo Consulta', key: 'tipo_consulta_detalle', width: 25 },
         { header: 'Nómina', key: 'nomina', width: 15 },
         { header: 'Gerencia', key: 'gerencia', width: 25 },
+        { header: 'Verificación Nómina', key: 'verificacion_nomina', width: 20 },
+        { header: 'Hora Estimada', key: 'hora_estimada', width: 15 },
         { header: 'Hora Registro', key: 'hora_solicitud', width: 15 },
-    ];
+        { header: 'Asistencia', key: 'asistencia', width: 15 },
+    ]);
     // Filtrar solo consultas (excluyendo ECOR)
     const consultasData = datos.filter(d => d.tipo_solicitud === 'consulta');
-    consultasSheet.addRows(consultasData);
+    consultasSheet.addRows(consultasData.map(conTitular));
 
     // Hoja 2: Exámenes Físicos Anuales (ECOR)
     const ecorSheet = workbook.addWorksheet('ECOR');
-    ecorSheet.columns = [
+    ecorSheet.columns = columnas([
         { header: 'Turno', key: 'numero_turno', width: 12 },
         { header: 'Nombre', key: 'nombre_paciente', width: 20 },
         { header: 'Apellido', key: 'apellido_paciente', width: 20 },
         { header: 'Cédula', key: 'cedula', width: 15 },
+        { header: 'Titular', key: 'titular', width: 30 },
+        { header: 'Parentesco', key: 'parentesco', width: 15 },
         { header: 'Nómina', key: 'nomina', width: 15 },
         { header: 'Gerencia', key: 'gerencia', width: 25 },
+        { header: 'Verificación Nómina', key: 'verificacion_nomina', width: 20 },
+        { header: 'Hora Estimada', key: 'hora_estimada', width: 15 },
         { header: 'Hora Registro', key: 'hora_solicitud', width: 15 },
-    ];
+        { header: 'Asistencia', key: 'asistencia', width: 15 },
+    ]);
     const ecorData = datos.filter(d => d.tipo_solicitud === 'ecor');
-    ecorSheet.addRows(ecorData);
+    ecorSheet.addRows(ecorData.map(conTitular));
 
     // Hoja 3: Reembolsos (sin campos de nómina ni gerencia)
     const reembolsosSheet = workbook.addWorksheet('Reembolsos');
-    reembolsosSheet.columns = [
+    reembolsosSheet.columns = columnas([
         { header: 'Turno', key: 'numero_turno', width: 12 },
         { header: 'Nombre', key: 'nombre_paciente', width: 25 },
         { header: 'Apellido', key: 'apellido_paciente', width: 25 },
         { header: 'Cédula', key: 'cedula', width: 15 },
+        { header: 'Titular', key: 'titular', width: 30 },
+        { header: 'Parentesco', key: 'parentesco', width: 15 },
+        { header: 'Verificación Nómina', key: 'verificacion_nomina', width: 20 },
+        { header: 'Hora Estimada', key: 'hora_estimada', width: 15 },
         { header: 'Hora Registro', key: 'hora_solicitud', width: 15 },
-    ];
+        { header: 'Asistencia', key: 'asistencia', width: 15 },
+        { header: 'Estado Reembolso', key: 'estado_reembolso', width: 18 },
+        { header: 'Motivo Rechazo', key: 'motivo_rechazo', width: 30 },
+        { header: 'Último Cambio', key: 'ultimo_cambio', width: 20 },
+        { header: 'Monto Total', key: 'monto_total', width: 15, style: { numFmt: '#,##0.00' } },
+        { header: 'Comprobantes', key: 'comprobantes', width: 70, style: { alignment: { wrapText: true, vertical: 'top' } } },
+    ]);
     const reembolsosData = datos.filter(d => d.tipo_solicitud === 'reembolso');
-    reembolsosSheet.addRows(reembolsosData);
+    // Cada factura en su propia línea: concepto, monto y archivo, para que finanzas pueda procesarlas
+    const comprobantes = await getComprobantesPorSolicitudes(reembolsosData.map(d => d.id));
+    const historial = await getHistorialReembolsos(reembolsosData.map(d => d.id));
+    reembolsosSheet.addRows(reembolsosData.map(d => {
+        const propios = comprobantes.filter(c => c.solicitud_id === d.id);
+        const cambios = historial.filter(h => h.solicitud_id === d.id);
+        const ultimoCambio = cambios.length > 0 ? new Date(cambios[cambios.length - 1].registrado_en) : null;
+        return {
+            ...conTitular(d),
+            estado_reembolso: d.estado === 'cancelada' ? 'Cancelado' : (ETIQUETAS_ESTADO[d.estado_reembolso || 'recibido'] || d.estado_reembolso),
+            ultimo_cambio: ultimoCambio ? ultimoCambio.toLocaleString('es-VE', { timeZone: CLINIC_TIMEZONE }) : '',
+            monto_total: propios.reduce((suma, c) => suma + Number(c.monto), 0),
+            comprobantes: propios.map(c => `${c.concepto}: ${Number(c.monto).toFixed(2)} (${c.archivo})`).join('\n'),
+        };
+    }));
 
     // Hoja 4: Emergencias
     const emergenciasSheet = workbook.addWorksheet('Emergencias');
-    emergenciasSheet.columns = [
+    emergenciasSheet.columns = columnas([
+        { header: 'N°', key: 'id', width: 8 },
         { header: 'Fecha', key: 'fecha_solicitud', width: 15 },
         { header: 'Hora', key: 'hora_solicitud', width: 15 },
-        { header: 'Mensaje', key: 'mensaje', width: 50 },
-    ];
+        { header: 'WhatsApp', key: 'whatsapp', width: 18 },
+        { header: 'Mensaje', key: 'mensaje', width: 50, style: { alignment: { wrapText: true, vertical: 'top' } } },
+        { header: 'Ubicación', key: 'ubicacion', width: 40, style: { alignment: { wrapText: true, vertical: 'top' } } },
+        { header: 'Estado', key: 'estado_emergencia', width: 18 },
+        { header: 'Atendida Por', key: 'atendida_por', width: 18 },
+        { header: 'Línea de Tiempo', key: 'linea_tiempo', width: 70, style: { alignment: { wrapText: true, vertical: 'top' } } },
+    ]);
     const emergenciasData = datos.filter(d => d.tipo_solicitud === 'emergencia');
-    emergenciasSheet.addRows(emergenciasData);
+    // Cada evento (alerta, escalamiento, ubicación, confirmación) en su propia línea con la hora
+    const eventosEmergencias = await getEventosEmergencias(emergenciasData.map(d => d.id));
+    emergenciasSheet.addRows(emergenciasData.map(d => ({
+        ...d,
+        whatsapp: d.whatsapp_jid ? d.whatsapp_jid.split('@')[0] : '',
+        estado_emergencia: ETIQUETAS_ESTADO_EMERGENCIA[d.estado_emergencia] || d.estado_emergencia || '',
+        linea_tiempo: describirLineaTiempo(eventosEmergencias.filter(e => e.solicitud_id === d.id), CLINIC_TIMEZONE),
+    })));
+
+    // Hoja 5: Resumen de asistencia y no-show por tipo (tasas sobre turnos presentes + ausentes)
+    const asistenciaSheet = workbook.addWorksheet('Asistencia');
+    asistenciaSheet.columns = [
+        { header: 'Tipo', key: 'tipo', width: 15 },
+        { header: 'Agendados', key: 'total', width: 12 },
+        { header: 'Presentes', key: 'presentes', width: 12 },
+        { header: 'Ausentes', key: 'ausentes', width: 12 },
+        { header: 'Pendientes', key: 'pendientes', width: 12 },
+        { header: 'Cancelados', key: 'canceladas', width: 12 },
+        { header: 'Tasa Asistencia', key: 'tasaAsistencia', width: 16, style: { numFmt: '0.0%' } },
+        { header: 'Tasa No-Show', key: 'tasaNoShow', width: 16, style: { numFmt: '0.0%' } },
+    ];
+    const gruposAsistencia = [
+        ['Consultas', consultasData],
+        ['ECOR', ecorData],
+        ['Reembolsos', reembolsosData],
+        ['Total', [...consultasData, ...ecorData, ...reembolsosData]],
+    ];
+    // En el consolidado, también el total de cada sede
+    if (conSedes) {
+        const turnos = gruposAsistencia[gruposAsistencia.length - 1][1];
+        for (const sede of [...new Set(turnos.map(d => d.sede))]) {
+            gruposAsistencia.push([`Total ${sede}`, turnos.filter(d => d.sede === sede)]);
+        }
+    }
+    for (const [tipo, grupo] of gruposAsistencia) {
+        asistenciaSheet.addRow({ tipo, ...calcularResumenAsistencia(grupo) });
+    }
 
-    // Guardar el archivo Excel
-    const filePath = path.join(__dirname, `Reporte_Diario_${fechaString}.xlsx`);
+    // Guardar el archivo Excel (con varias sedes, el nombre lleva la sede para no pisar el de otra)
+    const sufijo = sufijoSede();
+    const filePath = path.join(__dirname, `Reporte_Diario_${sufijo ? `${sufijo}_` : ''}${fechaString}.xlsx`);
     await workbook.xlsx.writeFile(filePath);
     return filePath;
 }
@@ -89,14 +201,20 @@ async function createExcelReport(datos, fechaString) {
  * @param {Date} fechaDisplay - Fecha para mostrar en el asunto del correo.
  */
 async function sendEmailWithAttachment(filePath, fechaDisplay) {
+    const destinatario = getSedeActual().reporte_email;
+    if (!destinatario) {
+        console.log('[Resend] No hay correo configurado para este reporte. No se enviará.');
+        return;
+    }
+
     try {
         console.log(`[Resend] Leyendo el archivo para adjuntar: ${filePath}`);
         const fileContent = fs.readFileSync(filePath);
 
         await resend.emails.send({
-            from: `"Asistente Virtual Clínica" <onboarding@resend.dev>`,
-            to: process.env.REPORT_EMAIL_TO,
-            subject: `Reporte Diario de Solicitudes - ${fechaDisplay.toLocaleDateString('es-VE')}`,
+            from: `"Asistente Virtual ${getClinica().nombre}" <onboarding@resend.dev>`,
+            to: destinatario,
+            subject: `Reporte Diario de Solicitudes - ${sufijoSede() ? `${getSedeActual().nombre} - ` : ''}${fechaDisplay.toLocaleDateString('es-VE')}`,
             text: 'Adjunto se encuentra el reporte diario de consultas y reembolsos generado por el asistente virtual.',
             attachments: [{
                 filename: path.basename(filePath),
@@ -0,0 +1,223 @@
+// roster.js
+// Nómina de empleados importada desde Excel o CSV (exportada por Recursos Humanos).
+// Se usa para validar la cédula de cada solicitud y completar la nómina y la gerencia con los valores oficiales;
+// las cédulas que no aparecen quedan pendientes de verificación manual por el personal.
+
+const ExcelJS = require('exceljs');
+const { Readable } = require('stream');
+const { reemplazarNomina, getEmpleadoPorCedula, getResumenNomina, getSolicitudPorTurno, getSolicitudesPorVerificacion, actualizarSolicitud, cancelarSolicitud } = require('./database');
+const { getHoyISO, parseISODate, formatearFechaLarga } = require('./calendar');
+const { notificarCupoLiberado } = require('./waitlist');
+const { t, getLocale } = require('./i18n');
+const { idiomas } = require('./sessions');
+require('dotenv').config();
+
+// Encabezados aceptados para cada columna (sin tildes, espacios ni signos)
+const ENCABEZADOS = {
+    cedula: ['cedula', 'ci', 'cedulaidentidad', 'ceduladeidentidad', 'documento'],
+    nombre: ['nombre', 'nombres'],
+    apellido: ['apellido', 'apellidos'],
+    nomina: ['nomina', 'tipodenomina', 'tiponomina'],
+    gerencia: ['gerencia', 'departamento', 'area'],
+};
+
+function normalizarEncabezado(texto) {
+    return String(texto || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]/g, '');
+}
+
+function normalizarCedula(cedula) {
+    return String(cedula || '').replace(/\D/g, '');
+}
+
+function valorCelda(celda) {
+    const valor = celda.value;
+    if (valor === null || valor === undefined) return '';
+    if (typeof valor === 'object') {
+        if (valor.richText) return valor.richText.map(t => t.text).join('').trim();
+        if (valor.result !== undefined) return String(valor.result).trim();
+        if (valor.text !== undefined) return String(valor.text).trim();
+    }
+    return String(valor).trim();
+}
+
+/**
+ * Lee la primera hoja de un archivo Excel o CSV y devuelve los empleados válidos.
+ * @param {Buffer} buffer - El contenido del archivo.
+ * @param {'xlsx' | 'csv'} formato - El formato del archivo.
+ * @returns {Promise<{empleados: Array, errores: Array<string>}>}
+ */
+async function leerArchivoNomina(buffer, formato) {
+    const workbook = new ExcelJS.Workbook();
+    const hoja = formato === 'csv'
+        ? await workbook.csv.read(Readable.from(buffer))
+        : (await workbook.xlsx.load(buffer), workbook.worksheets[0]);
+    if (!hoja) throw new Error('El archivo no tiene hojas.');
+
+    // Ubica cada columna por su encabezado en la primera fila
+    const columnas = {};
+    hoja.getRow(1).eachCell((celda, numero) => {
+        const encabezado = normalizarEncabezado(valorCelda(celda));
+        for (const [campo, alias] of Object.entries(ENCABEZADOS)) {
+            if (alias.includes(encabezado) && !columnas[campo]) columnas[campo] = numero;
+        }
+    });
+    if (!columnas.cedula) throw new Error('No se encontró la columna de cédula en la primera fila.');
+
+    const empleados = new Map();
+    const errores = [];
+    hoja.eachRow((fila, numero) => {
+        if (numero === 1) return;
+        const leer = campo => (columnas[campo] ? valorCelda(fila.getCell(columnas[campo])) : '');
+        const cedula = normalizarCedula(leer('cedula'));
+        if (!cedula) {
+            if (fila.actualCellCount > 0) errores.push(`Fila ${numero}: sin cédula`);
+            return;
+        }
+        if (empleados.has(cedula)) errores.push(`Fila ${numero}: cédula ${cedula} repetida (se usa la última)`);
+        empleados.set(cedula, {
+            cedula,
+            nombre: leer('nombre') || null,
+            apellido: leer('apellido') || null,
+            nomina: leer('nomina') || null,
+            gerencia: leer('gerencia') || null,
+        });
+    });
+    return { empleados: [...empleados.values()], errores };
+}
+
+/**
+ * Importa la nómina desde un archivo y reemplaza la anterior.
+ * Los empleados que ya no aparecen en el archivo quedan inactivos.
+ * @param {Buffer} buffer - El contenido del archivo.
+ * @param {string} nombreArchivo - El nombre del archivo o su tipo MIME, para distinguir CSV de Excel.
+ * @returns {Promise<{ok: boolean, mensaje: string, total?: number, errores?: Array<string>}>} Resultado para mostrar al personal.
+ */
+async function importarNomina(buffer, nombreArchivo) {
+    const formato = /csv/i.test(nombreArchivo || '') ? 'csv' : 'xlsx';
+    let lectura;
+    try {
+        lectura = await leerArchivoNomina(buffer, formato);
+    } catch (error) {
+        console.error('[NÓMINA] Error al leer el archivo:', error.message);
+        return { ok: false, mensaje: `No se pudo leer el archivo de nómina: ${error.message}` };
+    }
+
+    const { empleados, errores } = lectura;
+    if (empleados.length === 0) {
+        return { ok: false, mensaje: 'El archivo no tiene empleados con cédula.', errores };
+    }
+    if (!(await reemplazarNomina(empleados))) {
+        return { ok: false, mensaje: 'Hubo un error al guardar la nómina.' };
+    }
+
+    console.log(`[NÓMINA] Importados ${empleados.length} empleados (${errores.length} advertencias).`);
+    const advertencias = errores.length > 0
+        ? `\n\n⚠️ ${errores.length} advertencia(s):\n${errores.slice(0, 10).join('\n')}${errores.length > 10 ? '\n…' : ''}`
+        : '';
+    return { ok: true, mensaje: `Nómina importada: ${empleados.length} empleados.${advertencias}`, total: empleados.length, errores };
+}
+
+/**
+ * Verifica la cédula del empleado de una solicitud contra la nómina y completa la nómina y la gerencia oficiales.
+ * Para un beneficiario se verifica la cédula del titular. Si no hay nómina cargada, la solicitud sigue sin verificación.
+ * @param {Object} datos - Los datos de la solicitud.
+ * @returns {Promise<{estado: 'sin_nomina' | 'verificada' | 'no_encontrada', datos: Object}>}
+ */
+async function verificarContraNomina(datos) {
+    const cedulaEmpleado = datos.titular_cedula || datos.cedula;
+    const { total } = await getResumenNomina();
+    if (total === 0 || !cedulaEmpleado) return { estado: 'sin_nomina', datos };
+
+    const empleado = await getEmpleadoPorCedula(normalizarCedula(cedulaEmpleado));
+    if (!empleado) {
+        return { estado: 'no_encontrada', datos: { ...datos, verificacion_nomina: 'pendiente' } };
+    }
+
+    const [campoNombre, campoApellido] = datos.titular_cedula ? ['titular_nombre', 'titular_apellido'] : ['nombre_paciente', 'apellido_paciente'];
+    return {
+        estado: 'verificada',
+        datos: {
+            ...datos,
+            [campoNombre]: datos[campoNombre] || empleado.nombre,
+            [campoApellido]: datos[campoApellido] || empleado.apellido,
+            nomina: empleado.nomina || datos.nomina,
+            gerencia: empleado.gerencia || datos.gerencia,
+            verificacion_nomina: 'verificada',
+        },
+    };
+}
+
+/**
+ * Describe el estado de la nómina cargada para el comando /nomina.
+ * @returns {Promise<string>}
+ */
+async function describirNomina() {
+    const { total, importado_en } = await getResumenNomina();
+    if (total === 0) {
+        return 'No hay nómina cargada; las solicitudes no se verifican.\n\nPara importarla, envía el archivo Excel o CSV con el comentario */nomina*. La primera fila debe tener los encabezados: Cédula, Nombre, Apellido, Nómina, Gerencia.';
+    }
+    const fecha = importado_en ? new Date(importado_en).toLocaleString('es-VE') : 'fecha desconocida';
+    return `👥 Nómina cargada: *${total}* empleados activos (importada el ${fecha}).\n\nPara reemplazarla, envía el archivo Excel o CSV con el comentario */nomina*.`;
+}
+
+/**
+ * Lista las solicitudes pendientes de verificación para el comando /revisiones.
+ * @returns {Promise<string>}
+ */
+async function describirRevisionesPendientes() {
+    const pendientes = await getSolicitudesPorVerificacion('pendiente');
+    if (pendientes.length === 0) return 'No hay solicitudes pendientes de verificación.';
+    const lineas = pendientes.map(s => {
+        const nombre = [s.nombre_paciente, s.apellido_paciente].filter(Boolean).join(' ');
+        const titular = s.titular_cedula ? ` (titular C.I. ${s.titular_cedula})` : '';
+        return `• *${s.numero_turno}* ${s.fecha_solicitud} — ${nombre || 'Sin nombre'}, C.I. ${s.cedula || 'sin cédula'}${titular}${s.nomina ? ` — ${s.nomina}` : ''}${s.gerencia ? ` / ${s.gerencia}` : ''}`;
+    });
+    return `🔎 *Pendientes de verificación* (${pendientes.length})\n\n${lineas.join('\n')}\n\nPara resolver: /verificar C-004 2025-01-15 aprobar | rechazar`;
+}
+
+/**
+ * Resuelve la verificación manual de una solicitud. Al rechazarla se cancela, se avisa al paciente
+ * y el cupo pasa a la lista de espera.
+ * @param {Object} sock - Socket de WhatsApp.
+ * @param {string} numeroTurno - El número de turno (ej: "C-004").
+ * @param {'aprobar' | 'rechazar'} decision - La decisión del personal.
+ * @param {string} [fechaISO] - La fecha del turno en formato "YYYY-MM-DD" (por defecto hoy).
+ * @returns {Promise<{ok: boolean, mensaje: string}>} Resultado para mostrar al personal.
+ */
+async function resolverVerificacion(sock, numeroTurno, decision, fechaISO = getHoyISO()) {
+    const accion = String(decision || '').toLowerCase();
+    if (!['aprobar', 'rechazar'].includes(accion)) {
+        return { ok: false, mensaje: 'Indica *aprobar* o *rechazar*, ej: /verificar C-004 aprobar' };
+    }
+    const turno = String(numeroTurno || '').trim().toUpperCase();
+    const solicitud = await getSolicitudPorTurno(turno, fechaISO);
+    if (!solicitud) return { ok: false, mensaje: `No se encontró el turno ${turno} vigente para el ${fechaISO}.` };
+    if (solicitud.verificacion_nomina !== 'pendiente') {
+        return { ok: false, mensaje: `El turno ${turno} no está pendiente de verificación.` };
+    }
+
+    if (accion === 'aprobar') {
+        const actualizada = await actualizarSolicitud(solicitud.id, { verificacion_nomina: 'aprobada' });
+        if (!actualizada) return { ok: false, mensaje: `Hubo un error al actualizar el turno ${turno}.` };
+        return { ok: true, mensaje: `Turno ${turno} (${fechaISO}) verificado manualmente.` };
+    }
+
+    const cancelada = await actualizarSolicitud(solicitud.id, { verificacion_nomina: 'rechazada' }) && await cancelarSolicitud(solicitud.id);
+    if (!cancelada) return { ok: false, mensaje: `Hubo un error al cancelar el turno ${turno}.` };
+    if (solicitud.whatsapp_jid) {
+        const idioma = solicitud.idioma || idiomas[solicitud.whatsapp_jid];
+        await sock.sendMessage(solicitud.whatsapp_jid, {
+            text: t(idioma, 'nomina_rechazada', { turno: solicitud.numero_turno, fecha: formatearFechaLarga(solicitud.fecha_solicitud, getLocale(idioma)) })
+        });
+    }
+    await notificarCupoLiberado(sock, solicitud.tipo_solicitud, parseISODate(solicitud.fecha_solicitud));
+    return { ok: true, mensaje: `Turno ${turno} (${fechaISO}) rechazado y cancelado. Se notificó al paciente.` };
+}
+
+module.exports = {
+    importarNomina,
+    verificarContraNomina,
+    describirNomina,
+    describirRevisionesPendientes,
+    resolverVerificacion,
+};
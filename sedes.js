@@ -0,0 +1,205 @@
+// sedes.js
+// Varias clínicas (sedes) atendidas desde un mismo proceso. Cada sede tiene su propio número de WhatsApp
+// (con su carpeta de autenticación de Baileys), sus datos de clínica (horario, tipos de consulta...),
+// sus administradores y los destinatarios de sus reportes. Las solicitudes, los números de turno, los
+// cupos, la lista de espera y los cierres del calendario se guardan con el sede_id de su sede.
+//
+// La sede que se está atendiendo viaja en un contexto asíncrono: index.js procesa cada mensaje y cada
+// tarea periódica dentro de ejecutarEnSede, y la base de datos, la configuración de la clínica y las
+// sesiones la obtienen con getSedeActual sin recibirla como parámetro.
+// Sin archivo de sedes (SEDES_CONFIG, por defecto sedes.json) el bot atiende una sola clínica.
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+require('dotenv').config();
+
+const SEDES_CONFIG = process.env.SEDES_CONFIG || path.join(__dirname, 'sedes.json');
+
+// Números separados por coma (ej: "584121234567,584241234567") o una lista
+function listaNumeros(valor) {
+    const numeros = Array.isArray(valor) ? valor : String(valor || '').split(',');
+    return numeros.map(n => String(n).replace(/\D/g, '')).filter(Boolean);
+}
+
+function rutaDesdeProyecto(ruta) {
+    return path.resolve(__dirname, ruta);
+}
+
+/**
+ * La única sede cuando no hay archivo de sedes: se configura con las variables de entorno de siempre.
+ */
+const SEDE_UNICA = {
+    id: null,
+    nombre: null,
+    auth: rutaDesdeProyecto('auth_info_baileys'),
+    clinica: rutaDesdeProyecto(process.env.CLINICA_CONFIG || 'clinica.json'),
+    administradores: listaNumeros(process.env.REPORT_WHATSAPP_NUMBER),
+    admin_password: process.env.ADMIN_PASSWORD || '2025',
+    reporte_email: process.env.REPORT_EMAIL_TO || null,
+    reporte_whatsapp: listaNumeros(process.env.REPORT_WHATSAPP_NUMBER)[0] || null,
+    emergencia_guardia: listaNumeros(process.env.EMERGENCIA_GUARDIA || process.env.REPORT_WHATSAPP_NUMBER),
+    emergencia_escalamiento: listaNumeros(process.env.EMERGENCIA_ESCALAMIENTO),
+};
+
+/**
+ * Valida una sede del archivo y completa lo que falte con los valores por defecto.
+ * @param {Object} datos - La sede tal como viene en el archivo.
+ * @returns {Object} La sede completa.
+ */
+function construirSede(datos) {
+    if (!datos || typeof datos.id !== 'string' || !/^[a-z0-9_-]+$/i.test(datos.id)) {
+        throw new Error('cada sede necesita un "id" con solo letras, números, guiones o guiones bajos');
+    }
+    const reporteWhatsapp = listaNumeros(datos.reporte_whatsapp)[0] || null;
+    const administradores = listaNumeros(datos.administradores);
+    if (reporteWhatsapp && !administradores.includes(reporteWhatsapp)) administradores.unshift(reporteWhatsapp);
+    return {
+        id: datos.id,
+        nombre: datos.nombre || datos.id,
+        auth: rutaDesdeProyecto(datos.auth || `auth_info_baileys_${datos.id}`),
+        clinica: rutaDesdeProyecto(datos.clinica || `clinica-${datos.id}.json`),
+        administradores,
+        admin_password: datos.admin_password || SEDE_UNICA.admin_password,
+        reporte_email: datos.reporte_email || null,
+        reporte_whatsapp: reporteWhatsapp,
+        emergencia_guardia: datos.emergencia_guardia ? listaNumeros(datos.emergencia_guardia) : administradores,
+        emergencia_escalamiento: listaNumeros(datos.emergencia_escalamiento),
+    };
+}
+
+/**
+ * Lee el archivo de sedes una vez al iniciar. Un archivo inválido detiene el arranque: conectar con
+ * la configuración equivocada abriría la sesión de WhatsApp de otra sede.
+ * @returns {{sedes: Array<Object>, consolidado: Object|null}}
+ */
+function cargarSedes() {
+    if (!fs.existsSync(SEDES_CONFIG)) return { sedes: [SEDE_UNICA], consolidado: null };
+
+    try {
+        const datos = JSON.parse(fs.readFileSync(SEDES_CONFIG, 'utf8'));
+        if (!Array.isArray(datos.sedes) || datos.sedes.length === 0) throw new Error('"sedes" debe ser una lista con al menos una sede');
+        const sedes = datos.sedes.map(construirSede);
+        for (const campo of ['id', 'auth']) {
+            const repetido = sedes.find((sede, i) => sedes.findIndex(otra => otra[campo] === sede[campo]) !== i);
+            if (repetido) throw new Error(`dos sedes usan el mismo "${campo}" (${repetido[campo]})`);
+        }
+
+        // El reporte consolidado de todas las sedes es opcional
+        const consolidado = datos.consolidado?.reporte_email
+            ? { ...SEDE_UNICA, nombre: datos.consolidado.nombre || 'Todas las sedes', reporte_email: datos.consolidado.reporte_email }
+            : null;
+
+        console.log(`[SEDES] ${sedes.length} sede(s) cargada(s) de ${SEDES_CONFIG}: ${sedes.map(s => s.id).join(', ')}.`);
+        return { sedes, consolidado };
+    } catch (error) {
+        throw new Error(`[SEDES] ${SEDES_CONFIG} no es válido: ${error.message}`);
+    }
+}
+
+const { sedes: SEDES, consolidado: CONSOLIDADO } = cargarSedes();
+const MULTISEDE = SEDES[0] !== SEDE_UNICA;
+
+// Fuera de un mensaje o una tarea de una sede (ej. al importar la nómina) se trabaja con todas
+const TODAS_LAS_SEDES = { ...SEDE_UNICA, nombre: 'Todas las sedes' };
+
+const contexto = new AsyncLocalStorage();
+
+/**
+ * @returns {Array<Object>} Las sedes configuradas (una sola sin archivo de sedes).
+ */
+function getSedes() {
+    return SEDES;
+}
+
+/**
+ * @returns {boolean} true si el bot atiende varias sedes.
+ */
+function esMultisede() {
+    return MULTISEDE;
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|null} La sede con ese id, o null si no existe.
+ */
+function getSedePorId(id) {
+    return SEDES.find(sede => sede.id === id) || null;
+}
+
+/**
+ * El reporte consolidado de todas las sedes, si se configuró su correo. Dentro de ejecutarEnSede
+ * funciona como una sede sin sede_id: la base de datos devuelve las filas de todas las sedes.
+ * @returns {Object|null}
+ */
+function getConsolidado() {
+    return CONSOLIDADO;
+}
+
+/**
+ * La sede que se está atendiendo. Con varias sedes, fuera de ejecutarEnSede se trabaja con todas.
+ * @returns {Object}
+ */
+function getSedeActual() {
+    return contexto.getStore() || (MULTISEDE ? TODAS_LAS_SEDES : SEDE_UNICA);
+}
+
+/**
+ * El sede_id con el que se guardan y filtran los datos: null con una sola clínica o para todas las sedes.
+ * @returns {string|null}
+ */
+function getSedeId() {
+    return getSedeActual().id;
+}
+
+/**
+ * Ejecuta una función (y todo lo que espere) como parte de una sede.
+ * @param {Object} sede
+ * @param {Function} fn
+ * @returns {*} Lo que devuelva fn.
+ */
+function ejecutarEnSede(sede, fn) {
+    return contexto.run(sede, fn);
+}
+
+/**
+ * Un objeto, Map o Set distinto para cada sede detrás de una sola referencia: cada acceso va a la
+ * copia de la sede actual, que se crea la primera vez. Lo usan los módulos que guardan estado por
+ * número de WhatsApp, porque el mismo paciente puede escribirle a dos sedes.
+ * @param {Function} crear - Crea el valor de una sede (ej. () => new Map()).
+ * @returns {Object}
+ */
+function porSede(crear) {
+    const copias = new Map();
+    const actual = () => {
+        const id = getSedeId();
+        if (!copias.has(id)) copias.set(id, crear());
+        return copias.get(id);
+    };
+    return new Proxy({}, {
+        get(_, propiedad) {
+            const objetivo = actual();
+            const valor = Reflect.get(objetivo, propiedad, objetivo);
+            return typeof valor === 'function' ? valor.bind(objetivo) : valor;
+        },
+        set: (_, propiedad, valor) => Reflect.set(actual(), propiedad, valor),
+        has: (_, propiedad) => Reflect.has(actual(), propiedad),
+        deleteProperty: (_, propiedad) => Reflect.deleteProperty(actual(), propiedad),
+        ownKeys: () => Reflect.ownKeys(actual()),
+        getOwnPropertyDescriptor(_, propiedad) {
+            const descriptor = Reflect.getOwnPropertyDescriptor(actual(), propiedad);
+            return descriptor && { ...descriptor, configurable: true };
+        },
+    });
+}
+
+module.exports = {
+    getSedes,
+    esMultisede,
+    getSedePorId,
+    getConsolidado,
+    getSedeActual,
+    getSedeId,
+    ejecutarEnSede,
+    porSede,
+};
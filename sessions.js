@@ -0,0 +1,220 @@
+// sessions.js
+// Sesiones de conversación: el estado de cada chat (userState) y los administradores autenticados
+// se guardan en un almacén para sobrevivir a reinicios y redeploys. Por defecto es un archivo JSON;
+// con SESIONES_ALMACEN=supabase se usa la tabla "sesiones".
+// Las conversaciones inactivas reciben un "¿seguimos?" y luego expiran, y el historial de la IA se recorta.
+// El idioma detectado de cada conversación se guarda junto con ella.
+// Con varias sedes cada una tiene sus propias conversaciones, administradores y almacén.
+
+const fs = require('fs');
+const path = require('path');
+const { getSesiones, guardarSesion, eliminarSesion } = require('./database');
+const { t } = require('./i18n');
+const { getSedeActual, porSede } = require('./sedes');
+require('dotenv').config();
+
+const SESIONES_ALMACEN = (process.env.SESIONES_ALMACEN || 'archivo').toLowerCase();
+const SESIONES_ARCHIVO = process.env.SESIONES_ARCHIVO || path.join(__dirname, 'sesiones', 'sesiones.json');
+
+// Minutos sin actividad tras los que se pregunta "¿seguimos?", y tras los que la conversación expira
+const MINUTOS_INACTIVIDAD = parseInt(process.env.SESION_MINUTOS_INACTIVIDAD, 10) || 30;
+const MINUTOS_EXPIRACION = Math.max(parseInt(process.env.SESION_MINUTOS_EXPIRACION, 10) || MINUTOS_INACTIVIDAD * 2, MINUTOS_INACTIVIDAD);
+
+// Horas sin actividad tras las que un administrador debe volver a hacer /login
+const HORAS_ADMIN = parseInt(process.env.SESION_HORAS_ADMIN, 10) || 24;
+
+// Mensajes de la conversación con la IA que se conservan (los más recientes)
+const MAX_MENSAJES_HISTORIAL = parseInt(process.env.SESION_MAX_MENSAJES, 10) || 30;
+
+// La respuesta a un recordatorio puede llegar horas después: ese estado solo expira al día siguiente
+const MINUTOS_RECORDATORIO = 24 * 60;
+
+// Pasos en los que la conversación ya terminó o la inició el bot: expiran sin preguntar "¿seguimos?"
+const PASOS_SIN_AVISO = ['esperando_confirmacion_final', 'esperando_respuesta_recordatorio'];
+
+const userState = porSede(() => ({}));
+const authenticatedAdmins = porSede(() => new Set()); // Almacena números de WhatsApp que han hecho /login exitosamente
+const idiomas = porSede(() => ({})); // Idioma de la conversación de cada JID (es, en, pt)
+
+// Última actividad y aviso de inactividad de cada JID
+const actividad = porSede(() => new Map());
+
+/**
+ * Almacén en un archivo JSON. Las escrituras se encadenan y se hacen sobre un archivo temporal
+ * que luego se renombra, para no dejar el archivo a medio escribir.
+ */
+function crearAlmacenArchivo(ruta) {
+    let registros = null;
+    let escritura = Promise.resolve(true);
+
+    async function leer() {
+        if (registros) return registros;
+        try {
+            registros = JSON.parse(await fs.promises.readFile(ruta, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('[SESIONES] No se pudo leer el archivo de sesiones. Se empieza vacío:', error.message);
+            registros = {};
+        }
+        return registros;
+    }
+
+    function escribir() {
+        escritura = escritura.then(async () => {
+            try {
+                await fs.promises.mkdir(path.dirname(ruta), { recursive: true });
+                const temporal = `${ruta}.tmp`;
+                await fs.promises.writeFile(temporal, JSON.stringify(registros));
+                await fs.promises.rename(temporal, ruta);
+                return true;
+            } catch (error) {
+                console.error('[SESIONES] Error al escribir el archivo de sesiones:', error.message);
+                return false;
+            }
+        });
+        return escritura;
+    }
+
+    return {
+        cargar: async () => Object.values(await leer()),
+        guardar: async sesion => {
+            (await leer())[sesion.whatsapp_jid] = sesion;
+            return escribir();
+        },
+        eliminar: async whatsappJid => {
+            const actuales = await leer();
+            if (!actuales[whatsappJid]) return true;
+            delete actuales[whatsappJid];
+            return escribir();
+        },
+    };
+}
+
+// Con varias sedes cada una guarda sus sesiones en su propio archivo (ej. sesiones-centro.json)
+function rutaArchivoSede() {
+    const { id } = getSedeActual();
+    return id ? SESIONES_ARCHIVO.replace(/(\.json)?$/, `-${id}.json`) : SESIONES_ARCHIVO;
+}
+
+function crearAlmacen() {
+    if (SESIONES_ALMACEN === 'supabase') {
+        if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+            console.warn('[SESIONES] SESIONES_ALMACEN=supabase pero Supabase no está configurado: las sesiones solo viven en memoria.');
+        }
+        return { cargar: getSesiones, guardar: guardarSesion, eliminar: eliminarSesion };
+    }
+    return crearAlmacenArchivo(rutaArchivoSede());
+}
+
+const almacen = porSede(crearAlmacen);
+
+/**
+ * Recorta el historial de la IA a los mensajes más recientes, empezando siempre por un mensaje del usuario.
+ */
+function recortarHistorial(estado) {
+    if (!estado?.history || estado.history.length <= MAX_MENSAJES_HISTORIAL) return;
+    const recortado = estado.history.slice(-MAX_MENSAJES_HISTORIAL);
+    while (recortado.length > 0 && recortado[0].role !== 'user') recortado.shift();
+    estado.history = recortado;
+}
+
+/**
+ * Carga las sesiones guardadas en userState y authenticatedAdmins. Se llama una vez al iniciar el bot
+ * (con varias sedes, una vez dentro de cada sede).
+ * @returns {Promise<void>}
+ */
+async function restaurarSesiones() {
+    const sesiones = await almacen.cargar();
+    for (const sesion of sesiones) {
+        if (sesion.estado) userState[sesion.whatsapp_jid] = sesion.estado;
+        if (sesion.admin) authenticatedAdmins.add(sesion.whatsapp_jid);
+        if (sesion.idioma) idiomas[sesion.whatsapp_jid] = sesion.idioma;
+        actividad.set(sesion.whatsapp_jid, {
+            actualizado_en: sesion.actualizado_en || new Date().toISOString(),
+            aviso_enviado_en: sesion.aviso_enviado_en || null,
+        });
+    }
+    const { id } = getSedeActual();
+    console.log(`[SESIONES] Restauradas ${Object.keys(userState).length} conversación(es) y ${authenticatedAdmins.size} administrador(es) (almacén: ${SESIONES_ALMACEN}${id ? `, sede ${id}` : ''}).`);
+}
+
+/**
+ * Guarda la sesión de un número tal como quedó en memoria. Se llama después de procesar cada mensaje
+ * y cuando el bot inicia una conversación (ej. un recordatorio).
+ * @param {string} whatsappJid - JID del paciente o administrador.
+ * @returns {Promise<boolean>} true si se guardó.
+ */
+async function persistirSesion(whatsappJid) {
+    const estado = userState[whatsappJid] || null;
+    const admin = authenticatedAdmins.has(whatsappJid);
+    if (!estado && !admin) {
+        // Terminada la conversación, la siguiente vuelve a detectar el idioma
+        delete idiomas[whatsappJid];
+        actividad.delete(whatsappJid);
+        return almacen.eliminar(whatsappJid);
+    }
+
+    recortarHistorial(estado);
+    const registro = { actualizado_en: new Date().toISOString(), aviso_enviado_en: null };
+    actividad.set(whatsappJid, registro);
+    return almacen.guardar({ whatsapp_jid: whatsappJid, estado, admin, idioma: idiomas[whatsappJid] || null, ...registro });
+}
+
+function minutosDesde(fechaISO) {
+    return (Date.now() - new Date(fechaISO).getTime()) / 60000;
+}
+
+/**
+ * Revisa las sesiones inactivas: pregunta "¿seguimos?" a las conversaciones a medias, expira las que
+ * siguen sin respuesta y cierra los logins de administrador sin uso. Se ejecuta cada minuto.
+ * @param {Object} sock - Socket de WhatsApp.
+ */
+async function revisarSesiones(sock) {
+    for (const [whatsappJid, registro] of [...actividad.entries()]) {
+        const inactivo = minutosDesde(registro.actualizado_en);
+        const estado = userState[whatsappJid];
+        let cambio = false;
+
+        if (authenticatedAdmins.has(whatsappJid) && inactivo >= HORAS_ADMIN * 60) {
+            authenticatedAdmins.delete(whatsappJid);
+            console.log(`[SESIONES] Login de administrador de ${whatsappJid} cerrado por inactividad.`);
+            cambio = true;
+        }
+
+        if (estado) {
+            // Una conversación con la IA que no pasó del saludo tampoco necesita el aviso
+            const soloSaludo = !estado.step && (estado.history || []).filter(m => m.role === 'user').length <= 1;
+            const sinAviso = PASOS_SIN_AVISO.includes(estado.step) || soloSaludo;
+            const limite = estado.step === 'esperando_respuesta_recordatorio' ? MINUTOS_RECORDATORIO : sinAviso ? MINUTOS_INACTIVIDAD : MINUTOS_EXPIRACION;
+
+            if (inactivo >= limite) {
+                delete userState[whatsappJid];
+                console.log(`[SESIONES] Conversación de ${whatsappJid} expirada tras ${Math.round(inactivo)} minutos sin actividad.`);
+                cambio = true;
+            } else if (!sinAviso && !registro.aviso_enviado_en && inactivo >= MINUTOS_INACTIVIDAD) {
+                const restantes = Math.max(1, Math.round(MINUTOS_EXPIRACION - inactivo));
+                await sock.sendMessage(whatsappJid, { text: t(idiomas[whatsappJid], 'seguimos', { minutos: restantes }) });
+                registro.aviso_enviado_en = new Date().toISOString();
+                await almacen.guardar({ whatsapp_jid: whatsappJid, estado, admin: authenticatedAdmins.has(whatsappJid), idioma: idiomas[whatsappJid] || null, ...registro });
+                console.log(`[SESIONES] Aviso de inactividad enviado a ${whatsappJid}.`);
+            }
+        }
+
+        if (!cambio) continue;
+        if (!userState[whatsappJid] && !authenticatedAdmins.has(whatsappJid)) {
+            delete idiomas[whatsappJid];
+            actividad.delete(whatsappJid);
+            await almacen.eliminar(whatsappJid);
+        } else {
+            await almacen.guardar({ whatsapp_jid: whatsappJid, estado: userState[whatsappJid] || null, admin: authenticatedAdmins.has(whatsappJid), idioma: idiomas[whatsappJid] || null, ...registro });
+        }
+    }
+}
+
+module.exports = {
+    userState,
+    authenticatedAdmins,
+    idiomas,
+    restaurarSesiones,
+    persistirSesion,
+    revisarSesiones,
+};
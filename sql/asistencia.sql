@@ -0,0 +1,9 @@
+-- asistencia.sql
+-- Asistencia de cada turno (ver attendance.js): pendiente al registrarse, presente o ausente al marcarla
+-- y cancelada si la solicitud se cancela. Ejecutar una vez en el editor SQL de Supabase.
+--
+-- Las solicitudes anteriores quedan con asistencia NULL y el cierre del día las trata como pendientes.
+
+alter table solicitudes add column if not exists asistencia text
+    check (asistencia in ('pendiente', 'presente', 'ausente', 'cancelada'));
+alter table solicitudes add column if not exists asistencia_registrada_en timestamptz;
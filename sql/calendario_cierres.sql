@@ -0,0 +1,16 @@
+-- calendario_cierres.sql
+-- Cierres puntuales de la clínica (ver calendar.js): en esas fechas no se asignan turnos, ECOR ni
+-- reembolsos. Los feriados nacionales se calculan solos y no hace falta cargarlos.
+-- Ejecutar una vez en el editor SQL de Supabase.
+
+create table if not exists calendario_cierres (
+    id bigint generated always as identity primary key,
+    fecha date not null,
+    motivo text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists calendario_cierres_fecha on calendario_cierres (fecha);
+
+-- Ejemplo:
+-- insert into calendario_cierres (fecha, motivo) values ('2026-12-24', 'Vacaciones colectivas');
@@ -0,0 +1,23 @@
+-- emergencias.sql
+-- Atención de emergencias (ver emergencies.js): el mensaje y la ubicación del paciente, el estado de la
+-- alerta a la guardia y su línea de tiempo. Ejecutar una vez en el editor SQL de Supabase.
+
+alter table solicitudes add column if not exists mensaje text;
+alter table solicitudes add column if not exists ubicacion text;
+alter table solicitudes add column if not exists estado_emergencia text
+    check (estado_emergencia in ('alertada', 'atendida', 'sin_respuesta'));
+alter table solicitudes add column if not exists atendida_por text;
+alter table solicitudes add column if not exists nivel_escalamiento integer;
+alter table solicitudes add column if not exists ultima_alerta timestamptz;
+
+create index if not exists solicitudes_estado_emergencia on solicitudes (estado_emergencia) where tipo_solicitud = 'emergencia';
+
+create table if not exists emergencia_eventos (
+    id bigint generated always as identity primary key,
+    solicitud_id bigint not null references solicitudes (id) on delete cascade,
+    evento text not null,  -- recibida, alerta, ubicacion, atendida, escalada o sin_respuesta
+    detalle text,
+    registrado_en timestamptz not null default now()
+);
+
+create index if not exists emergencia_eventos_solicitud on emergencia_eventos (solicitud_id, registrado_en);
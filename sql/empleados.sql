@@ -0,0 +1,19 @@
+-- empleados.sql
+-- Nómina de empleados importada por el personal (ver roster.js) y el resultado de verificar cada
+-- solicitud contra ella. Ejecutar una vez en el editor SQL de Supabase.
+
+create table if not exists empleados (
+    cedula text primary key,
+    nombre text,
+    apellido text,
+    nomina text,
+    gerencia text,
+    activo boolean not null default true,  -- false si no aparece en la última importación
+    importado_en timestamptz not null default now()
+);
+
+create index if not exists empleados_activo on empleados (activo, importado_en);
+
+-- NULL mientras no haya nómina cargada
+alter table solicitudes add column if not exists verificacion_nomina text
+    check (verificacion_nomina in ('verificada', 'pendiente', 'aprobada', 'rechazada'));
@@ -0,0 +1,9 @@
+-- estado_solicitudes.sql
+-- Estado de cada solicitud: al cancelar o reprogramar un turno la solicitud queda 'cancelada' y libera
+-- su cupo. Ejecutar una vez en el editor SQL de Supabase.
+--
+-- Las solicitudes anteriores quedan con estado NULL y cuentan como vigentes.
+
+alter table solicitudes add column if not exists estado text;
+
+create index if not exists solicitudes_cedula_fecha on solicitudes (cedula, fecha_solicitud);
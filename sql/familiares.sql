@@ -0,0 +1,18 @@
+-- familiares.sql
+-- Solicitudes para familiares del empleado (ver patients.js): la solicitud guarda al beneficiario como
+-- paciente y al empleado como titular, y el perfil del beneficiario recuerda a su titular.
+-- Ejecutar una vez en el editor SQL de Supabase, después de pacientes.sql.
+
+alter table solicitudes add column if not exists titular_nombre text;
+alter table solicitudes add column if not exists titular_apellido text;
+alter table solicitudes add column if not exists titular_cedula text;
+alter table solicitudes add column if not exists parentesco text
+    check (parentesco in ('conyuge', 'hijo', 'padre', 'hermano', 'otro'));
+
+-- Los menores sin cédula se registran con cedula NULL y se identifican por su titular y su nombre
+alter table solicitudes alter column cedula drop not null;
+
+create index if not exists solicitudes_titular_cedula on solicitudes (titular_cedula) where titular_cedula is not null;
+
+alter table pacientes add column if not exists titular_cedula text;
+alter table pacientes add column if not exists parentesco text;
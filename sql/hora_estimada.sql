@@ -0,0 +1,5 @@
+-- hora_estimada.sql
+-- Hora estimada de llegada de cada turno (ver calcularHoraEstimada en calendar.js), que se muestra al
+-- paciente y en los reportes. Ejecutar una vez en el editor SQL de Supabase.
+
+alter table solicitudes add column if not exists hora_estimada time;
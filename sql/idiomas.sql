@@ -0,0 +1,8 @@
+-- idiomas.sql
+-- Idioma del paciente (es, en, pt) en cada solicitud y en la lista de espera, para que los recordatorios,
+-- los cupos ofrecidos y los demás avisos le lleguen en su idioma aunque su conversación ya haya expirado.
+-- Ejecutar una vez en el editor SQL de Supabase.
+
+alter table solicitudes add column if not exists idioma text;
+
+alter table lista_espera add column if not exists idioma text;
@@ -0,0 +1,20 @@
+-- lista_espera.sql
+-- Lista de espera (ver waitlist.js): pacientes que no encontraron cupo y los cupos que se les ofrecen
+-- al liberarse. Ejecutar una vez en el editor SQL de Supabase, antes de reservar_turno.sql, que cuenta
+-- las ofertas vigentes como cupos apartados.
+
+create table if not exists lista_espera (
+    id bigint generated always as identity primary key,
+    whatsapp_jid text not null,
+    tipo_solicitud text not null check (tipo_solicitud in ('consulta', 'reembolso')),
+    dia_semana smallint check (dia_semana between 0 and 6), -- NULL: le sirve cualquier día
+    datos jsonb not null,                                    -- datos del paciente para registrar la solicitud
+    estado text not null default 'esperando'
+        check (estado in ('esperando', 'ofrecida', 'aceptada', 'rechazada', 'expirada')),
+    fecha_oferta date,
+    oferta_expira timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists lista_espera_estado on lista_espera (estado, tipo_solicitud, created_at);
+create index if not exists lista_espera_oferta on lista_espera (fecha_oferta) where estado = 'ofrecida';
@@ -0,0 +1,15 @@
+-- pacientes.sql
+-- Perfiles de pacientes (ver patients.js), para que quien vuelve a escribir no repita el cuestionario.
+-- Ejecutar una vez en el editor SQL de Supabase.
+
+create table if not exists pacientes (
+    cedula text primary key,
+    nombre_paciente text,
+    apellido_paciente text,
+    nomina text,
+    gerencia text,
+    whatsapp_jids text[] not null default '{}', -- números de WhatsApp desde los que se registró
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists pacientes_whatsapp_jids on pacientes using gin (whatsapp_jids);
@@ -0,0 +1,14 @@
+-- recordatorios.sql
+-- Bitácora de los recordatorios del día anterior (ver reminders.js): evita repetirlos tras un reinicio
+-- y guarda la respuesta del paciente. Ejecutar una vez en el editor SQL de Supabase.
+
+create table if not exists recordatorios (
+    id bigint generated always as identity primary key,
+    solicitud_id bigint not null references solicitudes (id) on delete cascade,
+    whatsapp_jid text not null,
+    fecha_cita date not null,
+    enviado_en timestamptz not null default now(),
+    respuesta text check (respuesta in ('confirmada', 'cancelada'))
+);
+
+create index if not exists recordatorios_fecha_cita on recordatorios (fecha_cita);
@@ -0,0 +1,15 @@
+-- reembolso_comprobantes.sql
+-- Facturas adjuntas a las solicitudes de reembolso (ver receipts.js), con su monto y concepto.
+-- Ejecutar una vez en el editor SQL de Supabase.
+
+create table if not exists reembolso_comprobantes (
+    id bigint generated always as identity primary key,
+    solicitud_id bigint not null references solicitudes (id) on delete cascade,
+    archivo text not null,      -- ruta local o ruta en el bucket de Supabase Storage
+    tipo_archivo text,
+    monto numeric(12, 2),
+    concepto text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists reembolso_comprobantes_solicitud on reembolso_comprobantes (solicitud_id);
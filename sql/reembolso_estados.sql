@@ -0,0 +1,20 @@
+-- reembolso_estados.sql
+-- Estados de los reembolsos (ver reimbursements.js): el estado actual y el motivo de rechazo se guardan
+-- en la solicitud y cada cambio en su historial. Ejecutar una vez en el editor SQL de Supabase.
+--
+-- Los reembolsos anteriores quedan con estado_reembolso NULL y cuentan como recibidos.
+
+alter table solicitudes add column if not exists estado_reembolso text
+    check (estado_reembolso in ('recibido', 'en_revision', 'aprobado', 'rechazado', 'pagado'));
+alter table solicitudes add column if not exists motivo_rechazo text;
+
+create table if not exists reembolso_estados (
+    id bigint generated always as identity primary key,
+    solicitud_id bigint not null references solicitudes (id) on delete cascade,
+    estado text not null check (estado in ('recibido', 'en_revision', 'aprobado', 'rechazado', 'pagado')),
+    motivo text,
+    registrado_por text,  -- JID de quien hizo el cambio
+    registrado_en timestamptz not null default now()
+);
+
+create index if not exists reembolso_estados_solicitud on reembolso_estados (solicitud_id, registrado_en);
@@ -0,0 +1,30 @@
+-- reglas_cupos.sql
+-- Reglas de cupos por tipo de solicitud (ver quotas.js). Ejecutar una vez en el editor SQL de Supabase.
+--
+-- Cada regla aplica a todos los días (dia_semana y fecha NULL), a un día de la semana (Domingo=0)
+-- o a una fecha puntual. Al calcular el límite de un día gana la fecha, luego el día de la semana
+-- y por último la regla general. Reemplaza las claves cupos_* de la tabla configuracion.
+
+create table if not exists reglas_cupos (
+    id bigint generated always as identity primary key,
+    tipo_solicitud text not null check (tipo_solicitud in ('consulta', 'reembolso')),
+    dia_semana smallint check (dia_semana between 0 and 6),
+    fecha date,
+    limite integer not null check (limite >= 0),
+    created_at timestamptz not null default now(),
+    check (dia_semana is null or fecha is null)
+);
+
+-- Una sola regla por tipo y alcance
+create unique index if not exists reglas_cupos_alcance_unico
+    on reglas_cupos (tipo_solicitud, coalesce(dia_semana, -1), coalesce(fecha, '0001-01-01'::date));
+
+-- Reglas iniciales, tomadas de la configuración anterior si existe
+insert into reglas_cupos (tipo_solicitud, dia_semana, limite)
+select r.tipo_solicitud, r.dia_semana, coalesce((select valor::integer from configuracion where clave = r.clave), r.por_defecto)
+from (values
+    ('consulta', null::smallint, 'cupos_consulta', 15),
+    ('consulta', 3::smallint, 'cupos_consulta_miercoles', 10),
+    ('reembolso', null::smallint, 'cupos_reembolso', 20)
+) as r(tipo_solicitud, dia_semana, clave, por_defecto)
+where not exists (select 1 from reglas_cupos);
@@ -0,0 +1,94 @@
+-- reservar_turno.sql
+-- Reserva atómica de turnos: verifica el cupo, asigna el siguiente número del día y crea la solicitud
+-- en una sola transacción. Ejecutar una vez en el editor SQL de Supabase.
+--
+-- Las reservas del mismo día y prefijo se serializan con un advisory lock, así dos pacientes que
+-- agendan al mismo tiempo nunca reciben el mismo número ni ocupan juntos el último cupo.
+--
+-- Con varias sedes (ver sedes.sql) p_datos trae el sede_id: cada sede tiene su propia numeración
+-- y sus propios cupos. Con una sola clínica sede_id queda NULL.
+--
+-- Al aceptar un cupo ofrecido desde la lista de espera se pasa p_oferta_id: esa oferta no cuenta como
+-- cupo apartado y pasa a 'aceptada' en la misma transacción que crea la solicitud, así nadie más puede
+-- tomar el cupo entre la aceptación y la reserva.
+
+alter table solicitudes add column if not exists sede_id text;
+alter table lista_espera add column if not exists sede_id text;
+
+-- Un número de turno no puede repetirse en el mismo día de la misma sede (las emergencias usan 'EMERGENCIA')
+drop index if exists solicitudes_fecha_turno_unico;
+create unique index if not exists solicitudes_sede_fecha_turno_unico
+    on solicitudes (coalesce(sede_id, ''), fecha_solicitud, numero_turno)
+    where tipo_solicitud <> 'emergencia';
+
+-- La versión anterior no recibía p_oferta_id
+drop function if exists reservar_turno(jsonb, text, text[], text, integer);
+
+create or replace function reservar_turno(
+    p_datos jsonb,                  -- columnas de la solicitud (sin numero_turno)
+    p_prefijo text,                 -- 'C' (consulta/ECOR) o 'R' (reembolso)
+    p_tipos text[],                 -- tipos que comparten el cupo, ej. {consulta,ecor}
+    p_tipo_cupo text,               -- tipo usado en la lista de espera, ej. 'consulta'
+    p_limite integer,               -- cupos del día; NULL = sin límite (ECOR)
+    p_oferta_id bigint default null -- oferta de la lista de espera que se está aceptando
+) returns solicitudes
+language plpgsql
+as $$
+declare
+    v_fecha date := (p_datos->>'fecha_solicitud')::date;
+    v_sede text := p_datos->>'sede_id';
+    v_ocupados integer;
+    v_reservados integer;
+    v_numero integer;
+    v_datos jsonb;
+    v_columnas text;
+    v_solicitud solicitudes;
+begin
+    perform pg_advisory_xact_lock(hashtext('reservar_turno:' || coalesce(v_sede, '') || ':' || p_prefijo || ':' || v_fecha::text));
+
+    if p_limite is not null then
+        select count(*) into v_ocupados
+          from solicitudes
+         where fecha_solicitud = v_fecha
+           and sede_id is not distinct from v_sede
+           and tipo_solicitud = any (p_tipos)
+           and (estado is null or estado <> 'cancelada');
+
+        -- Los cupos ofrecidos a la lista de espera siguen reservados mientras la oferta esté vigente
+        select count(*) into v_reservados
+          from lista_espera
+         where fecha_oferta = v_fecha
+           and sede_id is not distinct from v_sede
+           and tipo_solicitud = p_tipo_cupo
+           and estado = 'ofrecida'
+           and id is distinct from p_oferta_id;
+
+        if v_ocupados + v_reservados >= p_limite then
+            raise exception 'SIN_CUPOS' using errcode = 'P0001';
+        end if;
+    end if;
+
+    -- Máximo en vez de conteo: las canceladas conservan su número y no se reutiliza
+    select coalesce(max(split_part(numero_turno, '-', 2)::integer), 0) + 1 into v_numero
+      from solicitudes
+     where fecha_solicitud = v_fecha
+       and sede_id is not distinct from v_sede
+       and numero_turno like p_prefijo || '-%';
+
+    v_datos := p_datos || jsonb_build_object('numero_turno', p_prefijo || '-' || lpad(v_numero::text, 3, '0'));
+
+    -- Solo se insertan las columnas recibidas para que id y created_at tomen sus valores por defecto
+    select string_agg(quote_ident(clave), ', ') into v_columnas from jsonb_object_keys(v_datos) as clave;
+
+    execute format(
+        'insert into solicitudes (%1$s) select %1$s from jsonb_populate_record(null::solicitudes, $1) returning *',
+        v_columnas
+    ) using v_datos into v_solicitud;
+
+    if p_oferta_id is not null then
+        update lista_espera set estado = 'aceptada' where id = p_oferta_id and estado = 'ofrecida';
+    end if;
+
+    return v_solicitud;
+end;
+$$;
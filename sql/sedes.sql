@@ -0,0 +1,32 @@
+-- sedes.sql
+-- Varias sedes en un mismo proceso (ver sedes.js). Ejecutar una vez en el editor SQL de Supabase,
+-- después de los demás scripts de esta carpeta y antes de volver a ejecutar reservar_turno.sql.
+-- Con una sola clínica no hace falta.
+--
+-- Las solicitudes, las reglas de cupos, la lista de espera, los cierres del calendario y las sesiones
+-- guardan la sede a la que pertenecen. Los pacientes y la nómina de empleados son de toda la empresa.
+
+alter table solicitudes add column if not exists sede_id text;
+alter table reglas_cupos add column if not exists sede_id text;
+alter table lista_espera add column if not exists sede_id text;
+-- Un cierre sin sede_id aplica a todas las sedes (ej. un feriado regional)
+alter table calendario_cierres add column if not exists sede_id text;
+
+create index if not exists solicitudes_sede_fecha on solicitudes (sede_id, fecha_solicitud);
+
+-- Una sola regla por sede, tipo y alcance
+drop index if exists reglas_cupos_alcance_unico;
+create unique index if not exists reglas_cupos_sede_alcance_unico
+    on reglas_cupos (coalesce(sede_id, ''), tipo_solicitud, coalesce(dia_semana, -1), coalesce(fecha, '0001-01-01'::date));
+
+-- El mismo paciente puede tener una conversación abierta con cada sede
+-- (la tabla sesiones solo existe si se ejecutó sesiones.sql para SESIONES_ALMACEN=supabase)
+alter table if exists sesiones add column if not exists sede_id text not null default '';
+alter table if exists sesiones drop constraint if exists sesiones_pkey;
+alter table if exists sesiones add constraint sesiones_pkey primary key (sede_id, whatsapp_jid);
+
+-- Los datos anteriores a las sedes quedan sin sede_id y no aparecen en ninguna.
+-- Para asignarlos a la sede que los atendía (reemplaza 'principal' por su id en sedes.json):
+-- update solicitudes set sede_id = 'principal' where sede_id is null;
+-- update reglas_cupos set sede_id = 'principal' where sede_id is null;
+-- update lista_espera set sede_id = 'principal' where sede_id is null;
@@ -0,0 +1,14 @@
+-- sesiones.sql
+-- Conversaciones en curso y logins de administrador (ver sessions.js), solo si SESIONES_ALMACEN=supabase.
+-- Ejecutar una vez en el editor SQL de Supabase.
+
+create table if not exists sesiones (
+    whatsapp_jid text primary key,
+    estado jsonb,                              -- paso, datos recolectados e historial con la IA
+    admin boolean not null default false,      -- el número hizo /login
+    actualizado_en timestamptz not null default now(),
+    aviso_enviado_en timestamptz               -- cuándo se preguntó "¿seguimos?"
+);
+
+-- Idioma de la conversación (ver i18n.js)
+alter table sesiones add column if not exists idioma text;
@@ -0,0 +1,7 @@
+-- solicitudes_whatsapp.sql
+-- Número de WhatsApp desde el que se registró cada solicitud, para que el paciente consulte sus
+-- solicitudes sin escribir la cédula. Ejecutar una vez en el editor SQL de Supabase.
+
+alter table solicitudes add column if not exists whatsapp_jid text;
+
+create index if not exists solicitudes_whatsapp_fecha on solicitudes (whatsapp_jid, fecha_solicitud);
@@ -0,0 +1,40 @@
+// test/calendar.test.js
+// Hora estimada de los turnos: suma de las duraciones de los turnos anteriores del día.
+
+// Horario y duraciones fijos, aunque el .env o la configuración de la clínica definan otros
+process.env.CLINIC_HORARIO = '{"lunes": "08:00-10:00"}';
+process.env.DURACION_POR_TIPO = '';
+process.env.CLINICA_CONFIG = 'clinica.test-inexistente.json';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { calcularHoraEstimada, parseISODate } = require('../calendar');
+
+const LUNES = parseISODate('2030-01-07');
+const DOMINGO = parseISODate('2030-01-06');
+
+test('el primer turno del día es a la hora de apertura', () => {
+    assert.strictEqual(calcularHoraEstimada(LUNES, 'consulta', 'C-001', []), '08:00');
+});
+
+test('suma la duración de cada tipo de los turnos anteriores con la misma letra', () => {
+    const delDia = [
+        { numero_turno: 'C-001', tipo_solicitud: 'ecor' },
+        { numero_turno: 'C-002', tipo_solicitud: 'consulta' },
+        { numero_turno: 'R-001', tipo_solicitud: 'reembolso' },
+    ];
+    // ECOR (30) + consulta (20); el reembolso tiene su propia numeración
+    assert.strictEqual(calcularHoraEstimada(LUNES, 'consulta', 'C-003', delDia), '08:50');
+    assert.strictEqual(calcularHoraEstimada(LUNES, 'reembolso', 'R-002', delDia), '08:10');
+});
+
+test('no da hora si el turno no alcanza a atenderse antes del cierre', () => {
+    const delDia = ['ecor', 'consulta', 'ecor', 'consulta'].map((tipo, i) => ({ numero_turno: `C-00${i + 1}`, tipo_solicitud: tipo }));
+    // Empieza a las 9:40 y cierra a las 10:00: alcanza una consulta (20) pero no un ECOR (30)
+    assert.strictEqual(calcularHoraEstimada(LUNES, 'consulta', 'C-005', delDia), '09:40');
+    assert.strictEqual(calcularHoraEstimada(LUNES, 'ecor', 'C-005', delDia), null);
+});
+
+test('no da hora los días sin horario', () => {
+    assert.strictEqual(calcularHoraEstimada(DOMINGO, 'consulta', 'C-001', []), null);
+});
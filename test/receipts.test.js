@@ -0,0 +1,31 @@
+// test/receipts.test.js
+// Lectura del monto y el concepto que el paciente escribe para cada factura de reembolso.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsearMontoConcepto } = require('../receipts');
+
+test('lee el monto con decimales o separador de miles', () => {
+    assert.deepStrictEqual(parsearMontoConcepto('350,50 Medicinas'), { monto: 350.5, concepto: 'Medicinas' });
+    assert.deepStrictEqual(parsearMontoConcepto('Consulta pediatra Bs. 1.200'), { monto: 1200, concepto: 'Consulta pediatra' });
+    assert.deepStrictEqual(parsearMontoConcepto('Lentes 1,250.50'), { monto: 1250.5, concepto: 'Lentes' });
+});
+
+test('prefiere el número con decimales a otros números del texto', () => {
+    assert.deepStrictEqual(parsearMontoConcepto('Factura 123 por 45,00 lentes'), { monto: 45, concepto: 'Factura 123 por lentes' });
+});
+
+test('prefiere el número con marca de moneda', () => {
+    assert.deepStrictEqual(parsearMontoConcepto('Bs 15 por 200 pastillas'), { monto: 15, concepto: 'por 200 pastillas' });
+    assert.deepStrictEqual(parsearMontoConcepto('Farmacia 24 horas $80'), { monto: 80, concepto: 'Farmacia 24 horas' });
+});
+
+test('sin decimales ni moneda, toma el mayor de los números', () => {
+    assert.deepStrictEqual(parsearMontoConcepto('2 cajas de medicina 300'), { monto: 300, concepto: '2 cajas de medicina' });
+});
+
+test('devuelve null si falta el monto o el concepto', () => {
+    assert.strictEqual(parsearMontoConcepto('Medicinas'), null);
+    assert.strictEqual(parsearMontoConcepto('350,50'), null);
+    assert.strictEqual(parsearMontoConcepto(''), null);
+});
@@ -0,0 +1,49 @@
+// test/reservas.test.js
+// Reserva atómica de turnos con los datos mock: dos pacientes que piden el último cupo a la vez.
+
+// Sin Supabase: las pruebas usan siempre los datos mock en memoria
+process.env.SUPABASE_URL = '';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { reservarTurno, guardarReglaCupos, getDatosReporteDiario } = require('../database');
+
+function datos(fecha, cedula, tipo = 'consulta') {
+    return { tipo_solicitud: tipo, fecha_solicitud: fecha, cedula, nombre_paciente: 'Paciente', apellido_paciente: cedula };
+}
+
+test('dos reservas simultáneas por el último cupo: solo una lo obtiene', async () => {
+    const fecha = '2030-01-07';
+    await guardarReglaCupos({ tipo_solicitud: 'consulta', dia_semana: null, fecha, limite: 2 });
+    const primera = await reservarTurno(datos(fecha, '1000'));
+    assert.ok(primera.solicitud);
+
+    const resultados = await Promise.all([reservarTurno(datos(fecha, '2000')), reservarTurno(datos(fecha, '3000'))]);
+
+    assert.strictEqual(resultados.filter(r => r.solicitud).length, 1);
+    assert.strictEqual(resultados.filter(r => r.sinCupos).length, 1);
+    assert.strictEqual((await getDatosReporteDiario(fecha)).length, 2);
+});
+
+test('las reservas simultáneas reciben números de turno distintos', async () => {
+    const fecha = '2030-01-08';
+    await guardarReglaCupos({ tipo_solicitud: 'consulta', dia_semana: null, fecha, limite: 5 });
+
+    const resultados = await Promise.all(['1', '2', '3'].map(cedula => reservarTurno(datos(fecha, cedula))));
+
+    const turnos = resultados.map(r => r.solicitud.numero_turno).sort();
+    assert.deepStrictEqual(turnos, ['C-001', 'C-002', 'C-003']);
+});
+
+test('ECOR ocupa el cupo de consulta pero se agenda aunque el día esté lleno', async () => {
+    const fecha = '2030-01-09';
+    await guardarReglaCupos({ tipo_solicitud: 'consulta', dia_semana: null, fecha, limite: 1 });
+
+    const ecor = await reservarTurno(datos(fecha, '1', 'ecor'));
+    const consulta = await reservarTurno(datos(fecha, '2'));
+    const otroEcor = await reservarTurno(datos(fecha, '3', 'ecor'));
+
+    assert.strictEqual(ecor.solicitud.numero_turno, 'C-001');
+    assert.deepStrictEqual(consulta, { solicitud: null, sinCupos: true });
+    assert.strictEqual(otroEcor.solicitud.numero_turno, 'C-002');
+});
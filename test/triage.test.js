@@ -0,0 +1,49 @@
+// test/triage.test.js
+// Clasificador de emergencias: frases exactas, errores de escritura, negaciones y letras repetidas.
+
+// Las frases por defecto, aunque el .env configure otras
+process.env.TRIAGE_FRASES = '';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { clasificarMensaje } = require('../triage');
+
+test('reconoce una frase de emergencia dentro del mensaje', () => {
+    const resultado = clasificarMensaje('Buenas, mi papá tiene dolor de pecho desde hace rato');
+    assert.strictEqual(resultado.emergencia, true);
+    assert.strictEqual(resultado.frase, 'dolor de pecho');
+    assert.strictEqual(resultado.errores, 0);
+});
+
+test('ignora tildes, mayúsculas y signos', () => {
+    assert.strictEqual(clasificarMensaje('¡¡SE DESMAYÓ!!').emergencia, true);
+    assert.strictEqual(clasificarMensaje('Está convulsionando').emergencia, true);
+});
+
+test('tolera errores de escritura', () => {
+    const resultado = clasificarMensaje('no puedo respriar');
+    assert.strictEqual(resultado.emergencia, true);
+    assert.strictEqual(resultado.frase, 'no puedo respirar');
+    assert.ok(resultado.errores > 0);
+});
+
+test('reduce las letras repetidas', () => {
+    assert.strictEqual(clasificarMensaje('una ambulanciaaaaa por favor').emergencia, true);
+});
+
+test('no confunde con una negación el "no" de otra parte del mensaje', () => {
+    for (const texto of ['mi papa no despierta, esta inconsciente', 'no aguanto el dolor de pecho', 'ayuda mi hijo no responde, convulsion']) {
+        assert.strictEqual(clasificarMensaje(texto).emergencia, true, texto);
+    }
+});
+
+test('descarta la frase precedida por una negación', () => {
+    assert.strictEqual(clasificarMensaje('no es una emergencia, quiero una cita').emergencia, false);
+    assert.strictEqual(clasificarMensaje('control de rutina, sin dolor de pecho').emergencia, false);
+});
+
+test('no marca como emergencia los mensajes comunes', () => {
+    for (const texto of ['Quiero agendar una consulta', 'hola', 'Necesito un reembolso de mi factura', '12345678']) {
+        assert.strictEqual(clasificarMensaje(texto).emergencia, false, texto);
+    }
+});
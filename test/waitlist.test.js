@@ -0,0 +1,50 @@
+// test/waitlist.test.js
+// Lista de espera: a quien ya tiene cita el día del cupo liberado no se le ofrece ese cupo.
+
+// Sin Supabase: las pruebas usan siempre los datos mock en memoria
+process.env.SUPABASE_URL = '';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { reservarTurno, guardarReglaCupos } = require('../database');
+const { agregarAListaEspera, notificarCupoLiberado, devolverAListaEspera, getOfertaActiva } = require('../waitlist');
+const { parseISODate } = require('../calendar');
+
+function crearSock() {
+    const enviados = [];
+    return { enviados, sendMessage: async (jid, mensaje) => enviados.push({ jid, texto: mensaje.text }) };
+}
+
+test('el cupo liberado se ofrece al siguiente si el primero ya tiene cita ese día', async () => {
+    const fecha = '2030-01-14';
+    await guardarReglaCupos({ tipo_solicitud: 'consulta', dia_semana: null, fecha, limite: 2 });
+    await reservarTurno({ tipo_solicitud: 'consulta', fecha_solicitud: fecha, cedula: '1000', whatsapp_jid: 'a@s.whatsapp.net' });
+    await agregarAListaEspera('a@s.whatsapp.net', 'consulta', null, { cedula: '1000' });
+    await agregarAListaEspera('b@s.whatsapp.net', 'consulta', null, { cedula: '2000' });
+
+    const sock = crearSock();
+    await notificarCupoLiberado(sock, 'consulta', parseISODate(fecha));
+
+    assert.deepStrictEqual(sock.enviados.map(m => m.jid), ['b@s.whatsapp.net']);
+    assert.strictEqual(getOfertaActiva('a@s.whatsapp.net'), null);
+});
+
+test('quien vuelve a la lista por tener cita ese día no recibe otra vez la misma oferta', async () => {
+    const fecha = '2030-01-15';
+    await guardarReglaCupos({ tipo_solicitud: 'consulta', dia_semana: null, fecha, limite: 5 });
+    await agregarAListaEspera('c@s.whatsapp.net', 'consulta', 2, { cedula: '3000' });
+
+    const sock = crearSock();
+    await notificarCupoLiberado(sock, 'consulta', parseISODate(fecha));
+    const oferta = getOfertaActiva('c@s.whatsapp.net');
+    assert.ok(oferta);
+
+    // Mientras la oferta esperaba respuesta, el paciente agendó una consulta para ese mismo día
+    const { solicitud } = await reservarTurno({ tipo_solicitud: 'consulta', fecha_solicitud: fecha, cedula: '3000', whatsapp_jid: 'c@s.whatsapp.net' });
+    assert.ok(solicitud);
+    await devolverAListaEspera(oferta);
+    await notificarCupoLiberado(sock, 'consulta', parseISODate(fecha));
+
+    assert.strictEqual(sock.enviados.filter(m => m.jid === 'c@s.whatsapp.net').length, 1);
+    assert.strictEqual(getOfertaActiva('c@s.whatsapp.net'), null);
+});
@@ -0,0 +1,228 @@
+// tools.js
+// Herramientas (funciones) que la IA puede llamar al final de cada secuencia, declaradas como esquemas
+// para Gemini y para los proveedores compatibles con OpenAI, y la validación de sus argumentos.
+// Una llamada con argumentos inválidos no llega a la base de datos: se le devuelven los errores
+// a la IA para que la corrija (ver aiHandler.js).
+// Los tipos de consulta y las nóminas válidos salen de la configuración de la clínica (clinica.js).
+
+const { PARENTESCOS } = require('./patients');
+const { t, traducciones } = require('./i18n');
+const { getTiposConsulta, getNominas } = require('./clinica');
+
+const DIAS_SEMANA = ['Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado', 'Domingo'];
+
+const CAMPOS = {
+    nombre_paciente: { type: 'string', description: 'Nombre del paciente.' },
+    apellido_paciente: { type: 'string', description: 'Apellido del paciente.' },
+    cedula: { type: 'string', description: 'Cédula del paciente, solo números. Omitir si es un menor sin cédula (requiere titular_cedula).', cedula: true },
+    nomina: { type: 'string', description: 'Tipo de nómina del empleado (o del titular).' },
+    gerencia: { type: 'string', description: 'Gerencia del empleado (o del titular).' },
+    tipo_consulta_detalle: { type: 'string', description: 'Tipo de consulta.' },
+    dia_semana_deseado: { type: 'string', description: 'Día de la semana que pidió el usuario, si indicó alguno.', enum: DIAS_SEMANA },
+    titular_nombre: { type: 'string', description: 'Nombre del empleado titular, si el paciente es un familiar.' },
+    titular_apellido: { type: 'string', description: 'Apellido del empleado titular, si el paciente es un familiar.' },
+    titular_cedula: { type: 'string', description: 'Cédula del empleado titular, solo números, si el paciente es un familiar.', cedula: true },
+    parentesco: { type: 'string', description: 'Parentesco del paciente con el titular, si es un familiar.', enum: Object.keys(PARENTESCOS) },
+};
+
+const CAMPOS_BENEFICIARIO = ['titular_nombre', 'titular_apellido', 'titular_cedula', 'parentesco'];
+
+/**
+ * Declaración de cada herramienta: nombre, descripción y parámetros (subconjunto de JSON Schema).
+ * Se arma en cada uso para tomar las opciones vigentes de la configuración de la clínica.
+ * @returns {Array<Object>}
+ */
+function getHerramientas() {
+    const tiposConsulta = getTiposConsulta();
+    const opciones = {
+        ...CAMPOS,
+        nomina: { ...CAMPOS.nomina, enum: getNominas() },
+        tipo_consulta_detalle: { ...CAMPOS.tipo_consulta_detalle, enum: tiposConsulta },
+    };
+    const campos = (...nombres) => Object.fromEntries(nombres.map(nombre => [nombre, opciones[nombre]]));
+
+    return [
+        {
+            name: 'agendar_solicitud',
+            description: `Agenda una cita (${tiposConsulta.join(', ')}) al terminar la secuencia "Agendar Cita".`,
+            parameters: {
+                type: 'object',
+                properties: campos('tipo_consulta_detalle', 'nombre_paciente', 'apellido_paciente', 'cedula', 'nomina', 'gerencia', 'dia_semana_deseado', ...CAMPOS_BENEFICIARIO),
+                required: ['tipo_consulta_detalle', 'nombre_paciente', 'apellido_paciente', 'nomina', 'gerencia'],
+            },
+        },
+        {
+            name: 'solicitar_reembolso',
+            description: 'Inicia una solicitud de reembolso al terminar la secuencia "Solicitar Reembolso". Las facturas las pide el sistema después.',
+            parameters: {
+                type: 'object',
+                properties: campos('nombre_paciente', 'apellido_paciente', 'cedula', 'dia_semana_deseado', ...CAMPOS_BENEFICIARIO),
+                required: ['nombre_paciente', 'apellido_paciente'],
+            },
+        },
+        {
+            name: 'informar_emergencia',
+            description: 'Reporta una emergencia médica del usuario.',
+            parameters: { type: 'object', properties: {}, required: [] },
+        },
+        {
+            name: 'cancelar_solicitud',
+            description: 'Cancela una cita o reembolso vigente; el sistema pide confirmación al usuario.',
+            parameters: { type: 'object', properties: campos('cedula'), required: ['cedula'] },
+        },
+        {
+            name: 'reprogramar_solicitud',
+            description: 'Mueve una cita o reembolso vigente a otro día; el sistema pide confirmación al usuario.',
+            parameters: { type: 'object', properties: campos('cedula', 'dia_semana_deseado'), required: ['cedula'] },
+        },
+        {
+            name: 'consultar_solicitudes',
+            description: 'Muestra las solicitudes próximas y recientes del usuario, por cédula o por su número de WhatsApp.',
+            parameters: { type: 'object', properties: campos('cedula'), required: [] },
+        },
+    ];
+}
+
+function sinTildes(texto) {
+    return String(texto).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+// Acepta "V-12.345.678" o "12 345 678"; devuelve solo los dígitos o null si no es una cédula
+function normalizarCedula(valor) {
+    const texto = String(valor).trim();
+    if (!/^([VvEe]\s*-?\s*)?[\d.\s]+$/.test(texto)) return null;
+    const digitos = texto.replace(/\D/g, '');
+    return digitos.length >= 5 && digitos.length <= 10 ? digitos : null;
+}
+
+/**
+ * Valida los argumentos de una llamada contra el esquema de la herramienta.
+ * Los valores de las listas se aceptan sin importar mayúsculas ni tildes y se devuelven en su forma oficial.
+ * @param {string} nombre - El nombre de la herramienta.
+ * @param {Object} args - Los argumentos recibidos de la IA.
+ * @returns {{ok: boolean, args?: Object, errores?: Array<string>, campos?: Array<string>}} Los errores van dirigidos a la IA; campos son los datos a corregir.
+ */
+function validarArgumentos(nombre, args) {
+    const herramienta = getHerramientas().find(h => h.name === nombre);
+    if (!herramienta) return { ok: false, errores: [`La herramienta "${nombre}" no existe.`] };
+    if (!args || typeof args !== 'object' || Array.isArray(args)) return { ok: false, errores: ['Los argumentos deben ser un objeto.'] };
+
+    const { properties, required } = herramienta.parameters;
+    const errores = [];
+    const validados = {};
+    const invalidos = new Set();
+    const error = (campo, mensaje) => {
+        errores.push(`${campo}: ${mensaje}`);
+        invalidos.add(campo);
+    };
+
+    for (const [campo, esquema] of Object.entries(properties)) {
+        const valor = args[campo];
+        if (valor === undefined || valor === null || String(valor).trim() === '') continue;
+
+        if (esquema.cedula) {
+            const cedula = normalizarCedula(valor);
+            if (!cedula) error(campo, `"${valor}" no es una cédula válida (solo números, de 5 a 10 dígitos).`);
+            else validados[campo] = cedula;
+        } else if (esquema.enum) {
+            // También se acepta la opción traducida al idioma del paciente (ej. "Monday"); se guarda la oficial en español
+            const oficial = esquema.enum.find(opcion => [opcion, ...traducciones(opcion)].some(forma => sinTildes(forma) === sinTildes(valor)));
+            if (!oficial) error(campo, `"${valor}" no es válido. Opciones: ${esquema.enum.join(', ')}.`);
+            else validados[campo] = oficial;
+        } else if (typeof valor !== 'string') {
+            error(campo, 'debe ser texto.');
+        } else {
+            validados[campo] = valor.trim();
+        }
+    }
+
+    for (const campo of required) {
+        if (validados[campo] === undefined && !invalidos.has(campo)) {
+            error(campo, 'es obligatorio.');
+        }
+    }
+
+    // Nombre y apellido deben ser palabras, no números ni una sola letra
+    for (const campo of ['nombre_paciente', 'apellido_paciente']) {
+        if (validados[campo] && !/[a-záéíóúüñ]{2,}/i.test(validados[campo])) {
+            error(campo, `"${validados[campo]}" no parece un nombre.`);
+        }
+    }
+
+    // Solo un beneficiario menor puede no tener cédula, y para eso hace falta la del titular
+    if ('cedula' in properties && required.includes('nombre_paciente') && !validados.cedula && !validados.titular_cedula && !invalidos.has('cedula')) {
+        error('cedula', 'es obligatoria (si el paciente es un menor sin cédula, indica titular_cedula).');
+    }
+    if (validados.titular_cedula && !validados.parentesco && validados.titular_cedula !== validados.cedula) {
+        error('parentesco', 'es obligatorio cuando el paciente es un familiar del titular.');
+    }
+
+    return errores.length > 0 ? { ok: false, errores, campos: [...invalidos] } : { ok: true, args: validados };
+}
+
+/**
+ * Nombra para el usuario los campos que no se pudieron validar (ej: "cédula y nómina").
+ * @param {Array<string>} campos - Los campos devueltos por validarArgumentos.
+ * @param {string} [idioma] - El idioma del paciente.
+ * @returns {string}
+ */
+function describirCampos(campos, idioma = 'es') {
+    const etiquetas = campos.map(campo => (CAMPOS[campo] ? t(idioma, `campo_${campo}`) : campo));
+    return etiquetas.length > 1 ? `${etiquetas.slice(0, -1).join(', ')} ${t(idioma, 'y')} ${etiquetas[etiquetas.length - 1]}` : etiquetas.join('');
+}
+
+// Gemini usa los tipos en mayúsculas y no admite claves propias como "cedula"
+function esquemaGemini(esquema) {
+    const convertido = { type: esquema.type.toUpperCase() };
+    if (esquema.description) convertido.description = esquema.description;
+    if (esquema.enum) convertido.enum = esquema.enum;
+    if (esquema.properties) {
+        convertido.properties = Object.fromEntries(Object.entries(esquema.properties).map(([campo, valor]) => [campo, esquemaGemini(valor)]));
+    }
+    if (esquema.required) convertido.required = esquema.required;
+    return convertido;
+}
+
+function esquemaOpenAI(esquema) {
+    const { cedula, ...resto } = esquema;
+    if (resto.properties) {
+        resto.properties = Object.fromEntries(Object.entries(resto.properties).map(([campo, valor]) => [campo, esquemaOpenAI(valor)]));
+    }
+    if (cedula) resto.pattern = '^\\d{5,10}$';
+    return resto;
+}
+
+/**
+ * Las herramientas en el formato de function calling de Gemini.
+ * @returns {Array<Object>} Para la opción "tools" del modelo.
+ */
+function getHerramientasGemini() {
+    return [{
+        functionDeclarations: getHerramientas().map(h => {
+            const declaracion = { name: h.name, description: h.description };
+            if (Object.keys(h.parameters.properties).length > 0) declaracion.parameters = esquemaGemini(h.parameters);
+            return declaracion;
+        }),
+    }];
+}
+
+/**
+ * Las herramientas en el formato de los proveedores compatibles con OpenAI (OpenRouter).
+ * @returns {Array<Object>} Para el campo "tools" de chat/completions.
+ */
+function getHerramientasOpenAI() {
+    return getHerramientas().map(h => ({
+        type: 'function',
+        function: { name: h.name, description: h.description, parameters: esquemaOpenAI(h.parameters) },
+    }));
+}
+
+module.exports = {
+    DIAS_SEMANA,
+    sinTildes,
+    normalizarCedula,
+    validarArgumentos,
+    describirCampos,
+    getHerramientasGemini,
+    getHerramientasOpenAI,
+};
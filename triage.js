@@ -0,0 +1,174 @@
+// triage.js
+// Triaje local de emergencias: antes de consultar a la IA se busca en el mensaje (o en la nota de voz
+// transcrita) una lista de frases de emergencia, tolerando tildes, mayúsculas, letras repetidas y errores
+// de tipeo. Así una emergencia clara se atiende aunque Gemini y OpenRouter fallen o tarden.
+// La lista se puede reemplazar con TRIAGE_FRASES (frases separadas por punto y coma).
+
+require('dotenv').config();
+
+const FRASES_POR_DEFECTO = [
+    'emergencia',
+    'dolor de pecho',
+    'dolor en el pecho',
+    'duele el pecho',
+    'infarto',
+    'no puedo respirar',
+    'no puede respirar',
+    'me falta el aire',
+    'le falta el aire',
+    'dificultad para respirar',
+    'me ahogo',
+    'se ahoga',
+    'desmayo',
+    'se desmayo',
+    'inconsciente',
+    'convulsion',
+    'convulsionando',
+    'esta convulsionando',
+    'hemorragia',
+    'sangrado abundante',
+    'mucha sangre',
+    'derrame cerebral',
+    'electrocutado',
+    'envenenamiento',
+    'intoxicacion',
+    'sobredosis',
+    'ambulancia',
+];
+
+// Palabras que, justo antes de una frase, indican que el paciente niega la emergencia ("sin dolor de pecho")
+const NEGACIONES = ['no', 'sin', 'ninguna', 'ningun'];
+
+// Palabras de enlace que pueden ir entre la negación y la frase ("no es una emergencia"), hasta MAX_NEXOS.
+// Cualquier otra palabra en medio corta la negación: en "no aguanto el dolor de pecho" el "no" es de "aguanto".
+const NEXOS = ['es', 'era', 'fue', 'hay', 'tengo', 'tiene', 'un', 'una', 'el', 'la', 'de', 'del'];
+const MAX_NEXOS = 2;
+
+/**
+ * Normaliza un texto para compararlo: minúsculas, sin tildes ni signos y sin letras repetidas
+ * más de dos veces ("ayudaaaa" → "ayudaa").
+ * @param {string} texto
+ * @returns {Array<string>} Las palabras del texto.
+ */
+function normalizar(texto) {
+    return String(texto || '')
+        .toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .replace(/(.)\1{2,}/g, '$1$1')
+        .split(/\s+/)
+        .filter(Boolean);
+}
+
+function leerFrases() {
+    const configuradas = (process.env.TRIAGE_FRASES || '').split(';').map(f => f.trim()).filter(Boolean);
+    return (configuradas.length > 0 ? configuradas : FRASES_POR_DEFECTO)
+        .map(frase => ({ frase, palabras: normalizar(frase) }))
+        .filter(f => f.palabras.length > 0);
+}
+
+const FRASES = leerFrases();
+
+/**
+ * Distancia de edición entre dos palabras, contando la transposición de letras vecinas como un solo error.
+ */
+function distancia(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const costo = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + costo);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
+
+// Errores tolerados según el largo de la palabra: las palabras cortas deben coincidir exactamente
+function toleranciaPara(palabra) {
+    if (palabra.length <= 4) return 0;
+    if (palabra.length <= 7) return 1;
+    return 2;
+}
+
+/**
+ * Busca una frase dentro de las palabras del mensaje.
+ * @returns {{inicio: number, errores: number}|null} La mejor coincidencia o null.
+ */
+function buscarFrase(palabrasMensaje, palabrasFrase) {
+    let mejor = null;
+    for (let inicio = 0; inicio + palabrasFrase.length <= palabrasMensaje.length; inicio++) {
+        let errores = 0;
+        const coincide = palabrasFrase.every((palabra, i) => {
+            const error = distancia(palabrasMensaje[inicio + i], palabra);
+            errores += error;
+            return error <= toleranciaPara(palabra);
+        });
+        if (coincide && (!mejor || errores < mejor.errores)) mejor = { inicio, errores };
+    }
+    return mejor;
+}
+
+/**
+ * Indica si la frase que empieza en la posición "inicio" está negada: la precede una negación,
+ * directamente o con solo palabras de enlace en medio.
+ */
+function estaNegada(palabras, inicio) {
+    let i = inicio - 1;
+    while (i >= 0 && inicio - 1 - i < MAX_NEXOS && NEXOS.includes(palabras[i])) i--;
+    return i >= 0 && NEGACIONES.includes(palabras[i]);
+}
+
+/**
+ * Clasifica un mensaje como emergencia o no, según la lista de frases.
+ * @param {string} texto - El mensaje del paciente o la transcripción de su nota de voz.
+ * @returns {{emergencia: boolean, frase?: string, coincidencia?: string, errores?: number}}
+ */
+function clasificarMensaje(texto) {
+    const palabras = normalizar(texto);
+    let mejor = null;
+
+    for (const { frase, palabras: palabrasFrase } of FRASES) {
+        const encontrada = buscarFrase(palabras, palabrasFrase);
+        if (!encontrada) continue;
+
+        // "no es una emergencia", "sin dolor de pecho": se descarta si la frase está negada
+        if (palabrasFrase[0] !== 'no' && estaNegada(palabras, encontrada.inicio)) continue;
+
+        if (!mejor || encontrada.errores < mejor.errores) {
+            mejor = {
+                emergencia: true,
+                frase,
+                coincidencia: palabras.slice(encontrada.inicio, encontrada.inicio + palabrasFrase.length).join(' '),
+                errores: encontrada.errores,
+            };
+        }
+    }
+
+    return mejor || { emergencia: false };
+}
+
+/**
+ * Ejecuta el triaje y registra la decisión en el log.
+ * @param {string} texto - El mensaje del paciente o la transcripción de su nota de voz.
+ * @param {string} whatsappJid - JID del paciente, para el log.
+ * @param {'texto' | 'audio'} origen - De dónde viene el texto.
+ * @returns {{emergencia: boolean, frase?: string, coincidencia?: string, errores?: number}}
+ */
+function triarMensaje(texto, whatsappJid, origen = 'texto') {
+    const resultado = clasificarMensaje(texto);
+    if (resultado.emergencia) {
+        console.log(`[TRIAGE] ${whatsappJid} (${origen}): EMERGENCIA — frase "${resultado.frase}", encontrada como "${resultado.coincidencia}" (${resultado.errores} error(es)).`);
+    } else {
+        console.log(`[TRIAGE] ${whatsappJid} (${origen}): sin frases de emergencia, continúa la conversación.`);
+    }
+    return resultado;
+}
+
+module.exports = {
+    clasificarMensaje,
+    triarMensaje,
+};
@@ -0,0 +1,174 @@
+// waitlist.js
+// Lista de espera: cuando no hay cupos, el paciente queda anotado y, al liberarse un cupo
+// (cancelación o aumento de cupos), se le ofrece por WhatsApp durante un tiempo limitado.
+
+const { getCuposDisponibles, checkExistingAppointment, agregarListaEspera, getSiguienteListaEspera, getListaEsperaPorEstado, actualizarListaEspera } = require('./database');
+const { toISODate, parseISODate, formatearFechaLarga, esDiaHabil, getFechaInicialBusqueda } = require('./calendar');
+const { t, getLocale } = require('./i18n');
+const { idiomas } = require('./sessions');
+const { porSede } = require('./sedes');
+require('dotenv').config();
+
+// Minutos que tiene el paciente para aceptar un cupo ofrecido
+const MINUTOS_OFERTA = parseInt(process.env.LISTA_ESPERA_MINUTOS_OFERTA, 10) || 30;
+
+// Días hacia adelante en los que se buscan cupos para la lista de espera
+const DIAS_BUSQUEDA = 7;
+
+/**
+ * Ofertas vigentes indexadas por JID (en cada sede), para responder sin consultar la base de datos en cada mensaje.
+ * Se reconstruye en cada revisión periódica, así que sobrevive a un reinicio del bot.
+ */
+const ofertasActivas = porSede(() => new Map());
+
+/**
+ * Anota a un paciente en la lista de espera.
+ * @param {string} from - JID del paciente.
+ * @param {'consulta' | 'reembolso'} tipo - El tipo de solicitud.
+ * @param {number|null} diaSemana - El día de la semana pedido (Domingo=0) o null si le sirve cualquiera.
+ * @param {Object} datos - Los datos del paciente para registrar la solicitud al aceptar.
+ * @param {string} [idioma] - El idioma del paciente: la oferta puede llegar cuando su conversación ya expiró.
+ * @returns {Promise<Object|null>} La entrada creada o null si hubo un error.
+ */
+async function agregarAListaEspera(from, tipo, diaSemana, datos, idioma = null) {
+    return agregarListaEspera({
+        whatsapp_jid: from,
+        tipo_solicitud: tipo,
+        dia_semana: diaSemana,
+        datos,
+        idioma,
+    });
+}
+
+/**
+ * Devuelve la oferta vigente de un paciente, si tiene una.
+ * @param {string} from - JID del paciente.
+ * @returns {Object|null}
+ */
+function getOfertaActiva(from) {
+    const oferta = ofertasActivas.get(from);
+    if (!oferta) return null;
+    if (new Date(oferta.oferta_expira) < new Date()) return null;
+    return oferta;
+}
+
+async function ofrecerCupo(sock, entrada, tipo, fecha) {
+    const expira = new Date(Date.now() + MINUTOS_OFERTA * 60 * 1000);
+    const oferta = await actualizarListaEspera(entrada.id, {
+        estado: 'ofrecida',
+        fecha_oferta: toISODate(fecha),
+        oferta_expira: expira.toISOString(),
+    });
+    if (!oferta) return false;
+
+    ofertasActivas.set(oferta.whatsapp_jid, oferta);
+    console.log(`[LISTA DE ESPERA] Cupo de ${tipo} del ${toISODate(fecha)} ofrecido a ${oferta.whatsapp_jid}.`);
+    const idioma = oferta.idioma || idiomas[oferta.whatsapp_jid];
+    await sock.sendMessage(oferta.whatsapp_jid, {
+        text: t(idioma, 'oferta_cupo', { tipo: t(idioma, `tipo_${tipo}`), fecha: formatearFechaLarga(fecha, getLocale(idioma)), minutos: MINUTOS_OFERTA })
+    });
+    return true;
+}
+
+/**
+ * Ofrece los cupos libres de una fecha a las personas en lista de espera, por orden de llegada.
+ * Se llama al cancelar una solicitud o al aumentar los cupos de un día.
+ * @param {Object} sock - Socket de WhatsApp.
+ * @param {'consulta' | 'reembolso' | 'ecor'} tipo - El tipo de cupo liberado (ECOR comparte cupos con consulta).
+ * @param {Date} fecha - La fecha del cupo liberado.
+ */
+async function notificarCupoLiberado(sock, tipo, fecha) {
+    const tipoCupo = tipo === 'ecor' ? 'consulta' : tipo;
+    // No se ofrecen cupos de días pasados ni de hoy si la clínica ya cerró
+    const fechaInicial = await getFechaInicialBusqueda();
+    if (toISODate(fecha) < toISODate(fechaInicial) || !(await esDiaHabil(fecha))) return;
+
+    let cupos = await getCuposDisponibles(tipoCupo, fecha);
+    const omitidas = [];
+    while (cupos > 0) {
+        const entrada = await getSiguienteListaEspera(tipoCupo, fecha.getDay(), omitidas);
+        if (!entrada) return;
+        // Quien ya tiene una consulta ese día no puede tomar el cupo: sigue esperando otro día
+        if (tipoCupo === 'consulta' && await checkExistingAppointment(entrada.datos, fecha)) {
+            omitidas.push(entrada.id);
+            continue;
+        }
+        if (!(await ofrecerCupo(sock, entrada, tipoCupo, fecha))) return;
+        cupos--;
+    }
+}
+
+/**
+ * Confirma que la oferta sigue vigente y la saca del índice de ofertas. No cambia su estado: la oferta
+ * sigue apartando el cupo hasta que reservarTurno registra el turno y la marca como aceptada.
+ * @param {Object} oferta - La oferta vigente.
+ * @returns {boolean} false si la oferta ya no estaba vigente.
+ */
+function aceptarOferta(oferta) {
+    ofertasActivas.delete(oferta.whatsapp_jid);
+    return new Date(oferta.oferta_expira) >= new Date();
+}
+
+/**
+ * Devuelve a la persona a la lista de espera (por ejemplo, si al aceptar ya tenía otra cita ese día).
+ * @param {Object} oferta - La oferta que no se pudo completar.
+ */
+async function devolverAListaEspera(oferta) {
+    ofertasActivas.delete(oferta.whatsapp_jid);
+    await actualizarListaEspera(oferta.id, { estado: 'esperando', fecha_oferta: null, oferta_expira: null });
+}
+
+/**
+ * El paciente rechazó el cupo: sale de la lista de espera y el cupo pasa al siguiente.
+ * @param {Object} sock - Socket de WhatsApp.
+ * @param {Object} oferta - La oferta rechazada.
+ */
+async function rechazarOferta(sock, oferta) {
+    ofertasActivas.delete(oferta.whatsapp_jid);
+    await actualizarListaEspera(oferta.id, { estado: 'rechazada' });
+    await notificarCupoLiberado(sock, oferta.tipo_solicitud, parseISODate(oferta.fecha_oferta));
+}
+
+/**
+ * Revisión periódica: vence las ofertas sin respuesta (pasando el cupo al siguiente),
+ * reconstruye el índice de ofertas vigentes y ofrece los cupos que aparecieron por aumentos de cupos.
+ * @param {Object} sock - Socket de WhatsApp.
+ */
+async function revisarListaEspera(sock) {
+    const ahora = new Date();
+    ofertasActivas.clear();
+
+    for (const oferta of await getListaEsperaPorEstado('ofrecida')) {
+        if (new Date(oferta.oferta_expira) >= ahora) {
+            ofertasActivas.set(oferta.whatsapp_jid, oferta);
+            continue;
+        }
+        await actualizarListaEspera(oferta.id, { estado: 'expirada' });
+        console.log(`[LISTA DE ESPERA] Venció la oferta de ${oferta.whatsapp_jid} para el ${oferta.fecha_oferta}.`);
+        await sock.sendMessage(oferta.whatsapp_jid, { text: t(oferta.idioma || idiomas[oferta.whatsapp_jid], 'oferta_expirada') });
+        await notificarCupoLiberado(sock, oferta.tipo_solicitud, parseISODate(oferta.fecha_oferta));
+    }
+
+    const esperando = await getListaEsperaPorEstado('esperando');
+    const tipos = [...new Set(esperando.map(e => e.tipo_solicitud))];
+    if (tipos.length === 0) return;
+
+    const fecha = await getFechaInicialBusqueda();
+    for (let i = 0; i < DIAS_BUSQUEDA; i++) {
+        for (const tipo of tipos) {
+            await notificarCupoLiberado(sock, tipo, fecha);
+        }
+        fecha.setDate(fecha.getDate() + 1);
+    }
+}
+
+module.exports = {
+    MINUTOS_OFERTA,
+    agregarAListaEspera,
+    getOfertaActiva,
+    notificarCupoLiberado,
+    aceptarOferta,
+    devolverAListaEspera,
+    rechazarOferta,
+    revisarListaEspera,
+};
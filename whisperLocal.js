@@ -0,0 +1,126 @@
+// whisperLocal.js
+// Transcripción de notas de voz sin red ni API keys: decodifica el ogg/opus de WhatsApp a PCM y lo
+// transcribe con Whisper en CPU usando @xenova/transformers. El modelo se descarga la primera vez
+// y queda en caché en disco; se carga una sola vez por proceso.
+
+const path = require('path');
+require('dotenv').config();
+
+// Tamaño del modelo (tiny, base, small, medium) o el id completo de un modelo de Hugging Face
+const WHISPER_LOCAL_MODELO = process.env.WHISPER_LOCAL_MODELO || 'base';
+const WHISPER_IDIOMA = process.env.WHISPER_IDIOMA || 'spanish';
+const WHISPER_CACHE_DIR = process.env.WHISPER_CACHE_DIR || path.join(__dirname, 'modelos');
+
+// Duración máxima de una nota de voz que se transcribe, en segundos
+const MAX_SEGUNDOS_NOTA_VOZ = parseInt(process.env.NOTA_VOZ_MAX_SEGUNDOS, 10) || 120;
+
+// Whisper espera audio mono a 16 kHz; Opus siempre se decodifica a 48 kHz
+const FRECUENCIA_WHISPER = 16000;
+const FRECUENCIA_OPUS = 48000;
+
+function idModelo() {
+    return WHISPER_LOCAL_MODELO.includes('/') ? WHISPER_LOCAL_MODELO : `Xenova/whisper-${WHISPER_LOCAL_MODELO}`;
+}
+
+/**
+ * Calcula la duración de una nota de voz ogg/opus leyendo sus cabeceras, sin decodificarla:
+ * la posición de la última página menos el pre-skip del encabezado Opus, a 48 kHz.
+ * @param {Buffer} buffer - El audio ogg/opus.
+ * @returns {number|null} La duración en segundos, o null si no es un ogg/opus válido.
+ */
+function getDuracionNotaVoz(buffer) {
+    if (!buffer || buffer.length < 64 || buffer.toString('ascii', 0, 4) !== 'OggS') return null;
+    const cabeceraOpus = buffer.indexOf('OpusHead');
+    const preSkip = cabeceraOpus >= 0 ? buffer.readUInt16LE(cabeceraOpus + 10) : 0;
+    const ultimaPagina = buffer.lastIndexOf('OggS');
+    if (ultimaPagina < 0 || ultimaPagina + 14 > buffer.length) return null;
+    const granulo = Number(buffer.readBigUInt64LE(ultimaPagina + 6));
+    return Math.max(0, (granulo - preSkip) / FRECUENCIA_OPUS);
+}
+
+/**
+ * Decodifica un ogg/opus a PCM mono de 16 kHz para Whisper.
+ * @param {Buffer} buffer - El audio ogg/opus.
+ * @returns {Promise<Float32Array>}
+ */
+async function decodificarOggOpus(buffer) {
+    const { OggOpusDecoder } = await import('ogg-opus-decoder');
+    const decoder = new OggOpusDecoder();
+    await decoder.ready;
+    try {
+        const { channelData, samplesDecoded, sampleRate } = await decoder.decodeFile(new Uint8Array(buffer));
+        if (!samplesDecoded) throw new Error('el audio no tiene muestras');
+
+        // Mezcla los canales a mono
+        const mono = new Float32Array(samplesDecoded);
+        for (const canal of channelData) {
+            for (let i = 0; i < samplesDecoded; i++) mono[i] += canal[i] / channelData.length;
+        }
+
+        // Reduce la frecuencia promediando las muestras de cada intervalo
+        const factor = (sampleRate || FRECUENCIA_OPUS) / FRECUENCIA_WHISPER;
+        const salida = new Float32Array(Math.floor(samplesDecoded / factor));
+        for (let i = 0; i < salida.length; i++) {
+            const inicio = Math.floor(i * factor);
+            const fin = Math.min(samplesDecoded, Math.floor((i + 1) * factor));
+            let suma = 0;
+            for (let j = inicio; j < fin; j++) suma += mono[j];
+            salida[i] = suma / Math.max(1, fin - inicio);
+        }
+        return salida;
+    } finally {
+        decoder.free();
+    }
+}
+
+let transcriptor = null;
+
+/**
+ * Carga el modelo de Whisper la primera vez que se usa. Si la carga falla, se reintenta en la siguiente nota.
+ */
+function getTranscriptor() {
+    if (!transcriptor) {
+        transcriptor = (async () => {
+            const { pipeline, env } = await import('@xenova/transformers');
+            env.cacheDir = WHISPER_CACHE_DIR;
+            console.log(`[WHISPER LOCAL] Cargando el modelo ${idModelo()} (la primera vez se descarga)...`);
+            const modelo = await pipeline('automatic-speech-recognition', idModelo(), { quantized: true });
+            console.log(`[WHISPER LOCAL] Modelo ${idModelo()} listo.`);
+            return modelo;
+        })();
+        transcriptor.catch(() => { transcriptor = null; });
+    }
+    return transcriptor;
+}
+
+/**
+ * Transcribe una nota de voz de WhatsApp en el propio servidor.
+ * @param {Buffer} audioBuffer - El audio ogg/opus.
+ * @param {string} [idioma] - El idioma en el nombre que usa Whisper (ej. "english"); por defecto WHISPER_IDIOMA.
+ * @returns {Promise<string|null>} El texto transcrito o null si hubo un error.
+ */
+async function transcribirLocal(audioBuffer, idioma = WHISPER_IDIOMA) {
+    try {
+        const inicio = Date.now();
+        const audio = await decodificarOggOpus(audioBuffer);
+        const modelo = await getTranscriptor();
+        const resultado = await modelo(audio, {
+            language: idioma,
+            task: 'transcribe',
+            chunk_length_s: 30,
+            stride_length_s: 5,
+        });
+        const texto = (resultado?.text || '').trim();
+        console.log(`[WHISPER LOCAL] ${(audio.length / FRECUENCIA_WHISPER).toFixed(1)} s de audio transcritos en ${((Date.now() - inicio) / 1000).toFixed(1)} s.`);
+        return texto || null;
+    } catch (error) {
+        console.error('[WHISPER LOCAL] Error al transcribir:', error.message);
+        return null;
+    }
+}
+
+module.exports = {
+    MAX_SEGUNDOS_NOTA_VOZ,
+    getDuracionNotaVoz,
+    transcribirLocal,
+};